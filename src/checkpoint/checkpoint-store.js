@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Interface of the stores which persist the event processing checkpoints of the clients.
+ * A checkpoint is an object { ledgerIndex, txHash } denoting the last fully handled transaction.
+ * 'txHash' is null when the whole ledger has been handled.
+ */
+class CheckpointStore {
+    /**
+     * Reads the checkpoint of a client.
+     * @param {string} key Checkpoint key of the client.
+     * @returns The checkpoint object or null if there's no checkpoint.
+     */
+    async get() {
+        throw 'CheckpointStore: get() is not implemented.';
+    }
+
+    /**
+     * Saves the checkpoint of a client.
+     * @param {string} key Checkpoint key of the client.
+     * @param {object} checkpoint Checkpoint object { ledgerIndex, txHash }.
+     */
+    async set() {
+        throw 'CheckpointStore: set() is not implemented.';
+    }
+}
+
+/**
+ * Keeps the checkpoints in memory. Useful for the tests and short lived processes.
+ */
+class MemoryCheckpointStore extends CheckpointStore {
+    #checkpoints = {};
+
+    async get(key) {
+        const checkpoint = this.#checkpoints[key];
+        return checkpoint ? { ...checkpoint } : null;
+    }
+
+    async set(key, checkpoint) {
+        this.#checkpoints[key] = { ...checkpoint };
+    }
+}
+
+/**
+ * Keeps the checkpoints in a json file, so the processing can be resumed after a restart.
+ */
+class FileCheckpointStore extends CheckpointStore {
+    #filePath;
+    #writing = Promise.resolve();
+
+    /**
+     * Creates a file based checkpoint store.
+     * @param {string} filePath Path of the json file. Created if it does not exist.
+     */
+    constructor(filePath) {
+        super();
+        if (!filePath)
+            throw 'FileCheckpointStore: filePath is required.';
+        this.#filePath = filePath;
+    }
+
+    async #readAll() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.#filePath, 'utf-8'));
+        }
+        catch (e) {
+            if (e.code === 'ENOENT')
+                return {};
+            throw e;
+        }
+    }
+
+    async get(key) {
+        // Wait for the pending writes, so we don't read a stale checkpoint.
+        await this.#writing;
+        return (await this.#readAll())[key] || null;
+    }
+
+    async set(key, checkpoint) {
+        // Writes are serialized and each one replaces the file atomically, so a crash cannot leave a partial file.
+        const write = this.#writing.catch(() => { }).then(async () => {
+            const checkpoints = await this.#readAll();
+            checkpoints[key] = { ...checkpoint };
+
+            await fs.promises.mkdir(path.dirname(this.#filePath), { recursive: true });
+            const tmpPath = `${this.#filePath}.tmp`;
+            await fs.promises.writeFile(tmpPath, JSON.stringify(checkpoints, null, 2));
+            await fs.promises.rename(tmpPath, this.#filePath);
+        });
+        this.#writing = write;
+        await write;
+    }
+}
+
+module.exports = {
+    CheckpointStore,
+    MemoryCheckpointStore,
+    FileCheckpointStore
+}
@@ -0,0 +1,272 @@
+const { EventEmitter } = require('../event-emitter');
+const { ErrorCodes, ErrorReasons } = require('../evernode-common');
+
+const AutoExtenderEvents = {
+    Extended: 'extended',
+    Skipped: 'skipped',
+    Failed: 'failed'
+}
+
+const AutoExtendSkipReasons = {
+    UNKNOWN_EXPIRY: 'UNKNOWN_EXPIRY',
+    EXPIRED: 'EXPIRED',
+    STOP_TIME_REACHED: 'STOP_TIME_REACHED',
+    DAILY_LIMIT_REACHED: 'DAILY_LIMIT_REACHED',
+    INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE'
+}
+
+const DEFAULT_CHECK_INTERVAL = 60; // Seconds.
+const DEFAULT_KEEP_AHEAD_MOMENTS = 1;
+const SPEND_WINDOW = 86400; // Seconds.
+
+/**
+ * Extends the leases of a tenant before they expire according to per-lease policies.
+ * Policy: { keepAheadMoments: Moments to keep the expiry ahead of the current moment (default 1), maxDailySpend: Max EVR to spend on the lease within 24 hours, stopAt: Date or unix timestamp (seconds) to stop extending at }.
+ * The daily spend is tracked by the extender instance, so the extensions made elsewhere are not counted. A submitted request is counted even if its response fails.
+ */
+class AutoExtender {
+    #tenantClient;
+    #options;
+    #events = new EventEmitter();
+    #policies = new Map();
+    #spends = new Map();
+    #skipped = new Map();
+    #timer = null;
+    #ticking = false;
+
+    /**
+     * Creates an auto extender for a tenant.
+     * @param {TenantClient} tenantClient Connected tenant client.
+     * @param {object} options [Optional] { checkInterval: Seconds between the lease checks (default 60), defaultPolicy: Policy for the leases without a policy (By default only the leases with a policy are extended),
+     * extendOptions: Options passed to 'extendLeaseSubmit' and 'watchExtendResponse' }.
+     */
+    constructor(tenantClient, options = {}) {
+        this.#tenantClient = tenantClient;
+        this.#options = {
+            checkInterval: options.checkInterval ?? DEFAULT_CHECK_INTERVAL,
+            defaultPolicy: options.defaultPolicy ? this.#validatePolicy(options.defaultPolicy) : null,
+            extendOptions: options.extendOptions || {}
+        };
+    }
+
+    on(event, handler) {
+        this.#events.on(event, handler);
+    }
+
+    once(event, handler) {
+        this.#events.once(event, handler);
+    }
+
+    off(event, handler = null) {
+        this.#events.off(event, handler);
+    }
+
+    /**
+     * Sets the policy of a lease. Replaces the existing policy of the lease.
+     * @param {string} uriTokenId Lease URI token id (Instance name).
+     * @param {object} policy { keepAheadMoments, maxDailySpend, stopAt }.
+     */
+    setPolicy(uriTokenId, policy) {
+        this.#policies.set(uriTokenId, this.#validatePolicy(policy));
+        this.#skipped.delete(uriTokenId);
+    }
+
+    /**
+     * Removes the policy of a lease. The lease is still extended with the default policy if there's one.
+     * @param {string} uriTokenId Lease URI token id (Instance name).
+     */
+    removePolicy(uriTokenId) {
+        this.#policies.delete(uriTokenId);
+        this.#skipped.delete(uriTokenId);
+    }
+
+    /**
+     * Returns the policy which applies to a lease.
+     * @param {string} uriTokenId Lease URI token id (Instance name).
+     * @returns The policy or null if the lease is not managed.
+     */
+    getPolicy(uriTokenId) {
+        const policy = this.#policies.get(uriTokenId) || this.#options.defaultPolicy;
+        return policy ? { ...policy } : null;
+    }
+
+    /**
+     * Starts checking the leases periodically. The first check runs immediately.
+     */
+    async start() {
+        if (this.#timer)
+            return;
+
+        const schedule = () => {
+            this.#timer = setTimeout(async () => {
+                await this.check();
+                if (this.#timer)
+                    schedule();
+            }, this.#options.checkInterval * 1000);
+        };
+        schedule();
+        await this.check();
+    }
+
+    /**
+     * Stops the periodic checks.
+     */
+    stop() {
+        if (this.#timer) {
+            clearTimeout(this.#timer);
+            this.#timer = null;
+        }
+    }
+
+    /**
+     * Checks the leases once and extends the ones which fall behind their policy.
+     */
+    async check() {
+        if (this.#ticking)
+            return;
+        this.#ticking = true;
+        try {
+            const leases = (await this.#tenantClient.getLeases()).filter(l => this.getPolicy(l.uriTokenId));
+            if (!leases.length)
+                return;
+
+            const calculator = this.#tenantClient.getMomentCalculator();
+            const moment = calculator.getMoment();
+            let balance = parseFloat(await this.#tenantClient.getEVRBalance());
+
+            // Extend the leases which expire first when the balance is not enough for all.
+            leases.sort((a, b) => (a.expiryMoment ?? Infinity) - (b.expiryMoment ?? Infinity));
+            const submitted = [];
+            for (const lease of leases) {
+                const policy = this.getPolicy(lease.uriTokenId);
+                if (lease.expiryMoment === null) {
+                    this.#skip(lease, AutoExtendSkipReasons.UNKNOWN_EXPIRY);
+                    continue;
+                }
+                if (lease.expired) {
+                    this.#skip(lease, AutoExtendSkipReasons.EXPIRED);
+                    continue;
+                }
+
+                let moments = moment + policy.keepAheadMoments - lease.expiryMoment;
+                if (moments <= 0) {
+                    this.#skipped.delete(lease.uriTokenId);
+                    continue;
+                }
+
+                if (policy.stopAt !== null) {
+                    // Keep the lease until the end of the moment which the stop time falls into.
+                    moments = Math.min(moments, calculator.getMomentAtTime(policy.stopAt) + 1 - lease.expiryMoment);
+                    if (moments <= 0) {
+                        this.#skip(lease, AutoExtendSkipReasons.STOP_TIME_REACHED);
+                        continue;
+                    }
+                }
+
+                if (policy.maxDailySpend !== null) {
+                    moments = Math.min(moments, Math.floor((policy.maxDailySpend - this.#getDailySpend(lease.uriTokenId)) / lease.leaseAmount));
+                    if (moments <= 0) {
+                        this.#skip(lease, AutoExtendSkipReasons.DAILY_LIMIT_REACHED);
+                        continue;
+                    }
+                }
+
+                moments = Math.min(moments, Math.floor(balance / lease.leaseAmount));
+                if (moments <= 0) {
+                    this.#skip(lease, AutoExtendSkipReasons.INSUFFICIENT_BALANCE, { balance: balance });
+                    continue;
+                }
+
+                const amount = moments * lease.leaseAmount;
+                let tx;
+                try {
+                    tx = await this.#tenantClient.extendLeaseSubmit(lease.host, amount, lease.uriTokenId, this.#options.extendOptions);
+                }
+                catch (e) {
+                    const error = { error: ErrorCodes.EXTEND_ERR, reason: e.reason || ErrorReasons.TRANSACTION_FAILURE, content: e.error || e };
+                    this.#events.emit(AutoExtenderEvents.Failed, { uriTokenId: lease.uriTokenId, host: lease.host, moments: moments, error: error });
+                    continue;
+                }
+
+                // The EVRs are paid once the request is submitted, even if the host response is not received.
+                balance -= amount;
+                this.#recordSpend(lease.uriTokenId, amount);
+                submitted.push({ lease: lease, moments: moments, amount: amount, tx: tx });
+            }
+
+            // The responses are watched together, so a slow host does not hold the extensions of the other leases.
+            await Promise.allSettled(submitted.map(s => this.#watchExtension(s.lease, s.moments, s.amount, s.tx)));
+        }
+        catch (e) {
+            console.error('Error occurred in lease auto extender.', e);
+        }
+        finally {
+            this.#ticking = false;
+        }
+    }
+
+    async #watchExtension(lease, moments, amount, tx) {
+        try {
+            const res = await this.#tenantClient.watchExtendResponse(tx, this.#options.extendOptions);
+            this.#skipped.delete(lease.uriTokenId);
+            this.#events.emit(AutoExtenderEvents.Extended, {
+                uriTokenId: lease.uriTokenId,
+                host: lease.host,
+                moments: moments,
+                amount: amount,
+                expiryMoment: res.expiryMoment,
+                extendRefId: res.extendRefId
+            });
+        }
+        catch (e) {
+            this.#events.emit(AutoExtenderEvents.Failed, { uriTokenId: lease.uriTokenId, host: lease.host, moments: moments, amount: amount, error: e });
+        }
+    }
+
+    // Skipped events are emitted once until the reason changes, since the leases are checked periodically.
+    #skip(lease, reason, details = {}) {
+        if (this.#skipped.get(lease.uriTokenId) === reason)
+            return;
+        this.#skipped.set(lease.uriTokenId, reason);
+        this.#events.emit(AutoExtenderEvents.Skipped, { uriTokenId: lease.uriTokenId, host: lease.host, reason: reason, expiryMoment: lease.expiryMoment, ...details });
+    }
+
+    #getDailySpend(uriTokenId) {
+        const from = Date.now() - (SPEND_WINDOW * 1000);
+        const spends = (this.#spends.get(uriTokenId) || []).filter(s => s.time > from);
+        this.#spends.set(uriTokenId, spends);
+        return spends.reduce((total, s) => total + s.amount, 0);
+    }
+
+    #recordSpend(uriTokenId, amount) {
+        if (!this.#spends.has(uriTokenId))
+            this.#spends.set(uriTokenId, []);
+        this.#spends.get(uriTokenId).push({ time: Date.now(), amount: amount });
+    }
+
+    #validatePolicy(policy) {
+        policy = policy || {};
+        const keepAheadMoments = policy.keepAheadMoments ?? DEFAULT_KEEP_AHEAD_MOMENTS;
+        if (!Number.isInteger(keepAheadMoments) || keepAheadMoments < 1)
+            throw 'Invalid keepAheadMoments in the auto extend policy.';
+
+        const maxDailySpend = policy.maxDailySpend ?? null;
+        if (maxDailySpend !== null && !(Number(maxDailySpend) > 0))
+            throw 'Invalid maxDailySpend in the auto extend policy.';
+
+        let stopAt = policy.stopAt ?? null;
+        if (stopAt !== null) {
+            stopAt = (stopAt instanceof Date) ? Math.floor(stopAt.getTime() / 1000) : Number(stopAt);
+            if (!Number.isFinite(stopAt))
+                throw 'Invalid stopAt in the auto extend policy.';
+        }
+
+        return { keepAheadMoments: keepAheadMoments, maxDailySpend: maxDailySpend !== null ? Number(maxDailySpend) : null, stopAt: stopAt };
+    }
+}
+
+module.exports = {
+    AutoExtender,
+    AutoExtenderEvents,
+    AutoExtendSkipReasons
+}
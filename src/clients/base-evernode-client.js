@@ -3,11 +3,12 @@ const { Buffer } = require('buffer');
 const { XrplApi } = require('../xrpl-api');
 const { XrplAccount } = require('../xrpl-account');
 const { XrplApiEvents, XrplConstants } = require('../xrpl-common');
-const { EvernodeEvents, EventTypes, MemoFormats, EvernodeConstants, HookStateKeys, HookParamKeys, RegExp } = require('../evernode-common');
+const { EvernodeEvents, ClientEvents, ErrorReasons, EventTypes, MemoFormats, EvernodeConstants, HookStateKeys, HookParamKeys, RegExp } = require('../evernode-common');
 const { Defaults } = require('../defaults');
 const { EncryptionHelper } = require('../encryption-helper');
 const { EventEmitter } = require('../event-emitter');
-const { UtilHelpers } = require('../util-helpers');
+const { EventStream } = require('../event-stream');
+const { MomentCalculator } = require('../moment-calculator');
 const { FirestoreHandler } = require('../firestore/firestore-handler');
 const { StateHelpers } = require('../state-helpers');
 const { EvernodeHelpers } = require('../evernode-helpers');
@@ -27,24 +28,39 @@ const REPUTATION_VALUE_PARAM_OFFSET = 20;
 
 const MAX_HOOK_PARAM_SIZE = 128;
 
+const DEFAULT_MAX_PENDING_ACKS = 1000;
+
 class BaseEvernodeClient {
 
     #watchEvents;
     #autoSubscribe;
     #ownsXrplApi = false;
     #firestoreHandler;
+    #checkpointStore;
+    #checkpointKey;
+    #pendingAcks = [];
+    #maxPendingAcks;
+    #replayQueue = null;
+    #lifecycleHandlers;
+    #lifecycleAttached = false;
+    #offlineConfig;
 
     constructor(xrpAddress, xrpSecret, watchEvents, autoSubscribe = false, options = {}) {
 
         this.connected = false;
         this.governorAddress = options.governorAddress || Defaults.values.governorAddress;
 
-        this.xrplApi = options.xrplApi || Defaults.values.xrplApi || new XrplApi(options.rippledServer);
-        if (!options.xrplApi && !Defaults.values.xrplApi)
+        // In offline mode the transactions are prepared with the offline context and the given Evernode configuration, without an xrpl connection.
+        this.offline = options.offline || null;
+        this.#offlineConfig = options.config || null;
+
+        this.xrplApi = options.xrplApi || Defaults.values.xrplApi || (this.offline ? null : new XrplApi(options.rippledServer));
+        if (!options.xrplApi && !Defaults.values.xrplApi && !this.offline)
             this.#ownsXrplApi = true;
 
-        this.xrplAcc = new XrplAccount(xrpAddress, xrpSecret, { xrplApi: this.xrplApi });
-        this.accKeyPair = xrpSecret && this.xrplAcc.deriveKeypair();
+        this.xrplAcc = new XrplAccount(xrpAddress, xrpSecret, { xrplApi: this.xrplApi, offline: this.offline });
+        // Key pair is available only with the account secret. External signers do not expose it.
+        this.accKeyPair = this.xrplAcc.secret ? this.xrplAcc.deriveKeypair() : null;
         this.messagePrivateKey = options.messagePrivateKey || (this.accKeyPair ? this.accKeyPair.privateKey : null);
         if (this.messagePrivateKey && !RegExp.PublicPrivateKey.test(this.messagePrivateKey))
             throw "Message private key is not valid.";
@@ -52,14 +68,47 @@ class BaseEvernodeClient {
         this.#autoSubscribe = autoSubscribe;
         this.events = new EventEmitter();
         this.#firestoreHandler = new FirestoreHandler()
+        this.#checkpointStore = options.checkpointStore || null;
+        this.#checkpointKey = options.checkpointKey || this.xrplAcc.address;
+        this.#maxPendingAcks = options.maxPendingAcks || DEFAULT_MAX_PENDING_ACKS;
 
         this.xrplAcc.on(XrplApiEvents.PAYMENT, (tx, error) => this.#handleEvernodeEvent(tx, error));
         this.xrplAcc.on(XrplApiEvents.URI_TOKEN_BUY, (tx, error) => this.#handleEvernodeEvent(tx, error));
         this.xrplAcc.on(XrplApiEvents.URI_TOKEN_CREATE_SELL_OFFER, (tx, error) => this.#handleEvernodeEvent(tx, error));
+
+        // Forward the connection lifecycle events of the shared xrpl api.
+        this.#lifecycleHandlers = [
+            [XrplApiEvents.CONNECTED, (data) => this.events.emit(ClientEvents.Connected, data)],
+            [XrplApiEvents.RECONNECTING, (data) => this.events.emit(ClientEvents.Reconnecting, data)],
+            [XrplApiEvents.FALLBACK_ACTIVATED, (data) => this.events.emit(ClientEvents.FallbackActivated, data)],
+            [XrplApiEvents.SUBSCRIBED, (data) => {
+                if (data.address === this.xrplAcc.address)
+                    this.events.emit(ClientEvents.Subscribed, data);
+            }]
+        ];
+        this.#attachLifecycleHandlers();
+    }
+
+    #attachLifecycleHandlers() {
+        if (this.#lifecycleAttached || !this.xrplApi)
+            return;
+        for (const [event, handler] of this.#lifecycleHandlers)
+            this.xrplApi.on(event, handler);
+        this.#lifecycleAttached = true;
+    }
+
+    // The xrpl api may be shared and outlive the client. So the handlers are removed on disconnect.
+    #detachLifecycleHandlers() {
+        if (!this.#lifecycleAttached)
+            return;
+        for (const [event, handler] of this.#lifecycleHandlers)
+            this.xrplApi.off(event, handler);
+        this.#lifecycleAttached = false;
     }
 
     /**
      * Listens to the subscribed events. This will listen for the event without detaching the handler until it's 'off'.
+     * '*' handlers receive all the events as (event, data).
      * @param {string} event Event name.
      * @param {function(event)} handler Callback function to handle the event.
      */
@@ -85,14 +134,42 @@ class BaseEvernodeClient {
         this.events.off(event, handler);
     }
 
+    /**
+     * Returns an async iterable of the subscribed events. Events are buffered until they are read.
+     * This is 'eventStream' rather than 'events', since 'events' is the event emitter of the client.
+     * @param {string|string[]} eventNames Event name or a list of event names.
+     * @param {object} options [Optional] { signal: AbortSignal to end the iteration, bufferSize: Maximum number of unread events (default 100), overflow: 'drop-oldest' (default) or 'error' }.
+     * @returns AsyncIterable of the events in { name, data } format.
+     */
+    eventStream(eventNames, options = {}) {
+        const names = Array.isArray(eventNames) ? eventNames : [eventNames];
+        return new EventStream((push) => {
+            const handlers = names.map(name => [name, (name === ClientEvents.All) ?
+                (event, data) => push({ name: event, data: data }) :
+                (data) => push({ name: name, data: data })]);
+            handlers.forEach(([name, handler]) => this.events.on(name, handler));
+            return () => handlers.forEach(([name, handler]) => this.events.off(name, handler));
+        }, options);
+    }
+
     /**
      * Connects the client to xrpl server and do the config loading and subscriptions. 'subscribe' is called inside this.
+     * In offline mode, only the given Evernode configuration is loaded.
      * @returns boolean value, 'true' if success.
      */
     async connect() {
+        this.#attachLifecycleHandlers();
         if (this.connected)
             return true;
 
+        if (this.offline) {
+            if (!this.#offlineConfig)
+                throw 'Evernode configuration (options.config) should be given in offline mode.';
+            this.config = this.#offlineConfig;
+            this.connected = true;
+            return true;
+        }
+
         await this.xrplApi.connect();
 
         // Invoking the info command to check the account existence. This is important to 
@@ -102,9 +179,19 @@ class BaseEvernodeClient {
         this.config = await this.#getEvernodeConfig();
         this.connected = true;
 
+        // Hold the live events until the events since the checkpoint are replayed.
+        // Unacknowledged events of a previous connection are replayed again.
+        if (this.#checkpointStore) {
+            this.#pendingAcks = [];
+            this.#replayQueue = [];
+        }
+
         if (this.#autoSubscribe)
             await this.subscribe();
 
+        if (this.#checkpointStore)
+            await this.#replayFromCheckpoint();
+
         return true;
     }
 
@@ -113,6 +200,7 @@ class BaseEvernodeClient {
      */
     async disconnect() {
         await this.unsubscribe();
+        this.#detachLifecycleHandlers();
 
         if (this.#ownsXrplApi)
             await this.xrplApi.disconnect();
@@ -158,29 +246,32 @@ class BaseEvernodeClient {
     }
 
     /**
-     * Get the moment from the given index (timestamp).
-     * @param {number} index [Optional] Index (timestamp) to get the moment value.
-     * @returns The moment of the given index (timestamp) as 'number'. Returns current moment if index (timestamp) is not given.
+     * Get a moment calculator for the current configuration.
+     * @param {object} options [Optional] { ledgerCloseTime: Average ledger close time in seconds used to convert between ledgers and timestamps }.
+     * @returns MomentCalculator instance.
+     */
+    getMomentCalculator(options = {}) {
+        return new MomentCalculator(this.config, { xrplApi: this.xrplApi, ...options });
+    }
+
+    /**
+     * Get the moment from the given index (ledger index or timestamp according to the moment type).
+     * @param {number} index [Optional] Index (ledger index or timestamp) to get the moment value.
+     * @returns The moment of the given index as 'number'. Returns current moment if index is not given.
      */
     async getMoment(index = null) {
-        const i = index || UtilHelpers.getCurrentUnixTime();
-        const m = this.config.momentBaseInfo.baseTransitionMoment + Math.floor((i - this.config.momentBaseInfo.baseIdx) / this.config.momentSize);
-        await Promise.resolve();
-        return m;
+        await Promise.resolve(); // Awaiter placeholder for future async requirements.
+        return this.getMomentCalculator().getMoment(index);
     }
 
     /**
-     * Get start index (timestamp) of the moment.
-     * @param {number} index [Optional] Index (timestamp) to get the moment start index.
-     * @returns The index (timestamp) of the moment as a 'number'. Returns the current moment's start index (timestamp) if ledger index parameter is not given.
+     * Get start index of the moment.
+     * @param {number} index [Optional] Index (ledger index or timestamp according to the moment type) to get the moment start index.
+     * @returns The start index of the moment as a 'number'. Returns the current moment's start index if index parameter is not given.
      */
     async getMomentStartIndex(index = null) {
-        const i = index || UtilHelpers.getCurrentUnixTime();
-
-        const m = Math.floor((i - this.config.momentBaseInfo.baseIdx) / this.config.momentSize);
-
         await Promise.resolve(); // Awaiter placeholder for future async requirements.
-        return this.config.momentBaseInfo.baseIdx + (m * this.config.momentSize);
+        return this.getMomentCalculator().getMomentStartIndex(index);
     }
 
     /**
@@ -223,9 +314,11 @@ class BaseEvernodeClient {
     }
 
     /**
-     * Loads the configs from XRPL hook and updates the in-memory config.
+     * Loads the configs from XRPL hook and updates the in-memory config. The given configuration is kept in offline mode.
      */
     async refreshConfig() {
+        if (this.offline)
+            return;
         this.config = await this.#getEvernodeConfig();
     }
 
@@ -235,15 +328,115 @@ class BaseEvernodeClient {
      * @param {any} error Error if there's any.
      */
     async #handleEvernodeEvent(tx, error) {
-        if (error)
-            console.error(error);
+        if (this.#replayQueue) {
+            this.#replayQueue.push({ tx: tx, error: error });
+            return;
+        }
+
+        if (error) {
+            if (this.events.listenerCount(ClientEvents.Error))
+                this.events.emit(ClientEvents.Error, { reason: ErrorReasons.TRANSACTION_FAILURE, error: error });
+            else
+                console.error(error);
+        }
         else if (!tx)
             console.log('handleEvernodeEvent: Invalid transaction.');
-        else {
-            const ev = await this.extractEvernodeEvent(tx);
-            if (ev && this.#watchEvents.find(e => e === ev.name))
-                this.events.emit(ev.name, ev.data);
+        else
+            await this.#emitEvernodeEvent(tx);
+    }
+
+    async #emitEvernodeEvent(tx) {
+        // Track the transaction before extracting, so the checkpoint follows the ledger order.
+        const pending = this.#checkpointStore && await this.#trackPendingAck(tx);
+        const ev = await this.extractEvernodeEvent(tx);
+        if (ev && this.#watchEvents.find(e => e === ev.name))
+            this.events.emit(ev.name, ev.data);
+        else if (pending)
+            await this.#completePendingAck(pending);
+    }
+
+    async #trackPendingAck(tx) {
+        const pending = { ledgerIndex: tx.LedgerIndex, txHash: tx.hash, done: false };
+        this.#pendingAcks.push(pending);
+
+        // An event which is never acknowledged would hold the checkpoint and the pending list forever.
+        // So the oldest one is given up once the limit is exceeded. It will not be emitted again after a restart.
+        if (this.#pendingAcks.length > this.#maxPendingAcks) {
+            const oldest = this.#pendingAcks.find(p => !p.done);
+            const error = { reason: ErrorReasons.BUFFER_OVERFLOW, content: `Event of ${oldest.txHash} was not acknowledged within ${this.#maxPendingAcks} events.` };
+            if (this.events.listenerCount(ClientEvents.Error))
+                this.events.emit(ClientEvents.Error, error);
+            else
+                console.error(error.content);
+            await this.#completePendingAck(oldest);
         }
+        return pending;
+    }
+
+    async #completePendingAck(pending) {
+        pending.done = true;
+
+        // Checkpoint moves only up to the earliest event which is not acknowledged yet.
+        let checkpoint = null;
+        while (this.#pendingAcks.length && this.#pendingAcks[0].done)
+            checkpoint = this.#pendingAcks.shift();
+
+        if (checkpoint)
+            await this.#checkpointStore.set(this.#checkpointKey, { ledgerIndex: checkpoint.ledgerIndex, txHash: checkpoint.txHash });
+    }
+
+    /**
+     * Emits the events received since the last checkpoint and then the live events received meanwhile.
+     */
+    async #replayFromCheckpoint() {
+        try {
+            const checkpoint = await this.#checkpointStore.get(this.#checkpointKey);
+            if (!checkpoint) {
+                // First run. Nothing to replay, events are handled from the current ledger onwards.
+                await this.#checkpointStore.set(this.#checkpointKey, { ledgerIndex: this.xrplApi.ledgerIndex, txHash: null });
+                return;
+            }
+
+            const incoming = (await this.xrplApi.getIncomingTransactions(this.xrplAcc.address, checkpoint.ledgerIndex)).filter(t => t.tx);
+
+            // Skip the checkpoint ledger up to the checkpoint transaction.
+            // If the transaction is not found, The whole ledger is replayed since the delivery is at-least-once.
+            const checkpointLedgerTxs = incoming.filter(t => t.tx.LedgerIndex === checkpoint.ledgerIndex);
+            const skipCount = checkpoint.txHash ? (checkpointLedgerTxs.findIndex(t => t.tx.hash === checkpoint.txHash) + 1) : checkpointLedgerTxs.length;
+
+            const replayed = new Set();
+            for (const t of incoming.slice(skipCount)) {
+                replayed.add(t.tx.hash);
+                await this.#emitEvernodeEvent(t.tx);
+            }
+
+            // Live events which are already replayed are dropped.
+            this.#replayQueue = this.#replayQueue?.filter(e => !e.tx || !replayed.has(e.tx.hash)) || null;
+        }
+        catch (e) {
+            console.error('Error occurred while replaying the events since the checkpoint.', e);
+        }
+        finally {
+            const queue = this.#replayQueue || [];
+            this.#replayQueue = null;
+            for (const e of queue)
+                await this.#handleEvernodeEvent(e.tx, e.error);
+        }
+    }
+
+    /**
+     * Acknowledges that an event is fully handled. Only applicable when a checkpoint store is given.
+     * The checkpoint moves forward once all the events before it are acknowledged. Unacknowledged events are emitted again on the next connect.
+     * @param {object} eventData Data object of the emitted event.
+     */
+    async ack(eventData) {
+        if (!this.#checkpointStore)
+            return;
+
+        const txHash = eventData?.transaction?.hash;
+        const pending = this.#pendingAcks.find(p => p.txHash === txHash && !p.done);
+        if (pending)
+            await this.#completePendingAck(pending);
     }
 
     /**
@@ -810,8 +1003,9 @@ class BaseEvernodeClient {
     /**
      * Remove a host which is inactive for a long period. The inactivity is checked by Evernode it self and only pruned if inactive thresholds are met.
      * @param {string} hostAddress XRPL address of the host to be pruned.
+     * @param {*} options [Optional] transaction options.
      */
-    async pruneDeadHost(hostAddress) {
+    async pruneDeadHost(hostAddress, options = {}) {
         if (this.xrplAcc.address === this.config.registryAddress)
             throw 'Invalid function call';
 
@@ -841,7 +1035,9 @@ class BaseEvernodeClient {
                     hookParams: [
                         { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.DEAD_HOST_PRUNE },
                         { name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: paramData.toString('hex') }
-                    ]
+                    ],
+                    retryOptions: options.retryOptions,
+                    ...options.transactionOptions
                 });
         } else
             throw "No Registration URI token was found for the Host account."
@@ -1038,6 +1234,7 @@ class BaseEvernodeClient {
                     { name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: paramBuf.slice(0, MAX_HOOK_PARAM_SIZE).toString('hex').toUpperCase() },
                     { name: HookParamKeys.PARAM_EVENT_DATA2_KEY, value: paramBuf.slice(MAX_HOOK_PARAM_SIZE).toString('hex').toUpperCase() }
                 ],
+                retryOptions: options.retryOptions,
                 ...options.transactionOptions
             });
 
@@ -1062,6 +1259,7 @@ class BaseEvernodeClient {
                     { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.CANDIDATE_WITHDRAW },
                     { name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: candidateIdBuf.toString('hex').toUpperCase() }
                 ],
+                retryOptions: options.retryOptions,
                 ...options.transactionOptions
             });
     }
@@ -1088,6 +1286,7 @@ class BaseEvernodeClient {
                     { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.DUD_HOST_REPORT },
                     { name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: candidateId }
                 ],
+                retryOptions: options.retryOptions,
                 ...options.transactionOptions
             });
     }
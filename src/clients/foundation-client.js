@@ -73,6 +73,7 @@ class FoundationClient extends BaseEvernodeClient {
                     { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.CANDIDATE_VOTE },
                     { name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: voteBuf.toString('hex').toUpperCase() }
                 ],
+                retryOptions: options.retryOptions,
                 ...options.transactionOptions
             });
     }
@@ -142,6 +143,7 @@ class FoundationClient extends BaseEvernodeClient {
                     { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.GOVERNANCE_MODE_CHANGE },
                     { name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: modeBuf.toString('hex').toUpperCase() }
                 ],
+                retryOptions: options.retryOptions,
                 ...options.transactionOptions
             });
     }
@@ -171,6 +173,7 @@ class FoundationClient extends BaseEvernodeClient {
                     { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.HOST_UPDATE_REPUTATION },
                     { name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: reputationBuf.toString('hex').toUpperCase() }
                 ],
+                retryOptions: options.retryOptions,
                 ...options.transactionOptions
             });
     }
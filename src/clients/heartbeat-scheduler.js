@@ -0,0 +1,264 @@
+const { XrplApiEvents } = require('../xrpl-common');
+const { EventEmitter } = require('../event-emitter');
+const { UtilHelpers } = require('../util-helpers');
+const { MomentTypes } = require('../moment-calculator');
+const xrpl = require('xrpl');
+
+const VOTE_VALIDATION_ERR = "VOTE_VALIDATION_ERR";
+
+const HeartbeatSchedulerEvents = {
+    Sent: 'sent',
+    Failed: 'failed',
+    VoteRejected: 'voteRejected',
+    MissedHeartbeat: 'missedHeartbeat'
+}
+
+const DEFAULT_JITTER = 0.1; // Fraction of the moment.
+const DEFAULT_WARNING_THRESHOLD = 0.25; // Fraction of the moment before the host becomes inactive.
+const DEFAULT_RETRY_INTERVAL = 30; // Seconds.
+
+/**
+ * Sends the host heartbeats once per heartbeat window ('hostHeartbeatFreq' moments).
+ * The schedule is evaluated on every ledger close, so it works for both ledger and timestamp based moments.
+ */
+class HeartbeatScheduler {
+    #hostClient;
+    #options;
+    #events = new EventEmitter();
+    #ledgerHandler = null;
+    #ticking = false;
+    #votes = [];
+    #lastHeartbeatIndex = 0;
+    #window = null;
+    #ledgerTime = null;
+
+    /**
+     * Creates a heartbeat scheduler for a host.
+     * @param {HostClient} hostClient Connected host client.
+     * @param {object} options [Optional] { jitter: Max delay into the window as a fraction of the moment (default 0.1), warningThreshold: Fraction of the moment before becoming inactive to start the missed heartbeat warnings (default 0.25),
+     * retryInterval: Seconds to wait before retrying a failed heartbeat (default 30), heartbeatOptions: Options passed to 'heartbeat' }.
+     */
+    constructor(hostClient, options = {}) {
+        this.#hostClient = hostClient;
+        this.#options = {
+            jitter: options.jitter ?? DEFAULT_JITTER,
+            warningThreshold: options.warningThreshold ?? DEFAULT_WARNING_THRESHOLD,
+            retryInterval: options.retryInterval ?? DEFAULT_RETRY_INTERVAL,
+            heartbeatOptions: options.heartbeatOptions || {}
+        };
+    }
+
+    on(event, handler) {
+        this.#events.on(event, handler);
+    }
+
+    once(event, handler) {
+        this.#events.once(event, handler);
+    }
+
+    off(event, handler = null) {
+        this.#events.off(event, handler);
+    }
+
+    /**
+     * Starts the scheduler. The first heartbeat is sent immediately if the host has not sent one in the current window.
+     */
+    async start() {
+        if (this.#ledgerHandler)
+            return;
+
+        const hostInfo = await this.#hostClient.getHostInfo();
+        if (!hostInfo)
+            throw 'Host is not registered.';
+        this.#lastHeartbeatIndex = hostInfo.lastHeartbeatIndex;
+
+        this.#ledgerHandler = (ledger) => {
+            // Hooks measure the timestamp moments with the ledger close time.
+            if (ledger?.ledger_time)
+                this.#ledgerTime = Math.floor(xrpl.rippleTimeToUnixTime(ledger.ledger_time) / 1000);
+            this.#tick();
+        };
+        this.#hostClient.xrplApi.on(XrplApiEvents.LEDGER, this.#ledgerHandler);
+        await this.#tick();
+    }
+
+    /**
+     * Stops the scheduler.
+     */
+    stop() {
+        if (this.#ledgerHandler) {
+            this.#hostClient.xrplApi.off(XrplApiEvents.LEDGER, this.#ledgerHandler);
+            this.#ledgerHandler = null;
+        }
+        this.#window = null;
+    }
+
+    /**
+     * Queues a candidate vote to be sent with the next heartbeat. Replaces any pending vote for the same candidate.
+     * @param {string} candidateId Id of the candidate in hex format.
+     * @param {number} vote Vote value (EvernodeConstants.CandidateVote).
+     */
+    addVote(candidateId, vote) {
+        this.removeVote(candidateId);
+        this.#votes.push({ candidate: candidateId, vote: vote });
+    }
+
+    /**
+     * Removes a pending candidate vote.
+     * @param {string} candidateId Id of the candidate in hex format.
+     */
+    removeVote(candidateId) {
+        this.#votes = this.#votes.filter(v => v.candidate !== candidateId);
+    }
+
+    /**
+     * Returns the votes which are not sent yet.
+     * @returns Array of { candidate, vote }.
+     */
+    getPendingVotes() {
+        return this.#votes.map(v => ({ ...v }));
+    }
+
+    async #tick() {
+        if (this.#ticking)
+            return;
+        this.#ticking = true;
+        try {
+            const window = await this.#getWindow();
+            if (!this.#window || this.#window.number !== window.number) {
+                // Pick up the config changes (eg: moment transitions) and the heartbeat sent by any other process.
+                await this.#hostClient.refreshConfig();
+                const hostInfo = await this.#hostClient.getHostInfo();
+                if (hostInfo)
+                    this.#lastHeartbeatIndex = Math.max(this.#lastHeartbeatIndex, hostInfo.lastHeartbeatIndex);
+
+                this.#window = await this.#getWindow();
+                this.#window.sendIndex = this.#window.startIdx + Math.floor(Math.random() * this.#options.jitter * this.#window.momentSize);
+                this.#window.sent = this.#lastHeartbeatIndex >= this.#window.startIdx;
+                this.#window.warned = false;
+                this.#window.retryAt = 0;
+            }
+
+            const index = this.#getCurrentIndex();
+            if (Date.now() >= this.#window.retryAt) {
+                if (!this.#window.sent && index >= this.#window.sendIndex)
+                    await this.#sendHeartbeat();
+                else if (this.#window.sent && this.#votes.length)
+                    await this.#sendVotes();
+            }
+
+            this.#checkMissedHeartbeat(index);
+        }
+        catch (e) {
+            console.error('Error occurred in heartbeat scheduler.', e);
+        }
+        finally {
+            this.#ticking = false;
+        }
+    }
+
+    async #sendHeartbeat() {
+        const window = this.#window;
+        const vote = this.#votes[0];
+        try {
+            const res = await this.#submit(vote);
+            window.sent = true;
+            this.#events.emit(HeartbeatSchedulerEvents.Sent, { moment: window.moment, ...res });
+        }
+        catch (e) {
+            window.retryAt = Date.now() + (this.#options.retryInterval * 1000);
+            this.#events.emit(HeartbeatSchedulerEvents.Failed, { moment: window.moment, error: e });
+            return;
+        }
+
+        // Remaining votes are sent as separate heartbeats.
+        await this.#sendVotes();
+    }
+
+    async #sendVotes() {
+        while (this.#votes.length) {
+            const vote = this.#votes[0];
+            try {
+                const res = await this.#submit(vote);
+                if (res)
+                    this.#events.emit(HeartbeatSchedulerEvents.Sent, { moment: this.#window.moment, ...res });
+            }
+            catch (e) {
+                this.#window.retryAt = Date.now() + (this.#options.retryInterval * 1000);
+                this.#events.emit(HeartbeatSchedulerEvents.Failed, { moment: this.#window.moment, error: e });
+                break;
+            }
+        }
+    }
+
+    // Submits a heartbeat with the given vote. If the vote is rejected, it's dropped and the heartbeat is sent without it.
+    // Returns { vote, tx } of the sent heartbeat or null if nothing was sent.
+    async #submit(vote) {
+        if (vote) {
+            try {
+                const tx = await this.#hostClient.heartbeat(vote, this.#options.heartbeatOptions);
+                this.#votes = this.#votes.filter(v => v !== vote);
+                this.#lastHeartbeatIndex = this.#getCurrentIndex();
+                return { vote: vote, tx: tx };
+            }
+            catch (e) {
+                if (e?.code !== VOTE_VALIDATION_ERR)
+                    throw e;
+                this.#votes = this.#votes.filter(v => v !== vote);
+                this.#events.emit(HeartbeatSchedulerEvents.VoteRejected, { vote: vote, error: e.error });
+                // The window heartbeat is still required.
+                if (this.#window.sent)
+                    return null;
+            }
+        }
+
+        const tx = await this.#hostClient.heartbeat({}, this.#options.heartbeatOptions);
+        this.#lastHeartbeatIndex = this.#getCurrentIndex();
+        return { vote: null, tx: tx };
+    }
+
+    #checkMissedHeartbeat(index) {
+        const window = this.#window;
+        if (window.sent || window.warned)
+            return;
+
+        // Host becomes inactive at the first moment start which is beyond 'hostHeartbeatFreq' moments from the last heartbeat.
+        const config = this.#hostClient.config;
+        const inactiveFrom = this.#lastHeartbeatIndex + (config.hostHeartbeatFreq * window.momentSize);
+        const inactiveIndex = this.#hostClient.getMomentCalculator().getMomentEndIndex(inactiveFrom);
+        if (index >= inactiveIndex - (this.#options.warningThreshold * window.momentSize)) {
+            window.warned = true;
+            this.#events.emit(HeartbeatSchedulerEvents.MissedHeartbeat, {
+                moment: window.moment,
+                lastHeartbeatIndex: this.#lastHeartbeatIndex,
+                inactiveIndex: inactiveIndex
+            });
+        }
+    }
+
+    async #getWindow() {
+        const calculator = this.#hostClient.getMomentCalculator();
+        const index = this.#getCurrentIndex();
+        const moment = calculator.getMoment(index);
+        const freq = this.#hostClient.config.hostHeartbeatFreq || 1;
+        const number = Math.floor(moment / freq);
+        return {
+            number: number,
+            moment: moment,
+            momentSize: calculator.getMomentSize(index),
+            // Window starts at the start of its first moment.
+            startIdx: calculator.getMomentStartIndexOf(number * freq)
+        };
+    }
+
+    #getCurrentIndex() {
+        if (this.#hostClient.config.momentBaseInfo.momentType === MomentTypes.LEDGER)
+            return this.#hostClient.xrplApi.ledgerIndex;
+        return this.#ledgerTime || UtilHelpers.getCurrentUnixTime();
+    }
+}
+
+module.exports = {
+    HeartbeatScheduler,
+    HeartbeatSchedulerEvents
+}
@@ -42,8 +42,6 @@ class HookClientFactory {
         try {
             await governorHook.connect();
             configs = governorHook.config;
-        } catch (error) {
-            throw (error)
         } finally {
             await governorHook.disconnect();
         }
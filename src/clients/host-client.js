@@ -5,10 +5,10 @@ const { XrplAccount } = require('../xrpl-account');
 const { EncryptionHelper } = require('../encryption-helper');
 const { Buffer } = require('buffer');
 const codec = require('ripple-address-codec');
-const { XflHelpers } = require('../xfl-helpers');
 const { EvernodeHelpers } = require('../evernode-helpers');
 const { StateHelpers } = require('../state-helpers');
 const { TransactionHelper } = require('../transaction-helper');
+const { LeaseTokenCodec } = require('../lease-token-codec');
 
 const OFFER_WAIT_TIMEOUT = 60;
 
@@ -43,10 +43,7 @@ const HOST_UPDATE_PARAM_SIZE = 123;
 
 const VOTE_VALIDATION_ERR = "VOTE_VALIDATION_ERR";
 
-const IPV6_FAMILY = 6;
-
 const MAX_HOST_LEDGER_OFFSET = 30;
-const TX_RETRY_INTERVAL = 3000;
 
 class HostClient extends BaseEvernodeClient {
 
@@ -55,10 +52,12 @@ class HostClient extends BaseEvernodeClient {
     }
 
     /**
-     * Get max ledger sequence for host client.
+     * Get max ledger sequence for host client. Taken from the offline context in offline mode.
      * @returns Max ledger sequence number.
      */
     #getMaxLedgerSequence() {
+        if (this.offline)
+            return this.offline.getMaxLedgerIndex();
         return (this.xrplApi.ledgerIndex + MAX_HOST_LEDGER_OFFSET);
     }
 
@@ -119,27 +118,6 @@ class HostClient extends BaseEvernodeClient {
         return (await this.getRegistration()) !== null;
     }
 
-    async #submitWithRetry(callback, options = {}) {
-        let attempt = 0;
-        let feeUplift = 0;
-        const maxAttempts = (options?.maxRetryAttempts || 1);
-        while (attempt <= maxAttempts) {
-            attempt++;
-            try {
-                return await callback(feeUplift);
-            }
-            catch (e) {
-                if (attempt == maxAttempts || e.code === "tecDUPLICATE" || e.code === "tefPAST_SEQ" || e.code === "tefALREADY")
-                    throw e;
-                else if (e.status === "TOOK_LONG") {
-                    feeUplift += (options?.feeUplift || 0);
-                }
-                console.error(`Submission attempt ${attempt} failed with ${e}. Retrying...`);
-                await new Promise(resolve => setTimeout(resolve, TX_RETRY_INTERVAL));
-            }
-        }
-    }
-
     /**
      * Prepare the host account with account fields and trust lines.
      * @param {string} domain Domain which the host machine is reachable.
@@ -153,87 +131,63 @@ class HostClient extends BaseEvernodeClient {
 
         let accountSetFields = {};
         accountSetFields = (flags.lsfDefaultRipple) ? { ...accountSetFields, Flags: { asfDefaultRipple: false } } : accountSetFields;
-        accountSetFields = (!msgKey) ? { ...accountSetFields, MessageKey: this.accKeyPair.publicKey } : accountSetFields;
+        accountSetFields = (!msgKey && this.accKeyPair) ? { ...accountSetFields, MessageKey: this.accKeyPair.publicKey } : accountSetFields;
 
         domain = domain.toLowerCase();
         accountSetFields = (!curDomain || curDomain !== domain) ?
             { ...accountSetFields, Domain: domain } : accountSetFields;
 
         if (Object.keys(accountSetFields).length !== 0) {
-            await this.#submitWithRetry(async (feeUplift) => {
-                await this.xrplAcc.setAccountFields(accountSetFields, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift });
-            }, options.retryOptions);
+            await this.xrplAcc.setAccountFields(accountSetFields, { maxLedgerIndex: this.#getMaxLedgerSequence(), retryOptions: options.retryOptions });
         }
 
         if (trustLines.length === 0) {
-            await this.#submitWithRetry(async (feeUplift) => {
-                await this.xrplAcc.setTrustLine(EvernodeConstants.EVR, this.config.evrIssuerAddress, "99999999999999", null, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift });
-            }, options.retryOptions);
+            await this.xrplAcc.setTrustLine(EvernodeConstants.EVR, this.config.evrIssuerAddress, "99999999999999", null, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), retryOptions: options.retryOptions });
         }
     }
 
+    async #encodeLeaseUri(leaseIndex, leaseAmount, tosHash, outboundIPAddress, dualStack = false) {
+        const { outboundIP, secondaryOutboundIP } = LeaseTokenCodec.parseOutboundIPAddress(outboundIPAddress);
+        // Consumers which only know LTV1 cannot decode the dual-stack tokens. So they are issued only on request.
+        if (secondaryOutboundIP && !dualStack)
+            throw "Dual-stack outbound IPs are encoded in the LTV2 lease token format. Set the 'dualStack' option to issue LTV2 lease tokens.";
+        return LeaseTokenCodec.encode({
+            leaseIndex: leaseIndex,
+            tosHash: tosHash,
+            leaseAmount: leaseAmount,
+            // The token is minted with the next sequence of the account.
+            identifier: this.offline ? this.offline.nextSequence : await this.xrplAcc.getSequence(),
+            outboundIP: outboundIP,
+            secondaryOutboundIP: secondaryOutboundIP
+        }, secondaryOutboundIP ? EvernodeConstants.LEASE_TOKEN_DUAL_STACK_VERSION : EvernodeConstants.LEASE_TOKEN_VERSION);
+    }
+
     /**
      * Create a lease offer.
      * @param {number} leaseIndex Index number for the lease.
      * @param {number} leaseAmount Amount (EVRs) of the lease offer.
      * @param {string} tosHash Hex hash of the Terms Of Service text.
-     * @param {string} outboundIPAddress Assigned IP Address.
+     * @param {string|string[]} outboundIPAddress Assigned IP Address. IPv4, IPv6 or both (dual-stack) as an array.
+     * @param {object} options [Optional] { dualStack: Allow both IPs, issued as an LTV2 lease token (default false), retryOptions }.
+     * @returns The signed mint and sell offer transactions [mint, sell] in offline mode, to be submitted in that order.
      */
     async offerLease(leaseIndex, leaseAmount, tosHash, outboundIPAddress = null, options = {}) {
 
-        // <prefix><version tag ("LTV"+uint8)><lease index (uint16)><half of tos hash><lease amount (int64)><identifier (uint32)><ip data>
-        // Lengths of sub sections.
-        const prefixLen = EvernodeConstants.LEASE_TOKEN_PREFIX_HEX.length / 2;
-        const versionPrefixLen = EvernodeConstants.LEASE_TOKEN_VERSION_PREFIX_HEX.length / 2;
-        const versionLen = versionPrefixLen + 2; // ("LTV"<Version Number>)
-        const indexLen = 2;
-        const halfToSLen = tosHash.length / 4;
-        const leaseAmountLen = 8;
-        const identifierLen = 4;
-        const ipDataLen = 17;
-
-        // Offsets of sub sections
-        const versionPrefixOffset = prefixLen;
-        const versionOffset = prefixLen + versionPrefixLen;
-        const indexOffset = prefixLen + versionLen;
-        const halfTosHashOffset = prefixLen + versionLen + indexLen;
-        const leaseAmountOffset = prefixLen + versionLen + indexLen + halfToSLen;
-        const identifierOffset = prefixLen + versionLen + indexLen + halfToSLen + leaseAmountLen;
-        const ipDataOffset = prefixLen + versionLen + indexLen + halfToSLen + leaseAmountLen + identifierLen;
-
-        const uriBuf = Buffer.alloc((prefixLen + versionLen + indexLen + halfToSLen + leaseAmountLen + identifierLen + ipDataLen));
-
-        Buffer.from(EvernodeConstants.LEASE_TOKEN_PREFIX_HEX, 'hex').copy(uriBuf);
-        Buffer.from(EvernodeConstants.LEASE_TOKEN_VERSION_PREFIX_HEX, 'hex').copy(uriBuf, versionPrefixOffset, 0, versionPrefixLen);
-        uriBuf.writeUInt16BE(EvernodeConstants.LEASE_TOKEN_VERSION, versionOffset);
-        uriBuf.writeUInt16BE(leaseIndex, indexOffset);
-        Buffer.from(tosHash, 'hex').copy(uriBuf, halfTosHashOffset, 0, halfToSLen);
-        uriBuf.writeBigInt64BE(XflHelpers.getXfl(leaseAmount.toString()), leaseAmountOffset);
-        uriBuf.writeUInt32BE((await this.xrplAcc.getSequence()), identifierOffset);
-
-        if (outboundIPAddress) {
-            if (outboundIPAddress.includes(":")) {
-                uriBuf.writeUInt8(IPV6_FAMILY, ipDataOffset);
-                const ipBuf = Buffer.from(outboundIPAddress.split(':').map(v => {
-                    const bytes = [];
-                    for (let i = 0; i < v.length; i += 2) {
-                        bytes.push(parseInt(v.substr(i, 2), 16));
-                    }
-                    return bytes;
-                }).flat());
-
-                ipBuf.copy(uriBuf, ipDataOffset + 1, 0, ipDataLen);
-            } else {
-                throw "Invalid outbound IP address was provided";
-            }
-        }
+        const uri = await this.#encodeLeaseUri(leaseIndex, leaseAmount, tosHash, outboundIPAddress, options.dualStack);
 
-        const uri = uriBuf.toString('base64');
+        // The minted token cannot be read in offline mode, so the sell offer is signed with the token id derived from the uri.
+        // Tokens of the previously sold leases are not burned in offline mode.
+        if (this.offline) {
+            const mint = await this.xrplAcc.mintURIToken(uri, null, { isBurnable: true, isHexUri: false }, { maxLedgerIndex: this.#getMaxLedgerSequence() });
+            const sell = await this.xrplAcc.sellURIToken(this.xrplAcc.generateIssuedURITokenId(uri),
+                leaseAmount.toString(),
+                EvernodeConstants.EVR,
+                this.config.evrIssuerAddress, null, null, { maxLedgerIndex: this.#getMaxLedgerSequence() });
+            return [mint, sell];
+        }
 
         try {
-            await this.#submitWithRetry(async (feeUplift) => {
-                await this.xrplAcc.mintURIToken(uri, null, { isBurnable: true, isHexUri: false }, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift });
-            }, options.retryOptions);
+            await this.xrplAcc.mintURIToken(uri, null, { isBurnable: true, isHexUri: false }, { maxLedgerIndex: this.#getMaxLedgerSequence(), retryOptions: options.retryOptions });
         } catch (e) {
             // Re-minting the URIToken after burning that sold URIToken.
             if (e.code === "tecDUPLICATE") {
@@ -249,12 +203,10 @@ class HostClient extends BaseEvernodeClient {
         if (!uriToken)
             throw "Offer lease NFT creation error.";
 
-        await this.#submitWithRetry(async (feeUplift) => {
-            await this.xrplAcc.sellURIToken(uriToken.index,
-                leaseAmount.toString(),
-                EvernodeConstants.EVR,
-                this.config.evrIssuerAddress, null, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift });
-        }, options.retryOptions);
+        await this.xrplAcc.sellURIToken(uriToken.index,
+            leaseAmount.toString(),
+            EvernodeConstants.EVR,
+            this.config.evrIssuerAddress, null, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), retryOptions: options.retryOptions });
     }
 
     /**
@@ -262,63 +214,19 @@ class HostClient extends BaseEvernodeClient {
      * @param {number} leaseIndex Index number for the lease.
      * @param {number} leaseAmount Amount (EVRs) of the lease offer.
      * @param {string} tosHash Hex hash of the Terms Of Service text.
-     * @param {string} outboundIPAddress Assigned IP Address.
+     * @param {string|string[]} outboundIPAddress Assigned IP Address. IPv4, IPv6 or both (dual-stack) as an array.
+     * @param {object} options [Optional] { dualStack: Allow both IPs, issued as an LTV2 lease token (default false), retryOptions }.
+     * @returns The signed mint transaction in offline mode.
      */
     async mintLease(leaseIndex, leaseAmount, tosHash, outboundIPAddress = null, options = {}) {
 
-        // <prefix><version tag ("LTV"+uint8)><lease index (uint16)><half of tos hash><lease amount (int64)><identifier (uint32)><ip data>
-        // Lengths of sub sections.
-        const prefixLen = EvernodeConstants.LEASE_TOKEN_PREFIX_HEX.length / 2;
-        const versionPrefixLen = EvernodeConstants.LEASE_TOKEN_VERSION_PREFIX_HEX.length / 2;
-        const versionLen = versionPrefixLen + 2; // ("LTV"<Version Number>)
-        const indexLen = 2;
-        const halfToSLen = tosHash.length / 4;
-        const leaseAmountLen = 8;
-        const identifierLen = 4;
-        const ipDataLen = 17;
-
-        // Offsets of sub sections
-        const versionPrefixOffset = prefixLen;
-        const versionOffset = prefixLen + versionPrefixLen;
-        const indexOffset = prefixLen + versionLen;
-        const halfTosHashOffset = prefixLen + versionLen + indexLen;
-        const leaseAmountOffset = prefixLen + versionLen + indexLen + halfToSLen;
-        const identifierOffset = prefixLen + versionLen + indexLen + halfToSLen + leaseAmountLen;
-        const ipDataOffset = prefixLen + versionLen + indexLen + halfToSLen + leaseAmountLen + identifierLen;
-
-        const uriBuf = Buffer.alloc((prefixLen + versionLen + indexLen + halfToSLen + leaseAmountLen + identifierLen + ipDataLen));
-
-        Buffer.from(EvernodeConstants.LEASE_TOKEN_PREFIX_HEX, 'hex').copy(uriBuf);
-        Buffer.from(EvernodeConstants.LEASE_TOKEN_VERSION_PREFIX_HEX, 'hex').copy(uriBuf, versionPrefixOffset, 0, versionPrefixLen);
-        uriBuf.writeUInt16BE(EvernodeConstants.LEASE_TOKEN_VERSION, versionOffset);
-        uriBuf.writeUInt16BE(leaseIndex, indexOffset);
-        Buffer.from(tosHash, 'hex').copy(uriBuf, halfTosHashOffset, 0, halfToSLen);
-        uriBuf.writeBigInt64BE(XflHelpers.getXfl(leaseAmount.toString()), leaseAmountOffset);
-        uriBuf.writeUInt32BE((await this.xrplAcc.getSequence()), identifierOffset);
-
-        if (outboundIPAddress) {
-            if (outboundIPAddress.includes(":")) {
-                uriBuf.writeUInt8(IPV6_FAMILY, ipDataOffset);
-                const ipBuf = Buffer.from(outboundIPAddress.split(':').map(v => {
-                    const bytes = [];
-                    for (let i = 0; i < v.length; i += 2) {
-                        bytes.push(parseInt(v.substr(i, 2), 16));
-                    }
-                    return bytes;
-                }).flat());
-
-                ipBuf.copy(uriBuf, ipDataOffset + 1, 0, ipDataLen);
-            } else {
-                throw "Invalid outbound IP address was provided";
-            }
-        }
+        const uri = await this.#encodeLeaseUri(leaseIndex, leaseAmount, tosHash, outboundIPAddress, options.dualStack);
 
-        const uri = uriBuf.toString('base64');
+        if (this.offline)
+            return await this.xrplAcc.mintURIToken(uri, null, { isBurnable: true, isHexUri: false }, { maxLedgerIndex: this.#getMaxLedgerSequence() });
 
         try {
-            await this.#submitWithRetry(async (feeUplift) => {
-                await this.xrplAcc.mintURIToken(uri, null, { isBurnable: true, isHexUri: false }, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift });
-            }, options.retryOptions);
+            await this.xrplAcc.mintURIToken(uri, null, { isBurnable: true, isHexUri: false }, { maxLedgerIndex: this.#getMaxLedgerSequence(), retryOptions: options.retryOptions });
         } catch (e) {
             // Re-minting the URIToken after burning that sold URIToken.
             if (e.code === "tecDUPLICATE") {
@@ -337,11 +245,9 @@ class HostClient extends BaseEvernodeClient {
      * @param {number} leaseAmount Amount (EVRs) of the lease offer.
      */
     async offerMintedLease(uriTokenId, leaseAmount, options = {}) {
-        await this.#submitWithRetry(async (feeUplift) => {
-            await this.xrplAcc.sellURIToken(uriTokenId, leaseAmount.toString(),
-                EvernodeConstants.EVR,
-                this.config.evrIssuerAddress, null, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift });
-        }, options.retryOptions);
+        await this.xrplAcc.sellURIToken(uriTokenId, leaseAmount.toString(),
+            EvernodeConstants.EVR,
+            this.config.evrIssuerAddress, null, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), retryOptions: options.retryOptions });
     }
 
     /**
@@ -349,9 +255,7 @@ class HostClient extends BaseEvernodeClient {
      * @param {string} uriTokenId Hex URI token id of the lease.
      */
     async expireLease(uriTokenId, options = {}) {
-        await this.#submitWithRetry(async (feeUplift) => {
-            await this.xrplAcc.burnURIToken(uriTokenId, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift });
-        }, options.retryOptions);
+        await this.xrplAcc.burnURIToken(uriTokenId, { maxLedgerIndex: this.#getMaxLedgerSequence(), retryOptions: options.retryOptions });
     }
 
     /**
@@ -371,9 +275,7 @@ class HostClient extends BaseEvernodeClient {
                 const sellOffer = (await registryAcc.getURITokens()).find(o => o.index == regInfo.uriTokenId && o.Amount);
                 console.log('Pending sell offer found.')
                 if (sellOffer) {
-                    await this.#submitWithRetry(async (feeUplift) => {
-                        await this.xrplAcc.buyURIToken(sellOffer, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift });
-                    }, options.retryOptions);
+                    await this.xrplAcc.buyURIToken(sellOffer, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), retryOptions: options.retryOptions });
                     console.log("Registration was successfully completed after acquiring the NFT.");
                     return await this.isRegistered();
                 }
@@ -385,6 +287,8 @@ class HostClient extends BaseEvernodeClient {
 
     /**
      * Register the host in the Evernode network.
+     * In offline mode the on-ledger checks are skipped and only the registration payment is signed. The registration is completed with acceptRegToken() once it's submitted.
+     * In offline mode, 'transferredNFTokenId' should be given in the options if the host is re-registering after an initiated transfer.
      * @param {string} countryCode Upper case country code with two letters.
      * @param {number} cpuMicroSec CPU cycle in micro seconds of the host.
      * @param {number} ramMb Ram size in mega bytes.
@@ -396,7 +300,7 @@ class HostClient extends BaseEvernodeClient {
      * @param {string} description Description about the host.
      * @param {string} emailAddress Email address of the host.
      * @param {*} options [Optional] transaction options.
-     * @returns Transaction result.
+     * @returns Transaction result. The signed registration payment in offline mode.
      */
     async register(countryCode, cpuMicroSec, ramMb, diskMb, totalInstanceCount, cpuModel, cpuCount, cpuSpeed, description, emailAddress, options = {}) {
         if (!/^([A-Z]{2})$/.test(countryCode))
@@ -426,41 +330,41 @@ class HostClient extends BaseEvernodeClient {
         else if (!emailAddress || !(/.+@.+/.test(emailAddress)) || (emailAddress.length > 40))
             throw "Email address should be valid and can not have more than 40 characters.";
 
-        if (await this.isRegistered())
-            throw "Host already registered.";
-
-        // Check whether are there lease offers in for the host due to a previous registration.
-        const existingLeaseURITokens = (await this.xrplAcc.getURITokens()).filter(n => n.Issuer == this.xrplAcc.address && EvernodeHelpers.isValidURI(n.URI, EvernodeConstants.LEASE_TOKEN_PREFIX_HEX));
-        if (existingLeaseURITokens) {
-            console.log("Burning unsold URITokens related to the previous leases.");
-            for (const uriToken of existingLeaseURITokens) {
-                await this.#submitWithRetry(async (feeUplift) => {
-                    await this.xrplAcc.burnURIToken(uriToken.index, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift });
-                }, options.retryOptions);
+        let transferredNFTokenId = this.offline ? (options.transferredNFTokenId || null) : null;
+        if (!this.offline) {
+            if (await this.isRegistered())
+                throw "Host already registered.";
+
+            // Check whether are there lease offers in for the host due to a previous registration.
+            const existingLeaseURITokens = (await this.xrplAcc.getURITokens()).filter(n => n.Issuer == this.xrplAcc.address && EvernodeHelpers.isValidURI(n.URI, EvernodeConstants.LEASE_TOKEN_PREFIX_HEX));
+            if (existingLeaseURITokens) {
+                console.log("Burning unsold URITokens related to the previous leases.");
+                for (const uriToken of existingLeaseURITokens) {
+                    await this.xrplAcc.burnURIToken(uriToken.index, { maxLedgerIndex: this.#getMaxLedgerSequence(), retryOptions: options.retryOptions });
+                }
             }
-        }
 
-        if (await this.acceptRegToken())
-            return true;
+            if (await this.acceptRegToken())
+                return true;
 
-        // Check the availability of an initiated transfer.
-        // Need to modify the amount accordingly.
-        const stateTransfereeAddrKey = StateHelpers.generateTransfereeAddrStateKey(this.xrplAcc.address);
-        const stateTransfereeAddrIndex = StateHelpers.getHookStateIndex(this.governorAddress, stateTransfereeAddrKey);
-        let transfereeAddrLedgerEntry = {};
-        let transfereeAddrStateData = {};
-        let transferredNFTokenId = null;
+            // Check the availability of an initiated transfer.
+            // Need to modify the amount accordingly.
+            const stateTransfereeAddrKey = StateHelpers.generateTransfereeAddrStateKey(this.xrplAcc.address);
+            const stateTransfereeAddrIndex = StateHelpers.getHookStateIndex(this.governorAddress, stateTransfereeAddrKey);
+            let transfereeAddrLedgerEntry = {};
+            let transfereeAddrStateData = {};
 
-        try {
-            const res = await this.xrplApi.getLedgerEntry(stateTransfereeAddrIndex);
-            transfereeAddrLedgerEntry = { ...transfereeAddrLedgerEntry, ...res };
-            transfereeAddrStateData = transfereeAddrLedgerEntry?.HookStateData;
-            const transfereeAddrStateDecoded = StateHelpers.decodeTransfereeAddrState(Buffer.from(stateTransfereeAddrKey, 'hex'), Buffer.from(transfereeAddrStateData, 'hex'));
-            transferredNFTokenId = transfereeAddrStateDecoded?.transferredNfTokenId;
+            try {
+                const res = await this.xrplApi.getLedgerEntry(stateTransfereeAddrIndex);
+                transfereeAddrLedgerEntry = { ...transfereeAddrLedgerEntry, ...res };
+                transfereeAddrStateData = transfereeAddrLedgerEntry?.HookStateData;
+                const transfereeAddrStateDecoded = StateHelpers.decodeTransfereeAddrState(Buffer.from(stateTransfereeAddrKey, 'hex'), Buffer.from(transfereeAddrStateData, 'hex'));
+                transferredNFTokenId = transfereeAddrStateDecoded?.transferredNfTokenId;
 
-        }
-        catch (e) {
-            console.log("No initiated transfers were found.");
+            }
+            catch (e) {
+                console.log("No initiated transfers were found.");
+            }
         }
 
         // <country_code(2)><cpu_microsec(4)><ram_mb(4)><disk_mb(4)><no_of_total_instances(4)><cpu_model(40)><cpu_count(2)><cpu_speed(2)><description(26)><email_address(40)>
@@ -476,22 +380,24 @@ class HostClient extends BaseEvernodeClient {
         Buffer.from(description.substr(0, 26), "utf-8").copy(paramBuf, HOST_DESCRIPTION_PARAM_OFFSET);
         Buffer.from(emailAddress.substr(0, 40), "utf-8").copy(paramBuf, HOST_EMAIL_ADDRESS_PARAM_OFFSET);
 
-        const tx = await this.#submitWithRetry(async (feeUplift) => {
-            return await this.xrplAcc.makePayment(this.config.registryAddress,
-                (transferredNFTokenId) ? EvernodeConstants.NOW_IN_EVRS : this.config.hostRegFee.toString(),
-                EvernodeConstants.EVR,
-                this.config.evrIssuerAddress,
-                null,
-                {
-                    hookParams: [
-                        { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.HOST_REG },
-                        { name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: paramBuf.toString('hex').toUpperCase() }
-                    ],
-                    maxLedgerIndex: this.#getMaxLedgerSequence(),
-                    feeUplift: feeUplift,
-                    ...options.transactionOptions
-                });
-        }, options.retryOptions);
+        const tx = await this.xrplAcc.makePayment(this.config.registryAddress,
+            (transferredNFTokenId) ? EvernodeConstants.NOW_IN_EVRS : this.config.hostRegFee.toString(),
+            EvernodeConstants.EVR,
+            this.config.evrIssuerAddress,
+            null,
+            {
+                hookParams: [
+                    { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.HOST_REG },
+                    { name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: paramBuf.toString('hex').toUpperCase() }
+                ],
+                maxLedgerIndex: this.#getMaxLedgerSequence(),
+                retryOptions: options.retryOptions,
+                ...options.transactionOptions
+            });
+
+        // The registration token is offered once the payment is submitted.
+        if (this.offline)
+            return tx;
 
         console.log('Waiting for the sell offer', tx.id)
         const registryAcc = new XrplAccount(this.config.registryAddress, null, { xrplApi: this.xrplApi });
@@ -529,9 +435,7 @@ class HostClient extends BaseEvernodeClient {
             resolve();
         });
 
-        await this.#submitWithRetry(async (feeUplift) => {
-            await this.xrplAcc.buyURIToken(sellOffer, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), feeUplift: feeUplift });
-        }, options.retryOptions);
+        await this.xrplAcc.buyURIToken(sellOffer, null, { maxLedgerIndex: this.#getMaxLedgerSequence(), retryOptions: options.retryOptions });
         return await this.isRegistered();
     }
 
@@ -554,22 +458,20 @@ class HostClient extends BaseEvernodeClient {
             paramBuf.writeUInt8(1, 32);
         }
 
-        await this.#submitWithRetry(async (feeUplift) => {
-            await this.xrplAcc.makePayment(this.config.registryAddress,
-                XrplConstants.MIN_DROPS,
-                null,
-                null,
-                null,
-                {
-                    hookParams: [
-                        { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.HOST_DEREG },
-                        { name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: paramBuf.toString('hex').toUpperCase() }
-                    ],
-                    maxLedgerIndex: this.#getMaxLedgerSequence(),
-                    feeUplift: feeUplift,
-                    ...options.transactionOptions
-                });
-        }, options.retryOptions);
+        await this.xrplAcc.makePayment(this.config.registryAddress,
+            XrplConstants.MIN_DROPS,
+            null,
+            null,
+            null,
+            {
+                hookParams: [
+                    { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.HOST_DEREG },
+                    { name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: paramBuf.toString('hex').toUpperCase() }
+                ],
+                maxLedgerIndex: this.#getMaxLedgerSequence(),
+                retryOptions: options.retryOptions,
+                ...options.transactionOptions
+            });
 
         return await this.isRegistered();
     }
@@ -619,22 +521,20 @@ class HostClient extends BaseEvernodeClient {
             paramBuf.writeUInt8(components[2], HOST_UPDATE_VERSION_PARAM_OFFSET + 2);
         }
 
-        return await this.#submitWithRetry(async (feeUplift) => {
-            return await this.xrplAcc.makePayment(this.config.registryAddress,
-                XrplConstants.MIN_DROPS,
-                null,
-                null,
-                null,
-                {
-                    hookParams: [
-                        { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.HOST_UPDATE_INFO },
-                        { name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: paramBuf.toString('hex') }
-                    ],
-                    maxLedgerIndex: this.#getMaxLedgerSequence(),
-                    feeUplift: feeUplift,
-                    ...options.transactionOptions
-                });
-        }, options.retryOptions);
+        return await this.xrplAcc.makePayment(this.config.registryAddress,
+            XrplConstants.MIN_DROPS,
+            null,
+            null,
+            null,
+            {
+                hookParams: [
+                    { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.HOST_UPDATE_INFO },
+                    { name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: paramBuf.toString('hex') }
+                ],
+                maxLedgerIndex: this.#getMaxLedgerSequence(),
+                retryOptions: options.retryOptions,
+                ...options.transactionOptions
+            });
 
     }
 
@@ -666,6 +566,7 @@ class HostClient extends BaseEvernodeClient {
                         ...(data ? [{ name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: data }] : [])
                     ],
                     maxLedgerIndex: this.#getMaxLedgerSequence(),
+                    retryOptions: options.retryOptions,
                     ...options.transactionOptions
                 });
             return res;
@@ -733,6 +634,7 @@ class HostClient extends BaseEvernodeClient {
                     { name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: txHash }
                 ],
                 maxLedgerIndex: this.#getMaxLedgerSequence(),
+                retryOptions: options.retryOptions,
                 ...options.transactionOptions
             });
     }
@@ -761,6 +663,7 @@ class HostClient extends BaseEvernodeClient {
                     { name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: txHash }
                 ],
                 maxLedgerIndex: this.#getMaxLedgerSequence(),
+                retryOptions: options.retryOptions,
                 ...options.transactionOptions
             });
     }
@@ -790,6 +693,7 @@ class HostClient extends BaseEvernodeClient {
                     { name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: txHash }
                 ],
                 maxLedgerIndex: this.#getMaxLedgerSequence(),
+                retryOptions: options.retryOptions,
                 ...options.transactionOptions
             });
     }
@@ -819,6 +723,7 @@ class HostClient extends BaseEvernodeClient {
                     { name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: txHash }
                 ],
                 maxLedgerIndex: this.#getMaxLedgerSequence(),
+                retryOptions: options.retryOptions,
                 ...options.transactionOptions
             });
     }
@@ -845,6 +750,7 @@ class HostClient extends BaseEvernodeClient {
                     { name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: txHash }
                 ],
                 maxLedgerIndex: this.#getMaxLedgerSequence(),
+                retryOptions: options.retryOptions,
                 ...options.transactionOptions
             });
     }
@@ -867,6 +773,7 @@ class HostClient extends BaseEvernodeClient {
                     { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.HOST_REBATE }
                 ],
                 maxLedgerIndex: this.#getMaxLedgerSequence(),
+                retryOptions: options.retryOptions,
                 ...options.transactionOptions
             });
     }
@@ -893,23 +800,21 @@ class HostClient extends BaseEvernodeClient {
 
         const regUriToken = await this.getRegistrationUriToken();
 
-        await this.#submitWithRetry(async (feeUplift) => {
-            await this.xrplAcc.sellURIToken(regUriToken.index,
-                XrplConstants.MIN_DROPS,
-                null,
-                null,
-                this.config.registryAddress,
-                null,
-                {
-                    hookParams: [
-                        { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.HOST_TRANSFER },
-                        { name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: paramData.toString('hex') }
-                    ],
-                    maxLedgerIndex: this.#getMaxLedgerSequence(),
-                    feeUplift: feeUplift,
-                    ...options.transactionOptions
-                });
-        }, options.retryOptions);
+        await this.xrplAcc.sellURIToken(regUriToken.index,
+            XrplConstants.MIN_DROPS,
+            null,
+            null,
+            this.config.registryAddress,
+            null,
+            {
+                hookParams: [
+                    { name: HookParamKeys.PARAM_EVENT_TYPE_KEY, value: EventTypes.HOST_TRANSFER },
+                    { name: HookParamKeys.PARAM_EVENT_DATA1_KEY, value: paramData.toString('hex') }
+                ],
+                maxLedgerIndex: this.#getMaxLedgerSequence(),
+                retryOptions: options.retryOptions,
+                ...options.transactionOptions
+            });
 
         let token = null;
         let attempts = 0;
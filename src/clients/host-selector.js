@@ -0,0 +1,167 @@
+const { XrplAccount } = require('../xrpl-account');
+const { EvernodeHelpers } = require('../evernode-helpers');
+const { EvernodeConstants } = require('../evernode-common');
+
+const HostSources = {
+    LEDGER: 'ledger',
+    FIRESTORE: 'firestore'
+}
+
+const DEFAULT_OFFER_CONCURRENCY = 10;
+
+/**
+ * Default host score. Prefers reputed hosts, then cheaper leases and then hosts with more free instances.
+ * @param {object} host Host with the selector fields.
+ * @param {object} context { minLeaseAmount, maxLeaseAmount } of the hosts which passed the filters.
+ * @returns Score between 0 and 1.
+ */
+const defaultHostScore = (host, context) => {
+    const reputation = (host.hostReputation || 0) / 255;
+    const priceRange = context.maxLeaseAmount - context.minLeaseAmount;
+    const price = priceRange > 0 ? (context.maxLeaseAmount - host.leaseAmount) / priceRange : 1;
+    const availability = host.maxInstances > 0 ? host.availableInstances / host.maxInstances : 0;
+    return (reputation * 0.5) + (price * 0.3) + (availability * 0.2);
+}
+
+/**
+ * Finds and ranks the hosts which match the tenant's requirements.
+ * Filters: { countryCode: Country code or an array of codes, minCpuMicrosec, minRamMb, minDiskMb: Resources per instance, minReputation, minVersion: Min host version (eg: '0.8.0'),
+ * minAvailableInstances: Free instances (default 1), maxLeaseAmount: Max EVR per moment of the cheapest offer, maxHeartbeatAge: Max moments since the last heartbeat, activeOnly: Only the active hosts (default true), excludeAddresses }.
+ */
+class HostSelector {
+    #client;
+    #filters;
+    #score;
+    #source;
+    #offerConcurrency;
+
+    /**
+     * Creates a host selector.
+     * @param {BaseEvernodeClient} client Connected client used to read the hosts.
+     * @param {object} options [Optional] { filters: Host filters, score: Scoring function (host, context) => number (Higher is better), source: Where to read the hosts from, 'ledger' (default) or 'firestore',
+     * offerConcurrency: Max hosts to read the lease offers from at once (default 10) }.
+     */
+    constructor(client, options = {}) {
+        this.#client = client;
+        this.#filters = { minAvailableInstances: 1, activeOnly: true, ...options.filters };
+        this.#score = options.score || defaultHostScore;
+        this.#source = options.source || HostSources.LEDGER;
+        if (!Object.values(HostSources).includes(this.#source))
+            throw `Invalid host source: ${this.#source}.`;
+        this.#offerConcurrency = options.offerConcurrency ?? DEFAULT_OFFER_CONCURRENCY;
+        if (!Number.isInteger(this.#offerConcurrency) || this.#offerConcurrency < 1)
+            throw `Invalid offer concurrency: ${this.#offerConcurrency}.`;
+    }
+
+    /**
+     * Get the hosts which match the filters, ranked by the score.
+     * @param {number} limit [Optional] Max number of hosts to return.
+     * @returns Array of hosts with { availableInstances, cpuMicrosecPerInstance, ramMbPerInstance, diskMbPerInstance, leaseAmount, offerCount, score } in addition to the host info.
+     */
+    async getHosts(limit = null) {
+        const hostList = (this.#source === HostSources.FIRESTORE) ? await this.#client.getAllHosts() : await this.#client.getAllHostsFromLedger();
+        const calculator = this.#client.getMomentCalculator();
+        const moment = calculator.getMoment();
+
+        const candidates = hostList.map(h => this.#withResources(h)).filter(h => this.#matchesHost(h, calculator, moment));
+
+        // Offers are read only for the hosts which passed the other filters, since it's a request per host.
+        const offerSummaries = new Array(candidates.length).fill(null);
+        let next = 0;
+        const readOffers = async () => {
+            while (next < candidates.length) {
+                const i = next++;
+                offerSummaries[i] = await this.#getOfferSummary(candidates[i]);
+            }
+        };
+        await Promise.all([...Array(Math.min(this.#offerConcurrency, candidates.length))].map(() => readOffers()));
+
+        const hosts = candidates.map((h, i) => offerSummaries[i] && { ...h, ...offerSummaries[i] })
+            .filter(h => h && (this.#filters.maxLeaseAmount === undefined || h.leaseAmount <= this.#filters.maxLeaseAmount));
+
+        const prices = hosts.map(h => h.leaseAmount);
+        const context = { minLeaseAmount: Math.min(...prices), maxLeaseAmount: Math.max(...prices), moment: moment };
+        for (const host of hosts)
+            host.score = this.#score(host, context);
+
+        hosts.sort((a, b) => b.score - a.score);
+        return limit ? hosts.slice(0, limit) : hosts;
+    }
+
+    /**
+     * Get the best ranked host.
+     * @returns The host or null if no host matches the filters.
+     */
+    async select() {
+        return (await this.getHosts(1))[0] || null;
+    }
+
+    // Get the cheapest EVR offer and the offer count of a host. Hosts whose offers can't be read are treated as hosts without offers.
+    async #getOfferSummary(host) {
+        let offers;
+        try {
+            offers = await EvernodeHelpers.getLeaseOffers(new XrplAccount(host.address, null, { xrplApi: this.#client.xrplApi }));
+        }
+        catch (e) {
+            console.log(`Could not read the lease offers of ${host.address}.`, e);
+            return null;
+        }
+        const prices = offers.filter(o => o.Amount?.currency === EvernodeConstants.EVR && o.Amount.issuer === this.#client.config.evrIssuerAddress)
+            .map(o => parseFloat(o.Amount.value));
+        if (!prices.length)
+            return null;
+        return { leaseAmount: Math.min(...prices), offerCount: prices.length };
+    }
+
+    #withResources(host) {
+        const perInstance = (value) => host.maxInstances > 0 ? Math.floor((value || 0) / host.maxInstances) : 0;
+        return {
+            ...host,
+            availableInstances: Math.max(0, (host.maxInstances || 0) - (host.activeInstances || 0)),
+            cpuMicrosecPerInstance: perInstance(host.cpuMicrosec),
+            ramMbPerInstance: perInstance(host.ramMb),
+            diskMbPerInstance: perInstance(host.diskMb)
+        };
+    }
+
+    #matchesHost(host, calculator, moment) {
+        const f = this.#filters;
+        if (f.activeOnly && !host.active)
+            return false;
+        if (f.excludeAddresses?.includes(host.address))
+            return false;
+        if (f.countryCode && ![].concat(f.countryCode).map(c => c.toUpperCase()).includes(host.countryCode?.toUpperCase()))
+            return false;
+        if ((f.minCpuMicrosec && host.cpuMicrosecPerInstance < f.minCpuMicrosec) ||
+            (f.minRamMb && host.ramMbPerInstance < f.minRamMb) ||
+            (f.minDiskMb && host.diskMbPerInstance < f.minDiskMb))
+            return false;
+        if (f.minReputation && (host.hostReputation || 0) < f.minReputation)
+            return false;
+        if (f.minVersion && compareVersions(host.version, f.minVersion) < 0)
+            return false;
+        if (host.availableInstances < (f.minAvailableInstances || 0))
+            return false;
+        if (f.maxHeartbeatAge !== undefined && (!host.lastHeartbeatIndex || moment - calculator.getMoment(host.lastHeartbeatIndex) > f.maxHeartbeatAge))
+            return false;
+        return true;
+    }
+}
+
+// Compares 'major.minor.patch' versions.
+function compareVersions(a, b) {
+    const pa = String(a || '0.0.0').split('.').map(Number);
+    const pb = String(b).split('.').map(Number);
+    for (let i = 0; i < 3; i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0)
+            return diff;
+    }
+    return 0;
+}
+
+module.exports = {
+    HostSelector,
+    HostSources,
+    defaultHostScore
+}
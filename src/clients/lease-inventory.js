@@ -0,0 +1,187 @@
+const { Buffer } = require('buffer');
+const { EvernodeConstants } = require('../evernode-common');
+const { LeaseTokenCodec } = require('../lease-token-codec');
+
+const LeaseBurnReasons = {
+    NOT_DESIRED: 'NOT_DESIRED',
+    DUPLICATE: 'DUPLICATE',
+    MISMATCH: 'MISMATCH',
+    INVALID_URI: 'INVALID_URI'
+}
+
+/**
+ * Reconciles the lease URI tokens of a host against a desired set of lease slots.
+ * Only the tokens owned by the host are considered. The leases sold to tenants are not part of the inventory,
+ * so the desired slots should only contain the leases which are expected to be available.
+ */
+class LeaseInventory {
+    #hostClient;
+
+    /**
+     * Creates a lease inventory for a host.
+     * @param {HostClient} hostClient Connected host client.
+     */
+    constructor(hostClient) {
+        this.#hostClient = hostClient;
+    }
+
+    /**
+     * Compares the desired lease slots with the lease tokens on the ledger.
+     * @param {object[]} slots Desired lease slots as [{ leaseIndex, leaseAmount, tosHash, outboundIP }]. 'outboundIP' is optional and takes the same formats as 'offerLease'.
+     * @returns The diff as { mint, offer, reprice, burn, unchanged }.
+     * 'mint': Slots without a token. 'offer': Tokens to be offered. 'reprice': Tokens with a different price ('remint' is set if the price in the URI differs).
+     * 'burn': Tokens which are not needed (with the reason). 'unchanged': Tokens which are already offered as desired.
+     */
+    async diff(slots) {
+        const desired = this.#normalizeSlots(slots);
+        const tokens = await this.#hostClient.getLeases();
+
+        const diff = { mint: [], offer: [], reprice: [], burn: [], unchanged: [] };
+        const tokensByIndex = new Map();
+        for (const token of tokens) {
+            let lease;
+            try {
+                lease = LeaseTokenCodec.decode(token.URI);
+            }
+            catch {
+                diff.burn.push({ uriTokenId: token.index, reason: LeaseBurnReasons.INVALID_URI });
+                continue;
+            }
+
+            if (!desired.has(lease.leaseIndex)) {
+                diff.burn.push({ uriTokenId: token.index, leaseIndex: lease.leaseIndex, reason: LeaseBurnReasons.NOT_DESIRED });
+                continue;
+            }
+
+            if (!tokensByIndex.has(lease.leaseIndex))
+                tokensByIndex.set(lease.leaseIndex, []);
+            tokensByIndex.get(lease.leaseIndex).push({ token: token, lease: lease });
+        }
+
+        for (const [leaseIndex, slot] of desired) {
+            const candidates = (tokensByIndex.get(leaseIndex) || []).filter(c => {
+                if (this.#matchesSlot(c.lease, slot))
+                    return true;
+                // ToS or IP changes need a new token.
+                diff.burn.push({ uriTokenId: c.token.index, leaseIndex: leaseIndex, reason: LeaseBurnReasons.MISMATCH });
+                return false;
+            });
+
+            if (!candidates.length) {
+                diff.mint.push({ slot: slot.input });
+                continue;
+            }
+
+            // Keep the token which needs the least work and burn the other tokens of the same slot.
+            const rank = (c) => (c.lease.leaseAmount !== slot.leaseAmount) ? 2 : (this.#getOfferAmount(c.token) === null ? 1 : 0);
+            candidates.sort((a, b) => rank(a) - rank(b));
+            for (const c of candidates.slice(1))
+                diff.burn.push({ uriTokenId: c.token.index, leaseIndex: leaseIndex, reason: LeaseBurnReasons.DUPLICATE });
+
+            const { token, lease } = candidates[0];
+            const offerAmount = this.#getOfferAmount(token);
+            if (lease.leaseAmount !== slot.leaseAmount)
+                diff.reprice.push({ slot: slot.input, uriTokenId: token.index, currentAmount: lease.leaseAmount, remint: true });
+            else if (offerAmount === null)
+                diff.offer.push({ slot: slot.input, uriTokenId: token.index });
+            else if (offerAmount !== slot.leaseAmount)
+                diff.reprice.push({ slot: slot.input, uriTokenId: token.index, currentAmount: offerAmount, remint: false });
+            else
+                diff.unchanged.push({ slot: slot.input, uriTokenId: token.index });
+        }
+
+        return diff;
+    }
+
+    /**
+     * Brings the lease tokens on the ledger to the desired state.
+     * @param {object[]} slots Desired lease slots as [{ leaseIndex, leaseAmount, tosHash, outboundIP }].
+     * @param {object} options [Optional] { dryRun: Only report the diff without submitting the transactions, ...transaction options passed to the host client }.
+     * @returns The result as { diff, dryRun, failures }. 'failures' contains the actions which could not be applied as [{ action, item, error }].
+     */
+    async reconcile(slots, options = {}) {
+        const { dryRun, ...txOptions } = options;
+        const diff = await this.diff(slots);
+        const res = { diff: diff, dryRun: !!dryRun, failures: [] };
+        if (dryRun)
+            return res;
+
+        const apply = async (action, item, func) => {
+            try {
+                await func();
+            }
+            catch (e) {
+                console.error(`Lease inventory ${action} failed.`, e);
+                res.failures.push({ action: action, item: item, error: e });
+            }
+        };
+
+        // Burn first to release the owner reserves for the new tokens.
+        for (const item of diff.burn)
+            await apply('burn', item, () => this.#hostClient.expireLease(item.uriTokenId, txOptions));
+
+        for (const item of diff.reprice) {
+            const { leaseIndex, leaseAmount, tosHash, outboundIP } = item.slot;
+            if (item.remint) {
+                await apply('reprice', item, async () => {
+                    await this.#hostClient.expireLease(item.uriTokenId, txOptions);
+                    await this.#hostClient.offerLease(leaseIndex, leaseAmount, tosHash, outboundIP, txOptions);
+                });
+            }
+            else {
+                await apply('reprice', item, () => this.#hostClient.offerMintedLease(item.uriTokenId, leaseAmount, txOptions));
+            }
+        }
+
+        for (const item of diff.offer)
+            await apply('offer', item, () => this.#hostClient.offerMintedLease(item.uriTokenId, item.slot.leaseAmount, txOptions));
+
+        for (const item of diff.mint) {
+            const { leaseIndex, leaseAmount, tosHash, outboundIP } = item.slot;
+            await apply('mint', item, () => this.#hostClient.offerLease(leaseIndex, leaseAmount, tosHash, outboundIP, txOptions));
+        }
+
+        return res;
+    }
+
+    #normalizeSlots(slots) {
+        const desired = new Map();
+        for (const slot of (slots || [])) {
+            if (!Number.isInteger(slot?.leaseIndex) || slot.leaseIndex < 0 || slot.leaseIndex > 0xFFFF)
+                throw `Invalid lease index: ${slot?.leaseIndex}.`;
+            if (desired.has(slot.leaseIndex))
+                throw `Duplicate lease index: ${slot.leaseIndex}.`;
+            if (!(Number(slot.leaseAmount) > 0))
+                throw `Invalid lease amount for lease index ${slot.leaseIndex}.`;
+            if (!/^[0-9A-Fa-f]{64}$/.test(slot.tosHash || ''))
+                throw `Invalid ToS hash for lease index ${slot.leaseIndex}.`;
+
+            desired.set(slot.leaseIndex, {
+                input: slot,
+                leaseAmount: Number(slot.leaseAmount),
+                halfTos: Buffer.from(slot.tosHash, 'hex').slice(0, 16),
+                ...LeaseTokenCodec.parseOutboundIPAddress(slot.outboundIP)
+            });
+        }
+        return desired;
+    }
+
+    #matchesSlot(lease, slot) {
+        const sameIP = (a, b) => (!a && !b) || (a && b && a.family === b.family && a.address === b.address);
+        return slot.halfTos.equals(lease.halfTos) &&
+            sameIP(lease.outboundIP, slot.outboundIP) &&
+            sameIP(lease.secondaryOutboundIP, slot.secondaryOutboundIP);
+    }
+
+    #getOfferAmount(token) {
+        const amount = token.Amount;
+        if (!amount || amount.currency !== EvernodeConstants.EVR || amount.issuer !== this.#hostClient.config.evrIssuerAddress)
+            return null;
+        return parseFloat(amount.value);
+    }
+}
+
+module.exports = {
+    LeaseInventory,
+    LeaseBurnReasons
+}
@@ -0,0 +1,201 @@
+const { EvernodeEvents, ErrorReasons } = require('../evernode-common');
+const { XrplApiEvents } = require('../xrpl-common');
+const { TransactionHelper } = require('../transaction-helper');
+
+const ResponseEvents = [
+    EvernodeEvents.AcquireSuccess,
+    EvernodeEvents.AcquireError,
+    EvernodeEvents.ExtendSuccess,
+    EvernodeEvents.ExtendError
+];
+
+// Responses can arrive before the request is tracked, since a fast host may respond within the submission ledger.
+const MAX_UNCLAIMED_RESPONSES = 100;
+
+/**
+ * Tracks acquire and extend responses of a tenant through the account subscription.
+ * Pending requests are resolved from the live response events. The account transactions are
+ * queried only once after a period the tracker was not listening (before it started or during a reconnect).
+ */
+class LeaseResponseTracker {
+    #client;
+    #pending = new Map();
+    #unclaimed = new Map();
+    #handlers = null;
+    #listening = false;
+    #starting = null;
+    #gapLedgerIndex = null;
+    #backfilling = false;
+
+    /**
+     * Creates a tracker for a tenant client.
+     * @param {BaseEvernodeClient} client Client whose account receives the responses.
+     */
+    constructor(client) {
+        this.#client = client;
+    }
+
+    /**
+     * Subscribes to the account and starts listening for the response events.
+     * Calling this again only makes sure the account is still subscribed.
+     */
+    async start() {
+        // Register the handlers only once. A failed subscription is retried by the next start.
+        if (!this.#handlers) {
+            this.#handlers = {
+                responses: ResponseEvents.map(name => [name, (data) => this.#handleResponse(name, data)]),
+                disconnected: () => this.#handleDisconnect(),
+                ledger: () => this.#handleLedger()
+            };
+            for (const [name, handler] of this.#handlers.responses)
+                this.#client.on(name, handler);
+            this.#client.xrplApi.on(XrplApiEvents.DISCONNECTED, this.#handlers.disconnected);
+            this.#client.xrplApi.on(XrplApiEvents.LEDGER, this.#handlers.ledger);
+        }
+
+        if (!this.#starting) {
+            this.#starting = (async () => {
+                // Account subscription is a no-op if the client is already subscribed.
+                await this.#client.subscribe();
+                this.#listening = true;
+            })().finally(() => this.#starting = null);
+        }
+        await this.#starting;
+    }
+
+    /**
+     * Stops listening for the response events. Pending requests are rejected.
+     */
+    stop() {
+        if (this.#handlers) {
+            for (const [name, handler] of this.#handlers.responses)
+                this.#client.off(name, handler);
+            this.#client.xrplApi.off(XrplApiEvents.DISCONNECTED, this.#handlers.disconnected);
+            this.#client.xrplApi.off(XrplApiEvents.LEDGER, this.#handlers.ledger);
+            this.#handlers = null;
+        }
+        this.#listening = false;
+        this.#gapLedgerIndex = null;
+
+        for (const request of this.#pending.values()) {
+            clearTimeout(request.timer);
+            request.reject({ reason: ErrorReasons.DISCONNECTED });
+        }
+        this.#pending.clear();
+        this.#unclaimed.clear();
+    }
+
+    /**
+     * Waits for the response of an acquire or extend request.
+     * @param {string} refId Hash of the request transaction.
+     * @param {number} ledgerIndex Ledger index the request was validated in.
+     * @param {number} timeout Time to wait in milliseconds.
+     * @returns The matching response event as { name, data }. Rejects with a timeout reason if the response is not received in time.
+     */
+    async track(refId, ledgerIndex, timeout) {
+        if (this.#pending.has(refId))
+            return await this.#pending.get(refId).promise;
+
+        if (this.#unclaimed.has(refId)) {
+            const res = this.#unclaimed.get(refId);
+            this.#unclaimed.delete(refId);
+            return res;
+        }
+
+        const request = { refId: refId, ledgerIndex: ledgerIndex };
+        request.promise = new Promise((resolve, reject) => {
+            request.resolve = resolve;
+            request.reject = reject;
+        });
+        request.timer = setTimeout(() => {
+            this.#pending.delete(refId);
+            request.reject({ reason: ErrorReasons.TIMEOUT });
+        }, timeout);
+        this.#pending.set(refId, request);
+
+        // The response might have arrived before we started listening.
+        if (!this.#listening) {
+            await this.start();
+            await this.#backfill(ledgerIndex);
+        }
+
+        return await request.promise;
+    }
+
+    #handleResponse(name, data) {
+        const refId = data?.acquireRefId || data?.extendRefId;
+        if (!refId)
+            return;
+
+        const request = this.#pending.get(refId);
+        if (!request) {
+            this.#unclaimed.set(refId, { name: name, data: data });
+            if (this.#unclaimed.size > MAX_UNCLAIMED_RESPONSES)
+                this.#unclaimed.delete(this.#unclaimed.keys().next().value);
+            return;
+        }
+
+        clearTimeout(request.timer);
+        this.#pending.delete(refId);
+        request.resolve({ name: name, data: data });
+    }
+
+    #handleDisconnect() {
+        // Keep the earliest ledger if there are multiple disconnections before we recover.
+        if (this.#gapLedgerIndex === null)
+            this.#gapLedgerIndex = this.#client.xrplApi.ledgerIndex;
+    }
+
+    async #handleLedger() {
+        // First ledger after a reconnect. Query the transactions we could have missed while disconnected.
+        if (this.#gapLedgerIndex === null || this.#backfilling)
+            return;
+
+        const gapLedgerIndex = this.#gapLedgerIndex;
+        this.#gapLedgerIndex = null;
+        await this.#backfill(gapLedgerIndex);
+    }
+
+    async #backfill(fromLedgerIndex) {
+        if (!this.#pending.size)
+            return;
+
+        // Requests validated after the gap started cannot have responses before their own ledger.
+        const minLedgerIndex = Math.min(...[...this.#pending.values()].map(r => r.ledgerIndex).filter(i => i), fromLedgerIndex);
+
+        this.#backfilling = true;
+        try {
+            const txList = await this.#client.xrplAcc.getAccountTrx(minLedgerIndex);
+            for (let t of txList) {
+                if (!this.#pending.size)
+                    break;
+                if (t.meta?.TransactionResult !== 'tesSUCCESS' || t.tx.Destination !== this.#client.xrplAcc.address)
+                    continue;
+
+                t.tx.Memos = TransactionHelper.deserializeMemos(t.tx?.Memos);
+                t.tx.HookParameters = TransactionHelper.deserializeHookParams(t.tx?.HookParameters);
+
+                if (t.meta?.delivered_amount)
+                    t.tx.DeliveredAmount = t.meta.delivered_amount;
+
+                const ev = await this.#client.extractEvernodeEvent(t.tx);
+                const refId = ev?.data?.acquireRefId || ev?.data?.extendRefId;
+                if (ResponseEvents.includes(ev?.name) && this.#pending.has(refId))
+                    this.#handleResponse(ev.name, ev.data);
+            }
+        }
+        catch (e) {
+            // Restore the gap so the next ledger retries the query.
+            console.error('Error occurred while querying missed lease responses.', e);
+            if (this.#gapLedgerIndex === null)
+                this.#gapLedgerIndex = fromLedgerIndex;
+        }
+        finally {
+            this.#backfilling = false;
+        }
+    }
+}
+
+module.exports = {
+    LeaseResponseTracker
+}
@@ -5,9 +5,16 @@ const { Buffer } = require('buffer');
 const { XrplAccount } = require('../xrpl-account');
 const { UtilHelpers } = require('../util-helpers');
 const { EvernodeHelpers } = require('../evernode-helpers');
+const { LeaseResponseTracker } = require('./lease-response-tracker');
+const { HostSelector } = require('./host-selector');
 const { TransactionHelper } = require('../transaction-helper');
+const { MomentTypes } = require('../moment-calculator');
+const xrpl = require('xrpl');
 
 const DEFAULT_WAIT_TIMEOUT = 60000;
+const DEFAULT_EXPIRY_THRESHOLD = 1800; // Seconds.
+// Acquired leases are valid until the end of the acquired moment unless they are extended.
+const ACQUIRE_LIFE_MOMENTS = 1;
 
 const TenantEvents = {
     AcquireSuccess: EvernodeEvents.AcquireSuccess,
@@ -16,15 +23,42 @@ const TenantEvents = {
     ExtendError: EvernodeEvents.ExtendError,
 }
 
+const AcquireOutcomes = {
+    SUCCESS: 'success',
+    SKIPPED: 'skipped', // Host could not be used (No offers, inactive or invalid). Nothing was paid.
+    REJECTED: 'rejected', // Host responded with an acquire error and refunded the payment.
+    TIMEOUT: 'timeout',
+    FAILED: 'failed' // Acquire transaction failed.
+}
+
+const AcquireRefundStatuses = {
+    NOT_REQUIRED: 'notRequired',
+    PENDING: 'pending',
+    REFUNDED: 'refunded',
+    ACQUIRED_LATE: 'acquiredLate' // Host responded with a success after the attempt timed out.
+}
+
 class TenantClient extends BaseEvernodeClient {
 
+    #responseTracker;
+    #leaseHistory = null; // Lease history of the full history scan, which is read incrementally afterwards.
+
     constructor(xrpAddress, xrpSecret, options = {}) {
         super(xrpAddress, xrpSecret, Object.values(TenantEvents), false, options);
+        this.#responseTracker = new LeaseResponseTracker(this);
+    }
+
+    /**
+     * Disconnects the client. Requests waiting for a response are rejected.
+     */
+    async disconnect() {
+        this.#responseTracker.stop();
+        await super.disconnect();
     }
 
     async prepareAccount() {
         try {
-            if (!await this.xrplAcc.getMessageKey())
+            if (this.accKeyPair && !await this.xrplAcc.getMessageKey())
                 await this.xrplAcc.setAccountFields({ MessageKey: this.accKeyPair.publicKey });
         }
         catch (err) {
@@ -32,7 +66,15 @@ class TenantClient extends BaseEvernodeClient {
         }
     }
 
+    /**
+     * Get the account of a registered and active host. In offline mode the host cannot be checked, so the account is returned as it is.
+     * @param {string} hostAddress XRPL address of the host.
+     * @returns The XrplAccount of the host.
+     */
     async getLeaseHost(hostAddress) {
+        if (this.offline)
+            return new XrplAccount(hostAddress, null, { xrplApi: this.xrplApi, offline: this.offline });
+
         const host = new XrplAccount(hostAddress, null, { xrplApi: this.xrplApi });
         // Find an owned URI token with matching Evernode host NFT prefix.
         const uriToken = (await host.getURITokens()).find(n => n.URI.startsWith(EvernodeConstants.TOKEN_PREFIX_HEX) && n.Issuer === this.config.registryAddress);
@@ -53,9 +95,19 @@ class TenantClient extends BaseEvernodeClient {
         return host;
     }
 
+    async #resolveHostAddress(host) {
+        if (!(host instanceof HostSelector))
+            return host;
+
+        const selected = await host.select();
+        if (!selected)
+            throw { reason: ErrorReasons.NO_HOST, error: "No host matches the selector." };
+        return selected.address;
+    }
+
     /**
      * Prepare and submit acquire transaction.(Single signed scenario)
-     * @param {string} hostAddress XRPL address of the host to acquire the lease.
+     * @param {string|HostSelector} hostAddress XRPL address of the host to acquire the lease or a host selector to pick the host.
      * @param {object} requirement The instance requirements and configuration.
      * @param {object} options [Optional] Options for the XRPL transaction.
      * @returns The transaction result.
@@ -63,31 +115,38 @@ class TenantClient extends BaseEvernodeClient {
     async acquireLeaseSubmit(hostAddress, requirement, options = {}) {
 
         const preparedAcquireTxn = await this.prepareAcquireLeaseTransaction(hostAddress, requirement, options);
-        return await this.xrplAcc.signAndSubmit(preparedAcquireTxn);
+        return await this.xrplAcc.signAndSubmit(preparedAcquireTxn, { ...options.transactionOptions, retryOptions: options.retryOptions });
     }
 
     /**
      * Prepare the Acquire transaction.
-     * @param {string} hostAddress XRPL address of the host to acquire the lease.
+     * In offline mode the lease offer ('leaseOffer' { index, Amount }) and the host encryption key ('messageKey') should be given in the options.
+     * @param {string|HostSelector} hostAddress XRPL address of the host to acquire the lease or a host selector to pick the host.
      * @param {object} requirement The instance requirements and configuration.
      * @param {object} options [Optional] Options for the XRPL transaction.
      * @returns Prepared Acquire transaction.
      */
     async prepareAcquireLeaseTransaction(hostAddress, requirement, options = {}) {
 
-        const hostAcc = await this.getLeaseHost(hostAddress);
+        const hostAcc = await this.getLeaseHost(await this.#resolveHostAddress(hostAddress));
         let selectedOfferIndex = options.leaseOfferIndex;
 
         let buyUriOffer = null;
-        const uriTokenOffers = await EvernodeHelpers.getLeaseOffers(hostAcc);
-
-        if (!selectedOfferIndex) {
-            // Attempt to get first available offer, if offer is not specified in options.
-            buyUriOffer = uriTokenOffers && uriTokenOffers[0];
+        if (this.offline) {
+            // Offers cannot be read in offline mode. So the offer ({ index, Amount }) should be given.
+            buyUriOffer = options.leaseOffer;
         }
         else {
-            // Attempt to get relevant available offer using selectedOfferIndex.
-            buyUriOffer = uriTokenOffers && uriTokenOffers.find(uriOffer => (uriOffer.index === selectedOfferIndex));
+            const uriTokenOffers = await EvernodeHelpers.getLeaseOffers(hostAcc);
+
+            if (!selectedOfferIndex) {
+                // Attempt to get first available offer, if offer is not specified in options.
+                buyUriOffer = uriTokenOffers && uriTokenOffers[0];
+            }
+            else {
+                // Attempt to get relevant available offer using selectedOfferIndex.
+                buyUriOffer = uriTokenOffers && uriTokenOffers.find(uriOffer => (uriOffer.index === selectedOfferIndex));
+            }
         }
 
         if (!buyUriOffer)
@@ -105,6 +164,8 @@ class TenantClient extends BaseEvernodeClient {
                 doEncrypt = false;
             } else
                 throw { reason: ErrorReasons.INTERNAL_ERR, error: "Host encryption key not valid." };
+        } else if (this.offline) {
+            throw { reason: ErrorReasons.INTERNAL_ERR, error: "Host encryption key (messageKey) should be given in offline mode." };
         } else {
             encKey = await hostAcc.getMessageKey();
         }
@@ -142,73 +203,224 @@ class TenantClient extends BaseEvernodeClient {
     async watchAcquireResponse(tx, options = {}) {
         console.log(`Waiting for acquire response... (txHash: ${tx.id})`);
 
-        return new Promise(async (resolve, reject) => {
-            let rejected = false;
-            const failTimeout = setTimeout(() => {
-                rejected = true;
-                reject({ error: ErrorCodes.ACQUIRE_ERR, reason: ErrorReasons.TIMEOUT });
-            }, options.timeout || DEFAULT_WAIT_TIMEOUT);
-
-            let relevantTx = null;
-            while (!rejected && !relevantTx) {
-                const txList = await this.xrplAcc.getAccountTrx(tx.details.ledger_index);
-                for (let t of txList) {
-                    t.tx.Memos = TransactionHelper.deserializeMemos(t.tx?.Memos);
-                    t.tx.HookParameters = TransactionHelper.deserializeHookParams(t.tx?.HookParameters);
-
-                    if (t.meta?.delivered_amount)
-                        t.tx.DeliveredAmount = t.meta.delivered_amount;
-
-                    const res = await this.extractEvernodeEvent(t.tx);
-                    if ((res?.name === EvernodeEvents.AcquireSuccess || res?.name === EvernodeEvents.AcquireError) && res?.data?.acquireRefId === tx.id) {
-                        clearTimeout(failTimeout);
-                        relevantTx = res;
-                        break;
-                    }
-                }
-                await new Promise(resolveSleep => setTimeout(resolveSleep, 2000));
-            }
-
-            if (!rejected) {
-                if (relevantTx?.name === TenantEvents.AcquireSuccess) {
-                    resolve({
-                        transaction: relevantTx?.data.transaction,
-                        instance: relevantTx?.data.payload.content,
-                        acquireRefId: relevantTx?.data.acquireRefId
-                    });
-                } else if (relevantTx?.name === TenantEvents.AcquireError) {
-                    reject({
-                        error: ErrorCodes.ACQUIRE_ERR,
-                        transaction: relevantTx?.data.transaction,
-                        reason: relevantTx?.data.reason,
-                        acquireRefId: relevantTx?.data.acquireRefId
-                    });
-                }
-            }
+        const res = await this.#responseTracker.track(tx.id, tx.details?.ledger_index, options.timeout || DEFAULT_WAIT_TIMEOUT).catch(error => {
+            throw { error: ErrorCodes.ACQUIRE_ERR, reason: error.reason };
         });
+
+        if (res.name === TenantEvents.AcquireSuccess) {
+            return {
+                transaction: res.data.transaction,
+                instance: res.data.payload.content,
+                acquireRefId: res.data.acquireRefId
+            };
+        }
+        else {
+            throw {
+                error: ErrorCodes.ACQUIRE_ERR,
+                transaction: res.data.transaction,
+                reason: res.data.reason,
+                acquireRefId: res.data.acquireRefId
+            };
+        }
     }
 
     /**
      * Acquire an instance from a host
-     * @param {string} hostAddress XRPL address of the host to acquire the lease.
+     * @param {string|HostSelector} hostAddress XRPL address of the host to acquire the lease or a host selector to pick the host.
      * @param {object} requirement The instance requirements and configuration.
      * @param {object} options [Optional] Options for the XRPL transaction.
      * @returns An object including transaction details,instance info, and acquireReference Id.
+     * The signed transaction in offline mode and the unsigned transaction if the account has a prepare-only signer.
      */
-    acquireLease(hostAddress, requirement, options = {}) {
-        return new Promise(async (resolve, reject) => {
-            const tx = await this.acquireLeaseSubmit(hostAddress, requirement, options).catch(error => {
-                reject({ error: ErrorCodes.ACQUIRE_ERR, reason: error.reason || ErrorReasons.TRANSACTION_FAILURE, content: error.error || error });
-            });
-            if (tx) {
+    async acquireLease(hostAddress, requirement, options = {}) {
+        // Exported and offline signed transactions are not submitted, so there's no response to wait for.
+        const submits = this.xrplAcc.canSubmit();
+        // Start listening before the submission, so the response cannot be missed.
+        if (submits)
+            await this.#responseTracker.start();
+        const tx = await this.acquireLeaseSubmit(hostAddress, requirement, options).catch(error => {
+            throw { error: ErrorCodes.ACQUIRE_ERR, reason: error.reason || ErrorReasons.TRANSACTION_FAILURE, content: error.error || error };
+        });
+        if (!submits)
+            return tx;
+        return await this.watchAcquireResponse(tx, options);
+    }
+
+    /**
+     * Acquire an instance by trying the candidate hosts in order until an acquire succeeds.
+     * @param {string[]|object[]|HostSelector} candidates Host addresses, hosts ({ address }) or a host selector whose ranked hosts are tried.
+     * @param {object} requirement The instance requirements and configuration.
+     * @param {object} options [Optional] { attemptTimeout: Milliseconds to wait for the response of each attempt (default 60000), maxAttempts: Max hosts to try,
+     * refundTimeout: Milliseconds to wait for the responses of the timed out attempts after the failover completes (default 0), ...options for 'acquireLeaseSubmit' }.
+     * @returns The report as { acquired, attempts }. 'acquired' is { host, transaction, instance, acquireRefId } or null if all the attempts failed.
+     * 'attempts' is [{ host, acquireRefId, outcome, reason, refund, refundAmount, refundTransaction }] in the order they were tried.
+     */
+    async acquireLeaseWithFailover(candidates, requirement, options = {}) {
+        const { attemptTimeout, maxAttempts, refundTimeout, ...acquireOptions } = options;
+        // Offer index is specific to a host.
+        delete acquireOptions.leaseOfferIndex;
+
+        let hosts = await this.#resolveCandidates(candidates);
+        if (maxAttempts)
+            hosts = hosts.slice(0, maxAttempts);
+        if (!hosts.length)
+            throw { error: ErrorCodes.ACQUIRE_ERR, reason: ErrorReasons.NO_HOST, content: 'No candidate hosts were provided.' };
+
+        await this.#responseTracker.start();
+
+        const report = { acquired: null, attempts: [] };
+        for (const host of hosts) {
+            const attempt = { host: host, acquireRefId: null, outcome: null, reason: null, refund: AcquireRefundStatuses.NOT_REQUIRED };
+            report.attempts.push(attempt);
+
+            let tx;
+            try {
+                tx = await this.acquireLeaseSubmit(host, requirement, acquireOptions);
+            }
+            catch (e) {
+                const reason = e?.reason || ErrorReasons.TRANSACTION_FAILURE;
+                attempt.outcome = [ErrorReasons.NO_OFFER, ErrorReasons.HOST_INVALID, ErrorReasons.HOST_INACTIVE].includes(reason) ? AcquireOutcomes.SKIPPED : AcquireOutcomes.FAILED;
+                attempt.reason = reason;
+                attempt.error = e?.error || e;
+                continue;
+            }
+
+            attempt.acquireRefId = tx.id;
+            attempt.ledgerIndex = tx.details?.ledger_index;
+            try {
+                const res = await this.watchAcquireResponse(tx, { timeout: attemptTimeout || DEFAULT_WAIT_TIMEOUT });
+                attempt.outcome = AcquireOutcomes.SUCCESS;
+                report.acquired = { host: host, ...res };
+                break;
+            }
+            catch (e) {
+                if (e.reason === ErrorReasons.TIMEOUT) {
+                    attempt.outcome = AcquireOutcomes.TIMEOUT;
+                    attempt.reason = ErrorReasons.TIMEOUT;
+                    attempt.refund = AcquireRefundStatuses.PENDING;
+                }
+                else {
+                    attempt.outcome = AcquireOutcomes.REJECTED;
+                    this.#setAcquireRefund(attempt, e.reason, e.transaction);
+                }
+            }
+        }
+
+        // Hosts may still respond to the timed out attempts.
+        const pending = report.attempts.filter(a => a.refund === AcquireRefundStatuses.PENDING);
+        if (refundTimeout && pending.length) {
+            await Promise.all(pending.map(async attempt => {
                 try {
-                    const response = await this.watchAcquireResponse(tx, options);
-                    resolve(response);
-                } catch (error) {
-                    reject(error);
+                    const res = await this.#responseTracker.track(attempt.acquireRefId, attempt.ledgerIndex, refundTimeout);
+                    if (res.name === TenantEvents.AcquireSuccess) {
+                        attempt.refund = AcquireRefundStatuses.ACQUIRED_LATE;
+                        attempt.lateResponse = { transaction: res.data.transaction, instance: res.data.payload.content, acquireRefId: res.data.acquireRefId };
+                    }
+                    else {
+                        this.#setAcquireRefund(attempt, res.data.reason, res.data.transaction);
+                    }
+                }
+                catch {
+                    // Still pending.
                 }
+            }));
+        }
+
+        return report;
+    }
+
+    /**
+     * Acquire instances for a cluster from different hosts. The acquire transactions are prepared upfront and submitted concurrently.
+     * @param {number} n Number of instances.
+     * @param {object|object[]} requirement The instance requirements and configuration. An array can be given to use a different requirement per instance.
+     * @param {HostSelector|string[]} selector Host selector or host addresses to pick the hosts from (in order).
+     * @param {object} options [Optional] { maxPerHost: Max instances from a host (default 1), timeout: Milliseconds to wait for the responses (default 60000), ...options for 'prepareAcquireLeaseTransaction' }.
+     * @returns The result as { complete, instances, failures, release }. 'instances' are [{ host, uriTokenId, acquireRefId, transaction, instance }].
+     * 'failures' are [{ host, uriTokenId, acquireRefId, stage, reason, error }]. If the cluster is not complete, 'release' lists the acquired leases which must be released.
+     */
+    async acquireCluster(n, requirement, selector, options = {}) {
+        if (!Number.isInteger(n) || n < 1)
+            throw { error: ErrorCodes.ACQUIRE_ERR, reason: ErrorReasons.INTERNAL_ERR, content: 'Invalid instance count.' };
+        if (Array.isArray(requirement) && requirement.length !== n)
+            throw { error: ErrorCodes.ACQUIRE_ERR, reason: ErrorReasons.INTERNAL_ERR, content: 'Requirement count does not match the instance count.' };
+
+        const { maxPerHost, timeout, ...acquireOptions } = options;
+        const slots = await this.#getClusterSlots(await this.#resolveCandidates(selector), n, maxPerHost || 1);
+        if (slots.length < n)
+            throw { error: ErrorCodes.ACQUIRE_ERR, reason: ErrorReasons.NO_HOST, content: `Only ${slots.length} of ${n} instances are available in the hosts.` };
+
+        const result = { complete: false, instances: [], failures: [], release: [] };
+
+        // Managed sequences are reserved by the account on submission, so the transactions can be submitted concurrently.
+        const prepared = [];
+        for (const [i, slot] of slots.entries()) {
+            try {
+                const tx = await this.prepareAcquireLeaseTransaction(slot.host, Array.isArray(requirement) ? requirement[i] : requirement, { ...acquireOptions, leaseOfferIndex: slot.offerIndex });
+                prepared.push({ ...slot, tx: tx });
             }
-        });
+            catch (e) {
+                result.failures.push({ host: slot.host, uriTokenId: slot.offerIndex, acquireRefId: null, stage: 'prepare', reason: e?.reason || ErrorReasons.INTERNAL_ERR, error: e?.error || e });
+            }
+        }
+
+        await this.#responseTracker.start();
+        await Promise.all(prepared.map(async p => {
+            let tx;
+            try {
+                tx = await this.xrplAcc.signAndSubmit(p.tx, { ...acquireOptions.transactionOptions, retryOptions: acquireOptions.retryOptions, managedSequence: true });
+            }
+            catch (e) {
+                result.failures.push({ host: p.host, uriTokenId: p.offerIndex, acquireRefId: null, stage: 'submit', reason: e?.reason || ErrorReasons.TRANSACTION_FAILURE, error: e?.error || e });
+                return;
+            }
+
+            try {
+                const res = await this.watchAcquireResponse(tx, { timeout: timeout || DEFAULT_WAIT_TIMEOUT });
+                result.instances.push({ host: p.host, uriTokenId: p.offerIndex, ...res });
+            }
+            catch (e) {
+                result.failures.push({ host: p.host, uriTokenId: p.offerIndex, acquireRefId: tx.id, stage: 'response', reason: e?.reason, error: e });
+            }
+        }));
+
+        result.complete = result.instances.length === n;
+        if (!result.complete)
+            result.release = result.instances.map(i => ({ host: i.host, uriTokenId: i.uriTokenId, acquireRefId: i.acquireRefId }));
+        return result;
+    }
+
+    // Picks distinct lease offers from the hosts in order. Each host is used for at most 'maxPerHost' instances.
+    async #getClusterSlots(hosts, n, maxPerHost) {
+        const slots = [];
+        for (const host of hosts) {
+            if (slots.length >= n)
+                break;
+            try {
+                const hostAcc = await this.getLeaseHost(host);
+                const offers = await EvernodeHelpers.getLeaseOffers(hostAcc);
+                for (const offer of offers.slice(0, Math.min(maxPerHost, n - slots.length)))
+                    slots.push({ host: host, offerIndex: offer.index });
+            }
+            catch (e) {
+                console.log(`Skipping host ${host} for the cluster.`, e?.error || e);
+            }
+        }
+        return slots;
+    }
+
+    #setAcquireRefund(attempt, reason, transaction) {
+        attempt.reason = reason;
+        attempt.refund = AcquireRefundStatuses.REFUNDED;
+        attempt.refundTransaction = transaction;
+        // Acquire error responses carry the refund.
+        const amount = transaction?.DeliveredAmount || transaction?.Amount;
+        attempt.refundAmount = amount?.value !== undefined ? parseFloat(amount.value) : null;
+    }
+
+    async #resolveCandidates(candidates) {
+        if (candidates instanceof HostSelector)
+            return (await candidates.getHosts()).map(h => h.address);
+        return [...new Set((candidates || []).map(c => (typeof c === 'string') ? c : c?.address).filter(a => a))];
     }
 
     /**
@@ -221,7 +433,7 @@ class TenantClient extends BaseEvernodeClient {
      */
     async extendLeaseSubmit(hostAddress, amount, tokenID, options = {}) {
         const preparedExtendTxn = await this.prepareExtendLeaseTransaction(hostAddress, amount, tokenID, options);
-        return await this.xrplAcc.signAndSubmit(preparedExtendTxn);
+        return await this.xrplAcc.signAndSubmit(preparedExtendTxn, { ...options.transactionOptions, retryOptions: options.retryOptions });
     }
 
     /**
@@ -257,90 +469,200 @@ class TenantClient extends BaseEvernodeClient {
     async watchExtendResponse(tx, options = {}) {
         console.log(`Waiting for extend lease response... (txHash: ${tx.id})`);
 
-        return new Promise(async (resolve, reject) => {
-            let rejected = false;
-            const failTimeout = setTimeout(() => {
-                rejected = true;
-                reject({ error: ErrorCodes.EXTEND_ERR, reason: ErrorReasons.TIMEOUT });
-            }, options.timeout || DEFAULT_WAIT_TIMEOUT);
-
-            let relevantTx = null;
-            while (!rejected && !relevantTx) {
-                const txList = await this.xrplAcc.getAccountTrx(tx.details.ledger_index);
-                for (let t of txList) {
-                    t.tx.Memos = TransactionHelper.deserializeMemos(t.tx.Memos);
-                    t.tx.HookParameters = TransactionHelper.deserializeHookParams(t.tx?.HookParameters);
-
-                    if (t.meta?.delivered_amount)
-                        t.tx.DeliveredAmount = t.meta.delivered_amount;
-
-                    const res = await this.extractEvernodeEvent(t.tx);
-                    if ((res?.name === TenantEvents.ExtendSuccess || res?.name === TenantEvents.ExtendError) && res?.data?.extendRefId === tx.id) {
-                        clearTimeout(failTimeout);
-                        relevantTx = res;
-                        break;
-                    }
-                }
-                await new Promise(resolveSleep => setTimeout(resolveSleep, 1000));
-            }
-
-            if (!rejected) {
-                if (relevantTx?.name === TenantEvents.ExtendSuccess) {
-                    resolve({
-                        transaction: relevantTx?.data.transaction,
-                        expiryMoment: relevantTx?.data.expiryMoment,
-                        extendRefId: relevantTx?.data.extendRefId
-                    });
-                } else if (relevantTx?.name === TenantEvents.ExtendError) {
-                    reject({
-                        error: ErrorCodes.EXTEND_ERR,
-                        transaction: relevantTx?.data.transaction,
-                        reason: relevantTx?.data.reason
-                    });
-                }
-            }
+        const res = await this.#responseTracker.track(tx.id, tx.details?.ledger_index, options.timeout || DEFAULT_WAIT_TIMEOUT).catch(error => {
+            throw { error: ErrorCodes.EXTEND_ERR, reason: error.reason };
         });
+
+        if (res.name === TenantEvents.ExtendSuccess) {
+            return {
+                transaction: res.data.transaction,
+                expiryMoment: res.data.expiryMoment,
+                extendRefId: res.data.extendRefId
+            };
+        }
+        else {
+            throw {
+                error: ErrorCodes.EXTEND_ERR,
+                transaction: res.data.transaction,
+                reason: res.data.reason
+            };
+        }
     }
 
     /**
      * This function is called by a tenant client to extend an available instance in certain host. This function can take four parameters as follows.
+     * In offline mode the lease token cannot be read, so the lease amount per moment ('leaseAmount') should be given in the options.
      * @param {string} hostAddress XRPL account address of the host.
      * @param {number} moments 1190 ledgers (est. 1 hour).
      * @param {string} instanceName Tenant received instance name. this name can be retrieve by performing acquire Lease.
      * @param {object} options This is an optional field and contains necessary details for the transactions.
      * @returns An object including transaction details.
+     * The signed transaction in offline mode and the unsigned transaction if the account has a prepare-only signer.
      */
-    extendLease(hostAddress, moments, instanceName, options = {}) {
-        return new Promise(async (resolve, reject) => {
-            const tokenID = instanceName;
+    async extendLease(hostAddress, moments, instanceName, options = {}) {
+        const tokenID = instanceName;
+        let leaseAmount = options.leaseAmount;
+        if (this.offline) {
+            if (!leaseAmount)
+                throw { error: ErrorCodes.EXTEND_ERR, reason: ErrorReasons.INTERNAL_ERR, content: 'Lease amount (leaseAmount) should be given in offline mode.' };
+        }
+        else {
             const uriToken = (await this.xrplAcc.getURITokens())?.find(n => n.index == tokenID);
 
-            if (!uriToken) {
-                reject({ error: ErrorCodes.EXTEND_ERR, reason: ErrorReasons.NO_TOKEN, content: 'Could not find the uri token for lease extend request.' });
-                return;
-            }
-
-            let minLedgerIndex = this.xrplApi.ledgerIndex;
+            if (!uriToken)
+                throw { error: ErrorCodes.EXTEND_ERR, reason: ErrorReasons.NO_TOKEN, content: 'Could not find the uri token for lease extend request.' };
 
             // Get the agreement lease amount from the nft and calculate EVR amount to be sent.
             const uriInfo = UtilHelpers.decodeLeaseTokenUri(uriToken.URI);
-            const tx = await this.extendLeaseSubmit(hostAddress, moments * uriInfo.leaseAmount, tokenID, options).catch(error => {
-                reject({ error: ErrorCodes.EXTEND_ERR, reason: error.reason || ErrorReasons.TRANSACTION_FAILURE, content: error.error || error });
+            if (!uriInfo)
+                throw { error: ErrorCodes.EXTEND_ERR, reason: ErrorReasons.NO_TOKEN, content: 'Could not decode the uri of the lease token.' };
+            leaseAmount = uriInfo.leaseAmount;
+        }
+
+        const submits = this.xrplAcc.canSubmit();
+        if (submits)
+            await this.#responseTracker.start();
+        const tx = await this.extendLeaseSubmit(hostAddress, moments * leaseAmount, tokenID, options).catch(error => {
+            throw { error: ErrorCodes.EXTEND_ERR, reason: error.reason || ErrorReasons.TRANSACTION_FAILURE, content: error.error || error };
+        });
+        if (!submits)
+            return tx;
+        return await this.watchExtendResponse(tx, options);
+    }
+
+    /**
+     * Get the leases owned by the tenant with their expiry details.
+     * The acquire and extend history is read from the account transactions to find the current expiry moment of each lease.
+     * The full history is read only by the first call. The later calls read the transactions since the last read ledger, unless 'minLedgerIndex' is given.
+     * @param {object} options [Optional] { expiryThreshold: Seconds before the expiry to flag a lease as expiring (default 1800), minLedgerIndex: Ledger index to read the history from (defaults to the full history) }.
+     * @returns Array of leases as [{ uriTokenId, host, leaseIndex, leaseAmount, outboundIP, secondaryOutboundIP, acquireRefId, acquireMoment, extensions, expiryMoment, expiryTimestamp, remainingTime, expired, expiring }].
+     * Expiry fields are null if the acquire or extend history of the lease is not found.
+     */
+    async getLeases(options = {}) {
+        const tokens = (await this.xrplAcc.getURITokens()).filter(t => t.Issuer !== this.xrplAcc.address && EvernodeHelpers.isValidURI(t.URI, EvernodeConstants.LEASE_TOKEN_PREFIX_HEX));
+        if (!tokens.length)
+            return [];
+
+        const calculator = this.getMomentCalculator();
+        const history = await this.#getLeaseHistory(calculator, options.minLedgerIndex ?? null);
+        const threshold = options.expiryThreshold ?? DEFAULT_EXPIRY_THRESHOLD;
+        const now = UtilHelpers.getCurrentUnixTime();
+
+        const leases = [];
+        for (const token of tokens) {
+            const uriInfo = UtilHelpers.decodeLeaseTokenUri(token.URI);
+            if (!uriInfo) {
+                console.log(`Skipping lease token ${token.index} with an invalid URI.`);
+                continue;
+            }
+
+            // Lease token ids are derived from the URI, so the same token can be acquired again after it's expired.
+            const acquire = history.acquires.get(token.index) || null;
+            const extensions = history.extensions
+                .filter(e => e.uriTokenId === token.index && (!acquire || e.ledgerIndex >= acquire.ledgerIndex))
+                .map(e => ({ extendRefId: e.extendRefId, expiryMoment: e.expiryMoment }));
+
+            let expiryMoment = acquire ? acquire.moment + ACQUIRE_LIFE_MOMENTS : null;
+            if (extensions.length)
+                expiryMoment = extensions[extensions.length - 1].expiryMoment;
+            const expiryTimestamp = expiryMoment !== null ? calculator.getMomentStartTime(expiryMoment) : null;
+            const remainingTime = expiryTimestamp !== null ? Math.max(0, expiryTimestamp - now) : null;
+
+            leases.push({
+                uriTokenId: token.index,
+                host: token.Issuer,
+                leaseIndex: uriInfo.leaseIndex,
+                leaseAmount: uriInfo.leaseAmount,
+                outboundIP: uriInfo.outboundIP,
+                secondaryOutboundIP: uriInfo.secondaryOutboundIP || null,
+                acquireRefId: acquire?.acquireRefId || null,
+                acquireMoment: acquire?.moment ?? null,
+                extensions: extensions,
+                expiryMoment: expiryMoment,
+                expiryTimestamp: expiryTimestamp,
+                remainingTime: remainingTime,
+                expired: remainingTime === 0,
+                expiring: remainingTime !== null && remainingTime > 0 && remainingTime <= threshold
             });
+        }
+        return leases;
+    }
 
-            if (tx) {
-                try {
-                    const response = await this.watchExtendResponse(tx, minLedgerIndex, options)
-                    resolve(response);
-                } catch (error) {
-                    reject(error);
+    // Collects the acquire and extend requests of the tenant and the matching success responses from the hosts.
+    // Without a minLedgerIndex, the cached history is continued from the last read ledger.
+    async #getLeaseHistory(calculator, minLedgerIndex) {
+        const cached = minLedgerIndex === null;
+        const history = (cached && this.#leaseHistory) || {
+            acquires: new Map(), // Latest acquire by the uri token id.
+            acquireRequests: new Map(),
+            extendRequests: new Map(),
+            extensions: [],
+            ledgerIndex: -1,
+            ledgerTxHashes: new Set() // Transactions read from the last read ledger.
+        };
+        const { acquires, acquireRequests, extendRequests, extensions } = history;
+
+        // The last read ledger is read again, since it might not have been read completely.
+        const txList = await this.xrplAcc.getAccountTrx(cached ? history.ledgerIndex : minLedgerIndex);
+        for (const t of txList) {
+            if (!t.validated || history.ledgerTxHashes.has(t.tx.hash))
+                continue;
+
+            if (t.tx.ledger_index > history.ledgerIndex) {
+                history.ledgerIndex = t.tx.ledger_index;
+                history.ledgerTxHashes = new Set();
+            }
+            history.ledgerTxHashes.add(t.tx.hash);
+
+            if (t.meta?.TransactionResult !== 'tesSUCCESS')
+                continue;
+
+            const tx = t.tx;
+            const params = TransactionHelper.deserializeHookParams(tx.HookParameters);
+            const eventType = params.find(p => p.name === HookParamKeys.PARAM_EVENT_TYPE_KEY)?.value;
+            const eventData = params.find(p => p.name === HookParamKeys.PARAM_EVENT_DATA1_KEY)?.value;
+            if (!eventType)
+                continue;
+
+            const index = (calculator.momentType === MomentTypes.LEDGER) ? tx.ledger_index : Math.floor(xrpl.rippleTimeToUnixTime(tx.date) / 1000);
+            if (tx.Account === this.xrplAcc.address) {
+                if (tx.TransactionType === 'URITokenBuy' && eventType === EventTypes.ACQUIRE_LEASE) {
+                    const acquire = { acquireRefId: tx.hash, uriTokenId: tx.URITokenID, ledgerIndex: tx.ledger_index, moment: calculator.getMoment(index) };
+                    acquires.set(tx.URITokenID, acquire);
+                    acquireRequests.set(tx.hash, acquire);
+                }
+                else if (eventType === EventTypes.EXTEND_LEASE && eventData) {
+                    extendRequests.set(tx.hash, eventData);
                 }
             }
-        });
+            else if (tx.Destination === this.xrplAcc.address && eventData) {
+                if (eventType === EventTypes.ACQUIRE_SUCCESS && acquireRequests.has(eventData)) {
+                    // The host creates the instance when it responds, so the response moment is the acquired moment.
+                    acquireRequests.get(eventData).moment = calculator.getMoment(index);
+                }
+                else if (eventType === EventTypes.EXTEND_SUCCESS && extendRequests.has(eventData)) {
+                    const memo = TransactionHelper.deserializeMemos(tx.Memos)[0];
+                    if (memo?.type === EventTypes.EXTEND_SUCCESS && memo.format === MemoFormats.HEX && memo.data) {
+                        extensions.push({
+                            extendRefId: eventData,
+                            uriTokenId: extendRequests.get(eventData),
+                            ledgerIndex: tx.ledger_index,
+                            expiryMoment: Buffer.from(memo.data, 'hex').readUInt32BE()
+                        });
+                    }
+                }
+            }
+        }
+
+        if (cached)
+            this.#leaseHistory = history;
+        return history;
     }
 }
 
 module.exports = {
     TenantEvents,
+    AcquireOutcomes,
+    AcquireRefundStatuses,
     TenantClient
 }
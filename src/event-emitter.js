@@ -1,3 +1,10 @@
+const { ErrorReasons } = require('./evernode-common');
+
+// Handlers of this event receive all the events as (event, value, error).
+const WILDCARD_EVENT = '*';
+// Handler failures are reported through this event.
+const ERROR_EVENT = 'error';
+
 class EventEmitter {
     constructor() {
         this.handlers = {};
@@ -24,22 +31,62 @@ class EventEmitter {
     off(event, handler = null) {
         if (this.handlers[event]) {
             if (handler)
-                this.handlers[event] = this.handlers[event].filter(h => h !== handler);
+                this.handlers[event] = this.handlers[event].filter(h => h.func !== handler);
             else
                 delete this.handlers[event];
         }
     }
 
+    /**
+     * Get the number of handlers of an event. Wildcard handlers are not counted.
+     * @param {string} event Event name.
+     * @returns Number of handlers.
+     */
+    listenerCount(event) {
+        return this.handlers[event]?.length || 0;
+    }
+
     emit(event, value, error = null) {
-        if (this.handlers[event]) {
-            this.handlers[event].forEach(handler => handler.func(value, error));
+        for (const key of (event === WILDCARD_EVENT ? [event] : [event, WILDCARD_EVENT])) {
+            if (!this.handlers[key])
+                continue;
 
+            const handlers = this.handlers[key];
             // Rmove all handlers marked as 'once'.
-            this.handlers[event] = this.handlers[event].filter(h => !h.once);
+            this.handlers[key] = handlers.filter(h => !h.once);
+
+            for (const handler of handlers) {
+                if (key === WILDCARD_EVENT)
+                    this.#invoke(event, handler, event, value, error);
+                else
+                    this.#invoke(event, handler, value, error);
+            }
         }
     }
+
+    /**
+     * Invokes a handler so a failing handler does not stop the others. Failures are reported through the 'error' event.
+     */
+    #invoke(event, handler, ...args) {
+        try {
+            const res = handler.func(...args);
+            if (res && typeof res.catch === 'function')
+                res.catch(e => this.#reportHandlerError(event, e));
+        }
+        catch (e) {
+            this.#reportHandlerError(event, e);
+        }
+    }
+
+    #reportHandlerError(event, e) {
+        // Avoid a loop if an error handler itself fails.
+        if (event !== ERROR_EVENT && this.listenerCount(ERROR_EVENT))
+            this.emit(ERROR_EVENT, { reason: ErrorReasons.HANDLER_FAILURE, event: event, error: e });
+        else
+            console.error(`Error occurred in '${event}' event handler.`, e);
+    }
 }
 
 module.exports = {
     EventEmitter
-}
\ No newline at end of file
+}
@@ -0,0 +1,127 @@
+const { ErrorCodes, ErrorReasons } = require('./evernode-common');
+
+const DEFAULT_BUFFER_SIZE = 100;
+
+const EventOverflowPolicies = {
+    DROP_OLDEST: 'drop-oldest',
+    ERROR: 'error'
+}
+
+/**
+ * Async iterable over emitted events. Events are buffered until the consumer reads them.
+ */
+class EventStream {
+    #buffer = [];
+    #waiting = null;
+    #done = false;
+    #error = null;
+    #detach;
+    #signal;
+    #abortHandler;
+    #bufferSize;
+    #overflow;
+
+    /**
+     * Creates an event stream.
+     * @param {function(function(object))} attach Function which attaches the given push callback to the event source and returns a function to detach it.
+     * @param {object} options [Optional] { signal: AbortSignal to end the stream, bufferSize: Maximum number of unread events (default 100), overflow: 'drop-oldest' (default) or 'error' }.
+     */
+    constructor(attach, options = {}) {
+        this.#bufferSize = options.bufferSize || DEFAULT_BUFFER_SIZE;
+        this.#overflow = options.overflow || EventOverflowPolicies.DROP_OLDEST;
+        if (!Object.values(EventOverflowPolicies).includes(this.#overflow))
+            throw `Invalid overflow policy: ${this.#overflow}.`;
+
+        this.#signal = options.signal;
+        if (this.#signal?.aborted) {
+            this.#done = true;
+            return;
+        }
+
+        this.#detach = attach((ev) => this.#push(ev));
+        if (this.#signal) {
+            this.#abortHandler = () => this.#close();
+            this.#signal.addEventListener('abort', this.#abortHandler);
+        }
+    }
+
+    #push(ev) {
+        if (this.#done)
+            return;
+
+        if (this.#waiting) {
+            const waiting = this.#waiting;
+            this.#waiting = null;
+            waiting.resolve({ value: ev, done: false });
+            return;
+        }
+
+        if (this.#buffer.length >= this.#bufferSize) {
+            if (this.#overflow === EventOverflowPolicies.ERROR) {
+                // The buffered events are still delivered before the error.
+                this.#error = { error: ErrorCodes.EVENT_OVERFLOW_ERR, reason: ErrorReasons.BUFFER_OVERFLOW, content: `Event buffer exceeded ${this.#bufferSize} events.` };
+                this.#close();
+                return;
+            }
+            this.#buffer.shift();
+        }
+        this.#buffer.push(ev);
+    }
+
+    #close() {
+        if (this.#done)
+            return;
+
+        this.#done = true;
+        if (this.#detach)
+            this.#detach();
+        if (this.#abortHandler)
+            this.#signal.removeEventListener('abort', this.#abortHandler);
+
+        if (this.#waiting) {
+            const waiting = this.#waiting;
+            this.#waiting = null;
+            if (this.#error)
+                waiting.reject(this.#error);
+            else
+                waiting.resolve({ value: undefined, done: true });
+        }
+    }
+
+    async next() {
+        if (this.#buffer.length)
+            return { value: this.#buffer.shift(), done: false };
+
+        if (this.#error) {
+            const error = this.#error;
+            this.#error = null;
+            throw error;
+        }
+
+        if (this.#done)
+            return { value: undefined, done: true };
+
+        return new Promise((resolve, reject) => {
+            this.#waiting = { resolve, reject };
+        });
+    }
+
+    /**
+     * Ends the stream and detaches from the event source. Called automatically when a 'for await' loop exits early.
+     */
+    async return() {
+        this.#buffer = [];
+        this.#error = null;
+        this.#close();
+        return { value: undefined, done: true };
+    }
+
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+}
+
+module.exports = {
+    EventStream,
+    EventOverflowPolicies
+}
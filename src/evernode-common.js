@@ -4,6 +4,7 @@ const EvernodeConstants = {
     LEASE_TOKEN_PREFIX_HEX: '6576726C65617365', // evrlease
     LEASE_TOKEN_VERSION_PREFIX_HEX: '4C5456', // LTV (Lease_Token_Version)
     LEASE_TOKEN_VERSION: 1,
+    LEASE_TOKEN_DUAL_STACK_VERSION: 2, // Lease tokens with both IPv4 and IPv6 outbound addresses.
     HOOK_NAMESPACE: '01EAF09326B4911554384121FF56FA8FECC215FDDE2EC35D9E59F2C53EC665A0',
     NOW_IN_EVRS: "0.00000001",
     HOOKS: [
@@ -76,6 +77,7 @@ const ErrorCodes = {
     ACQUIRE_ERR: 'ACQUIRE_ERR',
     EXTEND_ERR: 'EXTEND_ERR',
     PROPOSE_ERR: 'PROPOSE_ERR',
+    EVENT_OVERFLOW_ERR: 'EVENT_OVERFLOW_ERR',
 }
 
 const ErrorReasons = {
@@ -86,7 +88,11 @@ const ErrorReasons = {
     TIMEOUT: 'TIMEOUT',
     HOST_INVALID: 'HOST_INVALID',
     HOST_INACTIVE: 'HOST_INACTIVE',
-    NO_STATE_KEY: 'NO_STATE_KEY'
+    NO_HOST: 'NO_HOST',
+    NO_STATE_KEY: 'NO_STATE_KEY',
+    BUFFER_OVERFLOW: 'BUFFER_OVERFLOW',
+    HANDLER_FAILURE: 'HANDLER_FAILURE',
+    DISCONNECTED: 'DISCONNECTED'
 }
 
 // All keys are prefixed with 'EVR' (0x455652)
@@ -164,6 +170,16 @@ const EvernodeEvents = {
     HostReputationUpdated: "HostReputationUpdated"
 }
 
+// Client level events which are not originated from the hooks.
+const ClientEvents = {
+    All: '*',
+    Error: 'error',
+    Connected: 'connected',
+    Reconnecting: 'reconnecting',
+    FallbackActivated: 'fallbackActivated',
+    Subscribed: 'subscribed'
+}
+
 const URITokenTypes = {
     LEASE_URI_TOKEN: 1,
     REGISTRATION_URI_TOKEN: 2
@@ -181,6 +197,7 @@ module.exports = {
     ErrorReasons,
     HookStateKeys,
     EvernodeEvents,
+    ClientEvents,
     URITokenTypes,
     HookParamKeys,
     RegExp
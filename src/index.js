@@ -3,20 +3,35 @@ const { RegistryClient, RegistryEvents } = require("./clients/hook-clients/regis
 const { GovernorClient, GovernorEvents } = require("./clients/hook-clients/governor-client");
 const { HeartbeatClient, HeartbeatEvents } = require("./clients/hook-clients/heartbeat-client");
 const { HookClientFactory } = require("./clients/hook-clients/hook-client-factory");
-const { TenantClient, TenantEvents } = require("./clients/tenant-client");
+const { TenantClient, TenantEvents, AcquireOutcomes, AcquireRefundStatuses } = require("./clients/tenant-client");
+const { AutoExtender, AutoExtenderEvents, AutoExtendSkipReasons } = require("./clients/auto-extender");
+const { HostSelector, HostSources, defaultHostScore } = require("./clients/host-selector");
 const { HostClient, HostEvents } = require("./clients/host-client");
+const { LeaseInventory, LeaseBurnReasons } = require("./clients/lease-inventory");
+const { HeartbeatScheduler, HeartbeatSchedulerEvents } = require("./clients/heartbeat-scheduler");
 const { FoundationClient, FoundationEvents } = require("./clients/foundation-client");
 const { XrplApi } = require('./xrpl-api');
 const { XrplApiEvents, XrplConstants } = require('./xrpl-common');
 const { XrplAccount } = require('./xrpl-account');
-const { EvernodeConstants, HookStateKeys, HookParamKeys, EventTypes } = require('./evernode-common');
+const { SequenceManager } = require('./sequence-manager');
+const { TicketPool } = require('./ticket-pool');
+const { RetryPolicy } = require('./retry-policy');
+const { OfflineContext } = require('./offline-context');
+const { MultisigSession } = require('./multisig-session');
+const { SignerList } = require('./signer-list');
+const { EvernodeConstants, HookStateKeys, HookParamKeys, EventTypes, ClientEvents } = require('./evernode-common');
 const { XflHelpers } = require('./xfl-helpers');
 const { FirestoreHandler } = require('./firestore/firestore-handler');
 const { StateHelpers } = require('./state-helpers');
 const { UtilHelpers } = require('./util-helpers');
+const { LeaseTokenCodec } = require('./lease-token-codec');
+const { MomentCalculator, MomentTypes } = require('./moment-calculator');
 const { TransactionHelper } = require('./transaction-helper');
 const { EncryptionHelper } = require('./encryption-helper');
 const { EvernodeHelpers } = require('./evernode-helpers');
+const { EventOverflowPolicies } = require('./event-stream');
+const { CheckpointStore, MemoryCheckpointStore, FileCheckpointStore } = require('./checkpoint/checkpoint-store');
+const { Signer, SeedSigner, RpcSigner, PrepareOnlySigner, SignerErrorCodes } = require('./signer/signer');
 
 
 module.exports = {
@@ -28,26 +43,57 @@ module.exports = {
     HeartbeatEvents,
     TenantClient,
     TenantEvents,
+    AcquireOutcomes,
+    AcquireRefundStatuses,
+    AutoExtender,
+    AutoExtenderEvents,
+    AutoExtendSkipReasons,
+    HostSelector,
+    HostSources,
+    defaultHostScore,
     HostClient,
     HostEvents,
+    LeaseInventory,
+    LeaseBurnReasons,
+    HeartbeatScheduler,
+    HeartbeatSchedulerEvents,
     FoundationClient,
     FoundationEvents,
     XrplApi,
     XrplApiEvents,
     XrplConstants,
     XrplAccount,
+    SequenceManager,
+    TicketPool,
+    RetryPolicy,
+    OfflineContext,
+    MultisigSession,
+    SignerList,
     EvernodeConstants,
     Defaults,
     XflHelpers,
     StateHelpers,
     FirestoreHandler,
     UtilHelpers,
+    LeaseTokenCodec,
+    MomentCalculator,
+    MomentTypes,
     TransactionHelper,
     EncryptionHelper,
     HookStateKeys,
     HookParamKeys,
     EventTypes,
+    ClientEvents,
     HookTypes,
     HookClientFactory,
-    EvernodeHelpers
+    EvernodeHelpers,
+    EventOverflowPolicies,
+    CheckpointStore,
+    MemoryCheckpointStore,
+    FileCheckpointStore,
+    Signer,
+    SeedSigner,
+    RpcSigner,
+    PrepareOnlySigner,
+    SignerErrorCodes
 }
\ No newline at end of file
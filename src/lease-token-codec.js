@@ -0,0 +1,323 @@
+const { Buffer } = require('buffer');
+const { XflHelpers } = require('./xfl-helpers');
+const { EvernodeConstants } = require('./evernode-common');
+const { TransactionHelper } = require('./transaction-helper');
+
+const IPV4_FAMILY = 4;
+const IPV6_FAMILY = 6;
+
+const VERSION_PREFIX = 'LTV';
+const VERSION_NUMBER_LEN = 2;
+
+function parseIPv4(address) {
+    const parts = (typeof address === 'string') ? address.split('.') : [];
+    if (parts.length !== 4 || parts.some(p => !/^(0|[1-9]\d{0,2})$/.test(p) || Number(p) > 255))
+        return null;
+    return Buffer.from(parts.map(p => Number(p)));
+}
+
+// Supports the '::' compression and the embedded IPv4 notation (eg: ::ffff:192.0.2.1).
+function parseIPv6(address) {
+    if (typeof address !== 'string')
+        return null;
+
+    let str = address;
+    if (str.includes('.')) {
+        const lastColon = str.lastIndexOf(':');
+        const ipv4Buf = parseIPv4(str.substring(lastColon + 1));
+        if (!ipv4Buf)
+            return null;
+        str = `${str.substring(0, lastColon + 1)}${ipv4Buf.readUInt16BE(0).toString(16)}:${ipv4Buf.readUInt16BE(2).toString(16)}`;
+    }
+
+    const halves = str.split('::');
+    if (halves.length > 2)
+        return null;
+    const head = halves[0] ? halves[0].split(':') : [];
+    const tail = (halves.length === 2 && halves[1]) ? halves[1].split(':') : [];
+    if ((halves.length === 1 && head.length !== 8) || (halves.length === 2 && head.length + tail.length > 7))
+        return null;
+
+    const groups = [...head, ...Array(8 - head.length - tail.length).fill('0'), ...tail];
+    if (groups.some(g => !/^[0-9A-Fa-f]{1,4}$/.test(g)))
+        return null;
+
+    const buf = Buffer.alloc(16);
+    groups.forEach((g, i) => buf.writeUInt16BE(parseInt(g, 16), i * 2));
+    return buf;
+}
+
+// Formats the address in the RFC 5952 canonical form (lowercase and the longest zero run compressed).
+function formatIPv6(buf) {
+    // IPv4-mapped addresses are written in the mixed notation.
+    if (buf.slice(0, 10).every(b => b === 0) && buf.readUInt16BE(10) === 0xFFFF)
+        return `::ffff:${[...buf.slice(12, 16)].join('.')}`;
+
+    const groups = [];
+    for (let i = 0; i < 16; i += 2)
+        groups.push(buf.readUInt16BE(i).toString(16));
+
+    let runStart = -1, runLen = 0;
+    for (let i = 0; i < groups.length;) {
+        if (groups[i] !== '0') {
+            i++;
+            continue;
+        }
+        let j = i;
+        while (j < groups.length && groups[j] === '0')
+            j++;
+        if (j - i > runLen) {
+            runStart = i;
+            runLen = j - i;
+        }
+        i = j;
+    }
+
+    if (runLen < 2)
+        return groups.join(':');
+    return `${groups.slice(0, runStart).join(':')}::${groups.slice(runStart + runLen).join(':')}`;
+}
+
+// <family (uint8)><address (16 bytes)>. IPv4 addresses occupy the first 4 bytes of the address section.
+const IP_DATA_FIELD = {
+    length: 17,
+    optional: true,
+    encode: (buf, offset, value) => {
+        if (!value)
+            return; // Zero family denotes there's no outbound IP.
+
+        const addrBuf = (value.family === IPV4_FAMILY) ? parseIPv4(value.address) :
+            (value.family === IPV6_FAMILY) ? parseIPv6(value.address) : null;
+        if (!addrBuf)
+            throw `Invalid outbound IP: ${value.address} (family ${value.family}).`;
+
+        buf.writeUInt8(value.family, offset);
+        addrBuf.copy(buf, offset + 1);
+    },
+    decode: (buf, offset) => {
+        const family = buf.readUInt8(offset);
+        if (family === IPV4_FAMILY)
+            return { family: IPV4_FAMILY, address: [...buf.slice(offset + 1, offset + 5)].join('.') };
+        else if (family === IPV6_FAMILY)
+            return { family: IPV6_FAMILY, address: formatIPv6(buf.slice(offset + 1, offset + 17)) };
+        return null;
+    }
+}
+
+// Field definitions of the lease URI token. Each field knows its byte length and how to write and read itself.
+// Optional fields may be omitted at the end of the URI (only in the unversioned format).
+const LeaseTokenFields = {
+    leaseIndex: {
+        length: 2,
+        encode: (buf, offset, value) => {
+            if (!Number.isInteger(value) || value < 0 || value > 0xFFFF)
+                throw `Invalid lease index: ${value}.`;
+            buf.writeUInt16BE(value, offset);
+        },
+        decode: (buf, offset) => buf.readUInt16BE(offset)
+    },
+    halfTos: {
+        length: 16,
+        encode: (buf, offset, value) => {
+            // Accepts the full ToS hash or the half of it.
+            const hashBuf = Buffer.isBuffer(value) ? value : (/^([0-9A-Fa-f]{32}|[0-9A-Fa-f]{64})$/.test(value || '') ? Buffer.from(value, 'hex') : null);
+            if (!hashBuf || hashBuf.length < 16)
+                throw 'Invalid ToS hash.';
+            hashBuf.copy(buf, offset, 0, 16);
+        },
+        decode: (buf, offset) => buf.slice(offset, offset + 16)
+    },
+    leaseAmount: {
+        length: 8,
+        encode: (buf, offset, value) => {
+            if (!(Number(value) > 0))
+                throw `Invalid lease amount: ${value}.`;
+            buf.writeBigInt64BE(XflHelpers.getXfl(value.toString()), offset);
+        },
+        decode: (buf, offset) => parseFloat(XflHelpers.toString(buf.readBigInt64BE(offset)))
+    },
+    identifier: {
+        length: 4,
+        optional: true,
+        encode: (buf, offset, value) => {
+            if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFFFF)
+                throw `Invalid identifier: ${value}.`;
+            buf.writeUInt32BE(value, offset);
+        },
+        decode: (buf, offset) => buf.readUInt32BE(offset)
+    },
+    outboundIP: IP_DATA_FIELD,
+    // The IPv4 address of a dual-stack host. The IPv6 address is kept in 'outboundIP' for the older consumers.
+    secondaryOutboundIP: IP_DATA_FIELD
+}
+
+// Field layouts of the unversioned URIs and the registered versions.
+const UNVERSIONED_FIELDS = ['leaseIndex', 'halfTos', 'leaseAmount', 'identifier', 'outboundIP'];
+const LeaseTokenVersions = {
+    1: ['leaseIndex', 'halfTos', 'leaseAmount', 'identifier', 'outboundIP'],
+    2: ['leaseIndex', 'halfTos', 'leaseAmount', 'identifier', 'outboundIP', 'secondaryOutboundIP']
+};
+
+/**
+ * Encodes and decodes the lease URI tokens.
+ * <prefix><version tag ("LTV"+uint16)><fields of the version>
+ * Unversioned URIs: <prefix><lease index (uint16)><half of tos hash><lease amount (int64)>[<identifier (uint32)>][<ip data>]
+ */
+class LeaseTokenCodec {
+
+    /**
+     * Registers a new lease token version. Custom fields can be added through 'fieldDefinitions'.
+     * @param {number} version Version number (Encoded as 'LTV<version>').
+     * @param {string[]} fields Ordered field names of the version.
+     * @param {object} fieldDefinitions [Optional] Definitions of the new fields as { name: { length, encode(buf, offset, value), decode(buf, offset) } }.
+     */
+    static registerVersion(version, fields, fieldDefinitions = {}) {
+        if (!Number.isInteger(version) || version < 1 || version > 0xFFFF)
+            throw `Invalid lease token version: ${version}.`;
+        if (LeaseTokenVersions[version])
+            throw `Lease token version ${version} is already registered.`;
+
+        for (const [name, def] of Object.entries(fieldDefinitions)) {
+            if (LeaseTokenFields[name])
+                throw `Lease token field '${name}' is already defined.`;
+            if (!(def.length > 0) || typeof def.encode !== 'function' || typeof def.decode !== 'function')
+                throw `Invalid definition for lease token field '${name}'.`;
+            // Optional fields are only allowed in the unversioned format.
+            LeaseTokenFields[name] = { ...def, optional: false };
+        }
+
+        const unknown = fields.find(f => !LeaseTokenFields[f]);
+        if (unknown)
+            throw `Unknown lease token field '${unknown}'.`;
+
+        LeaseTokenVersions[version] = [...fields];
+    }
+
+    /**
+     * Returns the registered lease token version numbers.
+     * @returns Array of version numbers.
+     */
+    static getVersions() {
+        return Object.keys(LeaseTokenVersions).map(v => Number(v));
+    }
+
+    /**
+     * Parses the outbound IP address(es) given by the host.
+     * @param {string|string[]} outboundIPAddress IPv4 or IPv6 (compressed notation is allowed) address. A dual-stack host can give both addresses as an array.
+     * @returns Lease token IP fields { outboundIP, secondaryOutboundIP } with normalized addresses. For dual-stack, 'outboundIP' is the IPv6 address and 'secondaryOutboundIP' is the IPv4 address.
+     */
+    static parseOutboundIPAddress(outboundIPAddress) {
+        const res = { outboundIP: null, secondaryOutboundIP: null };
+        if (!outboundIPAddress || (Array.isArray(outboundIPAddress) && !outboundIPAddress.length))
+            return res;
+
+        const ips = (Array.isArray(outboundIPAddress) ? outboundIPAddress : [outboundIPAddress]).map(address => {
+            const ipv4Buf = parseIPv4(address);
+            if (ipv4Buf)
+                return { family: IPV4_FAMILY, address: [...ipv4Buf].join('.') };
+            const ipv6Buf = parseIPv6(address);
+            if (ipv6Buf)
+                return { family: IPV6_FAMILY, address: formatIPv6(ipv6Buf) };
+            throw "Invalid outbound IP address was provided";
+        });
+
+        if (ips.length === 1)
+            res.outboundIP = ips[0];
+        else if (ips.length === 2 && ips[0].family !== ips[1].family) {
+            res.outboundIP = ips.find(ip => ip.family === IPV6_FAMILY);
+            res.secondaryOutboundIP = ips.find(ip => ip.family === IPV4_FAMILY);
+        }
+        else
+            throw "Dual-stack outbound IP must contain one IPv4 and one IPv6 address.";
+
+        return res;
+    }
+
+    /**
+     * Encodes the lease information into a lease token URI.
+     * @param {object} lease Lease fields { leaseIndex, halfTos (or tosHash), leaseAmount, identifier, outboundIP: { family, address }, secondaryOutboundIP (LTV2) }.
+     * @param {number} version [Optional] Version to encode with. Defaults to the current lease token version.
+     * @returns Base64 encoded URI.
+     */
+    static encode(lease, version = EvernodeConstants.LEASE_TOKEN_VERSION) {
+        const fields = LeaseTokenVersions[version];
+        if (!fields)
+            throw `Unsupported lease token version: ${version}.`;
+
+        const prefixBuf = Buffer.from(EvernodeConstants.LEASE_TOKEN_PREFIX_HEX, 'hex');
+        const versionPrefixBuf = Buffer.from(EvernodeConstants.LEASE_TOKEN_VERSION_PREFIX_HEX, 'hex');
+        const headerLen = prefixBuf.length + versionPrefixBuf.length + VERSION_NUMBER_LEN;
+
+        const uriBuf = Buffer.alloc(headerLen + fields.reduce((len, f) => len + LeaseTokenFields[f].length, 0));
+        prefixBuf.copy(uriBuf);
+        versionPrefixBuf.copy(uriBuf, prefixBuf.length);
+        uriBuf.writeUInt16BE(version, prefixBuf.length + versionPrefixBuf.length);
+
+        const values = { ...lease, halfTos: lease.halfTos || lease.tosHash };
+        let offset = headerLen;
+        for (const name of fields) {
+            const field = LeaseTokenFields[name];
+            if (values[name] === undefined || values[name] === null) {
+                if (!field.optional)
+                    throw `Lease token field '${name}' is required.`;
+            }
+            else {
+                field.encode(uriBuf, offset, values[name]);
+            }
+            offset += field.length;
+        }
+
+        return uriBuf.toString('base64');
+    }
+
+    /**
+     * Decodes a lease token URI.
+     * @param {string} hexUri Hex URI of the lease token.
+     * @returns Lease information { version, leaseIndex, halfTos, leaseAmount, identifier, outboundIP, secondaryOutboundIP (LTV2) }. 'version' is null for unversioned URIs.
+     * IP addresses are returned in normalized form (Dotted decimal for IPv4 and RFC 5952 for IPv6).
+     */
+    static decode(hexUri) {
+        const uriBuf = Buffer.from(TransactionHelper.hexToASCII(hexUri), 'base64');
+
+        const prefixBuf = Buffer.from(EvernodeConstants.LEASE_TOKEN_PREFIX_HEX, 'hex');
+        if (uriBuf.length < prefixBuf.length || !uriBuf.slice(0, prefixBuf.length).equals(prefixBuf))
+            throw 'Invalid lease token URI prefix.';
+
+        const versionPrefixBuf = Buffer.from(EvernodeConstants.LEASE_TOKEN_VERSION_PREFIX_HEX, 'hex');
+        const versionPrefixEnd = prefixBuf.length + versionPrefixBuf.length;
+        const isVersionedURI = uriBuf.length >= versionPrefixEnd + VERSION_NUMBER_LEN && uriBuf.slice(prefixBuf.length, versionPrefixEnd).equals(versionPrefixBuf);
+
+        let version = null;
+        let fields = UNVERSIONED_FIELDS;
+        let offset = prefixBuf.length;
+        if (isVersionedURI) {
+            const versionNumber = uriBuf.readUInt16BE(versionPrefixEnd);
+            fields = LeaseTokenVersions[versionNumber];
+            if (!fields)
+                throw `Unsupported lease token version: ${VERSION_PREFIX}${versionNumber}.`;
+            version = `${VERSION_PREFIX}${versionNumber}`;
+            offset = versionPrefixEnd + VERSION_NUMBER_LEN;
+        }
+
+        const lease = { version: version };
+        for (const name of fields) {
+            const field = LeaseTokenFields[name];
+            if (uriBuf.length < offset + field.length) {
+                // Only the trailing optional fields of the unversioned URIs can be absent.
+                if (isVersionedURI || !field.optional)
+                    throw `Invalid lease token URI length. Field '${name}' is incomplete.`;
+                lease[name] = null;
+            }
+            else {
+                lease[name] = field.decode(uriBuf, offset);
+            }
+            offset += field.length;
+        }
+
+        return lease;
+    }
+}
+
+module.exports = {
+    LeaseTokenCodec
+}
@@ -0,0 +1,8 @@
+const { MockXrplServer } = require('./mock-xrpl-server');
+const { MockEvernodeHooks } = require('./mock-evernode-hooks');
+
+// Test support. Not exported from the library entry point, so the mocks (and 'ws') are not bundled with the library.
+module.exports = {
+    MockXrplServer,
+    MockEvernodeHooks
+}
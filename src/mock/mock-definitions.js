@@ -0,0 +1,65 @@
+const baseDefinitions = require('xrpl-binary-codec/dist/enums/definitions.json');
+
+// Xahau specific additions on top of the XRPL binary codec definitions.
+// Field codes follow the Xahau server definitions where the mock ledger needs them.
+const XAHAU_FIELDS = [
+    ['NetworkID', 'UInt32', 1, false],
+    ['URITokenID', 'Hash256', 36, false],
+    ['HookOn', 'Hash256', 20, false],
+    ['Blob', 'Blob', 26, true],
+    ['AmountEntry', 'STObject', 91, false],
+    ['MintURIToken', 'STObject', 92, false],
+    ['Amounts', 'STArray', 92, false],
+    ['URITokenIDs', 'Vector256', 99, true],
+    ['Inform', 'AccountID', 99, true]
+];
+
+const XAHAU_TRANSACTION_TYPES = {
+    URITokenMint: 45,
+    URITokenBurn: 46,
+    URITokenBuy: 47,
+    URITokenCreateSellOffer: 48,
+    URITokenCancelSellOffer: 49,
+    Remit: 95,
+    ClaimReward: 98,
+    Invoke: 99
+};
+
+const XAHAU_LEDGER_ENTRY_TYPES = {
+    URIToken: 85
+};
+
+class MockDefinitions {
+    /**
+     * Builds the server definitions served by the mock server.
+     * @param {object} overrides [Optional] Definitions object to serve as is.
+     * @returns The definitions object in 'server_definitions' result format.
+     */
+    static build(overrides = null) {
+        if (overrides)
+            return overrides;
+
+        const definitions = JSON.parse(JSON.stringify(baseDefinitions));
+
+        // Fields which are defined differently in Xahau (eg: HookOn) are replaced.
+        for (const [name, type, nth, isVLEncoded] of XAHAU_FIELDS) {
+            definitions.FIELDS = definitions.FIELDS.filter(f => f[0] !== name);
+            definitions.FIELDS.push([name, {
+                nth: nth,
+                isVLEncoded: isVLEncoded,
+                isSerialized: true,
+                isSigningField: true,
+                type: type
+            }]);
+        }
+
+        Object.assign(definitions.TRANSACTION_TYPES, XAHAU_TRANSACTION_TYPES);
+        Object.assign(definitions.LEDGER_ENTRY_TYPES, XAHAU_LEDGER_ENTRY_TYPES);
+
+        return definitions;
+    }
+}
+
+module.exports = {
+    MockDefinitions
+}
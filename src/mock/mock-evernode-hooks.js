@@ -0,0 +1,765 @@
+const codec = require('ripple-address-codec');
+const { Buffer } = require('buffer');
+const { EvernodeConstants, EventTypes, HookStateKeys, HookParamKeys } = require('../evernode-common');
+const { XrplConstants } = require('../xrpl-common');
+const { StateHelpers } = require('../state-helpers');
+const { HookHelpers } = require('../hook-helpers');
+const { XflHelpers } = require('../xfl-helpers');
+const { EvernodeHelpers } = require('../evernode-helpers');
+const { TransactionHelper } = require('../transaction-helper');
+const { MockLedger } = require('./mock-ledger');
+
+// Host address state layout.
+const HOST_TOKEN_ID_OFFSET = 0;
+const HOST_COUNTRY_CODE_OFFSET = 32;
+const HOST_DESCRIPTION_OFFSET = 42;
+const HOST_REG_LEDGER_OFFSET = 68;
+const HOST_REG_FEE_OFFSET = 76;
+const HOST_TOT_INS_COUNT_OFFSET = 84;
+const HOST_ACT_INS_COUNT_OFFSET = 88;
+const HOST_HEARTBEAT_TIMESTAMP_OFFSET = 92;
+const HOST_VERSION_OFFSET = 100;
+const HOST_REG_TIMESTAMP_OFFSET = 103;
+const HOST_TRANSFER_FLAG_OFFSET = 111;
+const HOST_LAST_VOTE_CANDIDATE_IDX_OFFSET = 112;
+const HOST_LAST_VOTE_TIMESTAMP_OFFSET = 116;
+const HOST_SUPPORT_VOTE_FLAG_OFFSET = 124;
+const HOST_REPUTATION_OFFSET = 125;
+const HOST_TRANSFER_TIMESTAMP_OFFSET = 127;
+const HOST_ADDR_STATE_SIZE = 135;
+
+// Token id state layout.
+const HOST_ADDRESS_OFFSET = 0;
+const HOST_CPU_MODEL_NAME_OFFSET = 20;
+const HOST_CPU_COUNT_OFFSET = 60;
+const HOST_CPU_SPEED_OFFSET = 62;
+const HOST_CPU_MICROSEC_OFFSET = 64;
+const HOST_RAM_MB_OFFSET = 68;
+const HOST_DISK_MB_OFFSET = 72;
+const HOST_EMAIL_ADDRESS_OFFSET = 76;
+const HOST_ACCUMULATED_REWARD_OFFSET = 116;
+const TOKEN_ID_STATE_SIZE = 124;
+
+// Transferee address state layout.
+const TRANSFER_LEDGER_IDX_OFFSET = 20;
+const TRANSFERRED_TOKEN_ID_OFFSET = 28;
+const TRANSFEREE_ADDR_STATE_SIZE = 60;
+
+// Candidate id state layout.
+const CANDIDATE_IDX_OFFSET = 20;
+const CANDIDATE_SHORT_NAME_OFFSET = 24;
+const CANDIDATE_CREATED_TIMESTAMP_OFFSET = 44;
+const CANDIDATE_PROPOSAL_FEE_OFFSET = 52;
+const CANDIDATE_POSITIVE_VOTE_COUNT_OFFSET = 60;
+const CANDIDATE_LAST_VOTE_TIMESTAMP_OFFSET = 64;
+const CANDIDATE_STATUS_OFFSET = 72;
+const CANDIDATE_STATUS_CHANGE_TIMESTAMP_OFFSET = 73;
+const CANDIDATE_FOUNDATION_VOTE_STATUS_OFFSET = 81;
+const CANDIDATE_ID_STATE_SIZE = 82;
+
+// Governance info state layout.
+const LAST_CANDIDATE_IDX_OFFSET = 1;
+const VOTER_BASE_COUNT_OFFSET = 5;
+const FOUNDATION_LAST_VOTED_CANDIDATE_IDX = 17;
+const FOUNDATION_LAST_VOTED_TIMESTAMP_OFFSET = 21;
+const ELECTED_PROPOSAL_UNIQUE_ID_OFFSET = 29;
+const PROPOSAL_ELECTED_TIMESTAMP_OFFSET = 61;
+const GOVERNANCE_INFO_STATE_SIZE = 70;
+
+// Hook parameter layouts. These follow the buffers prepared by the clients.
+const HOST_REG_PARAM = { countryCode: 0, cpuMicroSec: 2, ramMb: 6, diskMb: 10, totalInstanceCount: 14, cpuModel: 18, cpuCount: 58, cpuSpeed: 60, description: 62, email: 88 };
+const HOST_UPDATE_PARAM = { tokenId: 0, countryCode: 32, cpuMicroSec: 34, ramMb: 38, diskMb: 42, totalInstanceCount: 46, activeInstances: 50, description: 54, version: 80, email: 83 };
+const CANDIDATE_PROPOSE_PARAM = { hashes: 0, uniqueId: 198, shortName: 230 };
+
+const VOTE_VALIDATION_ERR = 'VOTE_VALIDATION_ERR';
+const REGISTRATION_REFUND_RATIO = 0.5;
+const DEFAULT_HOST_REPUTATION = 0;
+
+const DefaultConfig = {
+    momentSize: 3600,
+    hostHeartbeatFreq: 1,
+    leaseAcquireWindow: 160,
+    maxTolerableDowntime: 240,
+    hostRegFee: 5120,
+    fixedRegFee: 5120,
+    maxReg: 14128,
+    mintLimit: 72253440,
+    maxTrxEmissionFee: 60,
+    governanceMode: EvernodeConstants.GovernanceModes.CoPiloted,
+    rewardConfiguration: {
+        epochCount: 10,
+        firstEpochRewardQuota: 5120,
+        epochRewardAmount: 5160960,
+        rewardStartMoment: 0,
+        accumulatedRewardFrequency: 24,
+        hostReputationThreshold: 80
+    },
+    governanceConfiguration: {
+        eligibilityPeriod: 0,
+        candidateLifePeriod: 1209600,
+        candidateElectionPeriod: 0,
+        candidateSupportAverage: 80
+    },
+    networkConfiguration: {
+        busynessDetectPeriod: 0,
+        busynessDetectAverage: 0
+    }
+}
+
+function addressBuf(address) {
+    return Buffer.from(codec.decodeAccountID(address));
+}
+
+function uint16Buf(value) {
+    const buf = Buffer.alloc(2);
+    buf.writeUInt16LE(value);
+    return buf;
+}
+
+function uint32Buf(value) {
+    const buf = Buffer.alloc(4);
+    buf.writeUInt32LE(value);
+    return buf;
+}
+
+function uint64Buf(value) {
+    const buf = Buffer.alloc(8);
+    buf.writeBigUInt64LE(BigInt(value));
+    return buf;
+}
+
+function textBuf(buf, offset, length) {
+    return buf.slice(offset, offset + length).toString().replace(/\0/g, '');
+}
+
+// Reads the evernode event type and data the same way BaseEvernodeClient.extractEvernodeEvent does.
+function extractHookEvent(tx) {
+    const params = TransactionHelper.deserializeHookParams(tx.HookParameters);
+    if (!params.length)
+        return { eventType: null, eventData: '' };
+
+    const eventType = params.find(p => p.name === HookParamKeys.PARAM_EVENT_TYPE_KEY)?.value;
+    let eventData = params.find(p => p.name === HookParamKeys.PARAM_EVENT_DATA1_KEY)?.value ?? '';
+    eventData += params.find(p => p.name === HookParamKeys.PARAM_EVENT_DATA2_KEY)?.value ?? '';
+    return { eventType, eventData };
+}
+
+/**
+ * Emulates the Evernode Governor, Registry and Heartbeat hooks on a MockXrplServer.
+ * Hook state is kept in the governor account under the Evernode namespace, in the same layout the clients decode.
+ * The logic covers what the clients depend on and is not a port of the hook C code.
+ */
+class MockEvernodeHooks {
+    #server;
+    #hooks = [];
+
+    /**
+     * Creates the hook emulator.
+     * @param {MockXrplServer} server Mock server to install the hooks on.
+     * @param {object} addresses Hook and issuer addresses { governorAddress, registryAddress, heartbeatAddress, evrIssuerAddress, foundationAddress }.
+     * @param {object} config [Optional] Configuration overrides. Defaults to DefaultConfig values.
+     */
+    constructor(server, addresses, config = {}) {
+        for (const key of ['governorAddress', 'registryAddress', 'heartbeatAddress', 'evrIssuerAddress', 'foundationAddress']) {
+            if (!addresses[key])
+                throw `${key} is required.`;
+        }
+
+        this.#server = server;
+        Object.assign(this, addresses);
+        this.config = {
+            ...DefaultConfig,
+            ...config,
+            rewardConfiguration: { ...DefaultConfig.rewardConfiguration, ...(config.rewardConfiguration || {}) },
+            governanceConfiguration: { ...DefaultConfig.governanceConfiguration, ...(config.governanceConfiguration || {}) },
+            networkConfiguration: { ...DefaultConfig.networkConfiguration, ...(config.networkConfiguration || {}) }
+        };
+    }
+
+    /**
+     * Creates the hook accounts and EVR trust lines, writes the initial configuration states and attaches the hooks.
+     */
+    install() {
+        const ledger = this.#server.ledger;
+        for (const address of [this.evrIssuerAddress, this.governorAddress, this.registryAddress, this.heartbeatAddress, this.foundationAddress]) {
+            if (!ledger.getAccount(address))
+                ledger.fundAccount(address, 100000000000);
+        }
+        for (const address of [this.governorAddress, this.registryAddress, this.heartbeatAddress, this.foundationAddress]) {
+            if (!ledger.getEntry(MockLedger.rippleStateIndex(address, this.evrIssuerAddress, EvernodeConstants.EVR)))
+                ledger.setTrustLine(address, EvernodeConstants.EVR, this.evrIssuerAddress, '0', '99999999999999');
+        }
+
+        this.#writeConfiguration();
+
+        this.#hooks = [
+            [this.governorAddress, { onTransaction: (tx, ctx) => this.#onGovernorTransaction(tx, ctx) }],
+            [this.registryAddress, { onTransaction: (tx, ctx) => this.#onRegistryTransaction(tx, ctx) }],
+            [this.heartbeatAddress, { onTransaction: (tx, ctx) => this.#onHeartbeatTransaction(tx, ctx) }]
+        ];
+        for (const [address, hook] of this.#hooks)
+            this.#server.addHook(address, hook);
+    }
+
+    /**
+     * Detaches the emulated hooks. Hook states are kept in the ledger.
+     */
+    uninstall() {
+        for (const [address, hook] of this.#hooks)
+            this.#server.removeHook(address, hook);
+        this.#hooks = [];
+    }
+
+    /**
+     * Creates a hook definition ledger entry, so the hash can be used in candidate proposals.
+     * @param {string} hookHash Hook hash in hex.
+     * @returns The hook definition ledger index.
+     */
+    addHookDefinition(hookHash) {
+        const index = HookHelpers.getHookDefinitionIndex(hookHash);
+        this.#server.ledger.setEntry(index, {
+            LedgerEntryType: 'HookDefinition',
+            Flags: 0,
+            HookHash: hookHash.toUpperCase(),
+            HookNamespace: EvernodeConstants.HOOK_NAMESPACE,
+            HookOn: '0'.repeat(64),
+            ReferenceCount: '1'
+        });
+        return index;
+    }
+
+    #writeConfiguration() {
+        const ledger = this.#server.ledger;
+        const set = (key, buf) => ledger.setHookState(this.governorAddress, key, buf.toString('hex'));
+        const config = this.config;
+        const now = Math.floor(Date.now() / 1000);
+
+        set(HookStateKeys.EVR_ISSUER_ADDR, addressBuf(this.evrIssuerAddress));
+        set(HookStateKeys.FOUNDATION_ADDR, addressBuf(this.foundationAddress));
+        set(HookStateKeys.REGISTRY_ADDR, addressBuf(this.registryAddress));
+        set(HookStateKeys.HEARTBEAT_ADDR, addressBuf(this.heartbeatAddress));
+        set(HookStateKeys.MOMENT_SIZE, uint16Buf(config.momentSize));
+        set(HookStateKeys.HOST_HEARTBEAT_FREQ, uint16Buf(config.hostHeartbeatFreq));
+        set(HookStateKeys.LEASE_ACQUIRE_WINDOW, uint16Buf(config.leaseAcquireWindow));
+        set(HookStateKeys.MAX_TOLERABLE_DOWNTIME, uint16Buf(config.maxTolerableDowntime));
+        set(HookStateKeys.MINT_LIMIT, uint64Buf(config.mintLimit));
+        set(HookStateKeys.FIXED_REG_FEE, uint64Buf(config.fixedRegFee));
+        set(HookStateKeys.MAX_TRX_EMISSION_FEE, uint64Buf(config.maxTrxEmissionFee));
+        set(HookStateKeys.HOST_REG_FEE, uint64Buf(config.hostRegFee));
+        set(HookStateKeys.MAX_REG, uint64Buf(config.maxReg));
+        set(HookStateKeys.HOST_COUNT, uint32Buf(0));
+
+        const reward = config.rewardConfiguration;
+        const rewardConfigBuf = Buffer.alloc(16);
+        rewardConfigBuf.writeUInt8(reward.epochCount, 0);
+        rewardConfigBuf.writeUInt32LE(reward.firstEpochRewardQuota, 1);
+        rewardConfigBuf.writeUInt32LE(reward.epochRewardAmount, 5);
+        rewardConfigBuf.writeUInt32LE(reward.rewardStartMoment, 9);
+        rewardConfigBuf.writeUInt16LE(reward.accumulatedRewardFrequency, 13);
+        rewardConfigBuf.writeUInt8(reward.hostReputationThreshold, 15);
+        set(HookStateKeys.REWARD_CONFIGURATION, rewardConfigBuf);
+
+        const rewardInfoBuf = Buffer.alloc(21);
+        rewardInfoBuf.writeUInt8(1, 0);
+        rewardInfoBuf.writeBigInt64LE(XflHelpers.getXfl(reward.epochRewardAmount.toString()), 13);
+        set(HookStateKeys.REWARD_INFO, rewardInfoBuf);
+
+        const governance = config.governanceConfiguration;
+        const governanceConfigBuf = Buffer.alloc(14);
+        governanceConfigBuf.writeUInt32LE(governance.eligibilityPeriod, 0);
+        governanceConfigBuf.writeUInt32LE(governance.candidateLifePeriod, 4);
+        governanceConfigBuf.writeUInt32LE(governance.candidateElectionPeriod, 8);
+        governanceConfigBuf.writeUInt16LE(governance.candidateSupportAverage, 12);
+        set(HookStateKeys.GOVERNANCE_CONFIGURATION, governanceConfigBuf);
+
+        const governanceInfoBuf = Buffer.alloc(GOVERNANCE_INFO_STATE_SIZE);
+        governanceInfoBuf.writeUInt8(config.governanceMode, 0);
+        set(HookStateKeys.GOVERNANCE_INFO, governanceInfoBuf);
+
+        const networkConfigBuf = Buffer.alloc(6);
+        networkConfigBuf.writeUInt32LE(config.networkConfiguration.busynessDetectPeriod, 0);
+        networkConfigBuf.writeUInt16LE(config.networkConfiguration.busynessDetectAverage, 4);
+        set(HookStateKeys.NETWORK_CONFIGURATION, networkConfigBuf);
+
+        // Moments are timestamp based and start at the install time.
+        const momentBaseBuf = Buffer.alloc(13);
+        momentBaseBuf.writeBigUInt64LE(BigInt(now), 0);
+        momentBaseBuf.writeUInt8(1, 12);
+        set(HookStateKeys.MOMENT_BASE_INFO, momentBaseBuf);
+
+        const transitBuf = Buffer.alloc(11);
+        transitBuf.writeUInt8(1, 10);
+        set(HookStateKeys.MOMENT_TRANSIT_INFO, transitBuf);
+
+        set(HookStateKeys.TRX_FEE_BASE_INFO, Buffer.alloc(18));
+    }
+
+    #getState(ctx, key) {
+        const data = ctx.getForeignState(this.governorAddress, key);
+        return data ? Buffer.from(data, 'hex') : null;
+    }
+
+    #setState(ctx, key, buf) {
+        ctx.setForeignState(this.governorAddress, key, buf ? buf.toString('hex').toUpperCase() : null);
+    }
+
+    #isEvrAmount(amount) {
+        return amount && typeof amount === 'object' && amount.currency === EvernodeConstants.EVR && amount.issuer === this.evrIssuerAddress;
+    }
+
+    #getMomentStartIndex(ctx) {
+        const base = this.#getState(ctx, HookStateKeys.MOMENT_BASE_INFO);
+        const baseIdx = Number(base.readBigUInt64LE(0));
+        return baseIdx + (Math.floor((ctx.closeTime - baseIdx) / this.config.momentSize) * this.config.momentSize);
+    }
+
+    #changeHostCount(ctx, delta) {
+        const buf = this.#getState(ctx, HookStateKeys.HOST_COUNT);
+        buf.writeUInt32LE(Math.max(0, buf.readUInt32LE() + delta));
+        this.#setState(ctx, HookStateKeys.HOST_COUNT, buf);
+        return buf.readUInt32LE();
+    }
+
+    #removeHost(ctx, hostAddress, burnToken = true) {
+        const addrKey = StateHelpers.generateHostAddrStateKey(hostAddress);
+        const addrState = this.#getState(ctx, addrKey);
+        if (!addrState)
+            return false;
+
+        const tokenId = addrState.slice(HOST_TOKEN_ID_OFFSET, HOST_COUNTRY_CODE_OFFSET).toString('hex').toUpperCase();
+        this.#setState(ctx, addrKey, null);
+        this.#setState(ctx, StateHelpers.generateTokenIdStateKey(tokenId), null);
+        this.#changeHostCount(ctx, -1);
+
+        // The registration token is burnable by the registry as the issuer.
+        if (burnToken && ctx.getEntry(tokenId))
+            ctx.emit({ TransactionType: 'URITokenBurn', URITokenID: tokenId });
+        return true;
+    }
+
+    async #onRegistryTransaction(tx, ctx) {
+        if (ctx.isOutgoing)
+            return;
+
+        const { eventType, eventData } = extractHookEvent(tx);
+        switch (eventType) {
+            case EventTypes.HOST_REG:
+                return this.#handleHostRegistration(tx, ctx, Buffer.from(eventData, 'hex'));
+            case EventTypes.HOST_DEREG:
+                return this.#handleHostDeregistration(tx, ctx, Buffer.from(eventData, 'hex'));
+            case EventTypes.HOST_UPDATE_INFO:
+                return this.#handleHostUpdate(tx, ctx, Buffer.from(eventData, 'hex'));
+            case EventTypes.HOST_TRANSFER:
+                return this.#handleHostTransfer(tx, ctx, Buffer.from(eventData, 'hex'));
+            case EventTypes.DEAD_HOST_PRUNE:
+                return this.#handleDeadHostPrune(tx, ctx, Buffer.from(eventData, 'hex'));
+            default:
+                return ctx.accept('Evernode: Transaction is not handled.');
+        }
+    }
+
+    #handleHostRegistration(tx, ctx, paramBuf) {
+        if (tx.TransactionType !== 'Payment' || !this.#isEvrAmount(tx.Amount))
+            return ctx.rollback('Evernode: Registration fee should be paid in EVR.', 1);
+
+        const addrKey = StateHelpers.generateHostAddrStateKey(tx.Account);
+        const transfereeKey = StateHelpers.generateTransfereeAddrStateKey(tx.Account);
+        const transfereeState = this.#getState(ctx, transfereeKey);
+        const existingAddrState = this.#getState(ctx, addrKey);
+
+        if (existingAddrState && !transfereeState)
+            return ctx.rollback('Evernode: Host already registered.', 2);
+
+        const regFee = Number(this.#getState(ctx, HookStateKeys.HOST_REG_FEE).readBigUInt64LE());
+        if (!transfereeState && Number(tx.Amount.value) < regFee)
+            return ctx.rollback('Evernode: Registration fee is not sufficient.', 3);
+
+        let tokenId;
+        if (transfereeState) {
+            // Re-registration after a transfer keeps the already issued registration token.
+            const prevHostAddress = codec.encodeAccountID(transfereeState.slice(0, TRANSFER_LEDGER_IDX_OFFSET));
+            tokenId = transfereeState.slice(TRANSFERRED_TOKEN_ID_OFFSET, TRANSFEREE_ADDR_STATE_SIZE).toString('hex').toUpperCase();
+            this.#removeHost(ctx, prevHostAddress, false);
+            this.#setState(ctx, transfereeKey, null);
+            ctx.emit({ TransactionType: 'URITokenCreateSellOffer', URITokenID: tokenId, Amount: XrplConstants.MIN_DROPS, Destination: tx.Account });
+        }
+        else {
+            const trxRef = TransactionHelper.asciiToHex(tx.hash.substring(0, 8) + tx.hash.substring(tx.hash.length - 8));
+            const uri = `${EvernodeConstants.TOKEN_PREFIX_HEX}${trxRef}`;
+            tokenId = MockLedger.uriTokenIndex(this.registryAddress, uri);
+            ctx.emit({ TransactionType: 'URITokenMint', URI: uri, Flags: 1, Amount: XrplConstants.MIN_DROPS, Destination: tx.Account });
+        }
+
+        const addrState = Buffer.alloc(HOST_ADDR_STATE_SIZE, 0);
+        Buffer.from(tokenId, 'hex').copy(addrState, HOST_TOKEN_ID_OFFSET);
+        paramBuf.copy(addrState, HOST_COUNTRY_CODE_OFFSET, HOST_REG_PARAM.countryCode, HOST_REG_PARAM.countryCode + 2);
+        paramBuf.copy(addrState, HOST_DESCRIPTION_OFFSET, HOST_REG_PARAM.description, HOST_REG_PARAM.description + 26);
+        addrState.writeBigUInt64LE(BigInt(ctx.ledgerIndex), HOST_REG_LEDGER_OFFSET);
+        addrState.writeBigUInt64LE(BigInt(transfereeState ? 0 : regFee), HOST_REG_FEE_OFFSET);
+        addrState.writeUInt32LE(paramBuf.readUInt32LE(HOST_REG_PARAM.totalInstanceCount), HOST_TOT_INS_COUNT_OFFSET);
+        addrState.writeBigUInt64LE(BigInt(ctx.closeTime), HOST_REG_TIMESTAMP_OFFSET);
+        addrState.writeUInt8(DEFAULT_HOST_REPUTATION, HOST_REPUTATION_OFFSET);
+        this.#setState(ctx, addrKey, addrState);
+
+        const tokenState = Buffer.alloc(TOKEN_ID_STATE_SIZE, 0);
+        addressBuf(tx.Account).copy(tokenState, HOST_ADDRESS_OFFSET);
+        paramBuf.copy(tokenState, HOST_CPU_MODEL_NAME_OFFSET, HOST_REG_PARAM.cpuModel, HOST_REG_PARAM.cpuModel + 40);
+        tokenState.writeUInt16LE(paramBuf.readUInt16LE(HOST_REG_PARAM.cpuCount), HOST_CPU_COUNT_OFFSET);
+        tokenState.writeUInt16LE(paramBuf.readUInt16LE(HOST_REG_PARAM.cpuSpeed), HOST_CPU_SPEED_OFFSET);
+        tokenState.writeUInt32LE(paramBuf.readUInt32LE(HOST_REG_PARAM.cpuMicroSec), HOST_CPU_MICROSEC_OFFSET);
+        tokenState.writeUInt32LE(paramBuf.readUInt32LE(HOST_REG_PARAM.ramMb), HOST_RAM_MB_OFFSET);
+        tokenState.writeUInt32LE(paramBuf.readUInt32LE(HOST_REG_PARAM.diskMb), HOST_DISK_MB_OFFSET);
+        paramBuf.copy(tokenState, HOST_EMAIL_ADDRESS_OFFSET, HOST_REG_PARAM.email, HOST_REG_PARAM.email + 40);
+        this.#setState(ctx, StateHelpers.generateTokenIdStateKey(tokenId), tokenState);
+
+        this.#changeHostCount(ctx, 1);
+        ctx.accept('Evernode: Host registration successful.');
+    }
+
+    #handleHostDeregistration(tx, ctx, paramBuf) {
+        const addrState = this.#getState(ctx, StateHelpers.generateHostAddrStateKey(tx.Account));
+        if (!addrState)
+            return ctx.rollback('Evernode: Host is not registered.', 1);
+
+        const tokenId = addrState.slice(HOST_TOKEN_ID_OFFSET, HOST_COUNTRY_CODE_OFFSET).toString('hex').toUpperCase();
+        if (paramBuf.slice(0, 32).toString('hex').toUpperCase() !== tokenId)
+            return ctx.rollback('Evernode: Token id mismatch.', 2);
+
+        const regFee = Number(addrState.readBigUInt64LE(HOST_REG_FEE_OFFSET));
+        this.#removeHost(ctx, tx.Account);
+
+        if (regFee > 0) {
+            ctx.emit({
+                TransactionType: 'Payment',
+                Destination: tx.Account,
+                Amount: { currency: EvernodeConstants.EVR, issuer: this.evrIssuerAddress, value: (regFee * REGISTRATION_REFUND_RATIO).toString() }
+            });
+        }
+        ctx.accept('Evernode: Host de-registration successful.');
+    }
+
+    #handleHostUpdate(tx, ctx, paramBuf) {
+        const addrKey = StateHelpers.generateHostAddrStateKey(tx.Account);
+        const addrState = this.#getState(ctx, addrKey);
+        if (!addrState)
+            return ctx.rollback('Evernode: Host is not registered.', 1);
+
+        const tokenId = addrState.slice(HOST_TOKEN_ID_OFFSET, HOST_COUNTRY_CODE_OFFSET).toString('hex').toUpperCase();
+        const tokenKey = StateHelpers.generateTokenIdStateKey(tokenId);
+        const tokenState = this.#getState(ctx, tokenKey);
+
+        // Zero valued fields are treated as not given.
+        const isSet = (offset, length) => paramBuf.slice(offset, offset + length).some(b => b !== 0);
+        if (isSet(HOST_UPDATE_PARAM.countryCode, 2))
+            paramBuf.copy(addrState, HOST_COUNTRY_CODE_OFFSET, HOST_UPDATE_PARAM.countryCode, HOST_UPDATE_PARAM.countryCode + 2);
+        if (isSet(HOST_UPDATE_PARAM.description, 26)) {
+            addrState.fill(0, HOST_DESCRIPTION_OFFSET, HOST_REG_LEDGER_OFFSET);
+            paramBuf.copy(addrState, HOST_DESCRIPTION_OFFSET, HOST_UPDATE_PARAM.description, HOST_UPDATE_PARAM.description + 26);
+        }
+        if (isSet(HOST_UPDATE_PARAM.totalInstanceCount, 4))
+            addrState.writeUInt32LE(paramBuf.readUInt32LE(HOST_UPDATE_PARAM.totalInstanceCount), HOST_TOT_INS_COUNT_OFFSET);
+        if (isSet(HOST_UPDATE_PARAM.activeInstances, 4))
+            addrState.writeUInt32LE(paramBuf.readUInt32LE(HOST_UPDATE_PARAM.activeInstances), HOST_ACT_INS_COUNT_OFFSET);
+        if (isSet(HOST_UPDATE_PARAM.version, 3))
+            paramBuf.copy(addrState, HOST_VERSION_OFFSET, HOST_UPDATE_PARAM.version, HOST_UPDATE_PARAM.version + 3);
+        this.#setState(ctx, addrKey, addrState);
+
+        if (tokenState) {
+            if (isSet(HOST_UPDATE_PARAM.cpuMicroSec, 4))
+                tokenState.writeUInt32LE(paramBuf.readUInt32LE(HOST_UPDATE_PARAM.cpuMicroSec), HOST_CPU_MICROSEC_OFFSET);
+            if (isSet(HOST_UPDATE_PARAM.ramMb, 4))
+                tokenState.writeUInt32LE(paramBuf.readUInt32LE(HOST_UPDATE_PARAM.ramMb), HOST_RAM_MB_OFFSET);
+            if (isSet(HOST_UPDATE_PARAM.diskMb, 4))
+                tokenState.writeUInt32LE(paramBuf.readUInt32LE(HOST_UPDATE_PARAM.diskMb), HOST_DISK_MB_OFFSET);
+            if (isSet(HOST_UPDATE_PARAM.email, 40)) {
+                tokenState.fill(0, HOST_EMAIL_ADDRESS_OFFSET, HOST_ACCUMULATED_REWARD_OFFSET);
+                paramBuf.copy(tokenState, HOST_EMAIL_ADDRESS_OFFSET, HOST_UPDATE_PARAM.email, HOST_UPDATE_PARAM.email + 40);
+            }
+            this.#setState(ctx, tokenKey, tokenState);
+        }
+        ctx.accept('Evernode: Host info update successful.');
+    }
+
+    #handleHostTransfer(tx, ctx, paramBuf) {
+        if (tx.TransactionType !== 'URITokenCreateSellOffer' || tx.Destination !== this.registryAddress)
+            return ctx.rollback('Evernode: Transfer should be a registration token sell offer to the registry.', 1);
+
+        const addrKey = StateHelpers.generateHostAddrStateKey(tx.Account);
+        const addrState = this.#getState(ctx, addrKey);
+        if (!addrState)
+            return ctx.rollback('Evernode: Host is not registered.', 2);
+
+        const tokenId = addrState.slice(HOST_TOKEN_ID_OFFSET, HOST_COUNTRY_CODE_OFFSET).toString('hex').toUpperCase();
+        if (tx.URITokenID !== tokenId)
+            return ctx.rollback('Evernode: Token id mismatch.', 3);
+
+        const transfereeAddress = codec.encodeAccountID(paramBuf.slice(0, 20));
+        const transfereeKey = StateHelpers.generateTransfereeAddrStateKey(transfereeAddress);
+        if (this.#getState(ctx, transfereeKey))
+            return ctx.rollback('Evernode: Transferee already has a pending transfer.', 4);
+        if (transfereeAddress !== tx.Account && this.#getState(ctx, StateHelpers.generateHostAddrStateKey(transfereeAddress)))
+            return ctx.rollback('Evernode: Transferee is already a registered host.', 5);
+
+        const transfereeState = Buffer.alloc(TRANSFEREE_ADDR_STATE_SIZE, 0);
+        addressBuf(tx.Account).copy(transfereeState, 0);
+        transfereeState.writeBigUInt64LE(BigInt(ctx.ledgerIndex), TRANSFER_LEDGER_IDX_OFFSET);
+        Buffer.from(tokenId, 'hex').copy(transfereeState, TRANSFERRED_TOKEN_ID_OFFSET);
+        this.#setState(ctx, transfereeKey, transfereeState);
+
+        addrState.writeUInt8(1, HOST_TRANSFER_FLAG_OFFSET);
+        addrState.writeBigUInt64LE(BigInt(ctx.closeTime), HOST_TRANSFER_TIMESTAMP_OFFSET);
+        this.#setState(ctx, addrKey, addrState);
+
+        // The registry takes the token back until the transferee registers.
+        ctx.emit({ TransactionType: 'URITokenBuy', URITokenID: tokenId, Amount: tx.Amount });
+        ctx.accept('Evernode: Host transfer initiated.');
+    }
+
+    #handleDeadHostPrune(tx, ctx, paramBuf) {
+        const hostAddress = codec.encodeAccountID(paramBuf.slice(0, 20));
+        const addrState = this.#getState(ctx, StateHelpers.generateHostAddrStateKey(hostAddress));
+        if (!addrState)
+            return ctx.rollback('Evernode: Host is not registered.', 1);
+
+        const lastHeartbeat = Number(addrState.readBigUInt64LE(HOST_HEARTBEAT_TIMESTAMP_OFFSET)) ||
+            Number(addrState.readBigUInt64LE(HOST_REG_TIMESTAMP_OFFSET));
+        if (ctx.closeTime - lastHeartbeat < this.config.maxTolerableDowntime * this.config.momentSize)
+            return ctx.rollback('Evernode: Host is not inactive for the tolerable downtime.', 2);
+
+        this.#removeHost(ctx, hostAddress);
+        ctx.accept('Evernode: Dead host pruned.');
+    }
+
+    async #onHeartbeatTransaction(tx, ctx) {
+        if (ctx.isOutgoing)
+            return;
+
+        const { eventType, eventData } = extractHookEvent(tx);
+        if (eventType === EventTypes.CANDIDATE_VOTE)
+            return this.#handleFoundationVote(tx, ctx, Buffer.from(eventData, 'hex'));
+        else if (eventType !== EventTypes.HEARTBEAT)
+            return ctx.accept('Evernode: Transaction is not handled.');
+
+        const addrKey = StateHelpers.generateHostAddrStateKey(tx.Account);
+        const addrState = this.#getState(ctx, addrKey);
+        if (!addrState)
+            return ctx.rollback('Evernode: Host is not registered.', 1);
+
+        if (eventData) {
+            const voteBuf = Buffer.from(eventData, 'hex');
+            const error = this.#applyHostVote(ctx, addrState, voteBuf.slice(0, 32).toString('hex').toUpperCase(), voteBuf.readUInt8(32));
+            if (error)
+                return ctx.rollback(`${VOTE_VALIDATION_ERR} - ${error}`, 2);
+        }
+
+        addrState.writeBigUInt64LE(BigInt(ctx.closeTime), HOST_HEARTBEAT_TIMESTAMP_OFFSET);
+        this.#setState(ctx, addrKey, addrState);
+        ctx.accept('Evernode: Heartbeat successful.');
+    }
+
+    #applyHostVote(ctx, addrState, candidateId, vote) {
+        if (this.config.governanceMode === EvernodeConstants.GovernanceModes.Piloted)
+            return 'Host votes are not accepted in piloted mode.';
+
+        const idKey = StateHelpers.generateCandidateIdStateKey(candidateId);
+        const candidateState = this.#getState(ctx, idKey);
+        if (!candidateState)
+            return 'Candidate does not exist.';
+
+        const status = candidateState.readUInt8(CANDIDATE_STATUS_OFFSET);
+        if (status !== EvernodeConstants.CandidateStatuses.CANDIDATE_REJECTED && status !== EvernodeConstants.CandidateStatuses.CANDIDATE_SUPPORTED)
+            return 'Candidate is not open for voting.';
+
+        const candidateIdx = candidateState.readUInt32LE(CANDIDATE_IDX_OFFSET);
+        const momentStart = this.#getMomentStartIndex(ctx);
+        if (addrState.readUInt32LE(HOST_LAST_VOTE_CANDIDATE_IDX_OFFSET) === candidateIdx &&
+            Number(addrState.readBigUInt64LE(HOST_LAST_VOTE_TIMESTAMP_OFFSET)) >= momentStart)
+            return 'Already voted for the candidate in this moment.';
+
+        addrState.writeUInt32LE(candidateIdx, HOST_LAST_VOTE_CANDIDATE_IDX_OFFSET);
+        addrState.writeBigUInt64LE(BigInt(ctx.closeTime), HOST_LAST_VOTE_TIMESTAMP_OFFSET);
+        addrState.writeUInt8(vote === EvernodeConstants.CandidateVote.Support ? 1 : 0, HOST_SUPPORT_VOTE_FLAG_OFFSET);
+
+        if (vote === EvernodeConstants.CandidateVote.Support) {
+            candidateState.writeUInt32LE(candidateState.readUInt32LE(CANDIDATE_POSITIVE_VOTE_COUNT_OFFSET) + 1, CANDIDATE_POSITIVE_VOTE_COUNT_OFFSET);
+            candidateState.writeBigUInt64LE(BigInt(ctx.closeTime), CANDIDATE_LAST_VOTE_TIMESTAMP_OFFSET);
+        }
+
+        this.#evaluateCandidate(ctx, candidateId, candidateState);
+        return null;
+    }
+
+    // Updates the candidate status according to the governance mode and elects it when the conditions are met.
+    #evaluateCandidate(ctx, candidateId, candidateState) {
+        const mode = this.config.governanceMode;
+        const idKey = StateHelpers.generateCandidateIdStateKey(candidateId);
+        const hostCount = this.#getState(ctx, HookStateKeys.HOST_COUNT).readUInt32LE();
+        const supportAverage = this.config.governanceConfiguration.candidateSupportAverage;
+
+        const foundationSupported = candidateState.readUInt8(CANDIDATE_FOUNDATION_VOTE_STATUS_OFFSET) === EvernodeConstants.CandidateStatuses.CANDIDATE_SUPPORTED;
+        const hostSupported = hostCount > 0 && (candidateState.readUInt32LE(CANDIDATE_POSITIVE_VOTE_COUNT_OFFSET) * 100 / hostCount) >= supportAverage;
+        const supported = (mode === EvernodeConstants.GovernanceModes.Piloted) ? foundationSupported :
+            (mode === EvernodeConstants.GovernanceModes.CoPiloted) ? (foundationSupported && hostSupported) : hostSupported;
+
+        const status = candidateState.readUInt8(CANDIDATE_STATUS_OFFSET);
+        if (!supported) {
+            this.#setState(ctx, idKey, candidateState);
+            return;
+        }
+
+        if (status !== EvernodeConstants.CandidateStatuses.CANDIDATE_SUPPORTED) {
+            candidateState.writeUInt8(EvernodeConstants.CandidateStatuses.CANDIDATE_SUPPORTED, CANDIDATE_STATUS_OFFSET);
+            candidateState.writeBigUInt64LE(BigInt(ctx.closeTime), CANDIDATE_STATUS_CHANGE_TIMESTAMP_OFFSET);
+        }
+
+        const supportedSince = Number(candidateState.readBigUInt64LE(CANDIDATE_STATUS_CHANGE_TIMESTAMP_OFFSET));
+        if (ctx.closeTime - supportedSince < this.config.governanceConfiguration.candidateElectionPeriod) {
+            this.#setState(ctx, idKey, candidateState);
+            return;
+        }
+
+        candidateState.writeUInt8(EvernodeConstants.CandidateStatuses.CANDIDATE_ELECTED, CANDIDATE_STATUS_OFFSET);
+        candidateState.writeBigUInt64LE(BigInt(ctx.closeTime), CANDIDATE_STATUS_CHANGE_TIMESTAMP_OFFSET);
+        this.#setState(ctx, idKey, candidateState);
+
+        const candidateType = StateHelpers.getCandidateType(candidateId);
+        if (candidateType === EvernodeConstants.CandidateTypes.DudHost) {
+            this.#removeHost(ctx, codec.encodeAccountID(Buffer.from(candidateId, 'hex').slice(12, 32)));
+        }
+        else if (candidateType === EvernodeConstants.CandidateTypes.PilotedMode) {
+            this.config.governanceMode = EvernodeConstants.GovernanceModes.Piloted;
+            const infoBuf = this.#getState(ctx, HookStateKeys.GOVERNANCE_INFO);
+            infoBuf.writeUInt8(this.config.governanceMode, 0);
+            this.#setState(ctx, HookStateKeys.GOVERNANCE_INFO, infoBuf);
+        }
+        else if (candidateType === EvernodeConstants.CandidateTypes.NewHook) {
+            const infoBuf = this.#getState(ctx, HookStateKeys.GOVERNANCE_INFO);
+            Buffer.from(candidateId, 'hex').copy(infoBuf, ELECTED_PROPOSAL_UNIQUE_ID_OFFSET);
+            infoBuf.writeBigUInt64LE(BigInt(ctx.closeTime), PROPOSAL_ELECTED_TIMESTAMP_OFFSET);
+            this.#setState(ctx, HookStateKeys.GOVERNANCE_INFO, infoBuf);
+        }
+    }
+
+    async #onGovernorTransaction(tx, ctx) {
+        if (ctx.isOutgoing)
+            return;
+
+        const { eventType, eventData } = extractHookEvent(tx);
+        switch (eventType) {
+            case EventTypes.CANDIDATE_PROPOSE:
+                return this.#handleCandidatePropose(tx, ctx, Buffer.from(eventData, 'hex'));
+            case EventTypes.CANDIDATE_WITHDRAW:
+                return this.#handleCandidateWithdraw(tx, ctx, eventData.substring(0, 64).toUpperCase());
+            case EventTypes.DUD_HOST_REPORT:
+                return this.#handleDudHostReport(tx, ctx, eventData.substring(0, 64).toUpperCase());
+            default:
+                return ctx.accept('Evernode: Transaction is not handled.');
+        }
+    }
+
+    #getProposalFee(ctx) {
+        const rewardInfo = this.#getState(ctx, HookStateKeys.REWARD_INFO);
+        return EvernodeHelpers.getEpochRewardQuota(rewardInfo.readUInt8(0), this.config.rewardConfiguration.firstEpochRewardQuota);
+    }
+
+    #createCandidate(ctx, candidateId, ownerAddress, shortName, proposalFee) {
+        const infoBuf = this.#getState(ctx, HookStateKeys.GOVERNANCE_INFO);
+        const candidateIdx = infoBuf.readUInt32LE(LAST_CANDIDATE_IDX_OFFSET) + 1;
+        infoBuf.writeUInt32LE(candidateIdx, LAST_CANDIDATE_IDX_OFFSET);
+        infoBuf.writeUInt32LE(this.#getState(ctx, HookStateKeys.HOST_COUNT).readUInt32LE(), VOTER_BASE_COUNT_OFFSET);
+        this.#setState(ctx, HookStateKeys.GOVERNANCE_INFO, infoBuf);
+
+        const candidateState = Buffer.alloc(CANDIDATE_ID_STATE_SIZE, 0);
+        addressBuf(ownerAddress).copy(candidateState, 0);
+        candidateState.writeUInt32LE(candidateIdx, CANDIDATE_IDX_OFFSET);
+        Buffer.from(shortName.substring(0, 20)).copy(candidateState, CANDIDATE_SHORT_NAME_OFFSET);
+        candidateState.writeBigUInt64LE(BigInt(ctx.closeTime), CANDIDATE_CREATED_TIMESTAMP_OFFSET);
+        candidateState.writeBigInt64LE(XflHelpers.getXfl(proposalFee.toString()), CANDIDATE_PROPOSAL_FEE_OFFSET);
+        candidateState.writeBigUInt64LE(BigInt(ctx.closeTime), CANDIDATE_STATUS_CHANGE_TIMESTAMP_OFFSET);
+        this.#setState(ctx, StateHelpers.generateCandidateIdStateKey(candidateId), candidateState);
+    }
+
+    #handleCandidatePropose(tx, ctx, paramBuf) {
+        const hashesBuf = paramBuf.slice(CANDIDATE_PROPOSE_PARAM.hashes, CANDIDATE_PROPOSE_PARAM.hashes + 96);
+        const uniqueId = paramBuf.slice(CANDIDATE_PROPOSE_PARAM.uniqueId, CANDIDATE_PROPOSE_PARAM.uniqueId + 32).toString('hex').toUpperCase();
+        const shortName = textBuf(paramBuf, CANDIDATE_PROPOSE_PARAM.shortName, 20);
+        const proposalFee = this.#getProposalFee(ctx);
+
+        if (!this.#isEvrAmount(tx.Amount) || Number(tx.Amount.value) < proposalFee)
+            return ctx.rollback('Evernode: Proposal fee is not sufficient.', 1);
+        if (uniqueId !== StateHelpers.getNewHookCandidateId(hashesBuf))
+            return ctx.rollback('Evernode: Invalid candidate id.', 2);
+
+        const ownerKey = StateHelpers.generateCandidateOwnerStateKey(tx.Account);
+        if (this.#getState(ctx, ownerKey))
+            return ctx.rollback('Evernode: Owner already has a proposed candidate.', 3);
+        if (this.#getState(ctx, StateHelpers.generateCandidateIdStateKey(uniqueId)))
+            return ctx.rollback('Evernode: Candidate already exists.', 4);
+
+        // Owner state holds only the hashes since the candidate id is derived from them.
+        this.#setState(ctx, ownerKey, Buffer.from(hashesBuf));
+        this.#createCandidate(ctx, uniqueId, tx.Account, shortName, proposalFee);
+        ctx.accept('Evernode: Candidate proposed.');
+    }
+
+    #handleCandidateWithdraw(tx, ctx, candidateId) {
+        const idKey = StateHelpers.generateCandidateIdStateKey(candidateId);
+        const candidateState = this.#getState(ctx, idKey);
+        if (!candidateState)
+            return ctx.rollback('Evernode: Candidate does not exist.', 1);
+        if (codec.encodeAccountID(candidateState.slice(0, 20)) !== tx.Account)
+            return ctx.rollback('Evernode: Only the owner can withdraw the candidate.', 2);
+
+        this.#setState(ctx, idKey, null);
+        if (StateHelpers.getCandidateType(candidateId) === EvernodeConstants.CandidateTypes.NewHook)
+            this.#setState(ctx, StateHelpers.generateCandidateOwnerStateKey(tx.Account), null);
+        ctx.accept('Evernode: Candidate withdrawn.');
+    }
+
+    #handleDudHostReport(tx, ctx, candidateId) {
+        if (StateHelpers.getCandidateType(candidateId) !== EvernodeConstants.CandidateTypes.DudHost)
+            return ctx.rollback('Evernode: Invalid dud host candidate id.', 1);
+
+        const proposalFee = this.#getProposalFee(ctx) / 4;
+        if (!this.#isEvrAmount(tx.Amount) || Number(tx.Amount.value) < proposalFee)
+            return ctx.rollback('Evernode: Dud host report fee is not sufficient.', 2);
+
+        const hostAddress = codec.encodeAccountID(Buffer.from(candidateId, 'hex').slice(12, 32));
+        if (!this.#getState(ctx, StateHelpers.generateHostAddrStateKey(hostAddress)))
+            return ctx.rollback('Evernode: Reported host is not registered.', 3);
+        if (this.#getState(ctx, StateHelpers.generateCandidateIdStateKey(candidateId)))
+            return ctx.rollback('Evernode: Host is already reported.', 4);
+
+        this.#createCandidate(ctx, candidateId, tx.Account, '', proposalFee);
+        ctx.accept('Evernode: Dud host reported.');
+    }
+
+    #handleFoundationVote(tx, ctx, paramBuf) {
+        if (tx.Account !== this.foundationAddress)
+            return ctx.rollback('Evernode: Only the foundation can vote directly.', 1);
+        if (this.config.governanceMode === EvernodeConstants.GovernanceModes.AutoPiloted)
+            return ctx.rollback('Evernode: Foundation votes are not accepted in auto-piloted mode.', 2);
+
+        const candidateId = paramBuf.slice(0, 32).toString('hex').toUpperCase();
+        const idKey = StateHelpers.generateCandidateIdStateKey(candidateId);
+        const candidateState = this.#getState(ctx, idKey);
+        if (!candidateState)
+            return ctx.rollback('Evernode: Candidate does not exist.', 3);
+
+        const vote = paramBuf.readUInt8(32);
+        candidateState.writeUInt8(vote === EvernodeConstants.CandidateVote.Support ?
+            EvernodeConstants.CandidateStatuses.CANDIDATE_SUPPORTED : EvernodeConstants.CandidateStatuses.CANDIDATE_REJECTED, CANDIDATE_FOUNDATION_VOTE_STATUS_OFFSET);
+
+        const infoBuf = this.#getState(ctx, HookStateKeys.GOVERNANCE_INFO);
+        infoBuf.writeUInt32LE(candidateState.readUInt32LE(CANDIDATE_IDX_OFFSET), FOUNDATION_LAST_VOTED_CANDIDATE_IDX);
+        infoBuf.writeBigUInt64LE(BigInt(ctx.closeTime), FOUNDATION_LAST_VOTED_TIMESTAMP_OFFSET);
+        this.#setState(ctx, HookStateKeys.GOVERNANCE_INFO, infoBuf);
+
+        this.#evaluateCandidate(ctx, candidateId, candidateState);
+        ctx.accept('Evernode: Foundation vote recorded.');
+    }
+}
+
+module.exports = {
+    MockEvernodeHooks
+}
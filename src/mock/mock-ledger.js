@@ -0,0 +1,1138 @@
+const codec = require('ripple-address-codec');
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
+const { EvernodeConstants } = require('../evernode-common');
+const { StateHelpers } = require('../state-helpers');
+
+const RIPPLE_EPOCH_OFFSET = 946684800;
+const ACCOUNT_ONE = 'rrrrrrrrrrrrrrrrrrrrBZbvji';
+const IOU_SCALE = 15;
+const IOU_FACTOR = 10n ** BigInt(IOU_SCALE);
+const MAX_LEDGER_HISTORY = 256;
+
+const LedgerPrefixes = {
+    ACCOUNT_ROOT: 0x0061,
+    RIPPLE_STATE: 0x0072,
+    SIGNER_LIST: 0x0053,
+    TICKET: 0x0054,
+    URI_TOKEN: 0x0055
+}
+
+const LedgerFlags = {
+    lsfRequireDestTag: 0x00020000,
+    lsfRequireAuth: 0x00040000,
+    lsfDisallowXRP: 0x00080000,
+    lsfDisableMaster: 0x00100000,
+    lsfDefaultRipple: 0x00800000,
+    lsfDepositAuth: 0x01000000,
+    lsfBurnable: 0x00000001
+}
+
+// AccountSet asf flag number -> AccountRoot ledger flag.
+const ACCOUNT_SET_FLAGS = {
+    1: LedgerFlags.lsfRequireDestTag,
+    2: LedgerFlags.lsfRequireAuth,
+    3: LedgerFlags.lsfDisallowXRP,
+    4: LedgerFlags.lsfDisableMaster,
+    8: LedgerFlags.lsfDefaultRipple,
+    9: LedgerFlags.lsfDepositAuth
+}
+
+const MAX_TICKETS = 250;
+
+const ACCOUNT_SET_FIELDS = ['Domain', 'MessageKey', 'EmailHash', 'TransferRate', 'TickSize'];
+
+const ResultMessages = {
+    tesSUCCESS: 'The transaction was applied. Only final in a validated ledger.',
+    tecDUPLICATE: 'Ledger object already exists.',
+    tecHOOK_REJECTED: 'Rejected by hook on sending or receiving account.',
+    tecINSUFFICIENT_PAYMENT: 'The payment is not sufficient.',
+    tecNO_ALTERNATIVE_KEY: 'The operation would remove the ability to sign transactions with the account.',
+    tecNO_DST_INSUF_XRP: 'Destination does not exist. Too little XAH sent to create it.',
+    tecNO_DST: 'Destination does not exist. Send XAH to create it.',
+    tecNO_ENTRY: 'No matching entry found.',
+    tecNO_LINE: 'No such line.',
+    tecNO_PERMISSION: 'No permission to perform requested operation.',
+    tecPATH_DRY: 'Path could not send partial amount.',
+    tecPATH_PARTIAL: 'Path could not send full amount.',
+    tecUNFUNDED_PAYMENT: 'Insufficient XAH balance to send.',
+    tecDIR_FULL: 'Can not add entry to full directory.',
+    tecCANT_ACCEPT_OWN_OFFER: 'Can\'t accept own offer.',
+    tefALREADY: 'The exact transaction was already in this ledger.',
+    tefBAD_AUTH: 'Transaction\'s public key is not authorized.',
+    tefMAX_LEDGER: 'Ledger sequence too high.',
+    tefNO_TICKET: 'Ticket is not in ledger.',
+    tefPAST_SEQ: 'This sequence number has already passed.',
+    telINSUF_FEE_P: 'Fee insufficient.',
+    telWRONG_NETWORK: 'Transaction specifies a Network ID that differs from that of the local node.',
+    temBAD_SIGNATURE: 'Malformed: Bad signature.',
+    temDISABLED: 'The transaction requires logic that is currently disabled.',
+    temDST_IS_SRC: 'Destination may not be source.',
+    temINVALID_COUNT: 'Malformed: Count field outside valid range.',
+    temMALFORMED: 'Malformed transaction.',
+    terINSUF_FEE_B: 'Account balance can\'t pay fee.',
+    terNO_ACCOUNT: 'The source account does not exist.',
+    terPRE_SEQ: 'Missing/inapplicable prior transaction.',
+    terPRE_TICKET: 'Ticket is not yet in ledger.'
+}
+
+function sha512HalfHex(...buffers) {
+    const hash = crypto.createHash('sha512');
+    for (const buf of buffers)
+        hash.update(buf);
+    return hash.digest('hex').substring(0, 64).toUpperCase();
+}
+
+function prefixBuf(prefix) {
+    const buf = Buffer.alloc(2);
+    buf.writeUInt16BE(prefix);
+    return buf;
+}
+
+function currencyBuf(currency) {
+    if (currency.length === 40)
+        return Buffer.from(currency, 'hex');
+    const buf = Buffer.alloc(20);
+    buf.write(currency, 12, 'ascii');
+    return buf;
+}
+
+function toUnits(value) {
+    let str = String(value);
+    if (/e/i.test(str))
+        str = Number(str).toFixed(IOU_SCALE);
+    const negative = str.startsWith('-');
+    if (negative)
+        str = str.substring(1);
+    const [int, frac = ''] = str.split('.');
+    const units = BigInt(int || '0') * IOU_FACTOR + BigInt((frac + '0'.repeat(IOU_SCALE)).substring(0, IOU_SCALE));
+    return negative ? -units : units;
+}
+
+function fromUnits(units) {
+    const negative = units < 0n;
+    const abs = negative ? -units : units;
+    const frac = (abs % IOU_FACTOR).toString().padStart(IOU_SCALE, '0').replace(/0+$/, '');
+    return (negative ? '-' : '') + (abs / IOU_FACTOR).toString() + (frac ? `.${frac}` : '');
+}
+
+function isNative(amount) {
+    return typeof amount === 'string';
+}
+
+/**
+ * Keeps the ledger state of the mock server and applies submitted transactions on each ledger close.
+ * Ledger entries are immutable once written, so the snapshot of a closed ledger is a shallow copy of the object map.
+ */
+class MockLedger {
+    #objects = new Map(); // Ledger entry index -> { owners: [address], entry }
+    #history = new Map(); // Ledger index -> snapshot of #objects
+    #transactions = new Map(); // Transaction hash -> validated transaction record
+    #txLog = []; // Validated transaction records in ledger order.
+    #pending = [];
+    #emitted = [];
+    #hooks = new Map(); // Address -> [hook]
+    #changes = null; // Ledger entry changes of the transaction being applied.
+
+    /**
+     * Creates the mock ledger.
+     * @param {object} options [Optional] Ledger options { networkID, baseFee, reserveBase, reserveIncrement, startLedgerIndex }.
+     */
+    constructor(options = {}) {
+        this.networkID = options.networkID || 0;
+        this.baseFee = options.baseFee || 10;
+        this.reserveBase = options.reserveBase || 1000000;
+        this.reserveIncrement = options.reserveIncrement || 200000;
+        this.ledgerIndex = options.startLedgerIndex || 1;
+        this.ledgerHash = sha512HalfHex(Buffer.from(String(this.ledgerIndex)));
+        this.closeTime = Math.floor(Date.now() / 1000);
+        this.#history.set(this.ledgerIndex, new Map(this.#objects));
+    }
+
+    /**
+     * Get the ledger header of the last closed ledger.
+     * @returns The ledger header in rippled format.
+     */
+    getLedgerHeader() {
+        return {
+            ledger_index: this.ledgerIndex.toString(),
+            ledger_hash: this.ledgerHash,
+            close_time: this.closeTime - RIPPLE_EPOCH_OFFSET,
+            closed: true,
+            transaction_hash: '0'.repeat(64),
+            total_coins: '100000000000000000'
+        };
+    }
+
+    /**
+     * Get the range of the ledgers which are kept in history.
+     * @returns Validated ledger range string.
+     */
+    getValidatedLedgers() {
+        const indexes = [...this.#history.keys()];
+        return `${Math.min(...indexes)}-${Math.max(...indexes)}`;
+    }
+
+    #snapshot(ledgerIndex) {
+        if (ledgerIndex === undefined || ledgerIndex === null || ['validated', 'closed', 'current'].includes(ledgerIndex))
+            return this.#objects;
+        const snapshot = this.#history.get(Number(ledgerIndex));
+        if (!snapshot)
+            throw { error: 'lgrNotFound', error_message: 'ledgerNotFound' };
+        return snapshot;
+    }
+
+    /**
+     * Get a ledger entry by its index.
+     * @param {string} index Ledger entry index.
+     * @param {string|number} ledgerIndex [Optional] Ledger index to read from. Defaults to the latest state.
+     * @returns The ledger entry or null if not found.
+     */
+    getEntry(index, ledgerIndex = null) {
+        const record = this.#snapshot(ledgerIndex).get(index);
+        return record ? record.entry : null;
+    }
+
+    /**
+     * Get the account root entry of an address.
+     * @param {string} address Account address.
+     * @param {string|number} ledgerIndex [Optional] Ledger index to read from.
+     * @returns The AccountRoot entry or null if the account does not exist.
+     */
+    getAccount(address, ledgerIndex = null) {
+        return this.getEntry(MockLedger.accountIndex(address), ledgerIndex);
+    }
+
+    /**
+     * Get the ledger entries owned by an address.
+     * @param {string} address Account address.
+     * @param {string|number} ledgerIndex [Optional] Ledger index to read from.
+     * @returns List of ledger entries.
+     */
+    getAccountObjects(address, ledgerIndex = null) {
+        const entries = [];
+        for (const record of this.#snapshot(ledgerIndex).values()) {
+            if (record.owners.includes(address))
+                entries.push(record.entry);
+        }
+        return entries;
+    }
+
+    /**
+     * Get the hook state entries of an account within a namespace.
+     * @param {string} address Hook account address.
+     * @param {string} namespace Hook namespace.
+     * @param {string|number} ledgerIndex [Optional] Ledger index to read from.
+     * @returns List of HookState entries.
+     */
+    getNamespaceEntries(address, namespace, ledgerIndex = null) {
+        return this.getAccountObjects(address, ledgerIndex)
+            .filter(e => e.LedgerEntryType === 'HookState' && e.HookStateNamespace === namespace.toUpperCase());
+    }
+
+    /**
+     * Get a validated transaction.
+     * @param {string} hash Transaction hash.
+     * @returns The transaction record { tx, meta, ledgerIndex, date, accounts } or null if not found.
+     */
+    getTransaction(hash) {
+        return this.#transactions.get(hash.toUpperCase()) || null;
+    }
+
+    /**
+     * Get the validated transactions which affected an address.
+     * @param {string} address Account address.
+     * @param {number} minLedger Minimum ledger index.
+     * @param {number} maxLedger Maximum ledger index.
+     * @returns List of transaction records in ledger order.
+     */
+    getAccountTransactions(address, minLedger, maxLedger) {
+        return this.#txLog.filter(r => r.accounts.includes(address) && r.ledgerIndex >= minLedger && r.ledgerIndex <= maxLedger);
+    }
+
+    /**
+     * Get the number of sequences the queued transactions of an account are going to consume.
+     * @param {string} address Account address.
+     * @returns Number of sequences. Ticketed transactions do not consume a sequence and TicketCreate consumes one per ticket.
+     */
+    getQueuedSequenceCount(address) {
+        return this.#pending.filter(p => p.tx.Account === address).reduce((count, p) => {
+            const sequences = (p.tx.TicketSequence === undefined) ? 1 : 0;
+            return count + sequences + ((p.tx.TransactionType === 'TicketCreate') ? (p.tx.TicketCount || 0) : 0);
+        }, 0);
+    }
+
+    /**
+     * Get a ticket of an account.
+     * @param {string} address Account address.
+     * @param {number} ticketSequence Ticket sequence.
+     * @returns Ticket ledger entry or null if the ticket does not exist.
+     */
+    getTicket(address, ticketSequence) {
+        return this.getEntry(MockLedger.ticketIndex(address, ticketSequence));
+    }
+
+    /**
+     * Checks whether the public key is allowed to sign for the account.
+     * @param {string} address Account address.
+     * @param {string} signerAddress Address derived from the signing public key.
+     * @returns true if the signer is the master key (when enabled) or the regular key.
+     */
+    isAuthorizedSigner(address, signerAddress) {
+        const account = this.getAccount(address);
+        if (!account)
+            return false;
+        if (signerAddress === address)
+            return !(account.Flags & LedgerFlags.lsfDisableMaster);
+        return account.RegularKey === signerAddress;
+    }
+
+    /**
+     * Get the signer list of an account.
+     * @param {string} address Account address.
+     * @returns The SignerList entry or null.
+     */
+    getSignerList(address) {
+        return this.getEntry(MockLedger.signerListIndex(address));
+    }
+
+    /**
+     * Funds an account directly, creating it if it does not exist.
+     * @param {string} address Account address.
+     * @param {string|number} drops Amount in drops to add.
+     */
+    fundAccount(address, drops) {
+        const account = this.getAccount(address);
+        if (account)
+            this.#write(account.index, { ...account, Balance: (BigInt(account.Balance) + BigInt(drops)).toString() }, [address]);
+        else
+            this.#createAccount(address, drops);
+    }
+
+    /**
+     * Sets a trust line balance directly, creating the trust line if it does not exist.
+     * @param {string} address Holder address.
+     * @param {string} currency Currency code.
+     * @param {string} issuer Issuer address.
+     * @param {string} value Holder balance.
+     * @param {string} limit [Optional] Holder trust limit.
+     */
+    setTrustLine(address, currency, issuer, value, limit = '1000000000') {
+        if (!this.getAccount(address) || !this.getAccount(issuer))
+            throw 'Both holder and issuer accounts should exist.';
+        this.#setLine(address, issuer, currency, toUnits(value), limit);
+    }
+
+    /**
+     * Sets a hook state entry directly.
+     * @param {string} address Hook account address.
+     * @param {string} key Hex state key.
+     * @param {string} data Hex state data. Removes the entry if null.
+     * @param {string} namespace [Optional] Hex hook namespace.
+     */
+    setHookState(address, key, data, namespace = EvernodeConstants.HOOK_NAMESPACE) {
+        const index = StateHelpers.getHookStateIndex(address, key, namespace);
+        if (data === null || data === undefined) {
+            this.#erase(index);
+            return;
+        }
+        this.#write(index, {
+            LedgerEntryType: 'HookState',
+            Flags: 0,
+            HookStateKey: key.toUpperCase(),
+            HookStateData: data.toUpperCase(),
+            HookStateNamespace: namespace.toUpperCase(),
+            OwnerNode: '0',
+            index: index
+        }, [address]);
+    }
+
+    /**
+     * Writes a ledger entry directly. Used to seed entries which cannot be created through the supported transactions.
+     * @param {string} index Ledger entry index.
+     * @param {object} entry Ledger entry fields.
+     * @param {string[]} owners [Optional] Addresses which should list the entry in their account objects.
+     */
+    setEntry(index, entry, owners = []) {
+        this.#write(index, { ...entry, index: index }, owners);
+    }
+
+    /**
+     * Get hook state data.
+     * @param {string} address Hook account address.
+     * @param {string} key Hex state key.
+     * @param {string} namespace [Optional] Hex hook namespace.
+     * @returns Hex state data or null if not found.
+     */
+    getHookState(address, key, namespace = EvernodeConstants.HOOK_NAMESPACE) {
+        const entry = this.getEntry(StateHelpers.getHookStateIndex(address, key, namespace));
+        return entry ? entry.HookStateData : null;
+    }
+
+    /**
+     * Attaches a hook emulator to an account.
+     * @param {string} address Hook account address.
+     * @param {object} hook Object with an 'onTransaction(tx, ctx)' method. It can be async.
+     */
+    addHook(address, hook) {
+        if (!hook || typeof hook.onTransaction !== 'function')
+            throw 'Hook should implement onTransaction(tx, ctx).';
+        const hooks = this.#hooks.get(address) || [];
+        hooks.push(hook);
+        this.#hooks.set(address, hooks);
+    }
+
+    /**
+     * Detaches hook emulators from an account.
+     * @param {string} address Hook account address.
+     * @param {object} hook [Optional] The hook to remove. Removes all the hooks of the account if not given.
+     */
+    removeHook(address, hook = null) {
+        if (!hook) {
+            this.#hooks.delete(address);
+            return;
+        }
+        const hooks = (this.#hooks.get(address) || []).filter(h => h !== hook);
+        if (hooks.length)
+            this.#hooks.set(address, hooks);
+        else
+            this.#hooks.delete(address);
+    }
+
+    /**
+     * Queues a signed transaction for the next ledger close after preliminary checks.
+     * @param {object} tx Decoded transaction json.
+     * @param {string} hash Transaction hash.
+     * @returns Preliminary engine result code.
+     */
+    submit(tx, hash) {
+        if (this.#transactions.has(hash) || this.#pending.find(p => p.hash === hash))
+            return 'tefALREADY';
+        if (!this.#transactor(tx.TransactionType))
+            return 'temDISABLED';
+        if (tx.NetworkID !== undefined && tx.NetworkID !== this.networkID)
+            return 'telWRONG_NETWORK';
+
+        const account = this.getAccount(tx.Account);
+        if (!account)
+            return 'terNO_ACCOUNT';
+        if (tx.LastLedgerSequence && tx.LastLedgerSequence <= this.ledgerIndex)
+            return 'tefMAX_LEDGER';
+
+        if (tx.TicketSequence !== undefined) {
+            if (tx.Sequence !== 0)
+                return 'temMALFORMED';
+            if (this.#pending.find(p => p.tx.Account === tx.Account && p.tx.TicketSequence === tx.TicketSequence))
+                return 'tefNO_TICKET';
+            if (!this.getTicket(tx.Account, tx.TicketSequence))
+                return (tx.TicketSequence >= account.Sequence + this.getQueuedSequenceCount(tx.Account)) ? 'terPRE_TICKET' : 'tefNO_TICKET';
+        }
+        else {
+            const expectedSeq = account.Sequence + this.getQueuedSequenceCount(tx.Account);
+            if (tx.Sequence < expectedSeq)
+                return 'tefPAST_SEQ';
+            if (tx.Sequence > expectedSeq)
+                return 'terPRE_SEQ';
+        }
+
+        const fee = BigInt(tx.Fee);
+        if (fee < BigInt(this.baseFee))
+            return 'telINSUF_FEE_P';
+        if (BigInt(account.Balance) < fee)
+            return 'terINSUF_FEE_B';
+
+        this.#pending.push({ tx: tx, hash: hash });
+        return 'tesSUCCESS';
+    }
+
+    /**
+     * Closes the current ledger applying the queued and emitted transactions.
+     * @returns The closed ledger header and the validated transaction records.
+     */
+    async close() {
+        const ledgerIndex = this.ledgerIndex + 1;
+        const closeTime = Math.max(Math.floor(Date.now() / 1000), this.closeTime + 1);
+        const queue = [...this.#emitted, ...this.#pending];
+        this.#emitted = [];
+        this.#pending = [];
+
+        const records = [];
+        for (const item of queue) {
+            if (!item.emitted) {
+                const account = this.getAccount(item.tx.Account);
+                // Expired, out of sequence or ticketless transactions are dropped without reaching the ledger.
+                if ((item.tx.LastLedgerSequence && item.tx.LastLedgerSequence < ledgerIndex) || !account)
+                    continue;
+                if ((item.tx.TicketSequence !== undefined) ? !this.getTicket(item.tx.Account, item.tx.TicketSequence) : account.Sequence !== item.tx.Sequence)
+                    continue;
+            }
+            records.push(await this.#applyTransaction(item, ledgerIndex, closeTime, records.length));
+        }
+
+        this.ledgerIndex = ledgerIndex;
+        this.closeTime = closeTime;
+        this.ledgerHash = sha512HalfHex(Buffer.from(this.ledgerHash, 'hex'), Buffer.from(String(ledgerIndex)));
+        this.#history.set(ledgerIndex, new Map(this.#objects));
+        this.#history.delete(ledgerIndex - MAX_LEDGER_HISTORY);
+
+        return { ledger: this.getLedgerHeader(), transactions: records };
+    }
+
+    async #applyTransaction(item, ledgerIndex, closeTime, txIndex) {
+        const tx = item.tx;
+        this.#changes = new Map();
+
+        if (!item.emitted) {
+            const account = this.getAccount(tx.Account);
+            const ticketed = tx.TicketSequence !== undefined;
+            this.#write(account.index, {
+                ...account,
+                Balance: (BigInt(account.Balance) - BigInt(tx.Fee)).toString(),
+                Sequence: ticketed ? account.Sequence : account.Sequence + 1,
+                OwnerCount: ticketed ? account.OwnerCount - 1 : account.OwnerCount
+            });
+            // The ticket is consumed like the sequence, even if the transaction fails.
+            if (ticketed)
+                this.#erase(MockLedger.ticketIndex(tx.Account, tx.TicketSequence));
+        }
+
+        // Ledger entries as they were after charging the fee, so a failed transaction can be reverted to this point.
+        const feeState = new Map([...this.#changes.keys()].map(index => [index, this.#objects.get(index)]));
+        const txJson = { ...tx, hash: item.hash };
+        const hookExecutions = [];
+        const emitted = [];
+        const context = { deliveredAmount: undefined, previousOwner: null };
+
+        let result = this.#transactor(tx.TransactionType).call(this, txJson, context);
+
+        if (result === 'tesSUCCESS') {
+            const hookAccounts = [...new Set([tx.Account, tx.Destination, context.previousOwner].filter(a => a && this.#hooks.has(a)))];
+            for (const hookAccount of hookAccounts) {
+                for (const hook of this.#hooks.get(hookAccount)) {
+                    const execution = await this.#executeHook(hook, hookAccount, txJson, ledgerIndex, closeTime, emitted);
+                    hookExecutions.push(execution.meta);
+                    if (execution.rejected) {
+                        result = 'tecHOOK_REJECTED';
+                        break;
+                    }
+                }
+                if (result !== 'tesSUCCESS')
+                    break;
+            }
+        }
+
+        if (result !== 'tesSUCCESS') {
+            // Revert everything other than the fee and the sequence consumption.
+            for (const [index, change] of this.#changes) {
+                if (feeState.has(index)) {
+                    if (feeState.get(index))
+                        this.#objects.set(index, feeState.get(index));
+                    else
+                        this.#objects.delete(index);
+                    continue;
+                }
+                if (change.before)
+                    this.#objects.set(index, change.before);
+                else
+                    this.#objects.delete(index);
+                this.#changes.delete(index);
+            }
+            emitted.length = 0;
+        }
+
+        for (const emittedTx of emitted)
+            this.#emitted.push(emittedTx);
+
+        const meta = {
+            TransactionIndex: txIndex,
+            TransactionResult: result,
+            AffectedNodes: this.#buildAffectedNodes()
+        };
+        if (hookExecutions.length)
+            meta.HookExecutions = hookExecutions.map(e => ({ HookExecution: e }));
+        if (result === 'tesSUCCESS' && context.deliveredAmount !== undefined)
+            meta.delivered_amount = context.deliveredAmount;
+
+        const record = {
+            tx: txJson,
+            meta: meta,
+            ledgerIndex: ledgerIndex,
+            date: closeTime - RIPPLE_EPOCH_OFFSET,
+            accounts: this.#collectAccounts(tx, meta)
+        };
+        this.#transactions.set(item.hash, record);
+        this.#txLog.push(record);
+        this.#changes = null;
+        return record;
+    }
+
+    async #executeHook(hook, hookAccount, tx, ledgerIndex, closeTime, emitted) {
+        const execution = { rejected: false, returnString: '', returnCode: 0 };
+        const ctx = {
+            account: hookAccount,
+            ledgerIndex: ledgerIndex,
+            closeTime: closeTime,
+            isOutgoing: tx.Account === hookAccount,
+            getState: (key, namespace = EvernodeConstants.HOOK_NAMESPACE) => this.getHookState(hookAccount, key, namespace),
+            setState: (key, data, namespace = EvernodeConstants.HOOK_NAMESPACE) => this.setHookState(hookAccount, key, data, namespace),
+            // Equivalent of state_foreign/state_foreign_set, for hooks sharing the state of another account.
+            getForeignState: (account, key, namespace = EvernodeConstants.HOOK_NAMESPACE) => this.getHookState(account, key, namespace),
+            setForeignState: (account, key, data, namespace = EvernodeConstants.HOOK_NAMESPACE) => this.setHookState(account, key, data, namespace),
+            getEntry: (index) => this.getEntry(index),
+            getAccount: (address) => this.getAccount(address),
+            getAccountObjects: (address) => this.getAccountObjects(address),
+            emit: (emitTx) => {
+                const emitHash = sha512HalfHex(Buffer.from(tx.hash, 'hex'), Buffer.from(JSON.stringify(emitTx)), crypto.randomBytes(8));
+                emitted.push({
+                    emitted: true,
+                    hash: emitHash,
+                    tx: {
+                        Account: hookAccount,
+                        Fee: '0',
+                        Flags: 0,
+                        Sequence: 0,
+                        SigningPubKey: '',
+                        ...emitTx,
+                        EmitDetails: { EmitGeneration: 1, EmitBurden: '1', EmitCallback: hookAccount }
+                    }
+                });
+                return emitHash;
+            },
+            accept: (message = '', code = 0) => {
+                execution.returnString = message;
+                execution.returnCode = code;
+            },
+            rollback: (message = '', code = 0) => {
+                execution.rejected = true;
+                execution.returnString = message;
+                execution.returnCode = code;
+            }
+        };
+
+        try {
+            await hook.onTransaction(tx, ctx);
+        }
+        catch (e) {
+            execution.rejected = true;
+            execution.returnString = (typeof e === 'string') ? e : (e.message || 'Hook execution failed.');
+        }
+
+        execution.meta = {
+            HookAccount: hookAccount,
+            HookResult: execution.rejected ? 2 : 3,
+            HookReturnCode: execution.returnCode.toString(16),
+            HookReturnString: Buffer.from(execution.returnString).toString('hex').toUpperCase(),
+            HookEmitCount: execution.rejected ? 0 : emitted.length
+        };
+        return execution;
+    }
+
+    #transactor(type) {
+        return {
+            Payment: this.#applyPayment,
+            AccountSet: this.#applyAccountSet,
+            SetRegularKey: this.#applySetRegularKey,
+            SignerListSet: this.#applySignerListSet,
+            TicketCreate: this.#applyTicketCreate,
+            TrustSet: this.#applyTrustSet,
+            URITokenMint: this.#applyURITokenMint,
+            URITokenBurn: this.#applyURITokenBurn,
+            URITokenBuy: this.#applyURITokenBuy,
+            URITokenCreateSellOffer: this.#applyURITokenCreateSellOffer,
+            URITokenCancelSellOffer: this.#applyURITokenCancelSellOffer,
+            Remit: this.#applyRemit,
+            Invoke: this.#applyNoop,
+            ClaimReward: this.#applyNoop
+        }[type];
+    }
+
+    #applyPayment(tx, context) {
+        if (tx.Account === tx.Destination)
+            return 'temDST_IS_SRC';
+
+        const result = this.#transfer(tx.Account, tx.Destination, tx.Amount);
+        if (result === 'tesSUCCESS')
+            context.deliveredAmount = tx.Amount;
+        return result;
+    }
+
+    #applyAccountSet(tx) {
+        const account = { ...this.getAccount(tx.Account) };
+
+        for (const field of ACCOUNT_SET_FIELDS) {
+            if (tx[field] === undefined)
+                continue;
+            if (tx[field] === '' || tx[field] === 0)
+                delete account[field];
+            else
+                account[field] = tx[field];
+        }
+
+        if (tx.SetFlag) {
+            if (tx.SetFlag === 4 && !account.RegularKey && !this.getSignerList(tx.Account))
+                return 'tecNO_ALTERNATIVE_KEY';
+            account.Flags |= (ACCOUNT_SET_FLAGS[tx.SetFlag] || 0);
+        }
+        if (tx.ClearFlag)
+            account.Flags &= ~(ACCOUNT_SET_FLAGS[tx.ClearFlag] || 0);
+
+        this.#write(account.index, account);
+        return 'tesSUCCESS';
+    }
+
+    #applySetRegularKey(tx) {
+        const account = { ...this.getAccount(tx.Account) };
+        if (tx.RegularKey) {
+            account.RegularKey = tx.RegularKey;
+        }
+        else {
+            if ((account.Flags & LedgerFlags.lsfDisableMaster) && !this.getSignerList(tx.Account))
+                return 'tecNO_ALTERNATIVE_KEY';
+            delete account.RegularKey;
+        }
+        this.#write(account.index, account);
+        return 'tesSUCCESS';
+    }
+
+    #applySignerListSet(tx) {
+        const index = MockLedger.signerListIndex(tx.Account);
+        const existing = this.getEntry(index);
+
+        if (!tx.SignerQuorum) {
+            if (!existing)
+                return 'tesSUCCESS';
+            const account = this.getAccount(tx.Account);
+            if ((account.Flags & LedgerFlags.lsfDisableMaster) && !account.RegularKey)
+                return 'tecNO_ALTERNATIVE_KEY';
+            this.#erase(index);
+            this.#changeOwnerCount(tx.Account, -1);
+            return 'tesSUCCESS';
+        }
+
+        const entries = tx.SignerEntries || [];
+        const totalWeight = entries.reduce((total, e) => total + e.SignerEntry.SignerWeight, 0);
+        if (!entries.length || totalWeight < tx.SignerQuorum || entries.find(e => e.SignerEntry.Account === tx.Account))
+            return 'temMALFORMED';
+
+        this.#write(index, {
+            LedgerEntryType: 'SignerList',
+            Flags: 0,
+            OwnerNode: '0',
+            SignerEntries: entries,
+            SignerListID: 0,
+            SignerQuorum: tx.SignerQuorum,
+            index: index
+        }, [tx.Account]);
+        if (!existing)
+            this.#changeOwnerCount(tx.Account, 1);
+        return 'tesSUCCESS';
+    }
+
+    #applyTicketCreate(tx) {
+        if (!(tx.TicketCount >= 1 && tx.TicketCount <= MAX_TICKETS))
+            return 'temINVALID_COUNT';
+
+        const account = this.getAccount(tx.Account);
+        const existing = this.getAccountObjects(tx.Account).filter(o => o.LedgerEntryType === 'Ticket').length;
+        if (existing + tx.TicketCount > MAX_TICKETS)
+            return 'tecDIR_FULL';
+
+        // Tickets take the sequences following the transaction's own sequence, which is already consumed at this point.
+        for (let i = 0; i < tx.TicketCount; i++) {
+            const ticketSequence = account.Sequence + i;
+            const index = MockLedger.ticketIndex(tx.Account, ticketSequence);
+            this.#write(index, {
+                LedgerEntryType: 'Ticket',
+                Account: tx.Account,
+                Flags: 0,
+                OwnerNode: '0',
+                TicketSequence: ticketSequence,
+                index: index
+            }, [tx.Account]);
+        }
+        this.#write(account.index, { ...account, Sequence: account.Sequence + tx.TicketCount, OwnerCount: account.OwnerCount + tx.TicketCount });
+        return 'tesSUCCESS';
+    }
+
+    #applyTrustSet(tx) {
+        const limit = tx.LimitAmount;
+        if (limit.issuer === tx.Account)
+            return 'temDST_IS_SRC';
+        if (!this.getAccount(limit.issuer))
+            return 'tecNO_DST';
+
+        const line = this.#getLine(tx.Account, limit.issuer, limit.currency);
+        this.#setLine(tx.Account, limit.issuer, limit.currency, line ? line.balance : 0n, limit.value);
+        return 'tesSUCCESS';
+    }
+
+    #applyURITokenMint(tx) {
+        const index = MockLedger.uriTokenIndex(tx.Account, tx.URI);
+        if (this.getEntry(index))
+            return 'tecDUPLICATE';
+
+        const token = {
+            LedgerEntryType: 'URIToken',
+            Flags: (tx.Flags & LedgerFlags.lsfBurnable) ? LedgerFlags.lsfBurnable : 0,
+            Issuer: tx.Account,
+            Owner: tx.Account,
+            URI: tx.URI,
+            OwnerNode: '0',
+            IssuerNode: '0',
+            index: index
+        };
+        if (tx.Digest)
+            token.Digest = tx.Digest;
+        if (tx.Amount !== undefined)
+            token.Amount = tx.Amount;
+        if (tx.Destination)
+            token.Destination = tx.Destination;
+
+        this.#write(index, token, [tx.Account]);
+        this.#changeOwnerCount(tx.Account, 1);
+        return 'tesSUCCESS';
+    }
+
+    #applyURITokenBurn(tx) {
+        const token = this.getEntry(tx.URITokenID);
+        if (!token)
+            return 'tecNO_ENTRY';
+        if (token.Owner !== tx.Account && !(token.Issuer === tx.Account && (token.Flags & LedgerFlags.lsfBurnable)))
+            return 'tecNO_PERMISSION';
+
+        this.#erase(token.index);
+        this.#changeOwnerCount(token.Owner, -1);
+        return 'tesSUCCESS';
+    }
+
+    #applyURITokenCreateSellOffer(tx) {
+        const token = this.getEntry(tx.URITokenID);
+        if (!token)
+            return 'tecNO_ENTRY';
+        if (token.Owner !== tx.Account)
+            return 'tecNO_PERMISSION';
+
+        const updated = { ...token, Amount: tx.Amount };
+        delete updated.Destination;
+        if (tx.Destination)
+            updated.Destination = tx.Destination;
+        this.#write(token.index, updated, [token.Owner]);
+        return 'tesSUCCESS';
+    }
+
+    #applyURITokenCancelSellOffer(tx) {
+        const token = this.getEntry(tx.URITokenID);
+        if (!token)
+            return 'tecNO_ENTRY';
+        if (token.Owner !== tx.Account)
+            return 'tecNO_PERMISSION';
+
+        const updated = { ...token };
+        delete updated.Amount;
+        delete updated.Destination;
+        this.#write(token.index, updated, [token.Owner]);
+        return 'tesSUCCESS';
+    }
+
+    #applyURITokenBuy(tx, context) {
+        const token = this.getEntry(tx.URITokenID);
+        if (!token)
+            return 'tecNO_ENTRY';
+        if (token.Owner === tx.Account)
+            return 'tecCANT_ACCEPT_OWN_OFFER';
+        if (token.Amount === undefined || (token.Destination && token.Destination !== tx.Account))
+            return 'tecNO_PERMISSION';
+        if (isNative(token.Amount) !== isNative(tx.Amount) ||
+            (!isNative(token.Amount) && (token.Amount.currency !== tx.Amount.currency || token.Amount.issuer !== tx.Amount.issuer)))
+            return 'temMALFORMED';
+        if (isNative(tx.Amount) ? BigInt(tx.Amount) < BigInt(token.Amount) : toUnits(tx.Amount.value) < toUnits(token.Amount.value))
+            return 'tecINSUFFICIENT_PAYMENT';
+
+        const result = this.#transfer(tx.Account, token.Owner, tx.Amount);
+        if (result !== 'tesSUCCESS')
+            return result;
+
+        const updated = { ...token, Owner: tx.Account };
+        delete updated.Amount;
+        delete updated.Destination;
+        this.#write(token.index, updated, [tx.Account]);
+        this.#changeOwnerCount(token.Owner, -1);
+        this.#changeOwnerCount(tx.Account, 1);
+        context.previousOwner = token.Owner;
+        return 'tesSUCCESS';
+    }
+
+    #applyRemit(tx) {
+        if (tx.Account === tx.Destination)
+            return 'temDST_IS_SRC';
+
+        for (const { AmountEntry: entry } of (tx.Amounts || [])) {
+            const result = this.#transfer(tx.Account, tx.Destination, entry.Amount);
+            if (result !== 'tesSUCCESS')
+                return result;
+        }
+
+        if (((tx.URITokenIDs || []).length || tx.MintURIToken) && !this.getAccount(tx.Destination))
+            return 'tecNO_DST';
+
+        for (const uriTokenID of (tx.URITokenIDs || [])) {
+            const token = this.getEntry(uriTokenID);
+            if (!token)
+                return 'tecNO_ENTRY';
+            if (token.Owner !== tx.Account)
+                return 'tecNO_PERMISSION';
+
+            const updated = { ...token, Owner: tx.Destination };
+            delete updated.Amount;
+            delete updated.Destination;
+            this.#write(token.index, updated, [tx.Destination]);
+            this.#changeOwnerCount(tx.Account, -1);
+            this.#changeOwnerCount(tx.Destination, 1);
+        }
+
+        if (tx.MintURIToken) {
+            const index = MockLedger.uriTokenIndex(tx.Account, tx.MintURIToken.URI);
+            if (this.getEntry(index))
+                return 'tecDUPLICATE';
+
+            const token = {
+                LedgerEntryType: 'URIToken',
+                Flags: (tx.MintURIToken.Flags & LedgerFlags.lsfBurnable) ? LedgerFlags.lsfBurnable : 0,
+                Issuer: tx.Account,
+                Owner: tx.Destination,
+                URI: tx.MintURIToken.URI,
+                OwnerNode: '0',
+                IssuerNode: '0',
+                index: index
+            };
+            if (tx.MintURIToken.Digest)
+                token.Digest = tx.MintURIToken.Digest;
+
+            this.#write(index, token, [tx.Destination]);
+            this.#changeOwnerCount(tx.Destination, 1);
+        }
+        return 'tesSUCCESS';
+    }
+
+    // Transactions which only run the hooks in the mock ledger.
+    #applyNoop() {
+        return 'tesSUCCESS';
+    }
+
+    #transfer(from, to, amount) {
+        if (isNative(amount)) {
+            const drops = BigInt(amount);
+            const source = this.getAccount(from);
+            if (BigInt(source.Balance) < drops)
+                return 'tecUNFUNDED_PAYMENT';
+
+            const destination = this.getAccount(to);
+            if (!destination) {
+                if (drops < BigInt(this.reserveBase))
+                    return 'tecNO_DST_INSUF_XRP';
+                this.#createAccount(to, '0');
+            }
+
+            this.#addDrops(from, -drops);
+            this.#addDrops(to, drops);
+            return 'tesSUCCESS';
+        }
+
+        if (!this.getAccount(to))
+            return 'tecNO_DST';
+
+        const value = toUnits(amount.value);
+        const { currency, issuer } = amount;
+
+        if (from !== issuer) {
+            const sourceLine = this.#getLine(from, issuer, currency);
+            if (!sourceLine || sourceLine.balance < value)
+                return 'tecPATH_PARTIAL';
+        }
+        if (to !== issuer) {
+            const destinationLine = this.#getLine(to, issuer, currency);
+            if (!destinationLine)
+                return 'tecPATH_DRY';
+            if (destinationLine.balance + value > toUnits(destinationLine.limit))
+                return 'tecPATH_PARTIAL';
+        }
+
+        if (from !== issuer) {
+            const sourceLine = this.#getLine(from, issuer, currency);
+            this.#setLine(from, issuer, currency, sourceLine.balance - value, sourceLine.limit);
+        }
+        if (to !== issuer) {
+            const destinationLine = this.#getLine(to, issuer, currency);
+            this.#setLine(to, issuer, currency, destinationLine.balance + value, destinationLine.limit);
+        }
+        return 'tesSUCCESS';
+    }
+
+    #createAccount(address, drops) {
+        const index = MockLedger.accountIndex(address);
+        this.#write(index, {
+            LedgerEntryType: 'AccountRoot',
+            Account: address,
+            Balance: BigInt(drops).toString(),
+            Flags: 0,
+            OwnerCount: 0,
+            PreviousTxnID: '0'.repeat(64),
+            PreviousTxnLgrSeq: 0,
+            Sequence: this.ledgerIndex,
+            index: index
+        }, []);
+    }
+
+    #addDrops(address, drops) {
+        const account = this.getAccount(address);
+        this.#write(account.index, { ...account, Balance: (BigInt(account.Balance) + drops).toString() });
+    }
+
+    #changeOwnerCount(address, delta) {
+        const account = this.getAccount(address);
+        this.#write(account.index, { ...account, OwnerCount: Math.max(0, account.OwnerCount + delta) });
+    }
+
+    #getLine(holder, issuer, currency) {
+        const line = this.getEntry(MockLedger.rippleStateIndex(holder, issuer, currency));
+        if (!line)
+            return null;
+        const holderIsLow = line.LowLimit.issuer === holder;
+        const balance = toUnits(line.Balance.value);
+        return {
+            entry: line,
+            balance: holderIsLow ? balance : -balance,
+            limit: holderIsLow ? line.LowLimit.value : line.HighLimit.value
+        };
+    }
+
+    #setLine(holder, issuer, currency, balance, limit) {
+        const index = MockLedger.rippleStateIndex(holder, issuer, currency);
+        const holderIsLow = MockLedger.isLowAccount(holder, issuer);
+        const existing = this.getEntry(index);
+        const low = holderIsLow ? holder : issuer;
+        const high = holderIsLow ? issuer : holder;
+
+        this.#write(index, {
+            LedgerEntryType: 'RippleState',
+            Flags: existing ? existing.Flags : 0,
+            Balance: { currency: currency, issuer: ACCOUNT_ONE, value: fromUnits(holderIsLow ? balance : -balance) },
+            LowLimit: { currency: currency, issuer: low, value: holderIsLow ? String(limit) : (existing ? existing.LowLimit.value : '0') },
+            HighLimit: { currency: currency, issuer: high, value: holderIsLow ? (existing ? existing.HighLimit.value : '0') : String(limit) },
+            LowNode: '0',
+            HighNode: '0',
+            index: index
+        }, [low, high]);
+
+        if (!existing)
+            this.#changeOwnerCount(holder, 1);
+    }
+
+    #write(index, entry, owners = null) {
+        const previous = this.#objects.get(index);
+        this.#track(index, previous);
+        this.#objects.set(index, { owners: owners || (previous ? previous.owners : []), entry: entry });
+    }
+
+    #erase(index) {
+        const previous = this.#objects.get(index);
+        if (!previous)
+            return;
+        this.#track(index, previous);
+        this.#objects.delete(index);
+    }
+
+    #track(index, previous) {
+        if (this.#changes && !this.#changes.has(index))
+            this.#changes.set(index, { before: previous });
+    }
+
+    #buildAffectedNodes() {
+        const nodes = [];
+        for (const [index, change] of this.#changes) {
+            const before = change.before ? change.before.entry : null;
+            const afterRecord = this.#objects.get(index);
+            const after = afterRecord ? afterRecord.entry : null;
+
+            const strip = (entry) => {
+                const fields = { ...entry };
+                delete fields.index;
+                delete fields.LedgerEntryType;
+                return fields;
+            };
+
+            if (!before && after) {
+                nodes.push({ CreatedNode: { LedgerEntryType: after.LedgerEntryType, LedgerIndex: index, NewFields: strip(after) } });
+            }
+            else if (before && !after) {
+                nodes.push({ DeletedNode: { LedgerEntryType: before.LedgerEntryType, LedgerIndex: index, FinalFields: strip(before) } });
+            }
+            else if (before && after && before !== after) {
+                const previousFields = {};
+                for (const [key, value] of Object.entries(strip(before))) {
+                    if (JSON.stringify(after[key]) !== JSON.stringify(value))
+                        previousFields[key] = value;
+                }
+                nodes.push({ ModifiedNode: { LedgerEntryType: after.LedgerEntryType, LedgerIndex: index, FinalFields: strip(after), PreviousFields: previousFields } });
+            }
+        }
+        return nodes;
+    }
+
+    #collectAccounts(tx, meta) {
+        const accounts = new Set([tx.Account, tx.Destination].filter(a => a));
+        for (const node of meta.AffectedNodes) {
+            const fields = Object.values(node)[0];
+            const data = fields.FinalFields || fields.NewFields || {};
+            for (const key of ['Account', 'Owner', 'Issuer', 'Destination'])
+                if (data[key]) accounts.add(data[key]);
+            for (const key of ['LowLimit', 'HighLimit'])
+                if (data[key]) accounts.add(data[key].issuer);
+        }
+        for (const execution of (meta.HookExecutions || []))
+            accounts.add(execution.HookExecution.HookAccount);
+        return [...accounts];
+    }
+
+    /**
+     * Get the engine result message of a result code.
+     * @param {string} code Engine result code.
+     * @returns Human readable result message.
+     */
+    static getResultMessage(code) {
+        return ResultMessages[code] || code;
+    }
+
+    static accountIndex(address) {
+        return sha512HalfHex(prefixBuf(LedgerPrefixes.ACCOUNT_ROOT), codec.decodeAccountID(address));
+    }
+
+    static signerListIndex(address) {
+        return sha512HalfHex(prefixBuf(LedgerPrefixes.SIGNER_LIST), codec.decodeAccountID(address), Buffer.alloc(4));
+    }
+
+    static ticketIndex(address, ticketSequence) {
+        const seqBuf = Buffer.alloc(4);
+        seqBuf.writeUInt32BE(ticketSequence);
+        return sha512HalfHex(prefixBuf(LedgerPrefixes.TICKET), codec.decodeAccountID(address), seqBuf);
+    }
+
+    static uriTokenIndex(address, uriHex) {
+        return sha512HalfHex(prefixBuf(LedgerPrefixes.URI_TOKEN), codec.decodeAccountID(address), Buffer.from(uriHex, 'hex'));
+    }
+
+    static isLowAccount(address, other) {
+        return Buffer.compare(codec.decodeAccountID(address), codec.decodeAccountID(other)) < 0;
+    }
+
+    static rippleStateIndex(address, issuer, currency) {
+        const low = MockLedger.isLowAccount(address, issuer) ? address : issuer;
+        const high = low === address ? issuer : address;
+        return sha512HalfHex(prefixBuf(LedgerPrefixes.RIPPLE_STATE), codec.decodeAccountID(low), codec.decodeAccountID(high), currencyBuf(currency));
+    }
+}
+
+module.exports = {
+    MockLedger,
+    RIPPLE_EPOCH_OFFSET
+}
@@ -0,0 +1,597 @@
+const { WebSocketServer } = require('ws');
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
+const kp = require('ripple-keypairs');
+const { binary } = require('xrpl-accountlib');
+const { XrplHelpers } = require('../xrpl-helpers');
+const { EvernodeConstants } = require('../evernode-common');
+const { MockDefinitions } = require('./mock-definitions');
+const { MockLedger, RIPPLE_EPOCH_OFFSET } = require('./mock-ledger');
+
+const TRANSACTION_HASH_PREFIX = '54584E00';
+const DEFAULT_LEDGER_INTERVAL = 1000;
+const MAX_PAGE_LIMIT = 400;
+
+const ACCOUNT_OBJECT_TYPES = {
+    check: 'Check',
+    deposit_preauth: 'DepositPreauth',
+    escrow: 'Escrow',
+    hook_state: 'HookState',
+    payment_channel: 'PayChannel',
+    signer_list: 'SignerList',
+    state: 'RippleState',
+    ticket: 'Ticket',
+    uri_token: 'URIToken'
+}
+
+const ResultCodes = {
+    tesSUCCESS: 0,
+    tecHOOK_REJECTED: 153
+}
+
+/**
+ * In-process rippled compatible websocket server backed by a mock Xahau ledger.
+ * Serves the subset of the rippled API used by XrplApi so clients can be exercised without a live network.
+ */
+class MockXrplServer {
+    #options;
+    #wss = null;
+    #connections = new Set();
+    #ledgerTimer = null;
+    #closing = null;
+
+    /**
+     * Creates the mock server.
+     * @param {object} options [Optional] Server options { port: '{number} listening port, 0 for a random port', host: '{string} listening host',
+     *  ledgerInterval: '{number} ledger close interval in milliseconds, 0 to close ledgers manually', networkID: '{number} network id',
+     *  baseFee: '{number} base fee in drops', startLedgerIndex: '{number} index of the first ledger', definitions: '{object} server definitions to serve' }
+     */
+    constructor(options = {}) {
+        this.#options = {
+            port: options.port || 0,
+            host: options.host || '127.0.0.1',
+            ledgerInterval: (options.ledgerInterval === undefined) ? DEFAULT_LEDGER_INTERVAL : options.ledgerInterval
+        };
+        this.definitions = MockDefinitions.build(options.definitions);
+        this.xrplHelper = new XrplHelpers(this.definitions);
+        this.ledger = new MockLedger({
+            networkID: options.networkID,
+            baseFee: options.baseFee,
+            startLedgerIndex: options.startLedgerIndex
+        });
+    }
+
+    /**
+     * Get the websocket url of the running server.
+     */
+    get url() {
+        if (!this.#wss)
+            return null;
+        const address = this.#wss.address();
+        return `ws://${this.#options.host}:${address.port}`;
+    }
+
+    /**
+     * Get the last closed ledger index.
+     */
+    get ledgerIndex() {
+        return this.ledger.ledgerIndex;
+    }
+
+    /**
+     * Starts listening for websocket connections and starts closing ledgers.
+     * @returns The websocket url of the server.
+     */
+    async start() {
+        if (this.#wss)
+            return this.url;
+
+        await new Promise((resolve, reject) => {
+            this.#wss = new WebSocketServer({ port: this.#options.port, host: this.#options.host });
+            this.#wss.once('listening', resolve);
+            this.#wss.once('error', reject);
+        });
+
+        this.#wss.on('connection', (ws) => {
+            const connection = { ws: ws, accounts: new Set(), streams: new Set() };
+            this.#connections.add(connection);
+            ws.on('message', (data) => this.#handleMessage(connection, data));
+            ws.on('close', () => this.#connections.delete(connection));
+            ws.on('error', () => this.#connections.delete(connection));
+        });
+
+        if (this.#options.ledgerInterval > 0)
+            this.#ledgerTimer = setInterval(() => this.closeLedger().catch(console.error), this.#options.ledgerInterval);
+
+        return this.url;
+    }
+
+    /**
+     * Stops closing ledgers and terminates all the client connections.
+     */
+    async stop() {
+        if (this.#ledgerTimer) {
+            clearInterval(this.#ledgerTimer);
+            this.#ledgerTimer = null;
+        }
+        if (this.#closing)
+            await this.#closing.catch(() => { });
+        if (!this.#wss)
+            return;
+
+        for (const connection of this.#connections)
+            connection.ws.terminate();
+        this.#connections.clear();
+
+        await new Promise(resolve => this.#wss.close(() => resolve()));
+        this.#wss = null;
+    }
+
+    /**
+     * Drops all the client connections while keeping the server running.
+     */
+    disconnectClients() {
+        for (const connection of this.#connections)
+            connection.ws.terminate();
+        this.#connections.clear();
+    }
+
+    /**
+     * Closes the current ledger and publishes the ledger and transaction streams.
+     * @returns The closed ledger header and the validated transaction records.
+     */
+    async closeLedger() {
+        // Ledger closes are serialized since hook emulators may be async.
+        const previous = this.#closing || Promise.resolve();
+        const closing = previous.catch(() => { }).then(() => this.#closeLedger());
+        this.#closing = closing;
+        try {
+            return await closing;
+        }
+        finally {
+            if (this.#closing === closing)
+                this.#closing = null;
+        }
+    }
+
+    async #closeLedger() {
+        const closed = await this.ledger.close();
+
+        const ledgerMessage = {
+            type: 'ledgerClosed',
+            fee_base: this.ledger.baseFee,
+            fee_ref: this.ledger.baseFee,
+            ledger_hash: closed.ledger.ledger_hash,
+            ledger_index: this.ledger.ledgerIndex,
+            ledger_time: closed.ledger.close_time,
+            reserve_base: this.ledger.reserveBase,
+            reserve_inc: this.ledger.reserveIncrement,
+            txn_count: closed.transactions.length,
+            validated_ledgers: this.ledger.getValidatedLedgers()
+        };
+
+        for (const connection of this.#connections) {
+            if (connection.streams.has('ledger'))
+                this.#send(connection, ledgerMessage);
+        }
+
+        for (const record of closed.transactions) {
+            const result = record.meta.TransactionResult;
+            const message = {
+                type: 'transaction',
+                engine_result: result,
+                engine_result_code: ResultCodes[result] ?? 100,
+                engine_result_message: MockLedger.getResultMessage(result),
+                ledger_hash: closed.ledger.ledger_hash,
+                ledger_index: record.ledgerIndex,
+                meta: record.meta,
+                transaction: { ...record.tx, date: record.date },
+                validated: true
+            };
+            for (const connection of this.#connections) {
+                if (connection.streams.has('transactions') || record.accounts.find(a => connection.accounts.has(a)))
+                    this.#send(connection, message);
+            }
+        }
+
+        return closed;
+    }
+
+    /**
+     * Funds an account directly, creating it if it does not exist.
+     * @param {string} address Account address.
+     * @param {string|number} drops Amount in drops.
+     */
+    fundAccount(address, drops) {
+        this.ledger.fundAccount(address, drops);
+    }
+
+    /**
+     * Sets a trust line balance directly.
+     * @param {string} address Holder address.
+     * @param {string} currency Currency code.
+     * @param {string} issuer Issuer address.
+     * @param {string} value Holder balance.
+     * @param {string} limit [Optional] Holder trust limit.
+     */
+    setTrustLine(address, currency, issuer, value, limit) {
+        this.ledger.setTrustLine(address, currency, issuer, value, limit);
+    }
+
+    /**
+     * Sets a hook state entry directly.
+     * @param {string} address Hook account address.
+     * @param {string} key Hex state key.
+     * @param {string} data Hex state data. Removes the entry if null.
+     * @param {string} namespace [Optional] Hex hook namespace.
+     */
+    setHookState(address, key, data, namespace = EvernodeConstants.HOOK_NAMESPACE) {
+        this.ledger.setHookState(address, key, data, namespace);
+    }
+
+    /**
+     * Attaches a hook emulator to an account.
+     * @param {string} address Hook account address.
+     * @param {object} hook Object with an 'onTransaction(tx, ctx)' method.
+     */
+    addHook(address, hook) {
+        this.ledger.addHook(address, hook);
+    }
+
+    /**
+     * Detaches hook emulators from an account.
+     * @param {string} address Hook account address.
+     * @param {object} hook [Optional] The hook to remove.
+     */
+    removeHook(address, hook = null) {
+        this.ledger.removeHook(address, hook);
+    }
+
+    #send(connection, message) {
+        if (connection.ws.readyState === connection.ws.OPEN)
+            connection.ws.send(JSON.stringify(message));
+    }
+
+    async #handleMessage(connection, data) {
+        let request;
+        try {
+            request = JSON.parse(data.toString());
+        }
+        catch {
+            this.#send(connection, { status: 'error', type: 'response', error: 'invalidParams', error_message: 'Unable to parse request.' });
+            return;
+        }
+
+        try {
+            const result = await this.#handleRequest(connection, request);
+            this.#send(connection, { id: request.id, status: 'success', type: 'response', result: result });
+        }
+        catch (e) {
+            const error = (typeof e === 'string') ? { error: e } : e;
+            this.#send(connection, {
+                id: request.id,
+                status: 'error',
+                type: 'response',
+                error: error.error || 'internal',
+                error_code: error.error_code,
+                error_message: error.error_message || error.message || error.error,
+                request: request
+            });
+        }
+    }
+
+    async #handleRequest(connection, request) {
+        switch (request.command) {
+            case 'ping':
+                return {};
+            case 'server_definitions':
+                return this.definitions;
+            case 'server_info':
+                return this.#serverInfo();
+            case 'fee':
+                return this.#fee();
+            case 'ledger':
+                return this.#ledgerInfo(request);
+            case 'account_info':
+                return this.#accountInfo(request);
+            case 'account_objects':
+                return this.#accountObjects(request);
+            case 'account_namespace':
+                return this.#accountNamespace(request);
+            case 'account_lines':
+                return this.#accountLines(request);
+            case 'account_tx':
+                return this.#accountTx(request);
+            case 'ledger_entry':
+                return this.#ledgerEntry(request);
+            case 'tx':
+                return this.#tx(request);
+            case 'submit':
+                return this.#submit(request);
+            case 'subscribe':
+                return this.#subscribe(connection, request);
+            case 'unsubscribe':
+                return this.#unsubscribe(connection, request);
+            default:
+                throw { error: 'unknownCmd', error_code: 32, error_message: 'Unknown method.' };
+        }
+    }
+
+    #serverInfo() {
+        return {
+            info: {
+                build_version: 'mock',
+                complete_ledgers: this.ledger.getValidatedLedgers(),
+                network_id: this.ledger.networkID,
+                server_state: 'full',
+                validated_ledger: {
+                    base_fee_xrp: this.ledger.baseFee / 1000000,
+                    hash: this.ledger.ledgerHash,
+                    reserve_base_xrp: this.ledger.reserveBase / 1000000,
+                    reserve_inc_xrp: this.ledger.reserveIncrement / 1000000,
+                    seq: this.ledger.ledgerIndex
+                }
+            }
+        };
+    }
+
+    #fee() {
+        const baseFee = this.ledger.baseFee.toString();
+        return {
+            current_ledger_size: '0',
+            current_queue_size: '0',
+            drops: { base_fee: baseFee, median_fee: baseFee, minimum_fee: baseFee, open_ledger_fee: baseFee },
+            expected_ledger_size: '1000',
+            ledger_current_index: this.ledger.ledgerIndex + 1,
+            levels: { median_level: '256', minimum_level: '256', open_ledger_level: '256', reference_level: '256' },
+            max_queue_size: '2000'
+        };
+    }
+
+    #ledgerInfo(request) {
+        if (request.ledger_index === 'current') {
+            return {
+                ledger: { ledger_index: (this.ledger.ledgerIndex + 1).toString(), closed: false },
+                ledger_current_index: this.ledger.ledgerIndex + 1,
+                validated: false
+            };
+        }
+        return {
+            ledger: this.ledger.getLedgerHeader(),
+            ledger_hash: this.ledger.ledgerHash,
+            ledger_index: this.ledger.ledgerIndex,
+            validated: true
+        };
+    }
+
+    #ledgerFields(ledgerIndex) {
+        if (!ledgerIndex || ledgerIndex === 'current')
+            return { ledger_current_index: this.ledger.ledgerIndex + 1, validated: false };
+        return { ledger_index: (typeof ledgerIndex === 'number') ? ledgerIndex : this.ledger.ledgerIndex, validated: true };
+    }
+
+    #requireAccount(request, ledgerIndex = null) {
+        if (!request.account)
+            throw { error: 'invalidParams', error_code: 31, error_message: 'Missing field \'account\'.' };
+        const account = this.ledger.getAccount(request.account, ledgerIndex);
+        if (!account)
+            throw { error: 'actNotFound', error_code: 19, error_message: 'Account not found.' };
+        return account;
+    }
+
+    #paginate(items, request) {
+        const limit = Math.min(request.limit || MAX_PAGE_LIMIT, MAX_PAGE_LIMIT);
+        const offset = request.marker ? Number(request.marker) : 0;
+        const page = items.slice(offset, offset + limit);
+        const marker = (offset + limit < items.length) ? (offset + limit).toString() : undefined;
+        return { page, marker };
+    }
+
+    #accountInfo(request) {
+        const ledgerIndex = (request.ledger_index === 'current' || !request.ledger_index) ? null : request.ledger_index;
+        const account = { ...this.#requireAccount(request, ledgerIndex) };
+
+        // The current (open) ledger view includes the transactions waiting in the queue.
+        if (!ledgerIndex)
+            account.Sequence += this.ledger.getQueuedSequenceCount(request.account);
+
+        const signerList = this.ledger.getSignerList(request.account);
+        const result = { account_data: account, ...this.#ledgerFields(request.ledger_index) };
+        if (request.signer_lists)
+            result.account_data.signer_lists = signerList ? [signerList] : [];
+        return result;
+    }
+
+    #accountObjects(request) {
+        const ledgerIndex = (request.ledger_index === 'current') ? null : request.ledger_index;
+        this.#requireAccount(request, ledgerIndex);
+
+        let objects = this.ledger.getAccountObjects(request.account, ledgerIndex);
+        if (request.type) {
+            const type = ACCOUNT_OBJECT_TYPES[request.type];
+            if (!type)
+                throw { error: 'invalidParams', error_code: 31, error_message: 'Invalid field \'type\'.' };
+            objects = objects.filter(o => o.LedgerEntryType === type);
+        }
+        else {
+            objects = objects.filter(o => o.LedgerEntryType !== 'HookState');
+        }
+
+        const { page, marker } = this.#paginate(objects, request);
+        return { account: request.account, account_objects: page, marker: marker, ...this.#ledgerFields(request.ledger_index) };
+    }
+
+    #accountNamespace(request) {
+        this.#requireAccount(request);
+        if (!request.namespace_id)
+            throw { error: 'invalidParams', error_code: 31, error_message: 'Missing field \'namespace_id\'.' };
+
+        const entries = this.ledger.getNamespaceEntries(request.account, request.namespace_id, request.ledger_index === 'current' ? null : request.ledger_index);
+        const { page, marker } = this.#paginate(entries, request);
+        return { account: request.account, namespace_id: request.namespace_id, namespace_entries: page, marker: marker, ...this.#ledgerFields(request.ledger_index) };
+    }
+
+    #accountLines(request) {
+        const ledgerIndex = (request.ledger_index === 'current') ? null : request.ledger_index;
+        this.#requireAccount(request, ledgerIndex);
+
+        const lines = this.ledger.getAccountObjects(request.account, ledgerIndex)
+            .filter(o => o.LedgerEntryType === 'RippleState')
+            .map(o => {
+                const isLow = o.LowLimit.issuer === request.account;
+                const own = isLow ? o.LowLimit : o.HighLimit;
+                const peer = isLow ? o.HighLimit : o.LowLimit;
+                const balance = isLow ? o.Balance.value : (o.Balance.value.startsWith('-') ? o.Balance.value.substring(1) : (o.Balance.value === '0' ? '0' : `-${o.Balance.value}`));
+                return { account: peer.issuer, balance: balance, currency: o.Balance.currency, limit: own.value, limit_peer: peer.value, quality_in: 0, quality_out: 0 };
+            })
+            .filter(l => (!request.peer || l.account === request.peer));
+
+        const { page, marker } = this.#paginate(lines, request);
+        return { account: request.account, lines: page, marker: marker, ...this.#ledgerFields(request.ledger_index) };
+    }
+
+    #accountTx(request) {
+        this.#requireAccount(request);
+
+        const min = (request.ledger_index_min === undefined || request.ledger_index_min === -1) ? 0 : request.ledger_index_min;
+        const max = (request.ledger_index_max === undefined || request.ledger_index_max === -1) ? this.ledger.ledgerIndex : request.ledger_index_max;
+        let records = this.ledger.getAccountTransactions(request.account, min, max);
+        if (!request.forward)
+            records = [...records].reverse();
+
+        const { page, marker } = this.#paginate(records, request);
+        return {
+            account: request.account,
+            ledger_index_min: min,
+            ledger_index_max: max,
+            limit: request.limit,
+            marker: marker,
+            transactions: page.map(r => ({ meta: r.meta, tx: { ...r.tx, date: r.date, ledger_index: r.ledgerIndex, inLedger: r.ledgerIndex }, validated: true })),
+            validated: true
+        };
+    }
+
+    #ledgerEntry(request) {
+        let index = request.index;
+        if (!index && request.account_root)
+            index = MockLedger.accountIndex(request.account_root);
+        if (!index)
+            throw { error: 'invalidParams', error_code: 31, error_message: 'Missing field \'index\'.' };
+
+        const ledgerIndex = (request.ledger_index === 'current') ? null : request.ledger_index;
+        const entry = this.ledger.getEntry(index.toUpperCase(), ledgerIndex);
+        if (!entry)
+            throw { error: 'entryNotFound', error_code: 21, error_message: 'Entry not found.' };
+
+        return { index: index.toUpperCase(), node: entry, ...this.#ledgerFields(request.ledger_index) };
+    }
+
+    #tx(request) {
+        const record = this.ledger.getTransaction(request.transaction || '');
+        if (!record)
+            throw { error: 'txnNotFound', error_code: 29, error_message: 'Transaction not found.' };
+        return { ...record.tx, date: record.date, inLedger: record.ledgerIndex, ledger_index: record.ledgerIndex, meta: record.meta, validated: true };
+    }
+
+    #submit(request) {
+        if (!request.tx_blob)
+            throw { error: 'invalidParams', error_code: 31, error_message: 'Missing field \'tx_blob\'.' };
+
+        let tx;
+        try {
+            tx = this.xrplHelper.decode(request.tx_blob);
+        }
+        catch (e) {
+            throw { error: 'invalidTransaction', error_message: `fails local checks: ${e.message || e}` };
+        }
+
+        const hash = crypto.createHash('sha512').update(Buffer.from(TRANSACTION_HASH_PREFIX + request.tx_blob, 'hex')).digest('hex').substring(0, 64).toUpperCase();
+        let result = this.#verifySignatures(tx);
+        if (result === 'tesSUCCESS')
+            result = this.ledger.submit(tx, hash);
+
+        const accepted = result === 'tesSUCCESS';
+        return {
+            accepted: accepted,
+            applied: accepted,
+            broadcast: accepted,
+            engine_result: result,
+            engine_result_code: ResultCodes[result] ?? -1,
+            engine_result_message: MockLedger.getResultMessage(result),
+            kept: accepted,
+            queued: false,
+            tx_blob: request.tx_blob,
+            tx_json: { ...tx, hash: hash }
+        };
+    }
+
+    #verifySignatures(tx) {
+        try {
+            if (tx.Signers && tx.Signers.length) {
+                const signerList = this.ledger.getSignerList(tx.Account);
+                if (!signerList)
+                    return 'tefNOT_MULTI_SIGNING';
+
+                let weight = 0;
+                for (const { Signer: signer } of tx.Signers) {
+                    const message = binary.encodeForMultisigning(tx, signer.Account, this.xrplHelper.definitions);
+                    if (!kp.verify(message, signer.TxnSignature, signer.SigningPubKey))
+                        return 'temBAD_SIGNATURE';
+                    const entry = signerList.SignerEntries.find(e => e.SignerEntry.Account === signer.Account);
+                    const signerAddress = kp.deriveAddress(signer.SigningPubKey);
+                    if (!entry || (signerAddress !== signer.Account && !this.ledger.isAuthorizedSigner(signer.Account, signerAddress)))
+                        return 'tefBAD_SIGNATURE';
+                    weight += entry.SignerEntry.SignerWeight;
+                }
+                return (weight >= signerList.SignerQuorum) ? 'tesSUCCESS' : 'tefBAD_QUORUM';
+            }
+
+            if (!tx.SigningPubKey || !tx.TxnSignature)
+                return 'temBAD_SIGNATURE';
+            const message = binary.encodeForSigning(tx, this.xrplHelper.definitions);
+            if (!kp.verify(message, tx.TxnSignature, tx.SigningPubKey))
+                return 'temBAD_SIGNATURE';
+            if (!this.ledger.getAccount(tx.Account))
+                return 'terNO_ACCOUNT';
+            if (!this.ledger.isAuthorizedSigner(tx.Account, kp.deriveAddress(tx.SigningPubKey)))
+                return 'tefBAD_AUTH';
+            return 'tesSUCCESS';
+        }
+        catch {
+            return 'temBAD_SIGNATURE';
+        }
+    }
+
+    #subscribe(connection, request) {
+        for (const account of (request.accounts || []))
+            connection.accounts.add(account);
+        for (const stream of (request.streams || []))
+            connection.streams.add(stream);
+
+        if ((request.streams || []).includes('ledger')) {
+            return {
+                fee_base: this.ledger.baseFee,
+                fee_ref: this.ledger.baseFee,
+                ledger_hash: this.ledger.ledgerHash,
+                ledger_index: this.ledger.ledgerIndex,
+                ledger_time: this.ledger.closeTime - RIPPLE_EPOCH_OFFSET,
+                reserve_base: this.ledger.reserveBase,
+                reserve_inc: this.ledger.reserveIncrement,
+                validated_ledgers: this.ledger.getValidatedLedgers()
+            };
+        }
+        return {};
+    }
+
+    #unsubscribe(connection, request) {
+        for (const account of (request.accounts || []))
+            connection.accounts.delete(account);
+        for (const stream of (request.streams || []))
+            connection.streams.delete(stream);
+        return {};
+    }
+}
+
+module.exports = {
+    MockXrplServer
+}
@@ -0,0 +1,191 @@
+const { UtilHelpers } = require('./util-helpers');
+
+const MomentTypes = {
+    LEDGER: 'ledger',
+    TIMESTAMP: 'timestamp'
+}
+
+const DEFAULT_LEDGER_CLOSE_TIME = 4; // Seconds.
+
+/**
+ * Calculates the Evernode moments for both ledger and timestamp based moments.
+ * A scheduled moment transition ('momentTransitInfo') is applied from its transition index onwards.
+ * Indexes are ledger indexes for ledger based moments and unix timestamps (seconds) for timestamp based moments.
+ */
+class MomentCalculator {
+    #config;
+    #xrplApi;
+    #ledgerCloseTime;
+
+    /**
+     * Creates a moment calculator.
+     * @param {object} config Evernode configuration { momentSize, momentBaseInfo, momentTransitInfo } (The 'config' of the clients).
+     * @param {object} options [Optional] { xrplApi: Used to get the current ledger index, ledgerCloseTime: Average ledger close time in seconds used to convert between ledgers and timestamps (default 4) }.
+     */
+    constructor(config, options = {}) {
+        if (!config?.momentBaseInfo || !config.momentSize)
+            throw 'Moment configuration is not available.';
+        this.#config = config;
+        this.#xrplApi = options.xrplApi || null;
+        this.#ledgerCloseTime = options.ledgerCloseTime || DEFAULT_LEDGER_CLOSE_TIME;
+    }
+
+    /**
+     * Moment type of the moment base info.
+     */
+    get momentType() {
+        return this.#config.momentBaseInfo.momentType;
+    }
+
+    /**
+     * Get the current index in the moment type units.
+     * @returns The current ledger index or the current timestamp.
+     */
+    getCurrentIndex() {
+        return this.#getCurrent(this.momentType);
+    }
+
+    /**
+     * Get the moment of the index.
+     * @param {number} index [Optional] Ledger index or timestamp according to the moment type. Defaults to the current index.
+     * @returns The moment as a 'number'.
+     */
+    getMoment(index = null) {
+        const { segment, value } = this.#locate(index ?? this.getCurrentIndex(), this.momentType);
+        return segment.baseMoment + Math.floor((value - segment.baseIdx) / segment.size);
+    }
+
+    /**
+     * Get the start index of the moment which the index belongs to.
+     * @param {number} index [Optional] Ledger index or timestamp according to the moment type. Defaults to the current index.
+     * @returns The start index as a 'number'.
+     */
+    getMomentStartIndex(index = null) {
+        const { segment, value } = this.#locate(index ?? this.getCurrentIndex(), this.momentType);
+        const start = segment.baseIdx + (Math.floor((value - segment.baseIdx) / segment.size) * segment.size);
+        return this.#convert(start, segment.type, this.momentType);
+    }
+
+    /**
+     * Get the end index (exclusive) of the moment which the index belongs to.
+     * @param {number} index [Optional] Ledger index or timestamp according to the moment type. Defaults to the current index.
+     * @returns The end index as a 'number'. This is the start index of the next moment.
+     */
+    getMomentEndIndex(index = null) {
+        const { segment, value } = this.#locate(index ?? this.getCurrentIndex(), this.momentType);
+        let end = segment.baseIdx + ((Math.floor((value - segment.baseIdx) / segment.size) + 1) * segment.size);
+        if (segment.endIdx !== undefined)
+            end = Math.min(end, segment.endIdx);
+        return this.#convert(end, segment.type, this.momentType);
+    }
+
+    /**
+     * Get the moment size which applies to the index.
+     * @param {number} index [Optional] Ledger index or timestamp according to the moment type. Defaults to the current index.
+     * @returns The moment size in the units of the moment type in effect at the index.
+     */
+    getMomentSize(index = null) {
+        return this.#locate(index ?? this.getCurrentIndex(), this.momentType).segment.size;
+    }
+
+    /**
+     * Get the start index of a moment.
+     * @param {number} moment Moment number.
+     * @returns The start index as a 'number' in the moment type units.
+     */
+    getMomentStartIndexOf(moment) {
+        const segments = this.#getSegments();
+        const segment = [...segments].reverse().find(s => moment >= s.baseMoment) || segments[0];
+        const start = segment.baseIdx + ((moment - segment.baseMoment) * segment.size);
+        return this.#convert(start, segment.type, this.momentType);
+    }
+
+    /**
+     * Get the start time of a moment.
+     * @param {number} moment Moment number.
+     * @returns The start as a unix timestamp in seconds. Estimated with the average ledger close time for ledger based moments.
+     */
+    getMomentStartTime(moment) {
+        return this.#convert(this.getMomentStartIndexOf(moment), this.momentType, MomentTypes.TIMESTAMP);
+    }
+
+    /**
+     * Get the time remaining in the current moment.
+     * @returns Seconds until the current moment ends. Estimated with the average ledger close time for ledger based moments.
+     */
+    getTimeRemaining() {
+        const end = this.getMomentEndIndex();
+        return Math.max(0, this.#convert(end, this.momentType, MomentTypes.TIMESTAMP) - this.#getCurrent(MomentTypes.TIMESTAMP));
+    }
+
+    /**
+     * Get the moment of a ledger.
+     * @param {number} ledgerIndex Ledger index (Can be a future ledger).
+     * @returns The moment as a 'number'.
+     */
+    getMomentAtLedger(ledgerIndex) {
+        return this.getMoment(this.#convert(ledgerIndex, MomentTypes.LEDGER, this.momentType));
+    }
+
+    /**
+     * Get the moment of a timestamp.
+     * @param {number} timestamp Unix timestamp in seconds (Can be a future time).
+     * @returns The moment as a 'number'.
+     */
+    getMomentAtTime(timestamp) {
+        return this.getMoment(this.#convert(timestamp, MomentTypes.TIMESTAMP, this.momentType));
+    }
+
+    // Moments are calculated in segments. The base segment ends at the transition index if there's a scheduled transition.
+    #getSegments() {
+        const base = this.#config.momentBaseInfo;
+        const baseSegment = { type: base.momentType, baseIdx: base.baseIdx, baseMoment: base.baseTransitionMoment, size: this.#config.momentSize };
+
+        const transit = this.#config.momentTransitInfo;
+        if (!(transit?.transitionIndex > 0) || !transit.momentSize)
+            return [baseSegment];
+
+        baseSegment.endIdx = transit.transitionIndex;
+        const transitionMoment = baseSegment.baseMoment + Math.ceil((transit.transitionIndex - baseSegment.baseIdx) / baseSegment.size);
+        return [baseSegment, {
+            type: transit.momentType,
+            baseIdx: this.#convert(transit.transitionIndex, base.momentType, transit.momentType),
+            baseMoment: transitionMoment,
+            size: transit.momentSize
+        }];
+    }
+
+    #locate(index, type) {
+        const segments = this.#getSegments();
+        const baseValue = this.#convert(index, type, segments[0].type);
+        if (segments.length === 1 || baseValue < segments[0].endIdx)
+            return { segment: segments[0], value: baseValue };
+        return { segment: segments[1], value: this.#convert(index, type, segments[1].type) };
+    }
+
+    #getCurrent(type) {
+        if (type === MomentTypes.LEDGER) {
+            if (!this.#xrplApi?.ledgerIndex)
+                throw 'Current ledger index is not available.';
+            return this.#xrplApi.ledgerIndex;
+        }
+        return UtilHelpers.getCurrentUnixTime();
+    }
+
+    // Converts between ledger indexes and timestamps relative to the current ledger.
+    #convert(value, fromType, toType) {
+        if (fromType === toType)
+            return value;
+
+        const curLedger = this.#getCurrent(MomentTypes.LEDGER);
+        const curTime = this.#getCurrent(MomentTypes.TIMESTAMP);
+        if (toType === MomentTypes.TIMESTAMP)
+            return curTime + Math.round((value - curLedger) * this.#ledgerCloseTime);
+        return curLedger + Math.floor((value - curTime) / this.#ledgerCloseTime);
+    }
+}
+
+module.exports = {
+    MomentCalculator,
+    MomentTypes
+}
@@ -0,0 +1,232 @@
+const kp = require('ripple-keypairs');
+const codec = require('ripple-address-codec');
+const { Defaults } = require('./defaults');
+
+/**
+ * Collects the signatures of a multi-signed transaction and submits it once the signer list quorum is reached.
+ * The session and the signatures are portable json, so the signers can sign on other machines.
+ * Signature format: { account: Address of the signer list entry, signingPubKey: Public key of the signing key, txnSignature: Multi-signing signature }.
+ */
+class MultisigSession {
+    #xrplApi;
+    #xrplHelper;
+    #autoSubmit;
+    #signatures = new Map(); // Signer address -> signature.
+
+    /**
+     * Restores a session from its json.
+     * @param {object|string} json Json of the session (See toJSON).
+     * @param {object} options [Optional] Session options.
+     * @returns The session.
+     */
+    static fromJSON(json, options = {}) {
+        const data = (typeof json === 'string') ? JSON.parse(json) : json;
+        const session = new MultisigSession(data.tx_json, options);
+        for (const signature of (data.signatures || []))
+            session.#addVerified(signature);
+        return session;
+    }
+
+    /**
+     * Creates a multi-signing session.
+     * @param {object} tx Prepared transaction. Its Fee should cover the multi-signing cost ((Number of signatures + 1) * base fee).
+     * @param {object} options [Optional] { xrplApi: XrplApi instance to validate and submit, offline: OfflineContext to sign without a connection,
+     * autoSubmit: Submit as soon as the signatures reach the quorum (default false) }.
+     */
+    constructor(tx, options = {}) {
+        if (!tx?.Account || !tx.TransactionType || (!tx.Sequence && !tx.TicketSequence))
+            throw 'MultisigSession: transaction should be prepared.';
+
+        this.#xrplApi = options.xrplApi || (options.offline ? null : Defaults.values.xrplApi);
+        this.#xrplHelper = options.offline ? options.offline.xrplHelper : this.#xrplApi?.xrplHelper;
+        if (!this.#xrplHelper)
+            throw 'MultisigSession: xrplApi or offline context not specified.';
+        this.#autoSubmit = !!options.autoSubmit;
+
+        // Multi-signed transactions have an empty SigningPubKey and no single signature.
+        this.tx = { ...tx, SigningPubKey: '' };
+        delete this.tx.TxnSignature;
+        delete this.tx.Signers;
+    }
+
+    /**
+     * Signatures collected so far.
+     */
+    get signatures() {
+        return [...this.#signatures.values()].map(s => ({ ...s }));
+    }
+
+    /**
+     * Checks whether the transaction can no longer be validated (The ledger has passed its LastLedgerSequence).
+     * @returns true if expired, false if not expired or the expiry cannot be checked without a connection.
+     */
+    isExpired() {
+        return !!(this.#xrplApi && this.tx.LastLedgerSequence && this.#xrplApi.ledgerIndex > this.tx.LastLedgerSequence);
+    }
+
+    /**
+     * Signs the transaction as a signer of the signer list and adds the signature.
+     * @param {XrplAccount} signerAccount Account of the signer list entry. Signs with its signer (secret or Signer).
+     * @returns The signature, to be sent to the session coordinator if this is a copy of the session.
+     */
+    async sign(signerAccount) {
+        this.#checkExpiry();
+        const signed = await signerAccount.signAsync(this.tx, true);
+        const signer = this.#xrplHelper.decode(signed.tx_blob).Signers?.find(s => s.Signer.Account === signerAccount.address)?.Signer;
+        if (!signer)
+            throw `MultisigSession: ${signerAccount.address} did not return a multi-signature.`;
+
+        const signature = { account: signer.Account, signingPubKey: signer.SigningPubKey, txnSignature: signer.TxnSignature };
+        this.#addVerified(signature);
+        return signature;
+    }
+
+    /**
+     * Adds a signature given by a signer. The signature is checked against the transaction and the on-ledger signer list (If connected).
+     * @param {object|string} signature Signature json or a blob multi-signed by the signer.
+     * @returns The session status. Includes the submission 'result' if the session was auto submitted.
+     */
+    async addSignature(signature) {
+        this.#checkExpiry();
+        const signatures = (typeof signature === 'string') ?
+            (this.#xrplHelper.decode(signature).Signers || []).map(({ Signer: s }) => ({ account: s.Account, signingPubKey: s.SigningPubKey, txnSignature: s.TxnSignature })) :
+            [signature];
+        if (!signatures.length)
+            throw 'MultisigSession: no signatures found.';
+
+        for (const s of signatures)
+            this.#verify(s);
+        if (this.#xrplApi) {
+            const signerList = await this.#getSignerList();
+            for (const s of signatures)
+                await this.#validateSigner(s, signerList);
+        }
+        for (const s of signatures)
+            this.#signatures.set(s.account, { ...s });
+
+        const status = await this.getStatus();
+        if (this.#autoSubmit && status.ready)
+            return { ...status, result: await this.submit() };
+        return status;
+    }
+
+    /**
+     * Get the status of the session against the on-ledger signer list.
+     * @returns { quorum, weight, ready: Whether the weight has reached the quorum, expired, signers: [{ account, weight, signed }] }.
+     */
+    async getStatus() {
+        if (!this.#xrplApi)
+            throw 'MultisigSession: xrplApi is required to read the signer list.';
+
+        const signerList = await this.#getSignerList();
+        const signers = signerList.SignerEntries.map(({ SignerEntry: e }) => ({ account: e.Account, weight: e.SignerWeight, signed: this.#signatures.has(e.Account) }));
+        const weight = signers.filter(s => s.signed).reduce((total, s) => total + s.weight, 0);
+        return {
+            quorum: signerList.SignerQuorum,
+            weight: weight,
+            ready: weight >= signerList.SignerQuorum,
+            expired: this.isExpired(),
+            signers: signers
+        };
+    }
+
+    /**
+     * Get the multi-signed transaction with the collected signatures.
+     * @returns { tx_json, tx_blob } of the multi-signed transaction.
+     */
+    getSignedTransaction() {
+        if (!this.#signatures.size)
+            throw 'MultisigSession: transaction is not signed.';
+
+        // Signers must be sorted by the numeric value of the account ids.
+        const accountId = (address) => Array.from(codec.decodeAccountID(address), b => b.toString(16).padStart(2, '0')).join('');
+        const signers = [...this.#signatures.values()]
+            .sort((a, b) => accountId(a.account) < accountId(b.account) ? -1 : 1)
+            .map(s => ({ Signer: { Account: s.account, SigningPubKey: s.signingPubKey, TxnSignature: s.txnSignature } }));
+        const txJson = { ...this.tx, Signers: signers };
+        return { tx_json: txJson, tx_blob: this.#xrplHelper.encode(txJson) };
+    }
+
+    /**
+     * Submits the multi-signed transaction and waits for the validation. The signatures should have reached the quorum of the signer list.
+     * @returns Result of the transaction.
+     */
+    async submit() {
+        this.#checkExpiry();
+        const status = await this.getStatus();
+        if (!status.ready)
+            throw `MultisigSession: signature weight ${status.weight} has not reached the quorum ${status.quorum}.`;
+
+        // Drop the signers which are no longer in the signer list, since the transaction is rejected with them.
+        const listed = new Set(status.signers.map(s => s.account));
+        for (const account of [...this.#signatures.keys()]) {
+            if (!listed.has(account))
+                this.#signatures.delete(account);
+        }
+
+        const signed = this.getSignedTransaction();
+        return await this.#xrplApi.submitAndWait(signed.tx_json, signed.tx_blob);
+    }
+
+    /**
+     * Get the portable json of the session, to be shared with the signers.
+     * @returns { tx_json, signatures }.
+     */
+    toJSON() {
+        return { tx_json: { ...this.tx }, signatures: this.signatures };
+    }
+
+    #checkExpiry() {
+        if (this.isExpired())
+            throw `MultisigSession: transaction has expired (LastLedgerSequence ${this.tx.LastLedgerSequence}).`;
+    }
+
+    #addVerified(signature) {
+        this.#verify(signature);
+        this.#signatures.set(signature.account, { ...signature });
+    }
+
+    // Checks whether the signature is a multi-signature of this transaction by the given key.
+    #verify(signature) {
+        if (!signature?.account || !signature.signingPubKey || !signature.txnSignature)
+            throw 'MultisigSession: signature should have account, signingPubKey and txnSignature.';
+        if (signature.account === this.tx.Account)
+            throw 'MultisigSession: the account cannot sign its own multi-signed transaction.';
+
+        let valid = false;
+        try {
+            valid = kp.verify(this.#xrplHelper.encodeForMultisigning(this.tx, signature.account), signature.txnSignature, signature.signingPubKey);
+        }
+        catch {
+            valid = false;
+        }
+        if (!valid)
+            throw `MultisigSession: invalid signature from ${signature.account}.`;
+    }
+
+    // Checks whether the signer is in the signer list and the signing key is authorized to sign for it.
+    async #validateSigner(signature, signerList) {
+        if (!signerList.SignerEntries.find(({ SignerEntry: e }) => e.Account === signature.account))
+            throw `MultisigSession: ${signature.account} is not in the signer list of ${this.tx.Account}.`;
+
+        // Signers which are not funded accounts can only sign with their master key.
+        const keyAddress = kp.deriveAddress(signature.signingPubKey);
+        const authorized = (await this.#xrplApi.isAccountExists(signature.account)) ?
+            await this.#xrplApi.isValidKeyForAddress(signature.signingPubKey, signature.account) :
+            keyAddress === signature.account;
+        if (!authorized)
+            throw `MultisigSession: signing key of ${signature.account} is not authorized.`;
+    }
+
+    async #getSignerList() {
+        const signerList = (await this.#xrplApi.getAccountObjects(this.tx.Account, { type: 'signer_list' }))
+            .find(o => o.LedgerEntryType === 'SignerList');
+        if (!signerList)
+            throw `MultisigSession: ${this.tx.Account} does not have a signer list.`;
+        return signerList;
+    }
+}
+
+module.exports = {
+    MultisigSession
+}
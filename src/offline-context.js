@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const { XrplHelpers } = require('./xrpl-helpers');
+const { XrplConstants } = require('./xrpl-common');
+const { Defaults } = require('./defaults');
+
+/**
+ * Supplies what the transaction preparation otherwise reads from the network, so the transactions can be prepared without an XrplApi connection (eg: On an offline signing machine).
+ * Options: { sequence: Sequence of the next transaction, incremented for each prepared transaction, fee: Fee in drops,
+ * maxLedgerIndex: LastLedgerSequence of the transactions, ledgerIndex: Last known ledger index used to derive the LastLedgerSequence if maxLedgerIndex is not given,
+ * networkID: Network id (defaults to the configured network id) }.
+ * The per-transaction options 'sequence', 'fee' and 'maxLedgerIndex' take precedence over these.
+ */
+class OfflineContext {
+    #nextSequence;
+
+    /**
+     * Loads an offline context with the server definitions cached in a file.
+     * @param {string} definitionsFile Path of the cached definitions file (See saveDefinitions).
+     * @param {object} options [Optional] Offline options.
+     * @returns The offline context.
+     */
+    static async load(definitionsFile, options = {}) {
+        let definitions;
+        try {
+            definitions = JSON.parse(await fs.promises.readFile(definitionsFile, 'utf-8'));
+        }
+        catch (e) {
+            throw `Could not read the definitions file ${definitionsFile}. ${e.message || e}`;
+        }
+        return new OfflineContext(definitions, options);
+    }
+
+    /**
+     * Caches the server definitions of a connected server in a file, to be used later by an offline context.
+     * @param {XrplApi} xrplApi Connected XRPL API instance.
+     * @param {string} definitionsFile Path of the definitions file.
+     */
+    static async saveDefinitions(xrplApi, definitionsFile) {
+        const definitions = await xrplApi.getServerDefinition();
+        if (!definitions)
+            throw 'Could not read the server definitions.';
+        await fs.promises.mkdir(path.dirname(definitionsFile), { recursive: true });
+        await fs.promises.writeFile(definitionsFile, JSON.stringify(definitions, null, 2));
+    }
+
+    /**
+     * Creates an offline context.
+     * @param {object} definitions Server definitions (The result of 'server_definitions').
+     * @param {object} options [Optional] Offline options.
+     */
+    constructor(definitions, options = {}) {
+        if (!definitions?.TYPES || !definitions?.FIELDS)
+            throw 'OfflineContext: invalid server definitions.';
+
+        this.xrplHelper = new XrplHelpers(definitions);
+        this.fee = options.fee ?? null;
+        this.maxLedgerIndex = options.maxLedgerIndex || null;
+        this.ledgerIndex = options.ledgerIndex || null;
+        this.networkID = options.networkID ?? Defaults.values.networkID;
+        this.#nextSequence = options.sequence || null;
+    }
+
+    /**
+     * Sequence of the next transaction.
+     */
+    get nextSequence() {
+        return this.#nextSequence;
+    }
+
+    /**
+     * Takes the next sequence.
+     * @returns The sequence.
+     */
+    reserveSequence() {
+        if (!this.#nextSequence)
+            throw 'OfflineContext: sequence is not specified.';
+        return this.#nextSequence++;
+    }
+
+    /**
+     * Gives back a sequence which is not going to be used. Only the last taken sequence can be given back.
+     * @param {number} sequence Sequence number.
+     */
+    releaseSequence(sequence) {
+        if (sequence && sequence === this.#nextSequence - 1)
+            this.#nextSequence--;
+    }
+
+    /**
+     * Get the LastLedgerSequence of the transactions.
+     * @returns The LastLedgerSequence.
+     */
+    getMaxLedgerIndex() {
+        if (this.maxLedgerIndex)
+            return this.maxLedgerIndex;
+        if (this.ledgerIndex)
+            return this.ledgerIndex + XrplConstants.MAX_LEDGER_OFFSET;
+        throw 'OfflineContext: maxLedgerIndex or ledgerIndex is not specified.';
+    }
+
+    /**
+     * Get the transaction fee.
+     * @returns Fee in drops.
+     */
+    getFee() {
+        if (this.fee === null)
+            throw 'OfflineContext: fee is not specified.';
+        return `${this.fee}`;
+    }
+}
+
+module.exports = {
+    OfflineContext
+}
@@ -0,0 +1,83 @@
+const DEFAULT_MAX_ATTEMPTS = 1;
+const DEFAULT_RETRY_INTERVAL = 3000; // Milliseconds.
+const DEFAULT_TERMINAL_CODES = ['tecDUPLICATE', 'tefPAST_SEQ', 'tefALREADY'];
+const TOOK_LONG_STATUS = 'TOOK_LONG';
+
+/**
+ * Decides whether and how a failed transaction submission is retried.
+ * Options: { maxRetryAttempts: Total number of attempts (default 1), retryInterval: Milliseconds to wait before the first retry (default 3000),
+ * backoffFactor: Multiplier of the wait for each subsequent retry (default 1), maxRetryInterval: Max milliseconds to wait between the attempts,
+ * feeUplift: Drops added to the fee each time a submission takes too long (default 0), maxFeeUplift: Max total drops added to the fee,
+ * refreshLastLedger: Give each attempt a new LastLedgerSequence with the same ledger offset (default true),
+ * terminalCodes: Result codes which are not retried (default tecDUPLICATE, tefPAST_SEQ, tefALREADY) }.
+ * Subclasses can override the methods to customize the retries.
+ */
+class RetryPolicy {
+    #options;
+
+    /**
+     * Get the retry policy of the retry options.
+     * @param {object|RetryPolicy} retryOptions Retry options or a retry policy.
+     * @returns The retry policy.
+     */
+    static from(retryOptions) {
+        return (retryOptions instanceof RetryPolicy) ? retryOptions : new RetryPolicy(retryOptions);
+    }
+
+    constructor(options = {}) {
+        this.#options = {
+            maxRetryAttempts: options.maxRetryAttempts || DEFAULT_MAX_ATTEMPTS,
+            retryInterval: options.retryInterval ?? DEFAULT_RETRY_INTERVAL,
+            backoffFactor: options.backoffFactor || 1,
+            maxRetryInterval: options.maxRetryInterval ?? null,
+            feeUplift: options.feeUplift || 0,
+            maxFeeUplift: options.maxFeeUplift ?? null,
+            refreshLastLedger: options.refreshLastLedger ?? true,
+            terminalCodes: options.terminalCodes || DEFAULT_TERMINAL_CODES
+        };
+    }
+
+    /**
+     * Whether the attempts get a new LastLedgerSequence.
+     */
+    get refreshLastLedger() {
+        return this.#options.refreshLastLedger;
+    }
+
+    /**
+     * Checks whether a failed submission should be retried.
+     * @param {object} error Submission error.
+     * @param {number} attempt Number of the failed attempt (Starting from 1).
+     * @returns true if the submission should be retried.
+     */
+    shouldRetry(error, attempt) {
+        return attempt < this.#options.maxRetryAttempts && !this.#options.terminalCodes.includes(error?.code);
+    }
+
+    /**
+     * Get the time to wait before retrying.
+     * @param {number} attempt Number of the failed attempt (Starting from 1).
+     * @returns Milliseconds to wait.
+     */
+    getRetryInterval(attempt) {
+        const interval = this.#options.retryInterval * Math.pow(this.#options.backoffFactor, attempt - 1);
+        return this.#options.maxRetryInterval !== null ? Math.min(interval, this.#options.maxRetryInterval) : interval;
+    }
+
+    /**
+     * Get the fee uplift for the next attempt. The fee is escalated when the submission took too long to be validated.
+     * @param {object} error Submission error.
+     * @param {number} feeUplift Fee uplift (drops) of the failed attempt.
+     * @returns Fee uplift in drops.
+     */
+    getFeeUplift(error, feeUplift) {
+        if (error?.status !== TOOK_LONG_STATUS)
+            return feeUplift;
+        const uplift = feeUplift + this.#options.feeUplift;
+        return this.#options.maxFeeUplift !== null ? Math.min(uplift, this.#options.maxFeeUplift) : uplift;
+    }
+}
+
+module.exports = {
+    RetryPolicy
+}
@@ -0,0 +1,134 @@
+// Sequence managers are shared by all the XrplAccount instances of an address on the same connection.
+const managers = new WeakMap();
+
+/**
+ * Allocates the sequence numbers of an account locally, so concurrent transactions do not get the same sequence.
+ * Sequences are reserved optimistically from the last known sequence. A released sequence (The transaction was not submitted or not applied)
+ * becomes a gap and it's reused by the next reservation. Reservations which pass their LastLedgerSequence are resolved by re-reading the account sequence.
+ */
+class SequenceManager {
+    #xrplApi;
+    #address;
+    #next = null;
+    #reserved = new Map(); // Sequence -> LastLedgerSequence of the transaction.
+    #gaps = [];
+    #lock = Promise.resolve();
+
+    /**
+     * Get the sequence manager of an account.
+     * @param {XrplApi} xrplApi XRPL API instance.
+     * @param {string} address Account address.
+     * @returns The shared sequence manager.
+     */
+    static get(xrplApi, address) {
+        if (!managers.has(xrplApi))
+            managers.set(xrplApi, new Map());
+        const accountManagers = managers.get(xrplApi);
+        if (!accountManagers.has(address))
+            accountManagers.set(address, new SequenceManager(xrplApi, address));
+        return accountManagers.get(address);
+    }
+
+    constructor(xrplApi, address) {
+        this.#xrplApi = xrplApi;
+        this.#address = address;
+    }
+
+    /**
+     * Reserves the next sequence number.
+     * @param {number} lastLedgerSequence [Optional] LastLedgerSequence of the transaction. The reservation is released if it's not consumed by then.
+     * @returns The reserved sequence.
+     */
+    async reserve(lastLedgerSequence = null) {
+        return await this.#exclusive(async () => {
+            // Expired reservations might have been consumed by transactions we did not track (eg: multi-signed submissions), so read the ledger.
+            if (this.#next === null || this.#hasExpired())
+                await this.#sync();
+
+            const sequence = this.#gaps.length ? this.#gaps.shift() : this.#next++;
+            this.#reserved.set(sequence, lastLedgerSequence);
+            return sequence;
+        });
+    }
+
+    /**
+     * Checks whether a sequence is reserved and not yet consumed or released.
+     * @param {number} sequence Sequence number.
+     * @returns true if reserved.
+     */
+    isReserved(sequence) {
+        return this.#reserved.has(sequence);
+    }
+
+    /**
+     * Marks a reserved sequence as consumed by a validated transaction.
+     * @param {number} sequence Sequence number.
+     */
+    confirm(sequence) {
+        this.#reserved.delete(sequence);
+    }
+
+    /**
+     * Releases a reserved sequence which is not going to be consumed (eg: The transaction was not submitted or not applied).
+     * @param {number} sequence Sequence number.
+     */
+    release(sequence) {
+        if (!this.#reserved.delete(sequence))
+            return;
+
+        if (sequence === this.#next - 1) {
+            // Shrink instead of leaving a gap at the end.
+            this.#next--;
+            while (this.#gaps.length && this.#gaps[this.#gaps.length - 1] === this.#next - 1)
+                this.#next = this.#gaps.pop();
+        }
+        else {
+            this.#gaps.push(sequence);
+            this.#gaps.sort((a, b) => a - b);
+        }
+    }
+
+    /**
+     * Re-reads the account sequence from the ledger. Used when the local sequence is out of sync (eg: A transaction failed with tefPAST_SEQ).
+     */
+    async resync() {
+        await this.#exclusive(() => this.#sync());
+    }
+
+    async #sync() {
+        const accountSequence = (await this.#xrplApi.getAccountInfo(this.#address))?.Sequence;
+        if (!accountSequence)
+            throw `Could not read the account sequence of ${this.#address}.`;
+
+        // Reservations below the account sequence are already consumed. Expired ones are not going to be consumed anymore.
+        const ledgerIndex = this.#xrplApi.ledgerIndex;
+        for (const [sequence, lastLedgerSequence] of [...this.#reserved]) {
+            if (sequence < accountSequence || (lastLedgerSequence && ledgerIndex > lastLedgerSequence))
+                this.#reserved.delete(sequence);
+        }
+
+        // Sequences between the account sequence and the in-flight reservations are not going to be used by any transaction.
+        this.#next = Math.max(accountSequence, ...[...this.#reserved.keys()].map(s => s + 1));
+        this.#gaps = [];
+        for (let sequence = accountSequence; sequence < this.#next; sequence++) {
+            if (!this.#reserved.has(sequence))
+                this.#gaps.push(sequence);
+        }
+    }
+
+    // Transactions cannot be applied after their LastLedgerSequence, so their sequences can be reused.
+    #hasExpired() {
+        const ledgerIndex = this.#xrplApi.ledgerIndex;
+        return [...this.#reserved.values()].some(lastLedgerSequence => lastLedgerSequence && ledgerIndex > lastLedgerSequence);
+    }
+
+    async #exclusive(func) {
+        const res = this.#lock.then(func);
+        this.#lock = res.catch(() => { });
+        return await res;
+    }
+}
+
+module.exports = {
+    SequenceManager
+}
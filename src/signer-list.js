@@ -0,0 +1,168 @@
+const codec = require('ripple-address-codec');
+
+const MAX_SIGNER_ENTRIES = 32;
+const MAX_SIGNER_WEIGHT = 65535; // UInt16.
+const MAX_SIGNER_QUORUM = 4294967295; // UInt32.
+
+/**
+ * Builds and validates the signer list of an account. Signers are { account: Signer address, weight: Signer weight }.
+ * A quorum of 0 with no signers removes the signer list of the account.
+ */
+class SignerList {
+    #signers = new Map(); // Signer address -> weight.
+
+    /**
+     * Creates a signer list from a SignerList ledger entry.
+     * @param {object} entry SignerList ledger entry.
+     * @returns The signer list.
+     */
+    static fromLedgerEntry(entry) {
+        return new SignerList(entry.SignerEntries.map(({ SignerEntry: e }) => ({ account: e.Account, weight: e.SignerWeight })), entry.SignerQuorum);
+    }
+
+    /**
+     * Creates a signer list.
+     * @param {object[]} signers [Optional] Signers [{ account, weight }].
+     * @param {number} quorum [Optional] Total weight the signatures should reach.
+     */
+    constructor(signers = [], quorum = 0) {
+        for (const signer of signers)
+            this.add(signer?.account, signer?.weight);
+        this.setQuorum(quorum);
+    }
+
+    /**
+     * Signers of the list, sorted by the address.
+     */
+    get signers() {
+        return [...this.#signers].map(([account, weight]) => ({ account: account, weight: weight })).sort((a, b) => a.account < b.account ? -1 : 1);
+    }
+
+    /**
+     * Total weight of the signers.
+     */
+    get totalWeight() {
+        return [...this.#signers.values()].reduce((total, weight) => total + weight, 0);
+    }
+
+    /**
+     * Adds a signer.
+     * @param {string} account Signer address.
+     * @param {number} weight Signer weight.
+     * @returns The signer list.
+     */
+    add(account, weight) {
+        if (!codec.isValidClassicAddress(account || ''))
+            throw `Invalid signer address: ${account}.`;
+        if (this.#signers.has(account))
+            throw `Duplicate signer: ${account}.`;
+        this.#signers.set(account, SignerList.#validateWeight(account, weight));
+        return this;
+    }
+
+    /**
+     * Removes a signer.
+     * @param {string} account Signer address.
+     * @returns The signer list.
+     */
+    remove(account) {
+        if (!this.#signers.delete(account))
+            throw `${account} is not in the signer list.`;
+        return this;
+    }
+
+    /**
+     * Changes the weight of a signer.
+     * @param {string} account Signer address.
+     * @param {number} weight New weight.
+     * @returns The signer list.
+     */
+    setWeight(account, weight) {
+        if (!this.#signers.has(account))
+            throw `${account} is not in the signer list.`;
+        this.#signers.set(account, SignerList.#validateWeight(account, weight));
+        return this;
+    }
+
+    /**
+     * Changes the quorum.
+     * @param {number} quorum Total weight the signatures should reach.
+     * @returns The signer list.
+     */
+    setQuorum(quorum) {
+        if (!Number.isInteger(quorum) || quorum < 0 || quorum > MAX_SIGNER_QUORUM)
+            throw `Signer quorum should be an integer between 0 and ${MAX_SIGNER_QUORUM}.`;
+        this.quorum = quorum;
+        return this;
+    }
+
+    /**
+     * Checks whether the signer list can be set to an account.
+     * @param {string} ownerAddress Address of the account which owns the signer list.
+     */
+    validate(ownerAddress) {
+        if (this.quorum === 0) {
+            if (this.#signers.size)
+                throw 'Signer quorum should be greater than 0. A quorum of 0 removes the signer list, so it cannot have signers.';
+            return;
+        }
+
+        if (this.#signers.size < 1 || this.#signers.size > MAX_SIGNER_ENTRIES)
+            throw `Signer list should have 1 to ${MAX_SIGNER_ENTRIES} signers. Found ${this.#signers.size}.`;
+        if (this.#signers.has(ownerAddress))
+            throw `The account ${ownerAddress} cannot be a signer of its own signer list.`;
+        if (this.totalWeight < this.quorum)
+            throw `Total signer weight ${this.totalWeight} is less than the quorum ${this.quorum}.`;
+    }
+
+    /**
+     * Get the SignerEntries field of the SignerListSet transaction.
+     * @returns The signer entries.
+     */
+    toSignerEntries() {
+        return this.signers.map(s => ({
+            SignerEntry: {
+                Account: s.account,
+                SignerWeight: s.weight
+            }
+        }));
+    }
+
+    /**
+     * Compares this list with another list.
+     * @param {SignerList} other The other list (Eg: The new list of a rotation).
+     * @returns { added: Signers only in the other list, removed: Signers only in this list, changed: [{ account, weight, newWeight }], quorumChanged, equal }.
+     */
+    diff(other) {
+        const added = other.signers.filter(s => !this.#signers.has(s.account));
+        const removed = this.signers.filter(s => !other.#signers.has(s.account));
+        const changed = other.signers.filter(s => this.#signers.has(s.account) && this.#signers.get(s.account) !== s.weight)
+            .map(s => ({ account: s.account, weight: this.#signers.get(s.account), newWeight: s.weight }));
+        const quorumChanged = this.quorum !== other.quorum;
+        return {
+            added: added,
+            removed: removed,
+            changed: changed,
+            quorumChanged: quorumChanged,
+            equal: !added.length && !removed.length && !changed.length && !quorumChanged
+        };
+    }
+
+    /**
+     * Get a copy of the list.
+     * @returns The copied signer list.
+     */
+    clone() {
+        return new SignerList(this.signers, this.quorum);
+    }
+
+    static #validateWeight(account, weight) {
+        if (!Number.isInteger(weight) || weight < 1 || weight > MAX_SIGNER_WEIGHT)
+            throw `Weight of signer ${account} should be an integer between 1 and ${MAX_SIGNER_WEIGHT}.`;
+        return weight;
+    }
+}
+
+module.exports = {
+    SignerList
+}
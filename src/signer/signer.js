@@ -0,0 +1,270 @@
+const net = require('net');
+const kp = require('ripple-keypairs');
+
+const SignerErrorCodes = {
+    PREPARE_ONLY: 'PREPARE_ONLY',
+    SIGNER_ERROR: 'SIGNER_ERROR'
+}
+
+const DEFAULT_RPC_TIMEOUT = 30000; // Milliseconds.
+
+// Fields the external signers must not change when they sign a transaction.
+const SIGNED_FIELDS = ['Account', 'TransactionType', 'Sequence', 'TicketSequence', 'Fee', 'LastLedgerSequence'];
+
+/**
+ * Interface of the transaction signers of an account. Signers let the accounts sign without keeping the secret in the process memory.
+ * 'sign' options are { isMultiSign: Whether to sign as a multi-signer, xrplHelper: XrplHelpers instance with the server definitions to encode the transaction }.
+ */
+class Signer {
+    /**
+     * Address which the signer signs for. Null if the signer does not know it.
+     */
+    get address() {
+        return null;
+    }
+
+    /**
+     * Whether 'sign' returns a promise. Asynchronous signers can only be used with XrplAccount.signAsync() and the submissions.
+     */
+    get isAsync() {
+        return false;
+    }
+
+    /**
+     * Whether the signer signs. Signers which do not sign implement 'export(tx, options)' and the accounts return the exported transactions instead of submitting them.
+     */
+    get canSign() {
+        return true;
+    }
+
+    /**
+     * Get the public key of the signing key.
+     * @returns Public key in hex.
+     */
+    async getPublicKey() {
+        throw 'Signer: getPublicKey() is not implemented.';
+    }
+
+    /**
+     * Sign a transaction.
+     * @param {object} tx Prepared transaction.
+     * @param {object} options { isMultiSign, xrplHelper }.
+     * @returns { hash, tx_blob } of the signed transaction, or a promise resolving to it if the signer is asynchronous.
+     */
+    sign() {
+        throw 'Signer: sign() is not implemented.';
+    }
+}
+
+/**
+ * Signs with a family seed in the process memory. This is what the accounts use when they are given a secret.
+ */
+class SeedSigner extends Signer {
+    #secret;
+    #keypair;
+    #address;
+
+    /**
+     * Creates a seed signer.
+     * @param {string} secret Family seed.
+     * @param {string} address [Optional] Address of the account, if the seed is a regular key of the account. Defaults to the address of the seed.
+     */
+    constructor(secret, address = null) {
+        super();
+        if (!secret)
+            throw 'SeedSigner: secret is required.';
+        this.#secret = secret;
+        this.#keypair = kp.deriveKeypair(secret);
+        this.#address = address || kp.deriveAddress(this.#keypair.publicKey);
+    }
+
+    get address() {
+        return this.#address;
+    }
+
+    /**
+     * Get the key pair of the seed.
+     * @returns { publicKey, privateKey } in hex.
+     */
+    deriveKeypair() {
+        return { ...this.#keypair };
+    }
+
+    async getPublicKey() {
+        return this.#keypair.publicKey;
+    }
+
+    sign(tx, options = {}) {
+        if (!options.xrplHelper)
+            throw 'SeedSigner: xrplHelper is required to sign.';
+        return options.xrplHelper.sign(tx, this.#secret, options.isMultiSign);
+    }
+}
+
+/**
+ * Signs with an out-of-process signer (eg: A KMS or HSM adapter) using JSON-RPC 2.0 over a Unix socket.
+ * Requests and responses are newline delimited json. Methods:
+ * 'getPublicKey' { address } => { publicKey } and 'sign' { address, tx_json, multisign } => { hash, tx_blob }.
+ */
+class RpcSigner extends Signer {
+    #socketPath;
+    #address;
+    #timeout;
+    #publicKey = null;
+    #requestId = 0;
+
+    /**
+     * Creates a JSON-RPC signer.
+     * @param {string} socketPath Path of the Unix socket which the signer listens on.
+     * @param {object} options [Optional] { address: Address of the account which the signer signs for, timeout: Request timeout in milliseconds (default 30000) }.
+     */
+    constructor(socketPath, options = {}) {
+        super();
+        if (!socketPath)
+            throw 'RpcSigner: socketPath is required.';
+        this.#socketPath = socketPath;
+        this.#address = options.address || null;
+        this.#timeout = options.timeout || DEFAULT_RPC_TIMEOUT;
+    }
+
+    get address() {
+        return this.#address;
+    }
+
+    get isAsync() {
+        return true;
+    }
+
+    async getPublicKey() {
+        if (!this.#publicKey) {
+            const res = await this.#request('getPublicKey', { address: this.#address });
+            if (!res?.publicKey)
+                throw { code: SignerErrorCodes.SIGNER_ERROR, error: 'Signer did not return a public key.' };
+            this.#publicKey = res.publicKey;
+        }
+        return this.#publicKey;
+    }
+
+    async sign(tx, options = {}) {
+        const res = await this.#request('sign', { address: this.#address, tx_json: tx, multisign: !!options.isMultiSign });
+        if (!res?.tx_blob || !res.hash)
+            throw { code: SignerErrorCodes.SIGNER_ERROR, error: 'Signer did not return a signed transaction.' };
+
+        // Make sure the signer signed the transaction it was given.
+        if (options.xrplHelper) {
+            const signed = options.xrplHelper.decode(res.tx_blob);
+            const changed = SIGNED_FIELDS.find(f => String(signed[f] ?? '') !== String(tx[f] ?? ''));
+            if (changed)
+                throw { code: SignerErrorCodes.SIGNER_ERROR, error: `Signed transaction does not match the prepared transaction (${changed}).` };
+        }
+        return { hash: res.hash, tx_blob: res.tx_blob };
+    }
+
+    #request(method, params) {
+        return new Promise((resolve, reject) => {
+            const id = ++this.#requestId;
+            const socket = net.createConnection(this.#socketPath);
+            let buffer = '';
+            let done = false;
+
+            const finish = (callback, value) => {
+                if (done)
+                    return;
+                done = true;
+                clearTimeout(timer);
+                socket.destroy();
+                callback(value);
+            };
+            const fail = (error) => finish(reject, { code: SignerErrorCodes.SIGNER_ERROR, error: error });
+            const timer = setTimeout(() => fail(`Signer request '${method}' timed out.`), this.#timeout);
+
+            socket.setEncoding('utf8');
+            socket.on('connect', () => socket.write(JSON.stringify({ jsonrpc: '2.0', id: id, method: method, params: params }) + '\n'));
+            socket.on('data', (chunk) => {
+                buffer += chunk;
+                const end = buffer.indexOf('\n');
+                if (end < 0)
+                    return;
+
+                let res;
+                try {
+                    res = JSON.parse(buffer.substring(0, end));
+                }
+                catch {
+                    return fail('Invalid response from the signer.');
+                }
+                if (res.id !== id)
+                    fail('Unexpected response id from the signer.');
+                else if (res.error)
+                    fail(res.error.message || res.error);
+                else
+                    finish(resolve, res.result);
+            });
+            socket.on('error', (e) => fail(e.message));
+            socket.on('close', () => fail('Signer closed the connection.'));
+        });
+    }
+}
+
+/**
+ * Does not sign. Exports the unsigned transactions instead, so they can be signed elsewhere (eg: An air-gapped machine) and submitted as blobs.
+ * Accounts with this signer return the unsigned transaction { tx_json, tx_blob } from the submissions. Signing fails with a PREPARE_ONLY error.
+ */
+class PrepareOnlySigner extends Signer {
+    #address;
+    #publicKey;
+
+    /**
+     * Creates a prepare-only signer.
+     * @param {object} options [Optional] { address: Address of the account, publicKey: Public key of the signing key (Set as the SigningPubKey of the exported transactions) }.
+     */
+    constructor(options = {}) {
+        super();
+        this.#address = options.address || null;
+        this.#publicKey = options.publicKey || null;
+    }
+
+    get address() {
+        return this.#address;
+    }
+
+    get canSign() {
+        return false;
+    }
+
+    async getPublicKey() {
+        if (!this.#publicKey)
+            throw 'PrepareOnlySigner: public key is not specified.';
+        return this.#publicKey;
+    }
+
+    /**
+     * Export a prepared transaction to be signed elsewhere.
+     * @param {object} tx Prepared transaction.
+     * @param {object} options { isMultiSign, xrplHelper }.
+     * @returns { tx_json, tx_blob } of the unsigned transaction.
+     */
+    export(tx, options = {}) {
+        if (!options.xrplHelper)
+            throw 'PrepareOnlySigner: xrplHelper is required to export.';
+        const txJson = { ...tx };
+        // Multi-signed transactions have an empty SigningPubKey.
+        if (options.isMultiSign)
+            txJson.SigningPubKey = '';
+        else if (this.#publicKey)
+            txJson.SigningPubKey = this.#publicKey;
+        return { tx_json: txJson, tx_blob: options.xrplHelper.encode(txJson) };
+    }
+
+    sign() {
+        throw { code: SignerErrorCodes.PREPARE_ONLY, error: 'Transactions are not signed by a prepare-only signer. Use export() instead.' };
+    }
+}
+
+module.exports = {
+    Signer,
+    SeedSigner,
+    RpcSigner,
+    PrepareOnlySigner,
+    SignerErrorCodes
+}
@@ -0,0 +1,174 @@
+const MAX_TICKETS = 250; // Max tickets an account can own.
+const DEFAULT_REFILL_THRESHOLD = 5;
+const DEFAULT_REFILL_COUNT = 20;
+
+// Ticket pools are shared by all the XrplAccount instances of an address on the same connection.
+const pools = new WeakMap();
+
+/**
+ * Keeps track of the tickets of an account, so concurrent transactions can be submitted with tickets instead of ordered sequences.
+ * The tickets are read from the account objects. Reserved tickets which are no longer in the ledger are considered consumed.
+ * The pool is refilled (TicketCreate) in the background when the available tickets fall below the refill threshold.
+ */
+class TicketPool {
+    #xrplApi;
+    #address;
+    #available = null; // Ticket sequences in the ledger which are not reserved, in ascending order.
+    #reserved = new Map(); // Ticket sequence -> LastLedgerSequence of the transaction.
+    #refillThreshold = DEFAULT_REFILL_THRESHOLD;
+    #refillCount = DEFAULT_REFILL_COUNT;
+    #refilling = null;
+    #stale = false;
+    #lock = Promise.resolve();
+
+    /**
+     * Get the ticket pool of an account.
+     * @param {XrplApi} xrplApi XRPL API instance.
+     * @param {string} address Account address.
+     * @returns The shared ticket pool.
+     */
+    static get(xrplApi, address) {
+        if (!pools.has(xrplApi))
+            pools.set(xrplApi, new Map());
+        const accountPools = pools.get(xrplApi);
+        if (!accountPools.has(address))
+            accountPools.set(address, new TicketPool(xrplApi, address));
+        return accountPools.get(address);
+    }
+
+    constructor(xrplApi, address) {
+        this.#xrplApi = xrplApi;
+        this.#address = address;
+    }
+
+    /**
+     * Configures the refilling of the pool.
+     * @param {object} options { refillThreshold: Available ticket count which triggers a refill (default 5), refillCount: Number of tickets to create per refill (default 20) }.
+     */
+    configure(options = {}) {
+        const refillThreshold = options.refillThreshold ?? this.#refillThreshold;
+        const refillCount = options.refillCount ?? this.#refillCount;
+        if (!Number.isInteger(refillThreshold) || refillThreshold < 0)
+            throw 'Invalid ticket refill threshold.';
+        if (!Number.isInteger(refillCount) || refillCount < 1 || refillCount > MAX_TICKETS)
+            throw `Ticket refill count should be between 1 and ${MAX_TICKETS}.`;
+        this.#refillThreshold = refillThreshold;
+        this.#refillCount = refillCount;
+    }
+
+    /**
+     * Number of tickets which are available to be reserved, as of the last reconciliation.
+     */
+    get availableCount() {
+        return this.#available ? this.#available.length : 0;
+    }
+
+    /**
+     * Reserves a ticket. Tickets are created first if there's none available.
+     * @param {function} createTickets Async function (count) which submits a TicketCreate transaction for the account.
+     * @param {number} lastLedgerSequence [Optional] LastLedgerSequence of the transaction. The reservation is released if it's not consumed by then.
+     * @returns The reserved ticket sequence.
+     */
+    async reserve(createTickets, lastLedgerSequence = null) {
+        return await this.#exclusive(async () => {
+            if (this.#available === null || this.#stale || this.#hasExpired())
+                await this.#sync();
+
+            if (!this.#available.length) {
+                await this.#refill(createTickets);
+                await this.#sync();
+                if (!this.#available.length)
+                    throw `No tickets available for ${this.#address}.`;
+            }
+
+            const ticketSequence = this.#available.shift();
+            this.#reserved.set(ticketSequence, lastLedgerSequence);
+
+            if (this.#available.length < this.#refillThreshold && !this.#refilling)
+                this.#refill(createTickets).catch(e => console.error('Error occurred while refilling the ticket pool.', e));
+
+            return ticketSequence;
+        });
+    }
+
+    /**
+     * Checks whether a ticket is reserved and not yet consumed or released.
+     * @param {number} ticketSequence Ticket sequence.
+     * @returns true if reserved.
+     */
+    isReserved(ticketSequence) {
+        return this.#reserved.has(ticketSequence);
+    }
+
+    /**
+     * Marks a reserved ticket as consumed.
+     * @param {number} ticketSequence Ticket sequence.
+     */
+    confirm(ticketSequence) {
+        this.#reserved.delete(ticketSequence);
+    }
+
+    /**
+     * Releases a reserved ticket which is not going to be consumed (eg: The transaction was not submitted or not applied).
+     * @param {number} ticketSequence Ticket sequence.
+     */
+    release(ticketSequence) {
+        if (!this.#reserved.delete(ticketSequence) || !this.#available)
+            return;
+        this.#available.push(ticketSequence);
+        this.#available.sort((a, b) => a - b);
+    }
+
+    /**
+     * Re-reads the tickets of the account from the ledger. Tickets consumed by transactions which were not tracked by the pool are dropped.
+     */
+    async reconcile() {
+        await this.#exclusive(() => this.#sync());
+    }
+
+    async #sync() {
+        const tickets = (await this.#xrplApi.getAccountObjects(this.#address, { type: 'ticket' }))
+            .filter(o => o.LedgerEntryType === 'Ticket').map(o => o.TicketSequence);
+        const ledgerTickets = new Set(tickets);
+
+        // Reserved tickets which are not in the ledger are consumed. Expired ones are not going to be consumed anymore.
+        const ledgerIndex = this.#xrplApi.ledgerIndex;
+        for (const [ticketSequence, lastLedgerSequence] of [...this.#reserved]) {
+            if (!ledgerTickets.has(ticketSequence) || (lastLedgerSequence && ledgerIndex > lastLedgerSequence))
+                this.#reserved.delete(ticketSequence);
+        }
+
+        this.#available = tickets.filter(t => !this.#reserved.has(t)).sort((a, b) => a - b);
+        this.#stale = false;
+    }
+
+    // Creates tickets unless a refill is already in progress. The pool is synced on the next reservation.
+    async #refill(createTickets) {
+        if (!this.#refilling) {
+            const count = Math.min(this.#refillCount, MAX_TICKETS - this.#available.length - this.#reserved.size);
+            if (count <= 0)
+                return;
+            this.#refilling = createTickets(count).finally(() => {
+                this.#refilling = null;
+                this.#stale = true;
+            });
+        }
+        await this.#refilling;
+    }
+
+    // Transactions cannot be applied after their LastLedgerSequence, so their tickets can be reused.
+    #hasExpired() {
+        const ledgerIndex = this.#xrplApi.ledgerIndex;
+        return [...this.#reserved.values()].some(lastLedgerSequence => lastLedgerSequence && ledgerIndex > lastLedgerSequence);
+    }
+
+    async #exclusive(func) {
+        const res = this.#lock.then(func);
+        this.#lock = res.catch(() => { });
+        return await res;
+    }
+}
+
+module.exports = {
+    TicketPool
+}
@@ -6,6 +6,17 @@ const { XrplConstants, XrplTransactionTypes } = require('./xrpl-common');
 const { TransactionHelper } = require('./transaction-helper');
 const { EventEmitter } = require('./event-emitter');
 const { Defaults } = require('./defaults');
+const { SequenceManager } = require('./sequence-manager');
+const { TicketPool } = require('./ticket-pool');
+const { RetryPolicy } = require('./retry-policy');
+const { Signer, SeedSigner } = require('./signer/signer');
+const { OfflineContext } = require('./offline-context');
+const { SignerList } = require('./signer-list');
+
+const PAST_SEQUENCE_CODE = 'tefPAST_SEQ';
+const NO_TICKET_CODE = 'tefNO_TICKET';
+// Fields set by the submission preparation, which are renewed when the transaction is prepared again.
+const SUBMISSION_FIELDS = ['Sequence', 'TicketSequence', 'LastLedgerSequence', 'Fee', 'SigningPubKey', 'TxnSignature'];
 
 class XrplAccount {
 
@@ -13,15 +24,29 @@ class XrplAccount {
     #subscribed = false;
     #txStreamHandler;
 
+    /**
+     * Creates an xrpl account.
+     * @param {string} address [Optional] Account address. Derived from the secret or taken from the signer if not given.
+     * @param {string|Signer} secret [Optional] Account secret (family seed) or a signer which signs the transactions of the account.
+     * @param {object} options [Optional] { xrplApi, offline: OfflineContext to prepare the transactions without an XrplApi connection }.
+     */
     constructor(address = null, secret = null, options = {}) {
+        if (secret instanceof Signer) {
+            this.signer = secret;
+            secret = null;
+        }
+        address = address || this.signer?.address || null;
         if (!address && !secret)
             throw "Both address and secret cannot be empty";
 
         this.address = address;
         this.secret = secret;
         this.xrplApi = options.xrplApi || Defaults.values.xrplApi;
+        this.offline = options.offline || null;
 
-        if (!this.xrplApi)
+        if (this.offline && !(this.offline instanceof OfflineContext))
+            throw "XrplAccount: offline should be an OfflineContext.";
+        if (!this.xrplApi && !this.offline)
             throw "XrplAccount: xrplApi not specified.";
 
         if (!this.address && this.secret) {
@@ -35,6 +60,8 @@ class XrplAccount {
             else
                 this.wallet = xrpl.Wallet.fromSeed(this.secret, { masterAddress: this.address });
         }
+        if (this.secret)
+            this.signer = new SeedSigner(this.secret, this.address);
 
         this.#txStreamHandler = (eventName, tx, error) => {
             this.#events.emit(eventName, tx, error);
@@ -138,12 +165,22 @@ class XrplAccount {
     }
 
     async hasValidKeyPair() {
-        return await this.xrplApi.isValidKeyForAddress(this.wallet.publicKey, this.address);
+        if (!this.signer)
+            return false;
+        return await this.xrplApi.isValidKeyForAddress(await this.signer.getPublicKey(), this.address);
+    }
+
+    /**
+     * Check whether signAndSubmit submits the transactions. Offline accounts return the signed transactions and the accounts with a prepare-only signer return the unsigned transactions instead.
+     * @returns true if the transactions are submitted.
+     */
+    canSubmit() {
+        return !this.offline && this.signer?.canSign !== false;
     }
 
     async setAccountFields(fields, options = {}) {
         const preparedTxn = await this.prepareSetAccountFields(fields, options);
-        return await this.signAndSubmit(preparedTxn);
+        return await this.signAndSubmit(preparedTxn, options);
     }
 
     async prepareSetAccountFields(fields, options = {}) {
@@ -190,53 +227,83 @@ class XrplAccount {
     async setSignerList(signerList = [], options = {}) {
 
         const preparedTxn = await this.prepareSetSignerList(signerList, options);
-        return await this.signAndSubmit(preparedTxn);
+        return await this.signAndSubmit(preparedTxn, options);
     }
 
     /**
-     * Set the signer list to the account. Setting signerQuorum = 0 in options, will remove the signerlist from the account.
-     * @param {*} signerList (optional) An array of signers. Ex:  [ {account:"ras24cvffvfbvfbbt5or4332", weight: 1}, {}, ...]
-     * @param {*} options  Ex:  {signerQuorum: 1, sequence: 6543233}
+     * Set the signer list to the account. Setting signerQuorum = 0 in options (or a SignerList with quorum 0), will remove the signerlist from the account.
+     * @param {object[]|SignerList} signerList (optional) An array of signers or a SignerList. Ex:  [ {account:"ras24cvffvfbvfbbt5or4332", weight: 1}, {}, ...]
+     * @param {*} options  Ex:  {signerQuorum: 1, sequence: 6543233}. signerQuorum is taken from the SignerList if a SignerList is given.
      * @returns a promise
      */
     async prepareSetSignerList(signerList = [], options = {}) {
-        if (options.signerQuorum < 0)
-            throw ("Everpocket: quorum can't be less than zero.");
-
-        if (options.signerQuorum > 0 && signerList.length >= 0) {
-            let totalWeight = 0;
-            for (const signer of signerList) {
-                if (!(signer.account && signer.account.length > 0 && signer.weight && signer.weight > 0))
-                    throw ("Everpocket: Signer list is invalid");
-                totalWeight += signerList.weight;
-            }
-            if (totalWeight < options.signerQuorum)
-                throw ("Everpocket: Total weight is less than the quorum");
-        }
-
-        signerList = signerList.sort((a, b) => a.account < b.account ? -1 : 1);
+        const list = (signerList instanceof SignerList) ? signerList : new SignerList(signerList, options.signerQuorum || 0);
+        list.validate(this.address);
 
         const signerListTx =
         {
             Flags: 0,
             TransactionType: XrplTransactionTypes.SIGNER_LIST_SET,
             Account: this.address,
-            SignerQuorum: options.signerQuorum,
-            SignerEntries: [
-                ...signerList.map(signer => ({
-                    SignerEntry: {
-                        Account: signer.account,
-                        SignerWeight: signer.weight
-                    }
-                }))
-            ]
+            SignerQuorum: list.quorum
         };
+        // Signer entries should not be present when the signer list is removed.
+        if (list.quorum > 0)
+            signerListTx.SignerEntries = list.toSignerEntries();
+
         return await this.#prepareSubmissionTransaction(signerListTx, options);
     }
 
+    /**
+     * Get the current signer list of the account.
+     * @returns The SignerList or null if the account does not have a signer list.
+     */
+    async getSignerList() {
+        const entry = (await this.getAccountObjects({ type: 'signer_list' })).find(o => o.LedgerEntryType === 'SignerList');
+        return entry ? SignerList.fromLedgerEntry(entry) : null;
+    }
+
+    /**
+     * Apply changes to the current signer list of the account and submit (Eg: To rotate the signers).
+     * @param {object} update { add: Signers to add or to change the weight of [{ account, weight }], remove: Addresses of the signers to remove, quorum: New quorum }.
+     * @param {*} options Options regarding to the transaction submission.
+     * @returns Result of the SignerListSet transaction.
+     */
+    async updateSignerList(update, options = {}) {
+        const preparedTxn = await this.prepareUpdateSignerList(update, options);
+        return await this.signAndSubmit(preparedTxn, options);
+    }
+
+    /**
+     * Apply changes to the current signer list of the account (Eg: To rotate the signers).
+     * @param {object} update { add: Signers to add or to change the weight of [{ account, weight }], remove: Addresses of the signers to remove, quorum: New quorum }.
+     * @param {*} options Options regarding to the transaction submission.
+     * @returns Prepared SignerListSet transaction.
+     */
+    async prepareUpdateSignerList(update = {}, options = {}) {
+        const current = (await this.getSignerList()) || new SignerList();
+        const list = current.clone();
+
+        for (const account of (update.remove || []))
+            list.remove(account);
+        for (const signer of (update.add || [])) {
+            if (list.signers.find(s => s.account === signer.account))
+                list.setWeight(signer.account, signer.weight);
+            else
+                list.add(signer.account, signer.weight);
+        }
+        if (update.quorum !== undefined)
+            list.setQuorum(update.quorum);
+
+        if (current.diff(list).equal)
+            throw 'Signer list is not changed.';
+
+        return await this.prepareSetSignerList(list, options);
+    }
+
     async makePayment(toAddr, amount, currency = null, issuer = null, memos = null, options = {}) {
         const preparedTxn = await this.prepareMakePayment(toAddr, amount, currency, issuer, memos, options);
-        return await this.signAndSubmit(preparedTxn);
+        return await this.signAndSubmit(preparedTxn, options);
     }
 
     async prepareMakePayment(toAddr, amount, currency = null, issuer = null, memos = null, options = {}) {
@@ -255,7 +322,7 @@ class XrplAccount {
 
     async setTrustLine(currency, issuer, limit, allowRippling = false, memos = null, options = {}) {
         const preparedTxn = await this.prepareSetTrustLine(currency, issuer, limit, allowRippling, memos, options);
-        return await this.signAndSubmit(preparedTxn);
+        return await this.signAndSubmit(preparedTxn, options);
     }
 
     async prepareSetTrustLine(currency, issuer, limit, allowRippling = false, memos = null, options = {}) {
@@ -283,7 +350,7 @@ class XrplAccount {
 
     async setRegularKey(regularKey, memos = null, options = {}) {
         const preparedTxn = await this.prepareSetRegularKey(regularKey, memos, options);
-        return await this.signAndSubmit(preparedTxn);
+        return await this.signAndSubmit(preparedTxn, options);
     }
 
     async prepareSetRegularKey(regularKey, memos = null, options = {}) {
@@ -297,9 +364,40 @@ class XrplAccount {
         }, options);
     }
 
+    /**
+     * Create tickets which can be used instead of the sequence numbers.
+     * @param {number} count Number of tickets to create (1-250).
+     * @param {object[]} memos [Optional] Memos of the transaction.
+     * @param {object} options [Optional] Options regarding to the transaction submission.
+     * @returns Result of the submitted transaction.
+     */
+    async createTickets(count, memos = null, options = {}) {
+        const preparedTxn = await this.prepareCreateTickets(count, memos, options);
+        return await this.signAndSubmit(preparedTxn, options);
+    }
+
+    /**
+     * Prepare a TicketCreate transaction.
+     * @param {number} count Number of tickets to create (1-250).
+     * @param {object[]} memos [Optional] Memos of the transaction.
+     * @param {object} options [Optional] Options regarding to the transaction submission.
+     * @returns The prepared transaction.
+     */
+    async prepareCreateTickets(count, memos = null, options = {}) {
+        if (memos && !Array.isArray(memos))
+            throw 'Ticket memos should be an array. Options are given after the memos: createTickets(count, memos, options).';
+        return await this.#prepareSubmissionTransaction({
+            TransactionType: XrplTransactionTypes.TICKET_CREATE,
+            Account: this.address,
+            TicketCount: count,
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        }, options);
+    }
+
     async cashCheck(check, options = {}) {
         const preparedTxn = await this.prepareCashCheck(check, options);
-        return await this.signAndSubmit(preparedTxn);
+        return await this.signAndSubmit(preparedTxn, options);
     }
 
     async prepareCashCheck(check, options = {}) {
@@ -324,9 +422,383 @@ class XrplAccount {
         }, options);
     }
 
+    async createCheck(toAddr, amount, currency = null, issuer = null, expiration = null, memos = null, options = {}) {
+        const preparedTxn = await this.prepareCreateCheck(toAddr, amount, currency, issuer, expiration, memos, options);
+        return await this.signAndSubmit(preparedTxn, options);
+    }
+
+    /**
+     * Prepare a check which the destination can cash up to the given amount.
+     * @param {number} expiration [Optional] Ripple epoch time after which the check cannot be cashed.
+     */
+    async prepareCreateCheck(toAddr, amount, currency = null, issuer = null, expiration = null, memos = null, options = {}) {
+        const tx = {
+            TransactionType: XrplTransactionTypes.CHECK_CREATE,
+            Account: this.address,
+            Destination: toAddr,
+            SendMax: makeAmountObject(amount, currency, issuer),
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        };
+
+        if (expiration)
+            tx.Expiration = expiration;
+
+        return await this.#prepareSubmissionTransaction(tx, options);
+    }
+
+    async cancelCheck(checkId, memos = null, options = {}) {
+        const preparedTxn = await this.prepareCancelCheck(checkId, memos, options);
+        return await this.signAndSubmit(preparedTxn, options);
+    }
+
+    /**
+     * Prepare the cancellation of a check.
+     */
+    async prepareCancelCheck(checkId, memos = null, options = {}) {
+        return await this.#prepareSubmissionTransaction({
+            TransactionType: XrplTransactionTypes.CHECK_CANCEL,
+            Account: this.address,
+            CheckID: checkId,
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        }, options);
+    }
+
+    async createEscrow(toAddr, amount, currency = null, issuer = null, escrowOptions = {}, memos = null, options = {}) {
+        const preparedTxn = await this.prepareCreateEscrow(toAddr, amount, currency, issuer, escrowOptions, memos, options);
+        return await this.signAndSubmit(preparedTxn, options);
+    }
+
+    /**
+     * Prepare an escrow which holds the amount until it's finished or cancelled.
+     * @param {object} escrowOptions { finishAfter, cancelAfter, condition } Ripple epoch times and a hex crypto-condition. Either finishAfter or condition is required.
+     */
+    async prepareCreateEscrow(toAddr, amount, currency = null, issuer = null, escrowOptions = {}, memos = null, options = {}) {
+        if (!escrowOptions.finishAfter && !escrowOptions.condition)
+            throw "Either finishAfter or condition should be specified for an escrow.";
+        if (escrowOptions.finishAfter && escrowOptions.cancelAfter && escrowOptions.finishAfter >= escrowOptions.cancelAfter)
+            throw "Escrow finishAfter should be before cancelAfter.";
+
+        const tx = {
+            TransactionType: XrplTransactionTypes.ESCROW_CREATE,
+            Account: this.address,
+            Destination: toAddr,
+            Amount: makeAmountObject(amount, currency, issuer),
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        };
+
+        if (escrowOptions.finishAfter)
+            tx.FinishAfter = escrowOptions.finishAfter;
+        if (escrowOptions.cancelAfter)
+            tx.CancelAfter = escrowOptions.cancelAfter;
+        if (escrowOptions.condition)
+            tx.Condition = escrowOptions.condition;
+
+        return await this.#prepareSubmissionTransaction(tx, options);
+    }
+
+    async finishEscrow(owner, offerSequence, fulfillment = null, condition = null, memos = null, options = {}) {
+        const preparedTxn = await this.prepareFinishEscrow(owner, offerSequence, fulfillment, condition, memos, options);
+        return await this.signAndSubmit(preparedTxn, options);
+    }
+
+    /**
+     * Prepare the finish of an escrow.
+     * @param {number} offerSequence Sequence of the EscrowCreate transaction.
+     */
+    async prepareFinishEscrow(owner, offerSequence, fulfillment = null, condition = null, memos = null, options = {}) {
+        if (!fulfillment !== !condition)
+            throw "Fulfillment and condition should be specified together.";
+
+        const tx = {
+            TransactionType: XrplTransactionTypes.ESCROW_FINISH,
+            Account: this.address,
+            Owner: owner,
+            OfferSequence: offerSequence,
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        };
+
+        if (fulfillment) {
+            tx.Fulfillment = fulfillment;
+            tx.Condition = condition;
+        }
+
+        return await this.#prepareSubmissionTransaction(tx, options);
+    }
+
+    async cancelEscrow(owner, offerSequence, memos = null, options = {}) {
+        const preparedTxn = await this.prepareCancelEscrow(owner, offerSequence, memos, options);
+        return await this.signAndSubmit(preparedTxn, options);
+    }
+
+    /**
+     * Prepare the cancellation of an expired escrow.
+     */
+    async prepareCancelEscrow(owner, offerSequence, memos = null, options = {}) {
+        return await this.#prepareSubmissionTransaction({
+            TransactionType: XrplTransactionTypes.ESCROW_CANCEL,
+            Account: this.address,
+            Owner: owner,
+            OfferSequence: offerSequence,
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        }, options);
+    }
+
+    async createPaymentChannel(toAddr, amount, settleDelay, publicKey = null, cancelAfter = null, memos = null, options = {}) {
+        const preparedTxn = await this.prepareCreatePaymentChannel(toAddr, amount, settleDelay, publicKey, cancelAfter, memos, options);
+        return await this.signAndSubmit(preparedTxn, options);
+    }
+
+    /**
+     * Prepare a payment channel to the destination.
+     * @param {string} publicKey [Optional] Public key which signs the claims. Defaults to the public key of the signer.
+     */
+    async prepareCreatePaymentChannel(toAddr, amount, settleDelay, publicKey = null, cancelAfter = null, memos = null, options = {}) {
+        if (!Number.isInteger(settleDelay) || settleDelay < 0)
+            throw "Settle delay should be a positive integer.";
+        if (!publicKey && !this.signer)
+            throw "Public key should be specified for an account without a secret or signer.";
+
+        const tx = {
+            TransactionType: XrplTransactionTypes.PAYMENT_CHANNEL_CREATE,
+            Account: this.address,
+            Destination: toAddr,
+            Amount: makeAmountObject(amount),
+            SettleDelay: settleDelay,
+            PublicKey: publicKey || await this.signer.getPublicKey(),
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        };
+
+        if (cancelAfter)
+            tx.CancelAfter = cancelAfter;
+
+        return await this.#prepareSubmissionTransaction(tx, options);
+    }
+
+    async fundPaymentChannel(channelId, amount, expiration = null, memos = null, options = {}) {
+        const preparedTxn = await this.prepareFundPaymentChannel(channelId, amount, expiration, memos, options);
+        return await this.signAndSubmit(preparedTxn, options);
+    }
+
+    /**
+     * Prepare a fund of a payment channel owned by the account.
+     */
+    async prepareFundPaymentChannel(channelId, amount, expiration = null, memos = null, options = {}) {
+        const tx = {
+            TransactionType: XrplTransactionTypes.PAYMENT_CHANNEL_FUND,
+            Account: this.address,
+            Channel: channelId,
+            Amount: makeAmountObject(amount),
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        };
+
+        if (expiration)
+            tx.Expiration = expiration;
+
+        return await this.#prepareSubmissionTransaction(tx, options);
+    }
+
+    async claimPaymentChannel(channelId, claim = {}, memos = null, options = {}) {
+        const preparedTxn = await this.prepareClaimPaymentChannel(channelId, claim, memos, options);
+        return await this.signAndSubmit(preparedTxn, options);
+    }
+
+    /**
+     * Prepare a claim from a payment channel, or a request to renew or close it.
+     * @param {object} claim { balance, amount, signature, publicKey, renew, close } PaymentChannelClaim fields. publicKey is required with the signature.
+     */
+    async prepareClaimPaymentChannel(channelId, claim = {}, memos = null, options = {}) {
+        if (claim.signature && !claim.publicKey)
+            throw "Public key should be specified with the claim signature.";
+
+        const tx = {
+            TransactionType: XrplTransactionTypes.PAYMENT_CHANNEL_CLAIM,
+            Account: this.address,
+            Channel: channelId,
+            Flags: (claim.renew ? 65536 : 0) | (claim.close ? 131072 : 0), // tfRenew, tfClose
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        };
+
+        if (claim.balance)
+            tx.Balance = makeAmountObject(claim.balance);
+        if (claim.amount)
+            tx.Amount = makeAmountObject(claim.amount);
+        if (claim.signature) {
+            tx.Signature = claim.signature;
+            tx.PublicKey = claim.publicKey;
+        }
+
+        return await this.#prepareSubmissionTransaction(tx, options);
+    }
+
+    async deleteAccount(toAddr, destinationTag = null, memos = null, options = {}) {
+        const preparedTxn = await this.prepareDeleteAccount(toAddr, destinationTag, memos, options);
+        return await this.signAndSubmit(preparedTxn, options);
+    }
+
+    /**
+     * Prepare the deletion of the account. The remaining XAH goes to the destination.
+     */
+    async prepareDeleteAccount(toAddr, destinationTag = null, memos = null, options = {}) {
+        if (toAddr === this.address)
+            throw "Destination cannot be the account itself.";
+
+        const tx = {
+            TransactionType: XrplTransactionTypes.ACCOUNT_DELETE,
+            Account: this.address,
+            Destination: toAddr,
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        };
+
+        if (destinationTag !== null)
+            tx.DestinationTag = destinationTag;
+
+        return await this.#prepareSubmissionTransaction(tx, options);
+    }
+
+    async setDepositPreauth(address, authorize = true, memos = null, options = {}) {
+        const preparedTxn = await this.prepareSetDepositPreauth(address, authorize, memos, options);
+        return await this.signAndSubmit(preparedTxn, options);
+    }
+
+    /**
+     * Prepare a deposit authorization of an account, or its removal if authorize is false.
+     */
+    async prepareSetDepositPreauth(address, authorize = true, memos = null, options = {}) {
+        if (address === this.address)
+            throw "An account cannot preauthorize itself.";
+
+        return await this.#prepareSubmissionTransaction({
+            TransactionType: XrplTransactionTypes.DEPOSIT_PREAUTH,
+            Account: this.address,
+            [authorize ? 'Authorize' : 'Unauthorize']: address,
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        }, options);
+    }
+
+    async claimReward(optOut = false, memos = null, options = {}) {
+        const preparedTxn = await this.prepareClaimReward(optOut, memos, options);
+        return await this.signAndSubmit(preparedTxn, options);
+    }
+
+    /**
+     * Prepare a reward claim, or an opt out. Claims are issued by the genesis account.
+     */
+    async prepareClaimReward(optOut = false, memos = null, options = {}) {
+        const tx = {
+            TransactionType: XrplTransactionTypes.CLAIM_REWARD,
+            Account: this.address,
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        };
+
+        // Opting out does not have an issuer.
+        if (optOut)
+            tx.Flags = 1; // tfOptOut
+        else
+            tx.Issuer = XrplConstants.GENESIS_ADDRESS;
+
+        return await this.#prepareSubmissionTransaction(tx, options);
+    }
+
+    async invoke(toAddr = null, blob = null, memos = null, options = {}) {
+        const preparedTxn = await this.prepareInvoke(toAddr, blob, memos, options);
+        return await this.signAndSubmit(preparedTxn, options);
+    }
+
+    /**
+     * Prepare an invoke of the hooks of the account, or of the destination if given.
+     */
+    async prepareInvoke(toAddr = null, blob = null, memos = null, options = {}) {
+        const tx = {
+            TransactionType: XrplTransactionTypes.INVOKE,
+            Account: this.address,
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        };
+
+        if (toAddr)
+            tx.Destination = toAddr;
+        if (blob)
+            tx.Blob = blob.toUpperCase();
+
+        return await this.#prepareSubmissionTransaction(tx, options);
+    }
+
+    async remit(toAddr, amounts = [], uriTokenIds = [], memos = null, options = {}) {
+        const preparedTxn = await this.prepareRemit(toAddr, amounts, uriTokenIds, memos, options);
+        return await this.signAndSubmit(preparedTxn, options);
+    }
+
+    /**
+     * Prepare a remit which sends amounts and URITokens to the destination in one transaction.
+     * @param {object} options [Optional] 'mintURIToken' { uri, digest, isHexUri, isBurnable } mints a URIToken to the destination.
+     */
+    async prepareRemit(toAddr, amounts = [], uriTokenIds = [], memos = null, options = {}) {
+        if (toAddr === this.address)
+            throw "Destination cannot be the account itself.";
+        if (!amounts.length && !uriTokenIds.length && !options.mintURIToken)
+            throw "Remit should have amounts, URITokens or a URIToken to mint.";
+
+        const tx = {
+            TransactionType: XrplTransactionTypes.REMIT,
+            Account: this.address,
+            Destination: toAddr,
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        };
+
+        if (amounts.length)
+            tx.Amounts = amounts.map(a => ({ AmountEntry: { Amount: makeAmountObject(a.amount, a.currency, a.issuer) } }));
+        if (uriTokenIds.length)
+            tx.URITokenIDs = uriTokenIds;
+        if (options.mintURIToken) {
+            const mint = options.mintURIToken;
+            tx.MintURIToken = {
+                URI: mint.isHexUri ? mint.uri : TransactionHelper.asciiToHex(mint.uri).toUpperCase(),
+                Flags: mint.isBurnable ? 1 : 0
+            };
+            if (mint.digest)
+                tx.MintURIToken.Digest = mint.digest;
+        }
+
+        return await this.#prepareSubmissionTransaction(tx, options);
+    }
+
+    async setHook(hooks, memos = null, options = {}) {
+        const preparedTxn = await this.prepareSetHook(hooks, memos, options);
+        return await this.signAndSubmit(preparedTxn, options);
+    }
+
+    /**
+     * Prepare a SetHook transaction which installs, updates or deletes the hooks of the account.
+     * @param {object[]} hooks Hook definitions by the hook position. An empty object leaves the position unchanged.
+     */
+    async prepareSetHook(hooks, memos = null, options = {}) {
+        if (!Array.isArray(hooks) || hooks.length < 1 || hooks.length > 10)
+            throw "Hooks should be an array of 1 to 10 hook definitions.";
+
+        return await this.#prepareSubmissionTransaction({
+            TransactionType: XrplTransactionTypes.SET_HOOK,
+            Account: this.address,
+            Hooks: hooks.map(h => ({ Hook: h })),
+            Memos: TransactionHelper.formatMemos(memos),
+            HookParameters: TransactionHelper.formatHookParams(options.hookParams)
+        }, options);
+    }
+
     async offerSell(sellAmount, sellCurrency, sellIssuer, forAmount, forCurrency, forIssuer = null, expiration = 4294967295, memos = null, options = {}) {
         const preparedTxn = await this.prepareOfferSell(sellAmount, sellCurrency, sellIssuer, forAmount, forCurrency, forIssuer, expiration, memos, options);
-        return await this.signAndSubmit(preparedTxn);
+        return await this.signAndSubmit(preparedTxn, options);
     }
 
     async prepareOfferSell(sellAmount, sellCurrency, sellIssuer, forAmount, forCurrency, forIssuer = null, expiration = 4294967295, memos = null, options = {}) {
@@ -347,7 +819,7 @@ class XrplAccount {
 
     async offerBuy(buyAmount, buyCurrency, buyIssuer, forAmount, forCurrency, forIssuer = null, expiration = 4294967295, memos = null, options = {}) {
         const preparedTxn = await this.prepareOfferBuy(buyAmount, buyCurrency, buyIssuer, forAmount, forCurrency, forIssuer, expiration, memos, options);
-        return await this.signAndSubmit(preparedTxn);
+        return await this.signAndSubmit(preparedTxn, options);
     }
 
     async prepareOfferBuy(buyAmount, buyCurrency, buyIssuer, forAmount, forCurrency, forIssuer = null, expiration = 4294967295, memos = null, options = {}) {
@@ -368,7 +840,7 @@ class XrplAccount {
 
     async cancelOffer(offerSequence, memos = null, options = {}) {
         const preparedTxn = await this.prepareCancelOffer(offerSequence, memos, options);
-        return await this.signAndSubmit(preparedTxn);
+        return await this.signAndSubmit(preparedTxn, options);
     }
 
     async prepareCancelOffer(offerSequence, memos = null, options = {}) {
@@ -383,7 +855,7 @@ class XrplAccount {
 
     async mintNft(uri, taxon, transferFee, flags = {}, memos = null, options = {}) {
         const preparedTxn = await this.prepareMintNft(uri, taxon, transferFee, flags, memos, options);
-        return await this.signAndSubmit(preparedTxn);
+        return await this.signAndSubmit(preparedTxn, options);
     }
 
     async prepareMintNft(uri, taxon, transferFee, flags = {}, memos = null, options = {}) {
@@ -401,7 +873,7 @@ class XrplAccount {
 
     async offerSellNft(nfTokenId, amount, currency, issuer = null, destination = null, expiration = 4294967295, memos = null, options = {}) {
         const preparedTxn = await this.prepareOfferSellNft(nfTokenId, amount, currency, issuer, destination, expiration, memos, options);
-        return await this.signAndSubmit(preparedTxn);
+        return await this.signAndSubmit(preparedTxn, options);
     }
 
     async prepareOfferSellNft(nfTokenId, amount, currency, issuer = null, destination = null, expiration = 4294967295, memos = null, options = {}) {
@@ -423,7 +895,7 @@ class XrplAccount {
 
     async offerBuyNft(nfTokenId, owner, amount, currency, issuer = null, expiration = 4294967295, memos = null, options = {}) {
         const preparedTxn = await this.prepareOfferSellNft(nfTokenId, owner, amount, currency, issuer, expiration, memos, options);
-        return await this.signAndSubmit(preparedTxn);
+        return await this.signAndSubmit(preparedTxn, options);
     }
 
     async prepareOfferBuyNft(nfTokenId, owner, amount, currency, issuer = null, expiration = 4294967295, memos = null, options = {}) {
@@ -446,7 +918,7 @@ class XrplAccount {
 
     async sellNft(offerId, memos = null, options = {}) {
         const preparedTxn = await this.prepareSellNft(offerId, memos, options);
-        return await this.signAndSubmit(preparedTxn);
+        return await this.signAndSubmit(preparedTxn, options);
     }
 
     async prepareSellNft(offerId, memos = null, options = {}) {
@@ -462,7 +934,7 @@ class XrplAccount {
 
     async buyNft(offerId, memos = null, options = {}) {
         const preparedTxn = await this.prepareBuyNft(offerId, memos, options);
-        return await this.signAndSubmit(preparedTxn);
+        return await this.signAndSubmit(preparedTxn, options);
     }
 
     async prepareBuyNft(offerId, memos = null, options = {}) {
@@ -478,7 +950,7 @@ class XrplAccount {
 
     async burnNft(nfTokenId, owner = null, memos = null, options = {}) {
         const preparedTxn = await this.prepareBurnNft(nfTokenId, owner, memos, options);
-        return await this.signAndSubmit(preparedTxn);
+        return await this.signAndSubmit(preparedTxn, options);
     }
 
     async prepareBurnNft(nfTokenId, owner = null, memos = null, options = {}) {
@@ -582,19 +1054,43 @@ class XrplAccount {
 
     /**
      * Sign the given transaction and returns the signed blob and its hash.
+     * Throws if the account's signer is asynchronous (Eg: RpcSigner). Use signAsync() for those.
      * @param {object} tx Transaction object.
      * @param {boolean} isMultiSign Whether the transaction is for multisigning. Defaults to false.
      * @returns {hash: string, tx_blob: string}
      */
     sign(tx, isMultiSign = false) {
-        return this.xrplApi.xrplHelper.sign(tx, this.secret, isMultiSign)
+        if (!this.signer)
+            throw 'Cannot sign: Account has no secret or signer.';
+        if (this.signer.isAsync)
+            throw 'Cannot sign synchronously: Account has an asynchronous signer. Use signAsync().';
+
+        const signed = this.signer.sign(tx, { isMultiSign: isMultiSign, xrplHelper: this.#getXrplHelper() });
+        if (typeof signed?.then === 'function') {
+            // Custom signers which do not declare themselves asynchronous.
+            signed.catch(() => { });
+            throw 'Cannot sign synchronously: Account signer returned a promise. Use signAsync().';
+        }
+        return signed;
+    }
+
+    /**
+     * Sign the given transaction with a synchronous or an asynchronous signer.
+     * @param {object} tx Transaction object.
+     * @param {boolean} isMultiSign Whether the transaction is for multisigning. Defaults to false.
+     * @returns {hash: string, tx_blob: string}
+     */
+    async signAsync(tx, isMultiSign = false) {
+        if (!this.signer)
+            throw 'Cannot sign: Account has no secret or signer.';
+        return await this.signer.sign(tx, { isMultiSign: isMultiSign, xrplHelper: this.#getXrplHelper() });
     }
 
     // URIToken related methods
 
     async mintURIToken(uri, digest = null, flags = {}, options = {}) {
         const preparedTxn = await this.prepareMintURIToken(uri, digest, flags, options);
-        return await this.signAndSubmit(preparedTxn);
+        return await this.signAndSubmit(preparedTxn, options);
     }
 
     async prepareMintURIToken(uri, digest = null, flags = {}, options = {}) {
@@ -614,7 +1110,7 @@ class XrplAccount {
 
     async burnURIToken(uriTokenID, options = {}) {
         const preparedTxn = await this.prepareBurnURIToken(uriTokenID, options);
-        return await this.signAndSubmit(preparedTxn);
+        return await this.signAndSubmit(preparedTxn, options);
     }
 
     async prepareBurnURIToken(uriTokenID, options = {}) {
@@ -628,7 +1124,7 @@ class XrplAccount {
 
     async sellURIToken(uriTokenID, amount, currency, issuer = null, toAddr = null, memos = null, options = {}) {
         const preparedTxn = await this.prepareSellURIToken(uriTokenID, amount, currency, issuer, toAddr, memos, options);
-        return await this.signAndSubmit(preparedTxn);
+        return await this.signAndSubmit(preparedTxn, options);
     }
 
     async prepareSellURIToken(uriTokenID, amount, currency, issuer = null, toAddr = null, memos = null, options = {}) {
@@ -654,7 +1150,7 @@ class XrplAccount {
 
     async buyURIToken(uriToken, memos = null, options = {}) {
         const preparedTxn = await this.prepareBuyURIToken(uriToken, memos, options);
-        return await this.signAndSubmit(preparedTxn);
+        return await this.signAndSubmit(preparedTxn, options);
     }
 
     async prepareBuyURIToken(uriToken, memos = null, options = {}) {
@@ -676,7 +1172,7 @@ class XrplAccount {
 
     async clearURITokenOffer(uriTokenID, options = {}) {
         const preparedTxn = await this.prepareClearURITokenOffer(uriTokenID, options);
-        return await this.signAndSubmit(preparedTxn);
+        return await this.signAndSubmit(preparedTxn, options);
     }
 
     async prepareClearURITokenOffer(uriTokenID, options = {}) {
@@ -731,38 +1227,240 @@ class XrplAccount {
     /**
      * Prepare a transaction for submission. (Signing Free)
      * @param {object} tx Partially prepared transaction.
-     * @param {*} options Options regarding to the transaction submission.
+     * @param {*} options Options regarding to the transaction submission. 'useTicket' submits the transaction with a ticket from the account's ticket pool instead of a sequence.
+     * 'managedSequence' reserves the sequence from the account's sequence manager on submission, so concurrent transactions of the account do not get the same sequence.
      * @returns Submission transaction.
      */
     async #prepareSubmissionTransaction(tx, options) {
-        // Attach tx options to the transaction.
-        const txOptions = {
-            LastLedgerSequence: options.maxLedgerIndex || (this.xrplApi.ledgerIndex + XrplConstants.MAX_LEDGER_OFFSET),
-            Sequence: options.sequence || await this.getSequence(),
-            SigningPubKey: '', // This field is required for fee calculation.
-            Fee: '0', // This field is required for fee calculation.
-            NetworkID: Defaults.values.networkID
+        if (this.offline)
+            return this.#prepareOfflineTransaction(tx, options);
+
+        const lastLedgerSequence = options.maxLedgerIndex || (this.xrplApi.ledgerIndex + XrplConstants.MAX_LEDGER_OFFSET);
+        // Background refills are submitted concurrently with the ticket submissions, so they use managed sequences.
+        const ticketSequence = options.useTicket ? await this.#getTicketPool().reserve((count) => this.createTickets(count, null, { managedSequence: true }), lastLedgerSequence) : null;
+        // Managed sequences are replaced by a reserved sequence on submission, so the transactions which are prepared but not submitted do not hold a sequence.
+        const sequence = ticketSequence ? 0 : (options.sequence || await this.getSequence());
+
+        try {
+            // Attach tx options to the transaction.
+            const txOptions = {
+                LastLedgerSequence: lastLedgerSequence,
+                Sequence: sequence,
+                SigningPubKey: '', // This field is required for fee calculation.
+                Fee: '0', // This field is required for fee calculation.
+                NetworkID: Defaults.values.networkID
+            }
+
+            if (ticketSequence)
+                txOptions.TicketSequence = ticketSequence;
+
+            if (options?.Flags)
+                txOptions.Flags = options.Flags;
+
+            Object.assign(tx, txOptions);
+            const txnBlob = this.xrplApi.xrplHelper.encode(tx);
+            const fees = options.fee || (options.feeUplift ? (`${options.feeUplift + Number(await this.xrplApi.getTransactionFee(txnBlob))}`) : await this.xrplApi.getTransactionFee(txnBlob));
+            delete tx['SigningPubKey'];
+            tx.Fee = fees + '';
+            return tx;
+        }
+        catch (e) {
+            if (ticketSequence)
+                this.#getTicketPool().release(ticketSequence);
+            throw e;
         }
+    }
+
+    // Offline transactions take the submission fields from the options and the offline context. Tickets should be given explicitly with 'ticketSequence'.
+    #prepareOfflineTransaction(tx, options) {
+        if (options.useTicket && !options.ticketSequence)
+            throw 'ticketSequence should be specified to use a ticket in offline mode.';
+
+        const ticketSequence = options.useTicket ? options.ticketSequence : null;
+        const sequence = ticketSequence ? 0 : (options.sequence || this.offline.reserveSequence());
+        try {
+            const txOptions = {
+                LastLedgerSequence: options.maxLedgerIndex || this.offline.getMaxLedgerIndex(),
+                Sequence: sequence,
+                Fee: options.fee ? `${options.fee}` : (options.feeUplift ? `${options.feeUplift + Number(this.offline.getFee())}` : this.offline.getFee()),
+                NetworkID: this.offline.networkID
+            }
+
+            if (ticketSequence)
+                txOptions.TicketSequence = ticketSequence;
 
-        if (options?.Flags)
-            txOptions.Flags = options.Flags;
+            if (options?.Flags)
+                txOptions.Flags = options.Flags;
+
+            Object.assign(tx, txOptions);
+            // Make sure the transaction can be encoded with the cached definitions.
+            this.offline.xrplHelper.encode({ ...tx, SigningPubKey: '' });
+            return tx;
+        }
+        catch (e) {
+            if (!ticketSequence && !options.sequence)
+                this.offline.releaseSequence(sequence);
+            throw e;
+        }
+    }
 
-        Object.assign(tx, txOptions);
-        const txnBlob = this.xrplApi.xrplHelper.encode(tx);
-        const fees = options.fee || (options.feeUplift ? (`${options.feeUplift + Number(await this.xrplApi.getTransactionFee(txnBlob))}`) : await this.xrplApi.getTransactionFee(txnBlob));
-        delete tx['SigningPubKey'];
-        tx.Fee = fees + '';
-        return tx;
+    #getXrplHelper() {
+        return this.offline ? this.offline.xrplHelper : this.xrplApi.xrplHelper;
+    }
+
+    #getSequenceManager() {
+        return SequenceManager.get(this.xrplApi, this.address);
+    }
+
+    #getTicketPool() {
+        return TicketPool.get(this.xrplApi, this.address);
+    }
+
+    /**
+     * Releases the sequence (or the ticket) of a prepared transaction which is not going to be submitted, so the next transaction can use it.
+     * Tickets ('useTicket') and offline sequences are reserved while preparing, so they should be released if the transaction is not submitted with signAndSubmit.
+     * Managed sequences ('managedSequence') are reserved only on submission and there's nothing to release for them. Unreleased tickets return to the pool after the LastLedgerSequence.
+     * @param {object} preparedTransaction Prepared transaction.
+     */
+    releaseSequence(preparedTransaction) {
+        if (this.offline)
+            this.offline.releaseSequence(preparedTransaction.TicketSequence ? null : preparedTransaction.Sequence);
+        else if (preparedTransaction.TicketSequence)
+            this.#getTicketPool().release(preparedTransaction.TicketSequence);
+        else
+            this.#getSequenceManager().release(preparedTransaction.Sequence);
     }
 
     /**
      * Sign and submit prepared transaction.
+     * In offline mode the transaction is only signed, to be submitted with a connected account. The sequence stays taken.
      * @param {object} preparedTransaction Prepared transaction.
-     * @returns result of the submitted transaction.
+     * @param {object} options [Optional] Options which the transaction was prepared with. If 'retryOptions' (Retry options or a RetryPolicy) is given,
+     * failed submissions are retried by preparing the transaction again (New sequence, fee and LastLedgerSequence) according to the retry policy.
+     * If 'managedSequence' is given, the sequence is reserved from the account's sequence manager, so the transaction can be submitted concurrently with the other
+     * managed submissions of the account. Rejected managed submissions fail without waiting for the LastLedgerSequence.
+     * @returns result of the submitted transaction. The signed transaction { hash, tx_blob, tx_json } in offline mode.
+     * The unsigned transaction { tx_json, tx_blob } with a prepare-only signer.
      */
-    async signAndSubmit(preparedTransaction) {
-        const signedTxn = this.sign(preparedTransaction, false);
-        return await this.xrplApi.submitAndWait(preparedTransaction, signedTxn.tx_blob);
+    async signAndSubmit(preparedTransaction, options = {}) {
+        // Exported transactions keep their sequence (or ticket), since they are signed and submitted elsewhere.
+        if (this.signer?.canSign === false)
+            return this.signer.export(preparedTransaction, { isMultiSign: false, xrplHelper: this.#getXrplHelper() });
+
+        if (this.offline)
+            return { ...(await this.#signForSubmission(preparedTransaction)), tx_json: preparedTransaction };
+
+        if (!options.retryOptions)
+            return await this.#signAndSubmitOnce(preparedTransaction, options);
+
+        const policy = RetryPolicy.from(options.retryOptions);
+        const ledgerOffset = (preparedTransaction.LastLedgerSequence > this.xrplApi.ledgerIndex) ? (preparedTransaction.LastLedgerSequence - this.xrplApi.ledgerIndex) : XrplConstants.MAX_LEDGER_OFFSET;
+        let tx = preparedTransaction;
+        let feeUplift = options.feeUplift || 0;
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.#signAndSubmitOnce(tx, options);
+            }
+            catch (e) {
+                if (!policy.shouldRetry(e, attempt))
+                    throw e;
+
+                feeUplift = policy.getFeeUplift(e, feeUplift);
+                console.error(`Submission attempt ${attempt} failed with ${e?.code || e?.status || e}. Retrying...`);
+                await new Promise(resolve => setTimeout(resolve, policy.getRetryInterval(attempt)));
+
+                tx = await this.#prepareSubmissionTransaction(withoutSubmissionFields(tx), {
+                    ...options,
+                    feeUplift: feeUplift,
+                    maxLedgerIndex: policy.refreshLastLedger ? (this.xrplApi.ledgerIndex + ledgerOffset) : tx.LastLedgerSequence,
+                    useTicket: options.useTicket || !!tx.TicketSequence
+                });
+            }
+        }
+    }
+
+    async #signAndSubmitOnce(preparedTransaction, options) {
+        if (preparedTransaction.TicketSequence)
+            return await this.#signAndSubmitWithTicket(preparedTransaction);
+
+        // Sequences given in the options are not managed.
+        if (!options.managedSequence || options.sequence) {
+            const signedTxn = await this.#signForSubmission(preparedTransaction);
+            return await this.xrplApi.submitAndWait(preparedTransaction, signedTxn.tx_blob);
+        }
+
+        const sequences = this.#getSequenceManager();
+        preparedTransaction.Sequence = await sequences.reserve(preparedTransaction.LastLedgerSequence);
+        for (let resynced = false; ; resynced = true) {
+            const sequence = preparedTransaction.Sequence;
+            const signedTxn = await this.#signForSubmission(preparedTransaction);
+            try {
+                const res = await this.xrplApi.submitOrderedAndWait(preparedTransaction, signedTxn.tx_blob);
+                sequences.confirm(sequence);
+                return res;
+            }
+            catch (e) {
+                if (!sequences.isReserved(sequence))
+                    throw e;
+
+                if (e?.code === PAST_SEQUENCE_CODE && !resynced) {
+                    // The sequence was consumed by a transaction which was not submitted through this account. Retry once with a fresh sequence.
+                    sequences.confirm(sequence);
+                    await sequences.resync();
+                    preparedTransaction.Sequence = await sequences.reserve(preparedTransaction.LastLedgerSequence);
+                    continue;
+                }
+
+                // Failed transactions with metadata are applied and they consume the sequence.
+                if (e?.details?.meta)
+                    sequences.confirm(sequence);
+                else if (e?.code || e?.status === 'TOOK_LONG')
+                    sequences.release(sequence);
+                throw e;
+            }
+        }
+    }
+
+    async #signAndSubmitWithTicket(preparedTransaction) {
+        const tickets = this.#getTicketPool();
+        const ticketSequence = preparedTransaction.TicketSequence;
+        const signedTxn = await this.#signForSubmission(preparedTransaction);
+        if (!tickets.isReserved(ticketSequence))
+            return await this.xrplApi.submitAndWait(preparedTransaction, signedTxn.tx_blob);
+
+        try {
+            const res = await this.xrplApi.submitOrderedAndWait(preparedTransaction, signedTxn.tx_blob);
+            tickets.confirm(ticketSequence);
+            return res;
+        }
+        catch (e) {
+            if (!tickets.isReserved(ticketSequence))
+                throw e;
+
+            // Like sequences, tickets are consumed by the failed transactions with metadata.
+            if (e?.details?.meta) {
+                tickets.confirm(ticketSequence);
+            }
+            else if (e?.code === NO_TICKET_CODE) {
+                // The ticket was consumed by a transaction which was not submitted through the pool.
+                tickets.confirm(ticketSequence);
+                await tickets.reconcile();
+            }
+            else if (e?.code || e?.status === 'TOOK_LONG') {
+                tickets.release(ticketSequence);
+            }
+            throw e;
+        }
+    }
+
+    async #signForSubmission(preparedTransaction) {
+        try {
+            return await this.signAsync(preparedTransaction, false);
+        }
+        catch (e) {
+            this.releaseSequence(preparedTransaction);
+            throw e;
+        }
     }
 
     /**
@@ -787,6 +1485,13 @@ function makeAmountObject(amount, currency = null, issuer = null) {
     return amountObj;
 }
 
+function withoutSubmissionFields(tx) {
+    const fields = { ...tx };
+    for (const field of SUBMISSION_FIELDS)
+        delete fields[field];
+    return fields;
+}
+
 module.exports = {
     XrplAccount
 }
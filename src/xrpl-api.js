@@ -33,6 +33,7 @@ class XrplApi {
     #isFallbackServerConnected = false;
     #xrplClientOptions;
     #autoReconnect;
+    #replayQueue = null;
 
     constructor(rippledServer = null, options = {}) {
         if (rippledServer == '-') {
@@ -74,8 +75,14 @@ class XrplApi {
     async #setXrplClient(client) {
         await this.#acquireClient();
         try {
-            if (this.#client) // Clear all listeners if there's an already created client.
-                await this.#client.removeAllListeners();
+            if (this.#client && this.#client !== client) {
+                // Clear all listeners of the replaced client and stop its own reconnection attempts.
+                // Its late connection errors are ignored, since nothing listens to them anymore.
+                const replaced = this.#client;
+                await replaced.removeAllListeners();
+                replaced.on('error', () => { });
+                replaced.disconnect().catch(() => { });
+            }
 
             this.#client = client;
             this.#releaseClient();
@@ -117,6 +124,7 @@ class XrplApi {
             if (this.#autoReconnect && !this.#isPermanentlyDisconnected) {
                 console.log(`Connection failure for ${client.url} (code:${code})`);
                 console.log("Re-initializing xrpl client.");
+                this.#events.emit(XrplApiEvents.RECONNECTING, { server: client.url, code: code });
                 try {
                     await this.#connectXrplClient(true);
                 }
@@ -128,56 +136,170 @@ class XrplApi {
 
         client.on('ledgerClosed', (ledger) => {
             this.ledgerIndex = ledger.ledger_index;
+            this.#handleLedgerClosed(ledger.ledger_index);
             this.#events.emit(XrplApiEvents.LEDGER, ledger);
         });
 
         client.on("transaction", async (data) => {
-            if (data.validated) {
-                // NFTokenAcceptOffer transactions does not contain a Destination. So we check whether the accepted offer is created by which subscribed account
-                if (data.transaction.TransactionType === 'URITokenBuy') {
-                    // We take all the offers created by subscribed accounts in previous ledger until we get the respective offer.
-                    for (const subscription of this.#addressSubscriptions) {
-                        const acc = new XrplAccount(subscription.address, null, { xrplApi: this });
-                        // Here we access the offers that were there in this account based on the given ledger index.
-                        const offers = await acc.getURITokens({ ledger_index: data.ledger_index - 1 });
-                        // Filter out the matching URI token offer for the scenario.
-                        const offer = offers.find(o => o.index === data.transaction.URITokenID && o.Amount);
-                        // When we find the respective offer. We populate the destination and offer info and then we break the loop.
-                        if (offer) {
-                            // We populate some sell offer properties to the transaction to be sent with the event.
-                            data.transaction.Destination = subscription.address;
-                            // Replace the offer with the found offer object.
-                            data.transaction.URITokenSellOffer = offer;
-                            break;
-                        }
-                    }
+            if (data.validated)
+                await this.#handleTransaction(data);
+        });
+    }
+
+    #handleLedgerClosed(ledgerIndex) {
+        // Transactions of a ledger are published after its ledgerClosed message.
+        // So receiving a ledger means the previous one is fully processed.
+        for (const subscription of this.#addressSubscriptions) {
+            subscription.lastLedgerIndex = Math.max(subscription.lastLedgerIndex, ledgerIndex - 1);
+
+            // Processed hashes are needed only for the ledgers which can be replayed again.
+            if (!subscription.replayFromLedgerIndex) {
+                for (const [hash, txLedgerIndex] of subscription.processedHashes) {
+                    if (txLedgerIndex < subscription.lastLedgerIndex)
+                        subscription.processedHashes.delete(hash);
                 }
+            }
+        }
+    }
 
-                const matches = this.#addressSubscriptions.filter(s => s.address === data.transaction.Destination); // Only incoming transactions.
-                if (matches.length > 0) {
-                    const tx = {
-                        LedgerHash: data.ledger_hash,
-                        LedgerIndex: data.ledger_index,
-                        ...data.transaction
-                    };
-
-                    if (data.meta?.delivered_amount)
-                        tx.DeliveredAmount = data.meta.delivered_amount;
-
-                    // Create an object copy. Otherwise xrpl client will mutate the transaction object,
-                    const eventName = tx.TransactionType.toLowerCase();
-                    // Emit the event only for successful transactions, Otherwise emit error.
-                    if (data.engine_result === "tesSUCCESS") {
-                        tx.Memos = TransactionHelper.deserializeMemos(tx.Memos);
-                        tx.HookParameters = TransactionHelper.deserializeHookParams(tx.HookParameters);
-                        matches.forEach(s => s.handler(eventName, tx));
-                    }
-                    else {
-                        matches.forEach(s => s.handler(eventName, null, data.engine_result_message));
+    async #handleTransaction(data) {
+        // Hold the live transactions until the missed ones are replayed, So the handlers receive them in ledger order.
+        if (this.#replayQueue) {
+            this.#replayQueue.push(data);
+            return;
+        }
+
+        await this.#deliverTransaction(data);
+    }
+
+    async #deliverTransaction(data) {
+        await this.#resolveURITokenBuyDestination(data, this.#addressSubscriptions.map(s => s.address));
+
+        const matches = this.#addressSubscriptions.filter(s => s.address === data.transaction.Destination && // Only incoming transactions.
+            !s.processedHashes.has(data.transaction.hash)); // Skip the transactions which are already delivered.
+        if (matches.length > 0) {
+            for (const subscription of matches) {
+                subscription.processedHashes.set(data.transaction.hash, data.ledger_index);
+                subscription.lastLedgerIndex = Math.max(subscription.lastLedgerIndex, data.ledger_index);
+            }
+
+            const { eventName, tx, error } = this.#prepareStreamTransaction(data);
+            if (tx)
+                matches.forEach(s => s.handler(eventName, tx));
+            else
+                matches.forEach(s => s.handler(eventName, null, error));
+        }
+    }
+
+    async #resolveURITokenBuyDestination(data, addresses) {
+        // NFTokenAcceptOffer transactions does not contain a Destination. So we check whether the accepted offer is created by which subscribed account
+        if (data.transaction.TransactionType === 'URITokenBuy') {
+            // We take all the offers created by subscribed accounts in previous ledger until we get the respective offer.
+            for (const address of addresses) {
+                const acc = new XrplAccount(address, null, { xrplApi: this });
+                // Here we access the offers that were there in this account based on the given ledger index.
+                const offers = await acc.getURITokens({ ledger_index: data.ledger_index - 1 });
+                // Filter out the matching URI token offer for the scenario.
+                const offer = offers.find(o => o.index === data.transaction.URITokenID && o.Amount);
+                // When we find the respective offer. We populate the destination and offer info and then we break the loop.
+                if (offer) {
+                    // We populate some sell offer properties to the transaction to be sent with the event.
+                    data.transaction.Destination = address;
+                    // Replace the offer with the found offer object.
+                    data.transaction.URITokenSellOffer = offer;
+                    break;
+                }
+            }
+        }
+    }
+
+    #prepareStreamTransaction(data) {
+        const tx = {
+            LedgerHash: data.ledger_hash,
+            LedgerIndex: data.ledger_index,
+            ...data.transaction
+        };
+
+        if (data.meta?.delivered_amount)
+            tx.DeliveredAmount = data.meta.delivered_amount;
+
+        // Create an object copy. Otherwise xrpl client will mutate the transaction object,
+        const eventName = tx.TransactionType.toLowerCase();
+        // Emit the event only for successful transactions, Otherwise emit error.
+        if (data.engine_result === "tesSUCCESS") {
+            tx.Memos = TransactionHelper.deserializeMemos(tx.Memos);
+            tx.HookParameters = TransactionHelper.deserializeHookParams(tx.HookParameters);
+            return { eventName: eventName, tx: tx };
+        }
+        else {
+            return { eventName: eventName, tx: null, error: data.engine_result_message };
+        }
+    }
+
+    // Converts an account_tx entry to the transaction stream message format.
+    #toStreamTransaction(t) {
+        const transaction = { ...t.tx };
+        delete transaction.ledger_index;
+        delete transaction.inLedger;
+        return {
+            validated: true,
+            ledger_index: t.tx.ledger_index,
+            ledger_hash: t.tx.ledger_hash,
+            engine_result: t.meta?.TransactionResult,
+            engine_result_message: t.meta?.TransactionResult,
+            meta: t.meta,
+            transaction: transaction
+        };
+    }
+
+    /**
+     * Replays the transactions of the subscribed accounts which were validated while the client was disconnected.
+     * Transactions are delivered through the same handlers in ledger order and the live transactions are delivered afterwards.
+     * @param {number} toLedgerIndex Last validated ledger when the connection was re-established.
+     */
+    async #replayMissedTransactions(toLedgerIndex) {
+        try {
+            // Query each address once from the earliest ledger any of its subscriptions has missed.
+            const fromLedgerIndexes = {};
+            for (const subscription of this.#addressSubscriptions.filter(s => s.replayFromLedgerIndex)) {
+                const current = fromLedgerIndexes[subscription.address];
+                fromLedgerIndexes[subscription.address] = current ? Math.min(current, subscription.replayFromLedgerIndex) : subscription.replayFromLedgerIndex;
+            }
+
+            const missed = new Map();
+            for (const [address, fromLedgerIndex] of Object.entries(fromLedgerIndexes)) {
+                if (fromLedgerIndex > toLedgerIndex)
+                    continue;
+                try {
+                    const txList = await this.getAccountTrx(address, { ledger_index_min: fromLedgerIndex, ledger_index_max: toLedgerIndex, forward: true });
+                    for (const t of txList) {
+                        if (!t.validated || missed.has(t.tx.hash))
+                            continue;
+
+                        missed.set(t.tx.hash, this.#toStreamTransaction(t));
                     }
                 }
+                catch (e) {
+                    console.log(`Error occurred while fetching missed transactions of ${address}.`, e);
+                }
             }
-        });
+
+            const ordered = [...missed.values()].sort((a, b) => (a.ledger_index - b.ledger_index) || ((a.meta?.TransactionIndex ?? 0) - (b.meta?.TransactionIndex ?? 0)));
+            for (const data of ordered)
+                await this.#deliverTransaction(data);
+        }
+        catch (e) {
+            console.log("Error occurred while replaying missed transactions.", e);
+        }
+        finally {
+            for (const subscription of this.#addressSubscriptions)
+                delete subscription.replayFromLedgerIndex;
+
+            // Deliver the live transactions received meanwhile. New ones may get queued while delivering.
+            while (this.#replayQueue?.length)
+                await this.#deliverTransaction(this.#replayQueue.shift());
+            this.#replayQueue = null;
+        }
     }
 
     async #attemptFallbackServerReconnect(maxRounds, attemptsPerServer = 3) {
@@ -198,6 +320,7 @@ class XrplApi {
                         if (!this.#isPrimaryServerConnected) {
                             await this.#handleClientConnect(client);
                             this.#isFallbackServerConnected = true;
+                            this.#events.emit(XrplApiEvents.FALLBACK_ACTIVATED, { server: server });
                         }
                         break serverIterator;
                     }
@@ -244,6 +367,10 @@ class XrplApi {
 
     async #connectXrplClient(reconnect = false) {
         if (reconnect) {
+            // Remember where the subscriptions stopped, so the missed transactions can be replayed after reconnecting.
+            for (const subscription of this.#addressSubscriptions)
+                subscription.replayFromLedgerIndex = subscription.replayFromLedgerIndex || subscription.lastLedgerIndex;
+
             if (this.#primaryServer) {
                 Promise.all([this.#attemptFallbackServerReconnect(), this.#attemptPrimaryServerReconnect()]);
             } else {
@@ -268,8 +395,20 @@ class XrplApi {
             this.#subscribeToStream('ledger');
 
             // Re-subscribe to existing account address subscriptions (in case this is a reconnect)
-            if (this.#addressSubscriptions.length > 0)
+            if (this.#addressSubscriptions.length > 0) {
+                if (reconnect)
+                    this.#replayQueue = this.#replayQueue || [];
+
                 await this.#handleClientRequest({ command: 'subscribe', accounts: this.#addressSubscriptions.map(s => s.address) });
+
+                if (reconnect)
+                    await this.#replayMissedTransactions(this.ledgerIndex);
+
+                for (const address of new Set(this.#addressSubscriptions.map(s => s.address)))
+                    this.#events.emit(XrplApiEvents.SUBSCRIBED, { address: address });
+            }
+
+            this.#events.emit(XrplApiEvents.CONNECTED, { server: this.#client?.url, reconnect: reconnect });
         }
         else {
             await this.disconnect();
@@ -431,6 +570,25 @@ class XrplApi {
         return this.#requestWithPaging({ command: 'account_tx', account: address, ...options }, API_REQ_TYPE.TRANSACTIONS);
     }
 
+    /**
+     * Gets the validated incoming transactions of an address in the same format the address subscription handlers receive them.
+     * @param {string} address Account address.
+     * @param {number} minLedgerIndex Ledger index to start from.
+     * @param {number} maxLedgerIndex [Optional] Ledger index to end with. Defaults to the latest validated ledger.
+     * @returns List of { eventName, tx, error } objects in ledger order. 'tx' is null and 'error' is set for failed transactions.
+     */
+    async getIncomingTransactions(address, minLedgerIndex, maxLedgerIndex = -1) {
+        const txList = await this.getAccountTrx(address, { ledger_index_min: minLedgerIndex, ledger_index_max: maxLedgerIndex, forward: true });
+        const incoming = [];
+        for (const t of txList.filter(t => t.validated)) {
+            const data = this.#toStreamTransaction(t);
+            await this.#resolveURITokenBuyDestination(data, [address]);
+            if (data.transaction.Destination === address)
+                incoming.push(this.#prepareStreamTransaction(data));
+        }
+        return incoming;
+    }
+
     async getNfts(address, options) {
         return this.#requestWithPaging({ command: 'account_nfts', account: address, ledger_index: "validated", ...options }, API_REQ_TYPE.ACCOUNT_NFTS);
     }
@@ -465,8 +623,9 @@ class XrplApi {
     }
 
     async subscribeToAddress(address, handler) {
-        this.#addressSubscriptions.push({ address: address, handler: handler });
+        this.#addressSubscriptions.push({ address: address, handler: handler, lastLedgerIndex: this.ledgerIndex, processedHashes: new Map() });
         await this.#handleClientRequest({ command: 'subscribe', accounts: [address] });
+        this.#events.emit(XrplApiEvents.SUBSCRIBED, { address: address });
     }
 
     async unsubscribeFromAddress(address, handler) {
@@ -589,6 +748,33 @@ class XrplApi {
         return await this.#prepareResponse(tx, submissionResult);
     }
 
+    /**
+     * Submit a single-signature transaction which is ordered after other transactions of the account, and wait for its outcome.
+     * Used for the transactions submitted concurrently with locally allocated sequences or tickets. Unlike submitAndWait:
+     * A transaction with a future sequence (terPRE_SEQ) or a ticket which is not created yet (terPRE_TICKET) is resubmitted until its LastLedgerSequence, since the server may not hold it.
+     * A transaction which is neither applied nor queued (tef, tem and tel results other than tefALREADY) is thrown right away as { id, code, error, ...submission response } instead of waiting for the LastLedgerSequence.
+     * @param {object} tx Prepared transaction.
+     * @param {string} tx_blob Signed transaction blob.
+     * @returns response object of the validated transaction.
+     */
+    async submitOrderedAndWait(tx, tx_blob) {
+        let submissionResult = await this.#handleClientRequest({ command: 'submit', tx_blob: tx_blob });
+
+        let resubmitted = false;
+        while (['terPRE_SEQ', 'terPRE_TICKET'].includes(submissionResult?.result?.engine_result) && this.ledgerIndex < tx.LastLedgerSequence) {
+            await new Promise(r => setTimeout(r, LEDGER_CLOSE_TIME));
+            submissionResult = await this.#handleClientRequest({ command: 'submit', tx_blob: tx_blob });
+            resubmitted = true;
+        }
+
+        // A resubmitted transaction might have been applied from the held transactions, so its outcome is looked up.
+        const result = submissionResult?.result;
+        if (!resubmitted && /^(tef|tem|tel)/.test(result?.engine_result) && result.engine_result !== 'tefALREADY')
+            throw { id: result.tx_json?.hash, code: result.engine_result, error: result.engine_result_message, ...submissionResult };
+
+        return await this.#prepareResponse(tx, submissionResult);
+    }
+
     /**
      * Only submit a single-signature transaction.
      * @param {string} tx_blob Signed transaction object.
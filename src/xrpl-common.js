@@ -1,6 +1,10 @@
 const XrplApiEvents = {
     LEDGER: 'ledger',
     DISCONNECTED: 'disconnected',
+    CONNECTED: 'connected',
+    RECONNECTING: 'reconnecting',
+    FALLBACK_ACTIVATED: 'fallbackActivated',
+    SUBSCRIBED: 'subscribed',
     PAYMENT: 'payment',
     NFT_OFFER_CREATE: 'nftokencreateoffer',
     NFT_OFFER_ACCEPT: 'nftokenacceptoffer',
@@ -13,7 +17,8 @@ const XrplConstants = {
     XRP: 'XRP',
     XAH: 'XAH',
     MIN_XRP_AMOUNT: '1', // drops - deprecated
-    MIN_DROPS: '1'
+    MIN_DROPS: '1',
+    GENESIS_ADDRESS: 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh' // Issuer of the balance adjustment rewards.
 }
 
 const XrplTransactionTypes = {
@@ -21,10 +26,21 @@ const XrplTransactionTypes = {
     SIGNER_LIST_SET: 'SignerListSet',
     TRUST_SET: 'TrustSet',
     CHECK_CASH: 'CheckCash',
+    CHECK_CREATE: 'CheckCreate',
+    CHECK_CANCEL: 'CheckCancel',
+    ESCROW_CREATE: 'EscrowCreate',
+    ESCROW_FINISH: 'EscrowFinish',
+    ESCROW_CANCEL: 'EscrowCancel',
+    PAYMENT_CHANNEL_CREATE: 'PaymentChannelCreate',
+    PAYMENT_CHANNEL_FUND: 'PaymentChannelFund',
+    PAYMENT_CHANNEL_CLAIM: 'PaymentChannelClaim',
+    ACCOUNT_DELETE: 'AccountDelete',
+    DEPOSIT_PREAUTH: 'DepositPreauth',
     ACCOUNT_SET: 'AccountSet',
     SET_REGULAR_KEY: 'SetRegularKey',
     OFFER_CREATE: 'OfferCreate',
     OFFER_CANCEL: 'OfferCancel',
+    TICKET_CREATE: 'TicketCreate',
     URI_TOKEN_MINT: 'URITokenMint',
     URI_TOKEN_BURN: 'URITokenBurn',
     URI_TOKEN_CREATE_SELL_OFFER: 'URITokenCreateSellOffer',
@@ -33,7 +49,11 @@ const XrplTransactionTypes = {
     NF_TOKEN_MINT: 'NFTokenMint',
     NF_TOKEN_CREATE_OFFER: 'NFTokenCreateOffer',
     NF_TOKEN_ACCEPT_OFFER: 'NFTokenAcceptOffer',
-    NF_TOKEN_BURN: 'NFTokenBurn'
+    NF_TOKEN_BURN: 'NFTokenBurn',
+    CLAIM_REWARD: 'ClaimReward',
+    INVOKE: 'Invoke',
+    REMIT: 'Remit',
+    SET_HOOK: 'SetHook'
 }
 
 module.exports = {
@@ -11,6 +11,10 @@ class XrplHelpers {
         return binary.decode(transacion, this.definitions)
     }
 
+    encodeForMultisigning(transacion, signerAddress) {
+        return binary.encodeForMultisigning(transacion, signerAddress, this.definitions);
+    }
+
     sign(tx, secret, isMultiSign = false) {
         const account = derive.familySeed(secret);
         const signed = sign(tx, (isMultiSign ? [account.signAs(account.address)] : account), this.definitions);
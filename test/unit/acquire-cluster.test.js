@@ -0,0 +1,66 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { TenantClient, HostEvents, HostSelector } = require('../../src/index');
+const { ErrorReasons } = require('../../src/evernode-common');
+const { startEvernodeMock, startHost } = require('./helpers');
+
+describe('TenantClient acquire cluster', () => {
+    let mock, tenant;
+    const hosts = [];
+
+    before(async () => {
+        mock = await startEvernodeMock();
+        for (let i = 0; i < 3; i++)
+            hosts.push(await startHost(mock, { leases: 3 }));
+
+        const rejecting = await startHost(mock, { leases: 3, respond: false });
+        rejecting.on(HostEvents.AcquireLease, async (r) => {
+            await rejecting.acquireError(r.acquireRefId, r.tenant, r.leaseAmount, 'no capacity');
+        });
+        hosts.push(rejecting);
+
+        const account = mock.fundParticipant();
+        tenant = new TenantClient(account.address, account.seed);
+        await tenant.connect();
+        await tenant.prepareAccount();
+    });
+
+    after(async () => {
+        for (const client of [tenant, ...hosts])
+            await client.disconnect();
+        await mock.stop();
+    });
+
+    it('acquires an instance per host', async () => {
+        const selector = new HostSelector(tenant, { filters: { excludeAddresses: [hosts[3].xrplAcc.address] } });
+        const result = await tenant.acquireCluster(3, {}, selector, { messageKey: 'none' });
+
+        assert.strictEqual(result.complete, true);
+        assert.deepStrictEqual(result.failures, []);
+        assert.deepStrictEqual(result.release, []);
+        assert.deepStrictEqual(result.instances.map(i => i.host).sort(), hosts.slice(0, 3).map(h => h.xrplAcc.address).sort());
+        for (const instance of result.instances)
+            assert.strictEqual(instance.instance.name, instance.uriTokenId);
+    });
+
+    it('lists the acquired leases to release when the cluster is incomplete', async () => {
+        const sequence = await tenant.xrplAcc.getSequence();
+        const result = await tenant.acquireCluster(3, [{ a: 1 }, { a: 2 }, { a: 3 }], [hosts[0].xrplAcc.address, hosts[3].xrplAcc.address], { messageKey: 'none', maxPerHost: 2 });
+
+        assert.strictEqual(result.complete, false);
+        assert.strictEqual(result.instances.length, 2);
+        assert.ok(result.instances.every(i => i.host === hosts[0].xrplAcc.address));
+        assert.deepStrictEqual(result.failures.map(f => [f.host, f.stage, f.reason]), [[hosts[3].xrplAcc.address, 'response', 'no capacity']]);
+        assert.deepStrictEqual(result.release.map(r => r.uriTokenId).sort(), result.instances.map(i => i.uriTokenId).sort());
+
+        // The concurrent submissions used consecutive sequences.
+        assert.strictEqual(await tenant.xrplAcc.getSequence(), sequence + 3);
+    });
+
+    it('validates the request', async () => {
+        await assert.rejects(tenant.acquireCluster(0, {}, []), (e) => e.reason === ErrorReasons.INTERNAL_ERR);
+        await assert.rejects(tenant.acquireCluster(2, [{}], []), (e) => e.reason === ErrorReasons.INTERNAL_ERR);
+        await assert.rejects(tenant.acquireCluster(20, {}, hosts.map(h => h.xrplAcc.address), { messageKey: 'none' }),
+            (e) => e.reason === ErrorReasons.NO_HOST && /^Only \d+ of 20 instances are available/.test(e.content));
+    });
+});
@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { TenantClient, HostEvents, HostSelector, AcquireOutcomes, AcquireRefundStatuses } = require('../../src/index');
+const { ErrorReasons } = require('../../src/evernode-common');
+const { startEvernodeMock, startHost, sleep } = require('./helpers');
+
+describe('TenantClient acquire failover', () => {
+    let mock, tenant;
+    const hosts = {};
+
+    before(async () => {
+        mock = await startEvernodeMock();
+        hosts.noOffers = await startHost(mock, { leases: 0 });
+
+        hosts.rejecting = await startHost(mock, { respond: false });
+        hosts.rejecting.on(HostEvents.AcquireLease, async (r) => {
+            await hosts.rejecting.acquireError(r.acquireRefId, r.tenant, r.leaseAmount, 'no capacity');
+        });
+
+        // Responds after the attempt timeout.
+        hosts.slow = await startHost(mock, { respond: false });
+        hosts.slow.on(HostEvents.AcquireLease, async (r) => {
+            await sleep(3000);
+            await hosts.slow.acquireSuccess(r.acquireRefId, r.tenant, { content: { name: r.uriTokenId } });
+        });
+
+        hosts.ok = await startHost(mock);
+
+        const account = mock.fundParticipant();
+        tenant = new TenantClient(account.address, account.seed);
+        await tenant.connect();
+        await tenant.prepareAccount();
+    });
+
+    after(async () => {
+        for (const client of [tenant, ...Object.values(hosts)])
+            await client.disconnect();
+        await mock.stop();
+    });
+
+    it('tries the hosts in order and reports every attempt', async () => {
+        const candidates = [hosts.noOffers.xrplAcc.address, { address: hosts.rejecting.xrplAcc.address }, hosts.slow.xrplAcc.address, hosts.ok.xrplAcc.address];
+        const report = await tenant.acquireLeaseWithFailover(candidates, {}, { messageKey: 'none', attemptTimeout: 1500, refundTimeout: 5000 });
+
+        assert.strictEqual(report.acquired.host, hosts.ok.xrplAcc.address);
+        assert.ok(report.acquired.acquireRefId);
+        const [noOffers, rejected, timedOut, success] = report.attempts;
+
+        assert.strictEqual(noOffers.outcome, AcquireOutcomes.SKIPPED);
+        assert.strictEqual(noOffers.reason, ErrorReasons.NO_OFFER);
+        assert.strictEqual(noOffers.acquireRefId, null);
+        assert.strictEqual(noOffers.refund, AcquireRefundStatuses.NOT_REQUIRED);
+
+        assert.strictEqual(rejected.outcome, AcquireOutcomes.REJECTED);
+        assert.strictEqual(rejected.reason, 'no capacity');
+        assert.strictEqual(rejected.refund, AcquireRefundStatuses.REFUNDED);
+        assert.strictEqual(rejected.refundAmount, 2);
+
+        // The late success is picked up within the refund timeout.
+        assert.strictEqual(timedOut.outcome, AcquireOutcomes.TIMEOUT);
+        assert.strictEqual(timedOut.refund, AcquireRefundStatuses.ACQUIRED_LATE);
+        assert.strictEqual(timedOut.lateResponse.acquireRefId, timedOut.acquireRefId);
+        assert.ok(timedOut.lateResponse.instance.name);
+
+        assert.strictEqual(success.outcome, AcquireOutcomes.SUCCESS);
+        assert.strictEqual(success.acquireRefId, report.acquired.acquireRefId);
+    });
+
+    it('reports a failed failover without throwing', async () => {
+        const report = await tenant.acquireLeaseWithFailover([hosts.noOffers.xrplAcc.address], {}, { messageKey: 'none' });
+        assert.strictEqual(report.acquired, null);
+        assert.deepStrictEqual(report.attempts.map(a => a.outcome), [AcquireOutcomes.SKIPPED]);
+    });
+
+    it('limits the attempts', async () => {
+        const report = await tenant.acquireLeaseWithFailover([hosts.noOffers.xrplAcc.address, hosts.ok.xrplAcc.address], {}, { messageKey: 'none', maxAttempts: 1 });
+        assert.strictEqual(report.acquired, null);
+        assert.strictEqual(report.attempts.length, 1);
+    });
+
+    it('requires candidate hosts', async () => {
+        await assert.rejects(tenant.acquireLeaseWithFailover([], {}), (e) => e.reason === ErrorReasons.NO_HOST);
+    });
+
+    it('tries the hosts of a host selector', async () => {
+        const selector = new HostSelector(tenant, { filters: { excludeAddresses: [hosts.rejecting.xrplAcc.address, hosts.slow.xrplAcc.address] } });
+        const report = await tenant.acquireLeaseWithFailover(selector, {}, { messageKey: 'none', attemptTimeout: 5000 });
+        assert.strictEqual(report.acquired.host, hosts.ok.xrplAcc.address);
+        assert.deepStrictEqual(report.attempts.map(a => a.outcome), [AcquireOutcomes.SUCCESS]);
+    });
+});
@@ -0,0 +1,143 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { TenantClient, HostEvents, AutoExtender, AutoExtenderEvents, AutoExtendSkipReasons } = require('../../src/index');
+const { ErrorReasons } = require('../../src/evernode-common');
+const { startEvernodeMock, startHost } = require('./helpers');
+
+const LEASE_AMOUNT = 2;
+
+// Collects the events of an extender.
+function record(extender) {
+    const events = [];
+    for (const name of Object.values(AutoExtenderEvents))
+        extender.on(name, (e) => events.push({ name: name, ...e }));
+    return events;
+}
+
+describe('AutoExtender', () => {
+    let mock, host, tenant, leases;
+    let respondExtends = true;
+    const unanswered = new Set(); // Leases whose extensions the host does not respond to.
+
+    before(async () => {
+        // Leases are acquired within the first moment. One second ledgers keep the mock ledger time close to the clock.
+        mock = await startEvernodeMock({ server: { ledgerInterval: 1000 }, config: { momentSize: 120 } });
+        host = await startHost(mock, { leases: 3, leaseAmount: LEASE_AMOUNT, respond: false });
+        const expiry = {};
+        host.on(HostEvents.AcquireLease, async (r) => {
+            expiry[r.uriTokenId] = (await host.getMoment()) + 1;
+            await host.acquireSuccess(r.acquireRefId, r.tenant, { content: { name: r.uriTokenId } });
+        });
+        host.on(HostEvents.ExtendLease, async (r) => {
+            if (!respondExtends || unanswered.has(r.uriTokenId))
+                return;
+            expiry[r.uriTokenId] += Math.floor(r.payment / LEASE_AMOUNT);
+            await host.extendSuccess(r.extendRefId, r.tenant, expiry[r.uriTokenId]);
+        });
+
+        const account = mock.fundParticipant();
+        tenant = new TenantClient(account.address, account.seed);
+        await tenant.connect();
+        await tenant.prepareAccount();
+        for (let i = 0; i < 3; i++)
+            await tenant.acquireLease(host.xrplAcc.address, { a: i }, { messageKey: 'none' });
+        leases = (await tenant.getLeases()).map(l => l.uriTokenId);
+    });
+
+    after(async () => {
+        await tenant.disconnect();
+        await host.disconnect();
+        await mock.stop();
+    });
+
+    it('validates the policies', () => {
+        const extender = new AutoExtender(tenant);
+        assert.strictEqual(extender.getPolicy(leases[0]), null);
+
+        extender.setPolicy(leases[0]);
+        assert.deepStrictEqual(extender.getPolicy(leases[0]), { keepAheadMoments: 1, maxDailySpend: null, stopAt: null });
+        extender.removePolicy(leases[0]);
+        assert.strictEqual(extender.getPolicy(leases[0]), null);
+
+        assert.throws(() => extender.setPolicy(leases[0], { keepAheadMoments: 0 }), (e) => e === 'Invalid keepAheadMoments in the auto extend policy.');
+        assert.throws(() => extender.setPolicy(leases[0], { maxDailySpend: 0 }), (e) => e === 'Invalid maxDailySpend in the auto extend policy.');
+        assert.throws(() => extender.setPolicy(leases[0], { stopAt: 'later' }), (e) => e === 'Invalid stopAt in the auto extend policy.');
+        assert.throws(() => new AutoExtender(tenant, { defaultPolicy: { keepAheadMoments: 1.5 } }), (e) => e === 'Invalid keepAheadMoments in the auto extend policy.');
+    });
+
+    it('keeps the lease expiry ahead of the current moment', async () => {
+        const extender = new AutoExtender(tenant);
+        const events = record(extender);
+        extender.setPolicy(leases[0], { keepAheadMoments: 3 });
+
+        const before = (await tenant.getLeases()).find(l => l.uriTokenId === leases[0]);
+        await extender.check();
+        assert.strictEqual(events.length, 1);
+        const extended = events[0];
+        assert.strictEqual(extended.name, AutoExtenderEvents.Extended);
+        assert.strictEqual(extended.uriTokenId, leases[0]);
+        assert.strictEqual(extended.amount, extended.moments * LEASE_AMOUNT);
+        assert.strictEqual(extended.expiryMoment, before.expiryMoment + extended.moments);
+        assert.ok(extended.expiryMoment >= (await tenant.getMoment()) + 3);
+
+        // Already ahead.
+        await extender.check();
+        assert.strictEqual(events.length, 1);
+    });
+
+    it('skips the leases beyond their stop time once', async () => {
+        const extender = new AutoExtender(tenant);
+        const events = record(extender);
+        extender.setPolicy(leases[1], { keepAheadMoments: 5, stopAt: new Date(Date.now() - 3600000) });
+
+        await extender.check();
+        await extender.check();
+        assert.strictEqual(events.length, 1);
+        assert.strictEqual(events[0].name, AutoExtenderEvents.Skipped);
+        assert.strictEqual(events[0].reason, AutoExtendSkipReasons.STOP_TIME_REACHED);
+    });
+
+    it('does not hold the other extensions for a host which does not respond', async () => {
+        unanswered.add(leases[1]);
+        try {
+            const extender = new AutoExtender(tenant, { extendOptions: { timeout: 3000 } });
+            const events = record(extender);
+            extender.setPolicy(leases[0], { keepAheadMoments: 6 });
+            extender.setPolicy(leases[1], { keepAheadMoments: 2 });
+
+            // The unanswered lease expires first, so it's submitted first.
+            await extender.check();
+            assert.deepStrictEqual(events.map(e => [e.name, e.uriTokenId]), [[AutoExtenderEvents.Extended, leases[0]], [AutoExtenderEvents.Failed, leases[1]]]);
+            assert.strictEqual(events[1].error.reason, ErrorReasons.TIMEOUT);
+        }
+        finally {
+            unanswered.delete(leases[1]);
+        }
+    });
+
+    it('counts a submitted extension in the daily spend when the response fails', async () => {
+        respondExtends = false;
+        try {
+            const extender = new AutoExtender(tenant, { extendOptions: { timeout: 2000 } });
+            const events = record(extender);
+            extender.setPolicy(leases[2], { keepAheadMoments: 5, maxDailySpend: 2 * LEASE_AMOUNT });
+
+            const balance = parseFloat(await tenant.getEVRBalance());
+            await extender.check();
+            assert.strictEqual(events.length, 1);
+            assert.strictEqual(events[0].name, AutoExtenderEvents.Failed);
+            assert.strictEqual(events[0].amount, 2 * LEASE_AMOUNT);
+            assert.strictEqual(events[0].error.reason, ErrorReasons.TIMEOUT);
+            assert.strictEqual(parseFloat(await tenant.getEVRBalance()), balance - (2 * LEASE_AMOUNT));
+
+            // The daily limit is reached with the unanswered request.
+            await extender.check();
+            assert.strictEqual(events.length, 2);
+            assert.strictEqual(events[1].name, AutoExtenderEvents.Skipped);
+            assert.strictEqual(events[1].reason, AutoExtendSkipReasons.DAILY_LIMIT_REACHED);
+        }
+        finally {
+            respondExtends = true;
+        }
+    });
+});
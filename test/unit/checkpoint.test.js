@@ -0,0 +1,107 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HostClient, TenantClient, HostEvents, ClientEvents, MemoryCheckpointStore, FileCheckpointStore } = require('../../src/index');
+const { ErrorReasons } = require('../../src/evernode-common');
+const { startEvernodeMock, startHost, sleep } = require('./helpers');
+
+describe('FileCheckpointStore', () => {
+    it('persists the checkpoints', async () => {
+        const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'evernode-checkpoints-'));
+        try {
+            const filePath = path.join(dir, 'sub', 'checkpoints.json');
+            const store = new FileCheckpointStore(filePath);
+            assert.strictEqual(await store.get('a'), null);
+
+            await store.set('a', { ledgerIndex: 5, txHash: 'AA' });
+            await store.set('b', { ledgerIndex: 6, txHash: null });
+            assert.deepStrictEqual(await new FileCheckpointStore(filePath).get('a'), { ledgerIndex: 5, txHash: 'AA' });
+            assert.deepStrictEqual(await new FileCheckpointStore(filePath).get('b'), { ledgerIndex: 6, txHash: null });
+        }
+        finally {
+            await fs.promises.rm(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('Event checkpoints', () => {
+    let mock, host, tenant;
+    const clients = [];
+
+    // Connects a new client of the host account, like a restarted process.
+    const restartHost = async (store, handler, options = {}) => {
+        const client = new HostClient(host.xrplAcc.address, host.xrplAcc.secret, { checkpointStore: store, ...options });
+        clients.push(client);
+        if (handler)
+            client.on(HostEvents.AcquireLease, (r) => handler(client, r));
+        await client.connect();
+        await sleep(500);
+        return client;
+    };
+
+    before(async () => {
+        mock = await startEvernodeMock();
+        host = await startHost(mock, { leases: 4, respond: false });
+        const account = mock.fundParticipant();
+        tenant = new TenantClient(account.address, account.seed);
+        await tenant.connect();
+        await tenant.prepareAccount();
+    });
+
+    after(async () => {
+        for (const client of [...clients, tenant, host])
+            await client.disconnect();
+        await mock.stop();
+    });
+
+    it('emits the unacknowledged events again after a restart', async () => {
+        const store = new MemoryCheckpointStore();
+        await restartHost(store);
+        const start = await store.get(host.xrplAcc.address);
+        assert.ok(start.ledgerIndex);
+
+        const tx1 = await tenant.acquireLeaseSubmit(host.xrplAcc.address, { a: 1 }, { messageKey: 'none' });
+        const tx2 = await tenant.acquireLeaseSubmit(host.xrplAcc.address, { a: 2 }, { messageKey: 'none' });
+        await sleep(500);
+        assert.deepStrictEqual(await store.get(host.xrplAcc.address), start);
+
+        // Only the second event is acknowledged. So the checkpoint cannot move.
+        let seen = [];
+        await restartHost(store, async (client, r) => {
+            seen.push(r.acquireRefId);
+            if (r.acquireRefId === tx2.id)
+                await client.ack(r);
+        });
+        assert.deepStrictEqual(seen, [tx1.id, tx2.id]);
+        assert.deepStrictEqual(await store.get(host.xrplAcc.address), start);
+
+        seen = [];
+        await restartHost(store, async (client, r) => {
+            seen.push(r.acquireRefId);
+            await client.ack(r);
+        });
+        assert.deepStrictEqual(seen, [tx1.id, tx2.id]);
+        assert.strictEqual((await store.get(host.xrplAcc.address)).txHash, tx2.id);
+
+        seen = [];
+        await restartHost(store, (client, r) => seen.push(r.acquireRefId));
+        assert.deepStrictEqual(seen, []);
+    });
+
+    it('gives up the oldest unacknowledged event beyond the limit', async () => {
+        const store = new MemoryCheckpointStore();
+        const client = await restartHost(store, null, { maxPendingAcks: 1 });
+        const errors = [];
+        client.on(ClientEvents.Error, e => errors.push(e));
+
+        const tx1 = await tenant.acquireLeaseSubmit(host.xrplAcc.address, { a: 3 }, { messageKey: 'none' });
+        await tenant.acquireLeaseSubmit(host.xrplAcc.address, { a: 4 }, { messageKey: 'none' });
+        await sleep(500);
+
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].reason, ErrorReasons.BUFFER_OVERFLOW);
+        assert.strictEqual((await store.get(host.xrplAcc.address)).txHash, tx1.id);
+    });
+});
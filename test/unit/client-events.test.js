@@ -0,0 +1,66 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { HostClient, XrplAccount, ClientEvents } = require('../../src/index');
+const { ErrorReasons } = require('../../src/evernode-common');
+const { startEvernodeMock, sleep } = require('./helpers');
+
+describe('Client events', () => {
+    let mock, host;
+    const all = [], errors = [];
+
+    before(async () => {
+        mock = await startEvernodeMock();
+        const account = mock.fundParticipant();
+        host = new HostClient(account.address, account.seed);
+        host.on(ClientEvents.All, (event) => all.push(event));
+        host.on(ClientEvents.Error, (e) => errors.push(e));
+        await host.connect();
+    });
+
+    after(async () => {
+        await host.disconnect();
+        await mock.stop();
+    });
+
+    it('emits the subscription to the wildcard handlers', () => {
+        assert.ok(all.includes(ClientEvents.Subscribed));
+    });
+
+    it('emits the failed incoming transactions as errors', async () => {
+        // The tenant has no EVRs to send.
+        const tenant = mock.fund();
+        mock.server.setTrustLine(tenant.address, 'EVR', mock.addresses.evrIssuerAddress, '0', '99999999');
+        await assert.rejects(new XrplAccount(tenant.address, tenant.seed).makePayment(host.xrplAcc.address, '5', 'EVR', mock.addresses.evrIssuerAddress));
+        await sleep(500);
+        assert.ok(errors.find(e => e.reason === ErrorReasons.TRANSACTION_FAILURE));
+    });
+
+    it('emits the handler failures as errors', () => {
+        const failing = () => { throw 'boom'; };
+        host.on(ClientEvents.Connected, failing);
+        host.events.emit(ClientEvents.Connected, {});
+        host.off(ClientEvents.Connected, failing);
+        assert.ok(errors.find(e => e.reason === ErrorReasons.HANDLER_FAILURE && e.event === ClientEvents.Connected));
+    });
+
+    it('forwards the reconnection events', async () => {
+        all.length = 0;
+        mock.server.disconnectClients();
+        await sleep(3000);
+        assert.deepStrictEqual(all.filter(e => e !== ClientEvents.Error), [ClientEvents.Reconnecting, ClientEvents.Subscribed, ClientEvents.Connected]);
+    });
+
+    it('stops forwarding the xrpl api events after disconnect', async () => {
+        const account = mock.fundParticipant();
+        const other = new HostClient(account.address, account.seed);
+        const received = [];
+        other.on(ClientEvents.All, (event) => received.push(event));
+        await other.connect();
+        await other.disconnect();
+
+        received.length = 0;
+        mock.server.disconnectClients();
+        await sleep(3000);
+        assert.deepStrictEqual(received, []);
+    });
+});
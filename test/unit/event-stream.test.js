@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { HostClient, HostEvents, ClientEvents, EventOverflowPolicies } = require('../../src/index');
+const { EventStream } = require('../../src/event-stream');
+const { EventEmitter } = require('../../src/event-emitter');
+const { ErrorCodes } = require('../../src/evernode-common');
+const { startMock } = require('./helpers');
+
+function createStream(emitter, names, options) {
+    return new EventStream((push) => {
+        const handlers = names.map(name => [name, (data) => push({ name: name, data: data })]);
+        handlers.forEach(([name, handler]) => emitter.on(name, handler));
+        return () => handlers.forEach(([name, handler]) => emitter.off(name, handler));
+    }, options);
+}
+
+describe('EventStream', () => {
+    it('ends the iteration when aborted', async () => {
+        const emitter = new EventEmitter();
+        const controller = new AbortController();
+        const stream = createStream(emitter, ['a', 'b'], { signal: controller.signal });
+        setTimeout(() => {
+            emitter.emit('a', 1);
+            emitter.emit('b', 2);
+            emitter.emit('c', 3);
+        }, 10);
+        setTimeout(() => controller.abort(), 50);
+
+        const received = [];
+        for await (const ev of stream)
+            received.push(ev);
+        assert.deepStrictEqual(received, [{ name: 'a', data: 1 }, { name: 'b', data: 2 }]);
+        assert.strictEqual(emitter.listenerCount('a'), 0);
+    });
+
+    it('drops the oldest events when the buffer is full', async () => {
+        const emitter = new EventEmitter();
+        const stream = createStream(emitter, ['a'], { bufferSize: 2 });
+        [1, 2, 3].forEach(i => emitter.emit('a', i));
+
+        const received = [];
+        for await (const ev of stream) {
+            received.push(ev.data);
+            if (ev.data === 3)
+                break;
+        }
+        assert.deepStrictEqual(received, [2, 3]);
+        assert.strictEqual(emitter.listenerCount('a'), 0);
+    });
+
+    it('throws on overflow with the error policy', async () => {
+        const emitter = new EventEmitter();
+        const stream = createStream(emitter, ['a'], { bufferSize: 2, overflow: EventOverflowPolicies.ERROR });
+        [1, 2, 3].forEach(i => emitter.emit('a', i));
+
+        // The buffered events are read before the error.
+        const received = [];
+        await assert.rejects(async () => {
+            for await (const ev of stream)
+                received.push(ev.data);
+        }, e => e.error === ErrorCodes.EVENT_OVERFLOW_ERR);
+        assert.deepStrictEqual(received, [1, 2]);
+        assert.strictEqual(emitter.listenerCount('a'), 0);
+    });
+});
+
+describe('Client event stream', () => {
+    let mock, client;
+
+    before(async () => {
+        mock = await startMock();
+        const account = mock.fund();
+        client = new HostClient(account.address, account.seed);
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    it('keeps the event emitter of the client', () => {
+        const received = [];
+        client.events.on(HostEvents.AcquireLease, data => received.push(data));
+        client.events.emit(HostEvents.AcquireLease, { id: 1 });
+        assert.deepStrictEqual(received, [{ id: 1 }]);
+        client.events.off(HostEvents.AcquireLease);
+    });
+
+    it('streams the client events', async () => {
+        const controller = new AbortController();
+        const stream = client.eventStream([HostEvents.AcquireLease, ClientEvents.All], { signal: controller.signal });
+        setTimeout(() => {
+            client.events.emit(HostEvents.AcquireLease, { id: 2 });
+            controller.abort();
+        }, 10);
+
+        const received = [];
+        for await (const ev of stream)
+            received.push(ev);
+        assert.deepStrictEqual(received, [{ name: HostEvents.AcquireLease, data: { id: 2 } }, { name: HostEvents.AcquireLease, data: { id: 2 } }]);
+    });
+});
@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { HostClient, HeartbeatScheduler, HeartbeatSchedulerEvents } = require('../../src/index');
+const { startEvernodeMock, sleep } = require('./helpers');
+
+// Resolves with the first event emitted within the timeout.
+function nextEvent(scheduler, event, timeout = 10000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            scheduler.off(event, handler);
+            reject(`No ${event} event within ${timeout}ms.`);
+        }, timeout);
+        const handler = (e) => {
+            clearTimeout(timer);
+            scheduler.off(event, handler);
+            resolve(e);
+        };
+        scheduler.on(event, handler);
+    });
+}
+
+describe('HeartbeatScheduler', () => {
+    let mock, host, scheduler;
+
+    before(async () => {
+        // 4 second moments, so the scheduler goes through several windows.
+        mock = await startEvernodeMock({ server: { ledgerInterval: 500 }, config: { momentSize: 4 } });
+        const account = mock.fundParticipant();
+        host = new HostClient(account.address, account.seed);
+        await host.connect();
+        await host.register('LK', 1000, 2000, 3000, 4, 'Intel', 2, 2000, 'desc', 'a@b.com');
+        scheduler = new HeartbeatScheduler(host, { jitter: 0.25, retryInterval: 1 });
+    });
+
+    after(async () => {
+        scheduler.stop();
+        await host.disconnect();
+        await mock.stop();
+    });
+
+    it('drops a rejected vote and still sends the heartbeat', async () => {
+        scheduler.addVote('AB'.repeat(32), 1);
+        assert.strictEqual(scheduler.getPendingVotes().length, 1);
+
+        const rejected = nextEvent(scheduler, HeartbeatSchedulerEvents.VoteRejected);
+        const sent = nextEvent(scheduler, HeartbeatSchedulerEvents.Sent);
+        await scheduler.start();
+
+        assert.strictEqual((await rejected).vote.candidate, 'AB'.repeat(32));
+        const e = await sent;
+        assert.strictEqual(e.vote, null);
+        assert.ok(e.tx);
+        assert.deepStrictEqual(scheduler.getPendingVotes(), []);
+    });
+
+    it('sends one heartbeat per moment', async () => {
+        const first = await nextEvent(scheduler, HeartbeatSchedulerEvents.Sent);
+        const second = await nextEvent(scheduler, HeartbeatSchedulerEvents.Sent);
+        assert.strictEqual(second.moment, first.moment + 1);
+        assert.strictEqual((await host.getHostInfo()).active, true);
+    });
+
+    it('retries failed heartbeats and warns before the host becomes inactive', async () => {
+        const heartbeat = host.heartbeat;
+        host.heartbeat = async () => { throw 'simulated failure'; };
+        try {
+            const failed = nextEvent(scheduler, HeartbeatSchedulerEvents.Failed);
+            const missed = nextEvent(scheduler, HeartbeatSchedulerEvents.MissedHeartbeat);
+            assert.strictEqual((await failed).error, 'simulated failure');
+            const warning = await missed;
+            assert.ok(warning.inactiveIndex > warning.lastHeartbeatIndex);
+        }
+        finally {
+            host.heartbeat = heartbeat;
+        }
+
+        // Recovers once the heartbeats succeed again.
+        const sent = await nextEvent(scheduler, HeartbeatSchedulerEvents.Sent);
+        assert.ok(sent.tx);
+    });
+
+    it('stops sending heartbeats when stopped', async () => {
+        scheduler.stop();
+        let sent = 0;
+        const handler = () => sent++;
+        scheduler.on(HeartbeatSchedulerEvents.Sent, handler);
+        await sleep(5000);
+        scheduler.off(HeartbeatSchedulerEvents.Sent, handler);
+        assert.strictEqual(sent, 0);
+    });
+});
@@ -0,0 +1,112 @@
+const kp = require('ripple-keypairs');
+const { XrplApi, Defaults, HostClient, HostEvents } = require('../../src/index');
+const { MockXrplServer, MockEvernodeHooks } = require('../../src/mock');
+
+// Shared setup of the unit tests. Not a test file itself (The test script only runs *.test.js).
+
+const DEFAULT_DROPS = 1000000000;
+
+function generateAccount() {
+    const seed = kp.generateSeed();
+    return { seed: seed, address: kp.deriveAddress(kp.deriveKeypair(seed).publicKey) };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Starts a mock server and connects an XrplApi to it. The XrplApi is set as the default.
+ * @param {object} options [Optional] Mock server options.
+ * @returns { server, api, url, fund(drops): Generates and funds an account, stop() }.
+ */
+async function startMock(options = {}) {
+    const server = new MockXrplServer({ ledgerInterval: 200, ...options });
+    const url = await server.start();
+    const api = new XrplApi(url);
+    Defaults.set({ xrplApi: api, ...(options.networkID ? { networkID: options.networkID } : {}) });
+    await api.connect();
+
+    return {
+        server: server,
+        api: api,
+        url: url,
+        fund: (drops = DEFAULT_DROPS) => {
+            const account = generateAccount();
+            server.fundAccount(account.address, drops);
+            return account;
+        },
+        stop: async () => {
+            await api.disconnect();
+            await server.stop();
+        }
+    };
+}
+
+/**
+ * Starts a mock server with the Evernode hooks installed. The governor is set as the default.
+ * @param {object} options [Optional] { server: Mock server options, config: Mock hook configuration }.
+ * @returns The mock of startMock with { hooks, addresses, foundation: Foundation account, fundParticipant(): Generates and funds an account with an EVR trust line }.
+ */
+async function startEvernodeMock(options = {}) {
+    const mock = await startMock(options.server);
+    const [governor, registry, heartbeat, issuer, foundation] = [...Array(5)].map(() => generateAccount());
+    const addresses = {
+        governorAddress: governor.address,
+        registryAddress: registry.address,
+        heartbeatAddress: heartbeat.address,
+        evrIssuerAddress: issuer.address,
+        foundationAddress: foundation.address
+    };
+    const hooks = new MockEvernodeHooks(mock.server, addresses, options.config);
+    hooks.install();
+    Defaults.set({ governorAddress: governor.address });
+
+    return {
+        ...mock,
+        hooks: hooks,
+        addresses: addresses,
+        foundation: foundation,
+        fundParticipant: (drops = DEFAULT_DROPS, evrs = '100000') => {
+            const account = mock.fund(drops);
+            mock.server.setTrustLine(account.address, 'EVR', issuer.address, evrs, '99999999');
+            return account;
+        }
+    };
+}
+
+/**
+ * Registers a host with lease offers. The host responds to the acquire and extend requests unless 'respond' is false.
+ * @param {object} mock Mock of startEvernodeMock.
+ * @param {object} options [Optional] { leases: Number of lease offers (default 2), leaseAmount: EVRs per moment (default 2), respond, countryCode }.
+ * @returns The connected host client.
+ */
+async function startHost(mock, options = {}) {
+    const account = mock.fundParticipant();
+    const host = new HostClient(account.address, account.seed);
+    await host.connect();
+    await host.register(options.countryCode || 'LK', 1000, 2000, 3000, 4, 'Intel', 2, 2000, 'desc', 'a@b.com');
+    await host.heartbeat();
+    for (let i = 0; i < (options.leases ?? 2); i++)
+        await host.offerLease(i, options.leaseAmount ?? 2, 'AB'.repeat(32));
+
+    if (options.respond !== false) {
+        // Concurrent requests are responded concurrently, so the responses use managed sequences.
+        const responseOptions = { transactionOptions: { managedSequence: true } };
+        host.on(HostEvents.AcquireLease, async (r) => {
+            await host.acquireSuccess(r.acquireRefId, r.tenant, { content: { name: r.uriTokenId } }, responseOptions);
+        });
+        host.on(HostEvents.ExtendLease, async (r) => {
+            await host.extendSuccess(r.extendRefId, r.tenant, 123, responseOptions);
+        });
+    }
+    return host;
+}
+
+module.exports = {
+    generateAccount,
+    sleep,
+    startMock,
+    startEvernodeMock,
+    startHost
+}
@@ -0,0 +1,56 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { HostClient, UtilHelpers } = require('../../src/index');
+const { startEvernodeMock } = require('./helpers');
+
+const TOS_HASH = 'AB'.repeat(32);
+
+describe('Host lease offers', () => {
+    let mock, host;
+
+    const getLease = async (leaseIndex) => (await host.xrplAcc.getURITokens())
+        .map(t => UtilHelpers.decodeLeaseTokenUri(t.URI))
+        .find(l => l?.leaseIndex === leaseIndex);
+
+    before(async () => {
+        mock = await startEvernodeMock();
+        const account = mock.fundParticipant();
+        host = new HostClient(account.address, account.seed);
+        await host.connect();
+        await host.register('LK', 1000, 2000, 3000, 4, 'Intel', 2, 2000, 'desc', 'a@b.com');
+    });
+
+    after(async () => {
+        await host.disconnect();
+        await mock.stop();
+    });
+
+    it('issues LTV1 lease tokens with a single outbound IP', async () => {
+        await host.offerLease(0, 2, TOS_HASH, '203.0.113.7');
+        await host.mintLease(1, 2, TOS_HASH, 'FE80:0:0:0:0:0:0:1');
+
+        const ipv4 = await getLease(0);
+        assert.strictEqual(ipv4.version, 'LTV1');
+        assert.deepStrictEqual(ipv4.outboundIP, { family: 4, address: '203.0.113.7' });
+
+        const ipv6 = await getLease(1);
+        assert.strictEqual(ipv6.version, 'LTV1');
+        assert.deepStrictEqual(ipv6.outboundIP, { family: 6, address: 'fe80::1' });
+    });
+
+    it('issues LTV2 lease tokens for dual-stack IPs only with the dualStack option', async () => {
+        await assert.rejects(host.offerLease(2, 2, TOS_HASH, ['2001:DB8::5', '203.0.113.8']), /dualStack/);
+        assert.strictEqual(await getLease(2), undefined);
+
+        await host.offerLease(2, 2, TOS_HASH, ['2001:DB8::5', '203.0.113.8'], { dualStack: true });
+        const lease = await getLease(2);
+        assert.strictEqual(lease.version, 'LTV2');
+        assert.deepStrictEqual(lease.outboundIP, { family: 6, address: '2001:db8::5' });
+        assert.deepStrictEqual(lease.secondaryOutboundIP, { family: 4, address: '203.0.113.8' });
+    });
+
+    it('rejects invalid outbound IPs', async () => {
+        await assert.rejects(host.offerLease(3, 2, TOS_HASH, 'bogus'), /Invalid outbound IP/);
+        await assert.rejects(host.offerLease(3, 2, TOS_HASH, ['1.2.3.4', '5.6.7.8'], { dualStack: true }), /one IPv4 and one IPv6/);
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { HostClient, TenantClient, HostSelector } = require('../../src/index');
+const { startEvernodeMock, startHost } = require('./helpers');
+
+describe('HostSelector', () => {
+    let mock, tenant;
+    const hosts = {};
+
+    // Addresses of the selected hosts by their names.
+    const select = async (options) => {
+        const names = Object.fromEntries(Object.entries(hosts).map(([name, h]) => [h.xrplAcc.address, name]));
+        return (await new HostSelector(tenant, options).getHosts()).map(h => names[h.address]);
+    };
+
+    before(async () => {
+        mock = await startEvernodeMock();
+        hosts.cheap = await startHost(mock, { leaseAmount: 1, countryCode: 'LK' });
+        hosts.pricey = await startHost(mock, { leaseAmount: 5, countryCode: 'US' });
+
+        // Registered without a heartbeat, so it's inactive.
+        const account = mock.fundParticipant();
+        hosts.inactive = new HostClient(account.address, account.seed);
+        await hosts.inactive.connect();
+        await hosts.inactive.register('LK', 1000, 2000, 3000, 4, 'Intel', 2, 2000, 'desc', 'a@b.com');
+        await hosts.inactive.offerLease(0, 2, 'AB'.repeat(32));
+
+        const tenantAccount = mock.fundParticipant();
+        tenant = new TenantClient(tenantAccount.address, tenantAccount.seed);
+        await tenant.connect();
+    });
+
+    after(async () => {
+        for (const client of [tenant, ...Object.values(hosts)])
+            await client.disconnect();
+        await mock.stop();
+    });
+
+    it('ranks the active hosts with offers', async () => {
+        const selected = await new HostSelector(tenant).getHosts();
+        assert.deepStrictEqual(selected.map(h => h.address), [hosts.cheap.xrplAcc.address, hosts.pricey.xrplAcc.address]);
+        assert.strictEqual(selected[0].leaseAmount, 1);
+        assert.strictEqual(selected[0].offerCount, 2);
+        assert.ok(selected[0].score > selected[1].score);
+        assert.strictEqual((await new HostSelector(tenant).select()).address, hosts.cheap.xrplAcc.address);
+    });
+
+    it('applies the filters', async () => {
+        assert.deepStrictEqual(await select({ filters: { activeOnly: false } }), ['cheap', 'inactive', 'pricey']);
+        assert.deepStrictEqual(await select({ filters: { countryCode: ['us'] } }), ['pricey']);
+        assert.deepStrictEqual(await select({ filters: { maxLeaseAmount: 3 } }), ['cheap']);
+        assert.deepStrictEqual(await select({ filters: { excludeAddresses: [hosts.cheap.xrplAcc.address] } }), ['pricey']);
+        assert.deepStrictEqual(await select({ filters: { minVersion: '99.0.0' } }), []);
+        assert.deepStrictEqual(await select({ score: (h) => h.leaseAmount }), ['pricey', 'cheap']);
+    });
+
+    it('treats the hosts whose offers cannot be read as hosts without offers', async () => {
+        const getAccountObjects = tenant.xrplApi.getAccountObjects;
+        tenant.xrplApi.getAccountObjects = async (address, options) => {
+            if (address === hosts.cheap.xrplAcc.address)
+                throw 'simulated failure';
+            return await getAccountObjects.call(tenant.xrplApi, address, options);
+        };
+        try {
+            assert.deepStrictEqual(await select(), ['pricey']);
+        }
+        finally {
+            tenant.xrplApi.getAccountObjects = getAccountObjects;
+        }
+    });
+
+    it('limits the concurrent offer requests', async () => {
+        const getAccountObjects = tenant.xrplApi.getAccountObjects;
+        let active = 0, maxActive = 0;
+        tenant.xrplApi.getAccountObjects = async (address, options) => {
+            maxActive = Math.max(maxActive, ++active);
+            try {
+                return await getAccountObjects.call(tenant.xrplApi, address, options);
+            }
+            finally {
+                active--;
+            }
+        };
+        try {
+            assert.deepStrictEqual(await select({ filters: { activeOnly: false }, offerConcurrency: 1 }), ['cheap', 'inactive', 'pricey']);
+            assert.strictEqual(maxActive, 1);
+        }
+        finally {
+            tenant.xrplApi.getAccountObjects = getAccountObjects;
+        }
+
+        assert.throws(() => new HostSelector(tenant, { offerConcurrency: 0 }), (e) => e === 'Invalid offer concurrency: 0.');
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { HostClient, LeaseInventory, LeaseBurnReasons, LeaseTokenCodec } = require('../../src/index');
+const { startEvernodeMock } = require('./helpers');
+
+const TOS_HASH = 'AB'.repeat(32);
+const NEW_TOS_HASH = 'CD'.repeat(32);
+
+// Lease indexes of the diff entries.
+const summarize = (diff) => Object.fromEntries(Object.entries(diff).map(([name, items]) =>
+    [name, items.map(i => `${i.slot?.leaseIndex ?? i.leaseIndex}${i.reason ? `:${i.reason}` : ''}${i.remint ? ':remint' : ''}`).sort()]));
+
+describe('LeaseInventory', () => {
+    let mock, host, inventory;
+
+    const slots = [
+        { leaseIndex: 0, leaseAmount: 2, tosHash: TOS_HASH, outboundIP: '10.0.0.1' },
+        { leaseIndex: 1, leaseAmount: 3, tosHash: TOS_HASH },
+        { leaseIndex: 2, leaseAmount: 2, tosHash: TOS_HASH },
+        { leaseIndex: 3, leaseAmount: 2, tosHash: NEW_TOS_HASH },
+        { leaseIndex: 4, leaseAmount: 5, tosHash: TOS_HASH, outboundIP: ['::1', '1.1.1.1'] }
+    ];
+
+    before(async () => {
+        mock = await startEvernodeMock();
+        const account = mock.fundParticipant();
+        host = new HostClient(account.address, account.seed);
+        await host.connect();
+        await host.register('LK', 1000, 2000, 3000, 4, 'Intel', 2, 2000, 'desc', 'a@b.com');
+
+        await host.offerLease(0, 2, TOS_HASH, '10.0.0.1'); // Unchanged.
+        await host.offerLease(1, 2, TOS_HASH); // Different price in the URI.
+        await host.mintLease(2, 2, TOS_HASH); // Not offered.
+        await host.offerLease(3, 2, TOS_HASH); // Different ToS.
+        await host.offerLease(9, 2, TOS_HASH); // Not desired.
+        await host.mintLease(0, 2, TOS_HASH, '10.0.0.1'); // Duplicate of 0.
+        inventory = new LeaseInventory(host);
+    });
+
+    after(async () => {
+        await host.disconnect();
+        await mock.stop();
+    });
+
+    it('reports the diff without changes in a dry run', async () => {
+        const tokenCount = (await host.getLeases()).length;
+        const res = await inventory.reconcile(slots, { dryRun: true });
+        assert.strictEqual(res.dryRun, true);
+        assert.deepStrictEqual(summarize(res.diff), {
+            mint: ['3', '4'],
+            offer: ['2'],
+            reprice: ['1:remint'],
+            burn: [`0:${LeaseBurnReasons.DUPLICATE}`, `3:${LeaseBurnReasons.MISMATCH}`, `9:${LeaseBurnReasons.NOT_DESIRED}`],
+            unchanged: ['0']
+        });
+        assert.strictEqual((await host.getLeases()).length, tokenCount);
+    });
+
+    it('brings the lease tokens to the desired state', async () => {
+        const res = await inventory.reconcile(slots, { dualStack: true });
+        assert.deepStrictEqual(res.failures, []);
+
+        const after = await inventory.diff(slots);
+        assert.deepStrictEqual(summarize(after), { mint: [], offer: [], reprice: [], burn: [], unchanged: ['0', '1', '2', '3', '4'] });
+
+        const leases = (await host.getLeases()).map(t => ({ ...LeaseTokenCodec.decode(t.URI), price: t.Amount?.value }));
+        assert.strictEqual(leases.length, 5);
+        assert.strictEqual(leases.find(l => l.leaseIndex === 1).leaseAmount, 3);
+        assert.strictEqual(leases.find(l => l.leaseIndex === 3).halfTos.toString('hex'), NEW_TOS_HASH.toLowerCase().substring(0, 32));
+        assert.strictEqual(leases.find(l => l.leaseIndex === 4).secondaryOutboundIP.address, '1.1.1.1');
+        assert.ok(leases.every(l => Number(l.price) === slots.find(s => s.leaseIndex === l.leaseIndex).leaseAmount));
+    });
+
+    it('rejects invalid slots', async () => {
+        await assert.rejects(inventory.diff([{ leaseIndex: 1, leaseAmount: 1, tosHash: TOS_HASH }, { leaseIndex: 1, leaseAmount: 1, tosHash: TOS_HASH }]), /Duplicate lease index/);
+        await assert.rejects(inventory.diff([{ leaseIndex: 1, leaseAmount: 0, tosHash: TOS_HASH }]), /Invalid lease amount/);
+        await assert.rejects(inventory.diff([{ leaseIndex: 1, leaseAmount: 1, tosHash: 'AB' }]), /Invalid ToS hash/);
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { EvernodeEvents, ErrorReasons } = require('../../src/evernode-common');
+const { LeaseResponseTracker } = require('../../src/clients/lease-response-tracker');
+
+// Minimal client with the members used by the tracker.
+function createClient(subscribe) {
+    const events = new EventEmitter();
+    const apiEvents = new EventEmitter();
+    return {
+        events: events,
+        apiEvents: apiEvents,
+        on: (name, handler) => events.on(name, handler),
+        off: (name, handler) => events.off(name, handler),
+        subscribe: subscribe,
+        xrplApi: {
+            ledgerIndex: 10,
+            on: (name, handler) => apiEvents.on(name, handler),
+            off: (name, handler) => apiEvents.off(name, handler)
+        }
+    };
+}
+
+describe('LeaseResponseTracker', () => {
+    it('registers the handlers once when the start is retried', async () => {
+        let fail = true;
+        const client = createClient(async () => {
+            if (fail)
+                throw 'subscribe failed';
+        });
+        const tracker = new LeaseResponseTracker(client);
+
+        await assert.rejects(tracker.start());
+        await assert.rejects(tracker.start());
+        fail = false;
+        await tracker.start();
+        await tracker.start();
+
+        assert.strictEqual(client.events.listenerCount(EvernodeEvents.AcquireSuccess), 1);
+        assert.strictEqual(client.apiEvents.listenerCount('ledger'), 1);
+    });
+
+    it('resolves the tracked requests from the response events', async () => {
+        const client = createClient(async () => { });
+        const tracker = new LeaseResponseTracker(client);
+        await tracker.start();
+
+        const tracked = tracker.track('AA', 10, 5000);
+        client.events.emit(EvernodeEvents.AcquireSuccess, { acquireRefId: 'AA' });
+        assert.deepStrictEqual(await tracked, { name: EvernodeEvents.AcquireSuccess, data: { acquireRefId: 'AA' } });
+
+        // Responses which arrive first are kept for the next track.
+        client.events.emit(EvernodeEvents.ExtendError, { extendRefId: 'BB' });
+        assert.strictEqual((await tracker.track('BB', 10, 5000)).name, EvernodeEvents.ExtendError);
+    });
+
+    it('removes the handlers and rejects the pending requests on stop', async () => {
+        const client = createClient(async () => { });
+        const tracker = new LeaseResponseTracker(client);
+        await tracker.start();
+
+        const tracked = tracker.track('CC', 10, 5000);
+        tracker.stop();
+        await assert.rejects(tracked, e => e.reason === ErrorReasons.DISCONNECTED);
+
+        assert.strictEqual(client.events.listenerCount(EvernodeEvents.AcquireSuccess), 0);
+        assert.strictEqual(client.apiEvents.listenerCount('ledger'), 0);
+        assert.strictEqual(client.apiEvents.listenerCount('disconnected'), 0);
+    });
+});
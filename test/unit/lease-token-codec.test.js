@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Buffer } = require('buffer');
+const { LeaseTokenCodec, UtilHelpers } = require('../../src/index');
+
+const TOS_HASH = 'AB'.repeat(32);
+const HALF_TOS = Buffer.from(TOS_HASH, 'hex').subarray(0, 16);
+
+// Lease token URIs are kept in the ledger as the hex of the base64 text.
+const toHexUri = (base64) => Buffer.from(base64, 'ascii').toString('hex').toUpperCase();
+
+describe('LeaseTokenCodec', () => {
+    it('encodes and decodes the versioned URIs', () => {
+        const uri = LeaseTokenCodec.encode({ leaseIndex: 3, tosHash: TOS_HASH, leaseAmount: 2.5, identifier: 77, outboundIP: { family: 6, address: '2001:0db8:0000:0000:0000:ff00:0042:8329' } });
+        assert.deepStrictEqual(LeaseTokenCodec.decode(toHexUri(uri)), {
+            version: 'LTV1',
+            leaseIndex: 3,
+            halfTos: HALF_TOS,
+            leaseAmount: 2.5,
+            identifier: 77,
+            outboundIP: { family: 6, address: '2001:db8::ff00:42:8329' }
+        });
+
+        const ipv4 = LeaseTokenCodec.decode(toHexUri(LeaseTokenCodec.encode({ leaseIndex: 4, tosHash: TOS_HASH, leaseAmount: 1, identifier: 5, outboundIP: { family: 4, address: '10.1.2.3' } })));
+        assert.deepStrictEqual(ipv4.outboundIP, { family: 4, address: '10.1.2.3' });
+
+        const noIP = LeaseTokenCodec.decode(toHexUri(LeaseTokenCodec.encode({ leaseIndex: 4, tosHash: TOS_HASH, leaseAmount: 1, identifier: 5 })));
+        assert.strictEqual(noIP.outboundIP, null);
+    });
+
+    it('decodes the unversioned URIs', () => {
+        const buf = Buffer.concat([Buffer.from('6576726C65617365', 'hex'), Buffer.from([0, 9]), HALF_TOS, Buffer.alloc(8)]);
+        const versioned = Buffer.from(LeaseTokenCodec.encode({ leaseIndex: 1, tosHash: TOS_HASH, leaseAmount: 2.5, identifier: 1 }), 'base64');
+        // Lease amount of the versioned URI is after the prefix, version, index and the half ToS hash.
+        versioned.copy(buf, 26, 31, 39);
+
+        assert.deepStrictEqual(LeaseTokenCodec.decode(toHexUri(buf.toString('base64'))), {
+            version: null,
+            leaseIndex: 9,
+            halfTos: HALF_TOS,
+            leaseAmount: 2.5,
+            identifier: null,
+            outboundIP: null
+        });
+    });
+
+    it('rejects the invalid values', () => {
+        assert.throws(() => LeaseTokenCodec.encode({ leaseIndex: 70000, tosHash: TOS_HASH, leaseAmount: 1 }), /Invalid lease index/);
+        assert.throws(() => LeaseTokenCodec.encode({ leaseIndex: 1, tosHash: 'zz', leaseAmount: 1 }), /Invalid ToS hash/);
+
+        const truncated = Buffer.from(LeaseTokenCodec.encode({ leaseIndex: 1, tosHash: TOS_HASH, leaseAmount: 1, identifier: 1 }), 'base64').subarray(0, 40);
+        assert.throws(() => LeaseTokenCodec.decode(toHexUri(truncated.toString('base64'))), /incomplete/);
+        assert.throws(() => LeaseTokenCodec.decode(toHexUri(Buffer.from('not a lease').toString('base64'))), /prefix/);
+    });
+
+    it('supports the registered versions', () => {
+        LeaseTokenCodec.registerVersion(3, ['leaseIndex', 'halfTos', 'leaseAmount', 'identifier', 'outboundIP', 'region'], {
+            region: { length: 2, encode: (buf, offset, value) => buf.write(value, offset, 'ascii'), decode: (buf, offset) => buf.subarray(offset, offset + 2).toString('ascii') }
+        });
+        const uri = LeaseTokenCodec.encode({ leaseIndex: 1, tosHash: TOS_HASH, leaseAmount: 1, identifier: 1, region: 'EU' }, 3);
+        const lease = LeaseTokenCodec.decode(toHexUri(uri));
+        assert.strictEqual(lease.version, 'LTV3');
+        assert.strictEqual(lease.region, 'EU');
+        assert.ok(LeaseTokenCodec.getVersions().includes(3));
+    });
+
+    it('encodes the dual-stack IPs as LTV2', () => {
+        const ips = LeaseTokenCodec.parseOutboundIPAddress(['8.8.8.8', '2001:db8::9']);
+        const uri = LeaseTokenCodec.encode({ leaseIndex: 1, tosHash: TOS_HASH, leaseAmount: 1, identifier: 1, ...ips }, 2);
+        assert.strictEqual(Buffer.from(uri, 'base64').length, 77);
+
+        const lease = LeaseTokenCodec.decode(toHexUri(uri));
+        assert.strictEqual(lease.version, 'LTV2');
+        assert.deepStrictEqual(lease.outboundIP, { family: 6, address: '2001:db8::9' });
+        assert.deepStrictEqual(lease.secondaryOutboundIP, { family: 4, address: '8.8.8.8' });
+    });
+
+    it('normalizes the outbound IP addresses', () => {
+        const parse = (value) => LeaseTokenCodec.parseOutboundIPAddress(value).outboundIP;
+        assert.deepStrictEqual(parse('10.0.0.1'), { family: 4, address: '10.0.0.1' });
+        assert.deepStrictEqual(parse('2001:db8::1'), { family: 6, address: '2001:db8::1' });
+        assert.deepStrictEqual(parse('0:0:1:0:0:0:0:1'), { family: 6, address: '0:0:1::1' });
+        for (const invalid of ['01.2.3.4', '1:2:3:4:5:6:7:8:9', '1::2::3', 'abc'])
+            assert.throws(() => LeaseTokenCodec.parseOutboundIPAddress(invalid));
+    });
+});
+
+describe('UtilHelpers.decodeLeaseTokenUri', () => {
+    it('returns null instead of throwing for malformed URIs', () => {
+        const unknownVersion = Buffer.from(LeaseTokenCodec.encode({ leaseIndex: 1, tosHash: TOS_HASH, leaseAmount: 1, identifier: 1 }), 'base64');
+        unknownVersion.writeUInt16BE(999, 11);
+
+        assert.strictEqual(UtilHelpers.decodeLeaseTokenUri(toHexUri(unknownVersion.toString('base64'))), null);
+        assert.strictEqual(UtilHelpers.decodeLeaseTokenUri(toHexUri(Buffer.from('evrlease').toString('base64'))), null);
+        assert.strictEqual(UtilHelpers.decodeLeaseTokenUri(''), null);
+    });
+
+    it('decodes the valid URIs', () => {
+        const uri = LeaseTokenCodec.encode({ leaseIndex: 2, tosHash: TOS_HASH, leaseAmount: 3, identifier: 1 });
+        assert.strictEqual(UtilHelpers.decodeLeaseTokenUri(toHexUri(uri)).leaseIndex, 2);
+    });
+});
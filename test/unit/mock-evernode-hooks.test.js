@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { HostClient, FoundationClient, EvernodeConstants, StateHelpers } = require('../../src/index');
+const { startEvernodeMock } = require('./helpers');
+
+describe('MockEvernodeHooks', () => {
+    let mock;
+    let host, host2;
+    const clients = [];
+
+    const connect = async (client) => {
+        await client.connect();
+        clients.push(client);
+        return client;
+    };
+
+    before(async () => {
+        mock = await startEvernodeMock({ config: { governanceConfiguration: { candidateSupportAverage: 50 } } });
+        const [h1, h2] = [mock.fundParticipant(), mock.fundParticipant()];
+        mock.server.setTrustLine(mock.addresses.foundationAddress, 'EVR', mock.addresses.evrIssuerAddress, '100000', '99999999');
+        host = await connect(new HostClient(h1.address, h1.seed));
+        host2 = await connect(new HostClient(h2.address, h2.seed));
+    });
+
+    after(async () => {
+        for (const client of clients)
+            await client.disconnect();
+        await mock.stop();
+    });
+
+    it('serves the governor configuration', () => {
+        assert.strictEqual(host.config.hostRegFee, 5120);
+        assert.strictEqual(host.config.momentSize, 3600);
+    });
+
+    it('registers hosts and accepts heartbeats', async () => {
+        await host.register('LK', 1000, 2000, 3000, 4, 'Intel', 2, 2000, 'desc', 'a@b.com');
+        assert.strictEqual(await host.isRegistered(), true);
+
+        await host.heartbeat();
+        const info = await host.getHostInfo();
+        assert.strictEqual(info.active, true);
+        assert.strictEqual(info.description, 'desc');
+        assert.strictEqual(info.cpuModelName, 'Intel');
+        assert.strictEqual(info.email, 'a@b.com');
+    });
+
+    it('updates the registration info', async () => {
+        await host.updateRegInfo(2, '1.2.3');
+        const info = await host.getHostInfo();
+        assert.strictEqual(info.activeInstances, 2);
+        assert.strictEqual(info.version, '1.2.3');
+    });
+
+    it('creates candidates and counts the votes', async () => {
+        const hash = 'AB'.repeat(32);
+        mock.hooks.addHookDefinition(hash);
+        await host.propose(`${hash}${hash}${hash}`, 'prop1');
+        const candidate = await host.getCandidateByOwner();
+        assert.strictEqual(candidate.shortName, 'prop1');
+
+        await host.heartbeat({ candidate: candidate.uniqueId, vote: EvernodeConstants.CandidateVote.Support });
+        await assert.rejects(host.heartbeat({ candidate: candidate.uniqueId, vote: EvernodeConstants.CandidateVote.Support }), e => e.code === 'VOTE_VALIDATION_ERR');
+        assert.strictEqual((await host.getCandidateById(candidate.uniqueId)).positiveVoteCount, 1);
+    });
+
+    it('transfers the registration', async () => {
+        await host.transfer(host2.xrplAcc.address);
+        assert.strictEqual(await host2.isTransferee(), true);
+
+        await host2.register('US', 1000, 2000, 3000, 4, 'AMD', 2, 2000, 'desc2', 'c@d.com');
+        assert.strictEqual(await host2.isRegistered(), true);
+        assert.strictEqual(await host.isRegistered(), false);
+    });
+
+    it('rejects pruning an active host', async () => {
+        await assert.rejects(host.pruneDeadHost(host2.xrplAcc.address), e => e.code === 'tecHOOK_REJECTED');
+    });
+
+    it('removes dud hosts by the foundation vote', async () => {
+        const foundationClient = await connect(new FoundationClient(mock.addresses.foundationAddress, mock.foundation.seed));
+        await foundationClient.reportDudHost(host2.xrplAcc.address);
+        assert.strictEqual((await foundationClient.getDudHostVoteInfo(host2.xrplAcc.address)).status, 'rejected');
+
+        await host2.heartbeat({ candidate: StateHelpers.getDudHostCandidateId(host2.xrplAcc.address), vote: EvernodeConstants.CandidateVote.Support });
+        await foundationClient.voteDudHost(host2.xrplAcc.address, EvernodeConstants.CandidateVote.Support);
+        assert.strictEqual(await host2.isRegistered(), false);
+        assert.strictEqual((await foundationClient.getDudHostVoteInfo(host2.xrplAcc.address)).status, 'elected');
+    });
+
+    it('deregisters hosts', async () => {
+        const h3 = mock.fundParticipant();
+        const host3 = await connect(new HostClient(h3.address, h3.seed));
+        await host3.register('LK', 1000, 2000, 3000, 4, 'Intel', 2, 2000, 'desc3', 'e@f.com');
+        await host3.deregister();
+        assert.strictEqual(await host3.isRegistered(), false);
+    });
+});
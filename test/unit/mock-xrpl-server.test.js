@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { XrplAccount } = require('../../src/index');
+const { startMock, sleep } = require('./helpers');
+
+describe('MockXrplServer', () => {
+    let mock;
+    let a, b, issuer;
+    let accA, accB, accIssuer;
+
+    before(async () => {
+        mock = await startMock({ networkID: 21338 });
+        [a, b, issuer] = [mock.fund(100000000), mock.fund(100000000), mock.fund(100000000)];
+        accA = new XrplAccount(a.address, a.seed);
+        accB = new XrplAccount(b.address, b.seed);
+        accIssuer = new XrplAccount(issuer.address, issuer.seed);
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    it('applies payments and notifies the subscribers', async () => {
+        const received = [];
+        accB.on('payment', tx => received.push(tx));
+        await accB.subscribe();
+
+        const res = await accA.makePayment(b.address, '1000000', null, null, [{ type: 'evnTest', format: 'text/plain', data: 'hi' }]);
+        assert.strictEqual(res.code, 'tesSUCCESS');
+        assert.strictEqual((await accB.getInfo()).Balance, '101000000');
+
+        await sleep(100);
+        assert.strictEqual(received.length, 1);
+        assert.strictEqual(received[0].Amount, '1000000');
+        assert.deepStrictEqual(received[0].Memos, [{ type: 'evnTest', format: 'text/plain', data: 'hi' }]);
+        await accB.unsubscribe();
+    });
+
+    it('applies trust lines and issued currency payments', async () => {
+        assert.strictEqual((await accB.setTrustLine('EVR', issuer.address, '10000')).code, 'tesSUCCESS');
+        assert.strictEqual((await accIssuer.makePayment(b.address, '12.5', 'EVR', issuer.address)).code, 'tesSUCCESS');
+
+        const lines = await accB.getTrustLines('EVR', issuer.address);
+        assert.strictEqual(lines.length, 1);
+        assert.strictEqual(lines[0].balance, '12.5');
+        assert.strictEqual(lines[0].limit, '10000');
+    });
+
+    it('mints, sells and buys URITokens', async () => {
+        assert.strictEqual((await accA.mintURIToken('AABBCC', null, { isBurnable: true })).code, 'tesSUCCESS');
+        const tokens = await accA.getURITokens();
+        assert.strictEqual(tokens.length, 1);
+        assert.strictEqual(tokens[0].index, accA.generateIssuedURITokenId('AABBCC'));
+
+        assert.strictEqual((await accA.sellURIToken(tokens[0].index, '2000000')).code, 'tesSUCCESS');
+        const res = await accB.buyURIToken(await mock.api.getLedgerEntry(tokens[0].index));
+        assert.strictEqual(res.code, 'tesSUCCESS');
+        assert.strictEqual((await accB.getURITokens()).length, 1);
+        assert.strictEqual((await accA.getURITokens()).length, 0);
+    });
+
+    it('rejects transactions which cannot be applied', async () => {
+        await assert.rejects(accA.makePayment(b.address, '999999999999'), e => e.code === 'tecUNFUNDED_PAYMENT');
+    });
+
+    it('lists the account transactions', async () => {
+        const txs = await mock.api.getAccountTrx(b.address);
+        assert.ok(txs.find(t => t.tx.TransactionType === 'Payment' && t.tx.Amount === '1000000'));
+        assert.ok(txs.find(t => t.tx.TransactionType === 'URITokenBuy' && t.meta.TransactionResult === 'tesSUCCESS'));
+    });
+
+    it('runs hooks which can roll back, set state and emit', async () => {
+        const hookAcc = mock.fund(100000000);
+        mock.server.addHook(hookAcc.address, {
+            onTransaction: async (tx, ctx) => {
+                if (tx.Amount === '5')
+                    return ctx.rollback('no fives', 1);
+                ctx.setState('00'.repeat(32), 'AB');
+                if (!ctx.isOutgoing)
+                    ctx.emit({ TransactionType: 'Payment', Destination: tx.Account, Amount: '1' });
+            }
+        });
+
+        await assert.rejects(accA.makePayment(hookAcc.address, '5'), e => e.code === 'tecHOOK_REJECTED');
+        assert.strictEqual(mock.server.ledger.getHookState(hookAcc.address, '00'.repeat(32)), null);
+
+        assert.strictEqual((await accA.makePayment(hookAcc.address, '7')).code, 'tesSUCCESS');
+        assert.strictEqual(mock.server.ledger.getHookState(hookAcc.address, '00'.repeat(32)), 'AB');
+
+        await sleep(700);
+        const emitted = (await accA.getAccountTrx()).find(t => t.tx.Account === hookAcc.address);
+        assert.ok(emitted);
+        assert.strictEqual(emitted.tx.Amount, '1');
+    });
+});
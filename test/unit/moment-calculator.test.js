@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { MomentCalculator, MomentTypes } = require('../../src/index');
+
+// Current ledger index of the fake XrplApi.
+const LEDGER_INDEX = 10000;
+
+function createCalculator(momentSize, baseInfo, transitInfo = { transitionIndex: 0 }) {
+    return new MomentCalculator({ momentSize: momentSize, momentBaseInfo: baseInfo, momentTransitInfo: transitInfo }, { xrplApi: { ledgerIndex: LEDGER_INDEX } });
+}
+
+describe('MomentCalculator', () => {
+    it('calculates timestamp based moments', () => {
+        const base = 1700000000;
+        const calculator = createCalculator(3600, { baseIdx: base, baseTransitionMoment: 5, momentType: MomentTypes.TIMESTAMP });
+
+        assert.strictEqual(calculator.momentType, MomentTypes.TIMESTAMP);
+        assert.strictEqual(calculator.getMoment(base), 5);
+        assert.strictEqual(calculator.getMoment(base + 7300), 7);
+        assert.strictEqual(calculator.getMomentStartIndex(base + 7300), base + 7200);
+        assert.strictEqual(calculator.getMomentEndIndex(base + 7300), base + 10800);
+        assert.strictEqual(calculator.getMomentStartIndexOf(7), base + 7200);
+        assert.strictEqual(calculator.getMomentSize(base), 3600);
+        assert.strictEqual(calculator.getMomentAtTime(base + 3600), 6);
+    });
+
+    it('calculates ledger based moments', () => {
+        const calculator = createCalculator(1190, { baseIdx: 1000, baseTransitionMoment: 0, momentType: MomentTypes.LEDGER });
+
+        assert.strictEqual(calculator.getCurrentIndex(), LEDGER_INDEX);
+        assert.strictEqual(calculator.getMoment(), 7);
+        assert.strictEqual(calculator.getMomentStartIndex(), 9330);
+        assert.strictEqual(calculator.getMomentEndIndex(), 10520);
+        assert.strictEqual(calculator.getMomentStartIndexOf(8), 10520);
+        assert.strictEqual(calculator.getMomentAtLedger(10520), 8);
+        // Ledger time is estimated with 4 second ledgers.
+        assert.strictEqual(calculator.getTimeRemaining(), 520 * 4);
+    });
+
+    it('applies a ledger moment size transition from the transition index', () => {
+        const calculator = createCalculator(1190, { baseIdx: 1000, baseTransitionMoment: 0, momentType: MomentTypes.LEDGER },
+            { transitionIndex: 10520, momentSize: 500, momentType: MomentTypes.LEDGER });
+
+        assert.strictEqual(calculator.getMoment(10519), 7);
+        assert.strictEqual(calculator.getMomentEndIndex(10000), 10520);
+        assert.strictEqual(calculator.getMoment(10520), 8);
+        assert.strictEqual(calculator.getMoment(11020), 9);
+        assert.strictEqual(calculator.getMomentStartIndex(11100), 11020);
+        assert.strictEqual(calculator.getMomentStartIndexOf(10), 11520);
+        assert.strictEqual(calculator.getMomentSize(9000), 1190);
+        assert.strictEqual(calculator.getMomentSize(11000), 500);
+    });
+
+    it('applies a ledger to timestamp moment transition', () => {
+        const calculator = createCalculator(1190, { baseIdx: 1000, baseTransitionMoment: 0, momentType: MomentTypes.LEDGER },
+            { transitionIndex: 10520, momentSize: 3600, momentType: MomentTypes.TIMESTAMP });
+
+        assert.strictEqual(calculator.getMoment(), 7);
+        assert.strictEqual(calculator.getMomentAtLedger(10519), 7);
+        assert.strictEqual(calculator.getMomentAtLedger(10520), 8);
+        // 900 ledgers after the transition is an hour in 4 second ledgers.
+        assert.strictEqual(calculator.getMomentAtLedger(10520 + 900), 9);
+        assert.strictEqual(calculator.getMomentSize(10600), 3600);
+    });
+
+    it('requires the moment configuration', () => {
+        assert.throws(() => new MomentCalculator({}), (e) => e === 'Moment configuration is not available.');
+        assert.throws(() => new MomentCalculator({ momentBaseInfo: {} }), (e) => e === 'Moment configuration is not available.');
+    });
+});
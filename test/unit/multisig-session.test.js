@@ -0,0 +1,106 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const kp = require('ripple-keypairs');
+const { XrplAccount, OfflineContext, MultisigSession } = require('../../src/index');
+const { startMock, generateAccount, sleep } = require('./helpers');
+
+describe('MultisigSession', () => {
+    let mock, master, masterAcc, destination, definitions;
+    // 'c' is not a funded account, so it can only sign with its master key.
+    const signers = {};
+
+    before(async () => {
+        mock = await startMock({ ledgerInterval: 300 });
+        master = mock.fund();
+        masterAcc = new XrplAccount(master.address, master.seed);
+        destination = mock.fund().address;
+        signers.a = mock.fund();
+        signers.b = mock.fund();
+        signers.c = generateAccount();
+        signers.outsider = mock.fund();
+        definitions = await mock.api.getServerDefinition();
+
+        await masterAcc.setSignerList([
+            { account: signers.a.address, weight: 1 },
+            { account: signers.b.address, weight: 1 },
+            { account: signers.c.address, weight: 2 }
+        ], { signerQuorum: 2 });
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    // Fee covers the multi-signing cost.
+    const preparePayment = (options = {}) => masterAcc.prepareMakePayment(destination, '1000', null, null, null, { fee: 100, ...options });
+
+    it('collects the signatures from portable sessions and submits at the quorum', async () => {
+        const session = new MultisigSession(await preparePayment());
+        const signatureA = await session.sign(new XrplAccount(signers.a.address, signers.a.seed));
+
+        let status = await session.getStatus();
+        assert.deepStrictEqual([status.quorum, status.weight, status.ready], [2, 1, false]);
+        await assert.rejects(session.submit(), (e) => e === 'MultisigSession: signature weight 1 has not reached the quorum 2.');
+
+        // The second signer signs a copy of the session on an offline machine.
+        const offline = new OfflineContext(definitions);
+        const remote = MultisigSession.fromJSON(JSON.stringify(session.toJSON()), { offline: offline });
+        assert.deepStrictEqual(remote.signatures, [signatureA]);
+        const signatureB = await remote.sign(new XrplAccount(signers.b.address, signers.b.seed, { offline: offline }));
+        await assert.rejects(remote.getStatus(), (e) => e === 'MultisigSession: xrplApi is required to read the signer list.');
+
+        status = await session.addSignature(JSON.parse(JSON.stringify(signatureB)));
+        assert.deepStrictEqual([status.weight, status.ready], [2, true]);
+        assert.deepStrictEqual(status.signers.filter(s => s.signed).map(s => s.account).sort(), [signers.a.address, signers.b.address].sort());
+
+        const res = await session.submit();
+        assert.strictEqual(res.code, 'tesSUCCESS');
+        assert.strictEqual(res.details.Signers.length, 2);
+    });
+
+    it('rejects the invalid signatures', async () => {
+        const session = new MultisigSession(await preparePayment());
+        const signatureA = await session.sign(new XrplAccount(signers.a.address, signers.a.seed));
+
+        const signatureB = await MultisigSession.fromJSON(session.toJSON()).sign(new XrplAccount(signers.b.address, signers.b.seed));
+        await assert.rejects(session.addSignature({ ...signatureB, txnSignature: signatureA.txnSignature }),
+            (e) => e === `MultisigSession: invalid signature from ${signers.b.address}.`);
+
+        const outsider = await MultisigSession.fromJSON(session.toJSON()).sign(new XrplAccount(signers.outsider.address, signers.outsider.seed));
+        await assert.rejects(session.addSignature(outsider), (e) => e === `MultisigSession: ${signers.outsider.address} is not in the signer list of ${master.address}.`);
+
+        // Signs for 'c' with a key which is not the master key of 'c'.
+        const keypair = kp.deriveKeypair(signers.a.seed);
+        const forged = {
+            account: signers.c.address,
+            signingPubKey: keypair.publicKey,
+            txnSignature: kp.sign(mock.api.xrplHelper.encodeForMultisigning(session.tx, signers.c.address), keypair.privateKey)
+        };
+        await assert.rejects(session.addSignature(forged), (e) => e === `MultisigSession: signing key of ${signers.c.address} is not authorized.`);
+
+        await assert.rejects(session.sign(masterAcc), (e) => e === 'MultisigSession: the account cannot sign its own multi-signed transaction.');
+        assert.deepStrictEqual(session.signatures.map(s => s.account), [signers.a.address]);
+    });
+
+    it('auto submits a multi-signed blob which reaches the quorum', async () => {
+        const session = new MultisigSession(await preparePayment(), { autoSubmit: true });
+        const blob = new XrplAccount(signers.c.address, signers.c.seed).sign(session.tx, true).tx_blob;
+
+        const status = await session.addSignature(blob);
+        assert.strictEqual(status.ready, true);
+        assert.strictEqual(status.result.code, 'tesSUCCESS');
+    });
+
+    it('does not sign an expired transaction', async () => {
+        const session = new MultisigSession(await preparePayment({ maxLedgerIndex: mock.api.ledgerIndex + 1 }));
+        await sleep(1000);
+        assert.strictEqual(session.isExpired(), true);
+        await assert.rejects(session.sign(new XrplAccount(signers.a.address, signers.a.seed)), (e) => typeof e === 'string' && e.includes('has expired'));
+    });
+
+    it('requires a prepared transaction', () => {
+        assert.throws(() => new MultisigSession({ Account: master.address, TransactionType: 'Payment' }), (e) => e === 'MultisigSession: transaction should be prepared.');
+        assert.throws(() => MultisigSession.fromJSON({ tx_json: { Account: master.address, TransactionType: 'Payment', Sequence: 1 }, signatures: [{ account: signers.a.address }] }),
+            (e) => e === 'MultisigSession: signature should have account, signingPubKey and txnSignature.');
+    });
+});
@@ -0,0 +1,200 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { XrplAccount, TenantClient, HostClient, OfflineContext, Defaults, EvernodeConstants, XrplConstants, LeaseTokenCodec } = require('../../src/index');
+const { ErrorReasons } = require('../../src/evernode-common');
+const { EvernodeHelpers } = require('../../src/evernode-helpers');
+const { startEvernodeMock, startHost, sleep } = require('./helpers');
+
+describe('OfflineContext', () => {
+    let mock, definitions, dir;
+
+    // Runs without a default xrpl api, so anything which needs a connection fails.
+    const withoutConnection = async (func) => {
+        const xrplApi = Defaults.values.xrplApi;
+        Defaults.set({ xrplApi: null });
+        try {
+            return await func();
+        }
+        finally {
+            Defaults.set({ xrplApi: xrplApi });
+        }
+    };
+
+    before(async () => {
+        mock = await startEvernodeMock();
+        definitions = await mock.api.getServerDefinition();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evernode-offline-'));
+    });
+
+    after(async () => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        await mock.stop();
+    });
+
+    it('loads the saved definitions', async () => {
+        const file = path.join(dir, 'cache', 'definitions.json');
+        await OfflineContext.saveDefinitions(mock.api, file);
+        const offline = await OfflineContext.load(file, { sequence: 5, fee: 12, ledgerIndex: 100 });
+        assert.strictEqual(offline.getMaxLedgerIndex(), 100 + XrplConstants.MAX_LEDGER_OFFSET);
+        assert.strictEqual(offline.getFee(), '12');
+
+        await assert.rejects(OfflineContext.load(path.join(dir, 'missing.json')), (e) => typeof e === 'string' && e.startsWith('Could not read the definitions file'));
+        assert.throws(() => new OfflineContext({}), (e) => e === 'OfflineContext: invalid server definitions.');
+    });
+
+    it('prepares and signs the account transactions without a connection', async () => {
+        const account = mock.fund();
+        const destination = mock.fund().address;
+        const sequence = await new XrplAccount(account.address).getSequence();
+        const maxLedgerIndex = mock.api.ledgerIndex + 20;
+
+        const signed = await withoutConnection(async () => {
+            const offline = new OfflineContext(definitions, { sequence: sequence, fee: 12, maxLedgerIndex: maxLedgerIndex });
+            const acc = new XrplAccount(account.address, account.seed, { offline: offline });
+            assert.throws(() => new XrplAccount(account.address, account.seed), (e) => e === 'XrplAccount: xrplApi not specified.');
+
+            // A released sequence is taken by the next transaction.
+            const unused = await acc.prepareMakePayment(destination, '1');
+            acc.releaseSequence(unused);
+            assert.strictEqual(offline.nextSequence, sequence);
+
+            const prepared = await acc.prepareMakePayment(destination, '1000');
+            assert.deepStrictEqual([prepared.Sequence, prepared.Fee, prepared.LastLedgerSequence], [sequence, '12', maxLedgerIndex]);
+            await assert.rejects(acc.prepareMakePayment(destination, '1', null, null, null, { useTicket: true }), (e) => typeof e === 'string' && e.includes('ticketSequence'));
+
+            // The sequence stays taken by the signed transaction.
+            const signed = await acc.signAndSubmit(prepared);
+            assert.strictEqual(offline.nextSequence, sequence + 1);
+            return signed;
+        });
+
+        assert.strictEqual(signed.hash, mock.api.xrplHelper.sign(signed.tx_json, account.seed).hash);
+        assert.strictEqual((await mock.api.submitAndWait(signed.tx_json, signed.tx_blob)).code, 'tesSUCCESS');
+    });
+
+    describe('clients', () => {
+        let host, tenant, config;
+
+        before(async () => {
+            host = await startHost(mock, { leases: 1 });
+            const account = mock.fundParticipant();
+            tenant = new TenantClient(account.address, account.seed);
+            await tenant.connect();
+            await tenant.prepareAccount();
+            config = JSON.parse(JSON.stringify(tenant.config));
+        });
+
+        after(async () => {
+            await tenant.disconnect();
+            await host.disconnect();
+        });
+
+        const createOffline = async () => new OfflineContext(definitions, { sequence: await tenant.xrplAcc.getSequence(), fee: 12, maxLedgerIndex: mock.api.ledgerIndex + 20 });
+
+        it('connects with the given configuration', async () => {
+            const offline = await createOffline();
+            await withoutConnection(async () => {
+                const client = new TenantClient(tenant.xrplAcc.address, tenant.xrplAcc.secret, { offline: offline });
+                assert.strictEqual(client.xrplApi, null);
+                await assert.rejects(client.connect(), (e) => typeof e === 'string' && e.includes('options.config'));
+
+                const configured = new TenantClient(tenant.xrplAcc.address, tenant.xrplAcc.secret, { offline: offline, config: config });
+                assert.strictEqual(await configured.connect(), true);
+                assert.deepStrictEqual(configured.config, config);
+                await configured.refreshConfig();
+                assert.deepStrictEqual(configured.config, config);
+                await configured.disconnect();
+            });
+        });
+
+        it('acquires and extends a lease with the transactions signed offline', async () => {
+            const [offer] = await EvernodeHelpers.getLeaseOffers(host.xrplAcc);
+            const offline = await createOffline();
+
+            const acquire = await withoutConnection(async () => {
+                const client = new TenantClient(tenant.xrplAcc.address, tenant.xrplAcc.secret, { offline: offline, config: config });
+                await client.connect();
+                assert.strictEqual((await client.getLeaseHost(host.xrplAcc.address)).address, host.xrplAcc.address);
+
+                await assert.rejects(client.acquireLeaseSubmit(host.xrplAcc.address, {}, { messageKey: 'none' }), (e) => e.reason === ErrorReasons.NO_OFFER);
+                await assert.rejects(client.acquireLeaseSubmit(host.xrplAcc.address, {}, { leaseOffer: offer }), (e) => e.reason === ErrorReasons.INTERNAL_ERR);
+                return await client.acquireLease(host.xrplAcc.address, {}, { leaseOffer: { index: offer.index, Amount: offer.Amount }, messageKey: 'none' });
+            });
+            assert.strictEqual(acquire.tx_json.URITokenID, offer.index);
+
+            await tenant.subscribe();
+            const acquired = await tenant.watchAcquireResponse(await mock.api.submitAndWait(acquire.tx_json, acquire.tx_blob), { timeout: 10000 });
+            assert.strictEqual(acquired.instance.name, offer.index);
+
+            const extend = await withoutConnection(async () => {
+                const client = new TenantClient(tenant.xrplAcc.address, tenant.xrplAcc.secret, { offline: offline, config: config });
+                await client.connect();
+                await assert.rejects(client.extendLease(host.xrplAcc.address, 1, offer.index), (e) => e.reason === ErrorReasons.INTERNAL_ERR);
+                return await client.extendLease(host.xrplAcc.address, 1, offer.index, { leaseAmount: 2 });
+            });
+            assert.strictEqual(extend.tx_json.Destination, host.xrplAcc.address);
+            assert.strictEqual(extend.tx_json.Amount.currency, EvernodeConstants.EVR);
+            assert.strictEqual(extend.tx_json.Sequence, acquire.tx_json.Sequence + 1);
+
+            const extended = await tenant.watchExtendResponse(await mock.api.submitAndWait(extend.tx_json, extend.tx_blob), { timeout: 10000 });
+            assert.strictEqual(extended.expiryMoment, 123);
+        });
+
+        it('signs the heartbeat offline', async () => {
+            const offline = new OfflineContext(definitions, { sequence: 10, fee: 12, maxLedgerIndex: 5000 });
+            const signed = await withoutConnection(async () => {
+                const client = new HostClient(host.xrplAcc.address, host.xrplAcc.secret, { offline: offline, config: config });
+                await client.connect();
+                return await client.heartbeat();
+            });
+            assert.strictEqual(signed.tx_json.Destination, config.heartbeatAddress);
+            assert.strictEqual(signed.tx_json.LastLedgerSequence, 5000);
+            assert.strictEqual(signed.tx_json.Sequence, 10);
+        });
+
+        it('signs the lease offers offline', async () => {
+            const offline = new OfflineContext(definitions, { sequence: await host.xrplAcc.getSequence(), fee: 12, maxLedgerIndex: mock.api.ledgerIndex + 20 });
+            const [mint, sell] = await withoutConnection(async () => {
+                const client = new HostClient(host.xrplAcc.address, host.xrplAcc.secret, { offline: offline, config: config });
+                await client.connect();
+                return await client.offerLease(5, 3, 'CD'.repeat(32), '2001:db8::5');
+            });
+            assert.strictEqual(sell.tx_json.Sequence, mint.tx_json.Sequence + 1);
+            assert.strictEqual(LeaseTokenCodec.decode(mint.tx_json.URI).identifier, mint.tx_json.Sequence);
+
+            assert.strictEqual((await mock.api.submitAndWait(mint.tx_json, mint.tx_blob)).code, 'tesSUCCESS');
+            assert.strictEqual((await mock.api.submitAndWait(sell.tx_json, sell.tx_blob)).code, 'tesSUCCESS');
+            const offer = (await EvernodeHelpers.getLeaseOffers(host.xrplAcc)).find(o => o.index === sell.tx_json.URITokenID);
+            assert.ok(offer, 'The lease offer should be listed.');
+            assert.strictEqual(offer.Amount.value, '3');
+        });
+
+        it('signs the host registration offline', async () => {
+            const account = mock.fundParticipant();
+            const offline = new OfflineContext(definitions, { sequence: await new XrplAccount(account.address).getSequence(), fee: 12, maxLedgerIndex: mock.api.ledgerIndex + 20 });
+            const signed = await withoutConnection(async () => {
+                const client = new HostClient(account.address, account.seed, { offline: offline, config: config });
+                await client.connect();
+                return await client.register('LK', 1000, 2000, 3000, 4, 'Intel', 2, 2000, 'desc', 'a@b.com');
+            });
+            assert.strictEqual(signed.tx_json.Destination, config.registryAddress);
+            assert.strictEqual(signed.tx_json.Amount.value, `${config.hostRegFee}`);
+            assert.strictEqual((await mock.api.submitAndWait(signed.tx_json, signed.tx_blob)).code, 'tesSUCCESS');
+
+            // The registration is completed by a connected client.
+            const client = new HostClient(account.address, account.seed);
+            await client.connect();
+            try {
+                for (let i = 0; i < 20 && !(await client.acceptRegToken()); i++)
+                    await sleep(500);
+                assert.strictEqual(await client.isRegistered(), true);
+            }
+            finally {
+                await client.disconnect();
+            }
+        });
+    });
+});
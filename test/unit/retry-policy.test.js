@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { XrplAccount, RetryPolicy } = require('../../src/index');
+const { startMock } = require('./helpers');
+
+describe('RetryPolicy', () => {
+    it('retries until the max attempts except for the terminal codes', () => {
+        const policy = new RetryPolicy({ maxRetryAttempts: 3 });
+        assert.strictEqual(policy.shouldRetry({ code: 'telINSUF_FEE_P' }, 1), true);
+        assert.strictEqual(policy.shouldRetry({ code: 'telINSUF_FEE_P' }, 3), false);
+        assert.strictEqual(policy.shouldRetry({ code: 'tefPAST_SEQ' }, 1), false);
+        assert.strictEqual(new RetryPolicy().shouldRetry({ code: 'telINSUF_FEE_P' }, 1), false);
+        assert.strictEqual(new RetryPolicy({ maxRetryAttempts: 2, terminalCodes: ['temDST_IS_SRC'] }).shouldRetry({ code: 'tefPAST_SEQ' }, 1), true);
+    });
+
+    it('backs off the retry interval', () => {
+        const policy = new RetryPolicy({ retryInterval: 100, backoffFactor: 2, maxRetryInterval: 300 });
+        assert.deepStrictEqual([1, 2, 3].map(a => policy.getRetryInterval(a)), [100, 200, 300]);
+        assert.strictEqual(new RetryPolicy().getRetryInterval(5), 3000);
+    });
+
+    it('escalates the fee only for the submissions which took too long', () => {
+        const policy = new RetryPolicy({ feeUplift: 10, maxFeeUplift: 25 });
+        assert.strictEqual(policy.getFeeUplift({ code: 'telINSUF_FEE_P' }, 0), 0);
+        assert.strictEqual(policy.getFeeUplift({ status: 'TOOK_LONG' }, 0), 10);
+        assert.strictEqual(policy.getFeeUplift({ status: 'TOOK_LONG' }, 20), 25);
+    });
+
+    it('accepts a policy instance as the retry options', () => {
+        const policy = new RetryPolicy();
+        assert.strictEqual(RetryPolicy.from(policy), policy);
+        assert.ok(RetryPolicy.from({ maxRetryAttempts: 2 }) instanceof RetryPolicy);
+    });
+});
+
+describe('XrplAccount submission retries', () => {
+    let mock, acc, destination;
+    let submissions = [];
+
+    before(async () => {
+        mock = await startMock({ ledgerInterval: 300 });
+        const account = mock.fund();
+        acc = new XrplAccount(account.address, account.seed);
+        destination = mock.fund().address;
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    // Records the submissions. 'fail' can reject a submission before it's sent.
+    const watchSubmissions = (fail = null) => {
+        submissions = [];
+        const submit = mock.api.submitOrderedAndWait;
+        mock.api.submitOrderedAndWait = async (tx, blob) => {
+            submissions.push({ fee: tx.Fee, ticketSequence: tx.TicketSequence, lastLedgerOffset: tx.LastLedgerSequence - mock.api.ledgerIndex });
+            if (fail)
+                await fail(submissions.length);
+            return await submit.call(mock.api, tx, blob);
+        };
+        return () => mock.api.submitOrderedAndWait = submit;
+    };
+
+    it('retries the failed submissions', async () => {
+        const restore = watchSubmissions();
+        try {
+            await assert.rejects(acc.makePayment(destination, '1000', null, null, null, { managedSequence: true, fee: '1', retryOptions: { maxRetryAttempts: 3, retryInterval: 10 } }),
+                (e) => e.code === 'telINSUF_FEE_P');
+            assert.strictEqual(submissions.length, 3);
+        }
+        finally {
+            restore();
+        }
+    });
+
+    it('does not retry the terminal codes', async () => {
+        const restore = watchSubmissions();
+        try {
+            await assert.rejects(acc.makePayment(acc.address, '1000', null, null, null, { managedSequence: true, retryOptions: { maxRetryAttempts: 3, retryInterval: 10, terminalCodes: ['temDST_IS_SRC'] } }),
+                (e) => e.code === 'temDST_IS_SRC');
+            assert.strictEqual(submissions.length, 1);
+        }
+        finally {
+            restore();
+        }
+    });
+
+    it('escalates the fee and refreshes the LastLedgerSequence when a submission takes too long', async () => {
+        const restore = watchSubmissions(async (attempt) => {
+            if (attempt === 1)
+                throw { status: 'TOOK_LONG' };
+        });
+        let retries = 0;
+        class CountingPolicy extends RetryPolicy {
+            shouldRetry(error, attempt) {
+                retries++;
+                return super.shouldRetry(error, attempt);
+            }
+        }
+
+        try {
+            const res = await acc.makePayment(destination, '1000', null, null, null, { managedSequence: true, maxLedgerIndex: mock.api.ledgerIndex + 5, retryOptions: new CountingPolicy({ maxRetryAttempts: 2, retryInterval: 10, feeUplift: 15 }) });
+            assert.strictEqual(res.code, 'tesSUCCESS');
+            assert.strictEqual(retries, 1);
+            assert.strictEqual(submissions.length, 2);
+            assert.strictEqual(Number(submissions[1].fee), Number(submissions[0].fee) + 15);
+            assert.ok(submissions[1].lastLedgerOffset >= 4);
+        }
+        finally {
+            restore();
+        }
+    });
+
+    it('retries the ticket submissions with tickets', async () => {
+        // Enough tickets to stay above the refill threshold.
+        await acc.createTickets(10);
+        const restore = watchSubmissions();
+        try {
+            await assert.rejects(acc.makePayment(destination, '1000', null, null, null, { useTicket: true, fee: '1', retryOptions: { maxRetryAttempts: 2, retryInterval: 10 } }),
+                (e) => e.code === 'telINSUF_FEE_P');
+            assert.strictEqual(submissions.length, 2);
+            assert.ok(submissions.every(s => s.ticketSequence));
+        }
+        finally {
+            restore();
+        }
+    });
+});
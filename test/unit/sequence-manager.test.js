@@ -0,0 +1,114 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { XrplAccount, SequenceManager } = require('../../src/index');
+const { startMock } = require('./helpers');
+
+describe('Sequence management', () => {
+    let mock, account, destination;
+    const managed = { managedSequence: true };
+
+    before(async () => {
+        mock = await startMock({ ledgerInterval: 300 });
+        account = mock.fund();
+        destination = mock.fund().address;
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    it('submits concurrent transactions of an account', async () => {
+        const accounts = [new XrplAccount(account.address, account.seed), new XrplAccount(account.address, account.seed)];
+        const sequence = await accounts[0].getSequence();
+
+        const results = await Promise.all([...Array(6)].map((_, i) => accounts[i % 2].makePayment(destination, '1000', null, null, null, managed)));
+        assert.ok(results.every(r => r.code === 'tesSUCCESS'));
+        assert.strictEqual(await accounts[0].getSequence(), sequence + 6);
+    });
+
+    it('does not hold a sequence for a prepared transaction until it is submitted', async () => {
+        const acc = new XrplAccount(account.address, account.seed);
+        const prepared = await acc.prepareMakePayment(destination, '1000', null, null, null, managed);
+        const manager = SequenceManager.get(mock.api, account.address);
+        assert.strictEqual(manager.isReserved(prepared.Sequence), false);
+
+        // The next transaction does not wait for the prepared one.
+        assert.strictEqual((await acc.makePayment(destination, '1000', null, null, null, managed)).code, 'tesSUCCESS');
+
+        // The sequence is reserved on submission.
+        const sequence = await acc.getSequence();
+        assert.strictEqual((await acc.signAndSubmit(prepared, managed)).code, 'tesSUCCESS');
+        assert.strictEqual(prepared.Sequence, sequence);
+
+        // Nothing to release for a sequence which is not reserved.
+        const unsubmitted = await acc.prepareMakePayment(destination, '1000', null, null, null, managed);
+        acc.releaseSequence(unsubmitted);
+        assert.strictEqual((await acc.makePayment(destination, '1000', null, null, null, managed)).code, 'tesSUCCESS');
+    });
+
+    it('does not use the sequence manager unless the sequence is managed', async () => {
+        const acc = new XrplAccount(account.address, account.seed);
+        const submit = mock.api.submitOrderedAndWait;
+        mock.api.submitOrderedAndWait = () => assert.fail('Should be submitted with submitAndWait.');
+        try {
+            const sequence = await acc.getSequence();
+            const res = await acc.makePayment(destination, '1000');
+            assert.strictEqual(res.code, 'tesSUCCESS');
+            assert.strictEqual(res.details.Sequence, sequence);
+            assert.strictEqual(SequenceManager.get(mock.api, account.address).isReserved(sequence), false);
+        }
+        finally {
+            mock.api.submitOrderedAndWait = submit;
+        }
+    });
+
+    it('keeps an explicit sequence', async () => {
+        const acc = new XrplAccount(account.address, account.seed);
+        const sequence = await acc.getSequence();
+        const res = await acc.makePayment(destination, '1000', null, null, null, { ...managed, sequence: sequence });
+        assert.strictEqual(res.code, 'tesSUCCESS');
+        assert.strictEqual(res.details.Sequence, sequence);
+    });
+
+    it('resyncs when the sequence is consumed outside the sequence manager', async () => {
+        const acc = new XrplAccount(account.address, account.seed);
+        await acc.makePayment(destination, '1000', null, null, null, managed);
+
+        // Consumes the next sequence without the sequence manager.
+        const external = await acc.prepareMakePayment(destination, '2000');
+        await mock.api.submitAndWait(external, acc.sign(external).tx_blob);
+
+        const sequence = await acc.getSequence();
+        const res = await acc.makePayment(destination, '1000', null, null, null, managed);
+        assert.strictEqual(res.code, 'tesSUCCESS');
+        assert.strictEqual(res.details.Sequence, sequence);
+    });
+
+    it('fails fast on the rejected transactions with managed sequences', async () => {
+        const acc = new XrplAccount(account.address, account.seed);
+        const prepared = await acc.prepareMakePayment(destination, '1000');
+        prepared.Fee = '0';
+        prepared.LastLedgerSequence = mock.api.ledgerIndex + 20;
+
+        const start = Date.now();
+        await assert.rejects(acc.signAndSubmit(prepared, managed), (e) => e.code === 'telINSUF_FEE_P');
+        // Well before the LastLedgerSequence (20 ledgers of 300ms).
+        assert.ok(Date.now() - start < 3000);
+
+        // The sequence of the rejected transaction is reused.
+        const res = await acc.makePayment(destination, '1000', null, null, null, managed);
+        assert.strictEqual(res.details.Sequence, prepared.Sequence);
+    });
+
+    it('waits for the outcome of the transactions submitted with submitAndWait', async () => {
+        const acc = new XrplAccount(account.address, account.seed);
+        const prepared = await acc.prepareMakePayment(destination, '1000');
+        prepared.Fee = '0';
+        prepared.LastLedgerSequence = mock.api.ledgerIndex + 3;
+
+        const start = Date.now();
+        await assert.rejects(mock.api.submitAndWait(prepared, acc.sign(prepared).tx_blob), (e) => e.code !== 'telINSUF_FEE_P');
+        assert.ok(mock.api.ledgerIndex >= prepared.LastLedgerSequence);
+        assert.ok(Date.now() - start >= 600);
+    });
+});
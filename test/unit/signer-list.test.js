@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { XrplAccount, SignerList } = require('../../src/index');
+const { startMock, generateAccount } = require('./helpers');
+
+describe('SignerList', () => {
+    const [a, b, c] = [...Array(3)].map(() => generateAccount().address);
+
+    it('validates the signers and the quorum', () => {
+        const owner = generateAccount().address;
+        const validate = (signers, quorum) => () => new SignerList(signers, quorum).validate(owner);
+
+        assert.throws(validate([{ account: a, weight: 1 }], 3), (e) => e === 'Total signer weight 1 is less than the quorum 3.');
+        assert.throws(validate([{ account: a, weight: 1 }, { account: a, weight: 1 }], 1), (e) => e === `Duplicate signer: ${a}.`);
+        assert.throws(validate([{ account: owner, weight: 1 }], 1), (e) => e === `The account ${owner} cannot be a signer of its own signer list.`);
+        assert.throws(validate([{ account: 'rBad', weight: 1 }], 1), (e) => e === 'Invalid signer address: rBad.');
+        assert.throws(validate([{ account: a, weight: 0 }], 1), (e) => e === `Weight of signer ${a} should be an integer between 1 and 65535.`);
+        assert.throws(validate([], 1), (e) => e === 'Signer list should have 1 to 32 signers. Found 0.');
+        assert.throws(validate([{ account: a, weight: 1 }], 0), (e) => e.startsWith('Signer quorum should be greater than 0.'));
+        assert.throws(validate([...Array(33)].map(() => ({ account: generateAccount().address, weight: 1 })), 1), (e) => e === 'Signer list should have 1 to 32 signers. Found 33.');
+        assert.throws(() => new SignerList([], -1), (e) => e === 'Signer quorum should be an integer between 0 and 4294967295.');
+        assert.doesNotThrow(validate([], 0));
+    });
+
+    it('compares the lists', () => {
+        const current = new SignerList([{ account: a, weight: 1 }, { account: b, weight: 2 }], 2);
+        const next = current.clone().remove(a).setWeight(b, 1).add(c, 1);
+
+        const diff = current.diff(next);
+        assert.deepStrictEqual(diff.added, [{ account: c, weight: 1 }]);
+        assert.deepStrictEqual(diff.removed, [{ account: a, weight: 1 }]);
+        assert.deepStrictEqual(diff.changed, [{ account: b, weight: 2, newWeight: 1 }]);
+        assert.strictEqual(diff.quorumChanged, false);
+        assert.strictEqual(diff.equal, false);
+        assert.strictEqual(current.diff(current.clone()).equal, true);
+        assert.deepStrictEqual(current.signers.map(s => s.account), [a, b].sort());
+    });
+});
+
+describe('XrplAccount signer list', () => {
+    let mock, acc;
+    const [a, b, c] = [...Array(3)].map(() => generateAccount().address);
+
+    before(async () => {
+        mock = await startMock({ ledgerInterval: 300 });
+        const account = mock.fund();
+        acc = new XrplAccount(account.address, account.seed);
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    it('sets, rotates and removes the signer list', async () => {
+        assert.strictEqual(await acc.getSignerList(), null);
+        await assert.rejects(acc.prepareSetSignerList([{ account: a, weight: 1 }]), (e) => e.startsWith('Signer quorum should be greater than 0.'));
+
+        const res = await acc.setSignerList([{ account: a, weight: 1 }, { account: b, weight: 2 }], { signerQuorum: 2 });
+        assert.strictEqual(res.code, 'tesSUCCESS');
+        const current = await acc.getSignerList();
+        assert.strictEqual(current.quorum, 2);
+        assert.deepStrictEqual(current.signers, [{ account: a, weight: 1 }, { account: b, weight: 2 }].sort((x, y) => x.account < y.account ? -1 : 1));
+
+        await acc.updateSignerList({ add: [{ account: c, weight: 1 }, { account: b, weight: 1 }], remove: [a], quorum: 2 });
+        const rotated = await acc.getSignerList();
+        assert.deepStrictEqual(rotated.signers, [{ account: b, weight: 1 }, { account: c, weight: 1 }].sort((x, y) => x.account < y.account ? -1 : 1));
+        assert.deepStrictEqual(current.diff(rotated).removed, [{ account: a, weight: 1 }]);
+
+        await assert.rejects(acc.prepareUpdateSignerList({ quorum: 2 }), (e) => e === 'Signer list is not changed.');
+        await assert.rejects(acc.prepareUpdateSignerList({ remove: [a] }), (e) => e === `${a} is not in the signer list.`);
+
+        assert.strictEqual((await acc.setSignerList([], { signerQuorum: 0 })).code, 'tesSUCCESS');
+        assert.strictEqual(await acc.getSignerList(), null);
+    });
+});
@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const kp = require('ripple-keypairs');
+const { XrplAccount, TenantClient, Signer, SeedSigner, RpcSigner, PrepareOnlySigner, SignerErrorCodes } = require('../../src/index');
+const { startMock } = require('./helpers');
+
+describe('Signers', () => {
+    let mock, account, destination, dir, socketPath, rpcServer;
+    let tamper = false;
+
+    before(async () => {
+        mock = await startMock({ ledgerInterval: 300 });
+        account = mock.fund();
+        destination = mock.fund().address;
+
+        // JSON-RPC signer which signs with the account seed.
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evernode-signer-'));
+        socketPath = path.join(dir, 'signer.sock');
+        rpcServer = net.createServer((socket) => {
+            let buffer = '';
+            socket.setEncoding('utf8');
+            socket.on('data', (chunk) => {
+                buffer += chunk;
+                const end = buffer.indexOf('\n');
+                if (end < 0)
+                    return;
+                const req = JSON.parse(buffer.substring(0, end));
+                let result;
+                if (req.method === 'getPublicKey')
+                    result = { publicKey: kp.deriveKeypair(account.seed).publicKey };
+                else
+                    result = mock.api.xrplHelper.sign({ ...req.params.tx_json, ...(tamper ? { Fee: '99999' } : {}) }, account.seed, req.params.multisign);
+                socket.write(JSON.stringify({ jsonrpc: '2.0', id: req.id, result: result }) + '\n');
+            });
+        });
+        await new Promise(resolve => rpcServer.listen(socketPath, resolve));
+    });
+
+    after(async () => {
+        await new Promise(resolve => rpcServer.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+        await mock.stop();
+    });
+
+    it('signs synchronously with a seed', async () => {
+        const acc = new XrplAccount(account.address, new SeedSigner(account.seed));
+        assert.strictEqual(acc.signer.isAsync, false);
+        const prepared = await acc.prepareMakePayment(destination, '1000');
+        const signed = acc.sign(prepared);
+        assert.ok(signed.hash && signed.tx_blob);
+        assert.deepStrictEqual(await acc.signAsync(prepared), signed);
+        assert.strictEqual((await mock.api.submitAndWait(prepared, signed.tx_blob)).code, 'tesSUCCESS');
+    });
+
+    it('signs with an rpc signer only asynchronously', async () => {
+        const acc = new XrplAccount(null, new RpcSigner(socketPath, { address: account.address }));
+        assert.strictEqual(acc.address, account.address);
+        assert.strictEqual(acc.signer.isAsync, true);
+
+        const prepared = await acc.prepareMakePayment(destination, '1000');
+        assert.throws(() => acc.sign(prepared), (e) => typeof e === 'string' && e.includes('signAsync()'));
+        const signed = await acc.signAsync(prepared);
+        assert.strictEqual(signed.hash, mock.api.xrplHelper.sign(prepared, account.seed).hash);
+    });
+
+    it('rejects a promise from a signer which is not declared asynchronous', async () => {
+        class LazySigner extends Signer {
+            get address() {
+                return account.address;
+            }
+
+            async sign(tx, options) {
+                return options.xrplHelper.sign(tx, account.seed, options.isMultiSign);
+            }
+        }
+        const acc = new XrplAccount(null, new LazySigner());
+        const prepared = await acc.prepareMakePayment(destination, '1000');
+        assert.throws(() => acc.sign(prepared), (e) => typeof e === 'string' && e.includes('signAsync()'));
+        assert.ok((await acc.signAsync(prepared)).tx_blob);
+    });
+
+    it('submits with an rpc signer', async () => {
+        const acc = new XrplAccount(null, new RpcSigner(socketPath, { address: account.address }));
+        assert.strictEqual(await acc.hasValidKeyPair(), true);
+        assert.strictEqual((await acc.makePayment(destination, '1000')).code, 'tesSUCCESS');
+
+        // A transaction changed by the signer is not submitted and its sequence is reused.
+        tamper = true;
+        const sequence = await acc.getSequence();
+        await assert.rejects(acc.makePayment(destination, '1000'), (e) => e.code === SignerErrorCodes.SIGNER_ERROR && e.error.includes('(Fee)'));
+        tamper = false;
+        assert.strictEqual((await acc.makePayment(destination, '1000')).details.Sequence, sequence);
+    });
+
+    it('fails when the rpc signer is not reachable', async () => {
+        const acc = new XrplAccount(account.address, new RpcSigner(path.join(dir, 'missing.sock'), { timeout: 500 }));
+        await assert.rejects(acc.makePayment(destination, '1000'), (e) => e.code === SignerErrorCodes.SIGNER_ERROR);
+    });
+
+    it('exports the unsigned transactions with a prepare-only signer', async () => {
+        const publicKey = kp.deriveKeypair(account.seed).publicKey;
+        const acc = new XrplAccount(null, new PrepareOnlySigner({ address: account.address, publicKey: publicKey }));
+        assert.strictEqual(acc.canSubmit(), false);
+        const unsigned = await acc.makePayment(destination, '5000');
+        assert.strictEqual(unsigned.tx_json.SigningPubKey, publicKey);
+        assert.strictEqual(mock.api.xrplHelper.decode(unsigned.tx_blob).Amount, '5000');
+        await assert.rejects(acc.signAsync(unsigned.tx_json), (e) => e.code === SignerErrorCodes.PREPARE_ONLY);
+
+        // Signed elsewhere and submitted as a blob.
+        const tx = mock.api.xrplHelper.decode(unsigned.tx_blob);
+        assert.strictEqual((await mock.api.submitAndWait(tx, mock.api.xrplHelper.sign(tx, account.seed).tx_blob)).code, 'tesSUCCESS');
+    });
+
+    it('creates clients with a signer', () => {
+        const tenant = new TenantClient(null, new RpcSigner(socketPath, { address: account.address }));
+        assert.strictEqual(tenant.xrplAcc.address, account.address);
+    });
+});
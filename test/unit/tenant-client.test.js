@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { TenantClient } = require('../../src/index');
+const { ErrorCodes, ErrorReasons } = require('../../src/evernode-common');
+const { startEvernodeMock, startHost } = require('./helpers');
+
+describe('TenantClient lease requests', () => {
+    let mock, host, silentHost, tenant;
+
+    before(async () => {
+        mock = await startEvernodeMock();
+        host = await startHost(mock, { leases: 4 });
+        silentHost = await startHost(mock, { respond: false });
+        const account = mock.fundParticipant();
+        tenant = new TenantClient(account.address, account.seed);
+        await tenant.connect();
+        await tenant.prepareAccount();
+    });
+
+    after(async () => {
+        for (const client of [tenant, host, silentHost])
+            await client.disconnect();
+        await mock.stop();
+    });
+
+    it('acquires and extends a lease', async () => {
+        const acquired = await tenant.acquireLease(host.xrplAcc.address, { a: 1 }, { messageKey: 'none' });
+        const tokenId = acquired.instance.name;
+        assert.ok((await tenant.xrplAcc.getURITokens()).find(t => t.index === tokenId));
+
+        const extended = await tenant.extendLease(host.xrplAcc.address, 1, tokenId);
+        assert.strictEqual(extended.expiryMoment, 123);
+    });
+
+    it('resolves responses received before the request is tracked', async () => {
+        const tx = await tenant.acquireLeaseSubmit(host.xrplAcc.address, { a: 2 }, { messageKey: 'none' });
+        // Let the host respond before watching.
+        await new Promise(resolve => setTimeout(resolve, 1500));
+        const res = await tenant.watchAcquireResponse(tx, { timeout: 5000 });
+        assert.strictEqual(res.acquireRefId, tx.id);
+    });
+
+    it('finds the earlier responses from the account history', async () => {
+        const tx = await tenant.acquireLeaseSubmit(host.xrplAcc.address, { a: 3 }, { messageKey: 'none' });
+        await tenant.watchAcquireResponse(tx, { timeout: 5000 });
+
+        const fresh = new TenantClient(tenant.xrplAcc.address, tenant.xrplAcc.secret);
+        await fresh.connect();
+        try {
+            const res = await fresh.watchAcquireResponse(tx, { timeout: 5000 });
+            assert.strictEqual(res.acquireRefId, tx.id);
+        }
+        finally {
+            await fresh.disconnect();
+        }
+    });
+
+    it('rejects with a timeout if the host does not respond', async () => {
+        await assert.rejects(tenant.acquireLease(silentHost.xrplAcc.address, { a: 4 }, { messageKey: 'none', timeout: 1500 }),
+            e => e.error === ErrorCodes.ACQUIRE_ERR && e.reason === ErrorReasons.TIMEOUT);
+    });
+
+    it('rejects an extend of an unknown token', async () => {
+        await assert.rejects(tenant.extendLease(host.xrplAcc.address, 1, 'FF'.repeat(32)),
+            e => e.error === ErrorCodes.EXTEND_ERR && e.reason === ErrorReasons.NO_TOKEN);
+    });
+
+    it('rejects instead of hanging if the submission fails', async () => {
+        await assert.rejects(tenant.acquireLease(mock.fund().address, { a: 5 }, { messageKey: 'none' }),
+            e => e.error === ErrorCodes.ACQUIRE_ERR);
+    });
+
+    it('rejects the pending requests on disconnect', async () => {
+        const account = mock.fundParticipant();
+        const other = new TenantClient(account.address, account.seed);
+        await other.connect();
+        const tx = await other.acquireLeaseSubmit(silentHost.xrplAcc.address, { a: 6 }, { messageKey: 'none' });
+        const watch = other.watchAcquireResponse(tx, { timeout: 60000 });
+        const rejected = assert.rejects(watch, e => e.reason === ErrorReasons.DISCONNECTED);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        await other.disconnect();
+        await rejected;
+    });
+});
@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { TenantClient, HostEvents } = require('../../src/index');
+const { startEvernodeMock, startHost } = require('./helpers');
+
+const EXTEND_MOMENTS = 5;
+
+describe('TenantClient leases', () => {
+    let mock, host, tenant;
+
+    before(async () => {
+        // 20 second moments, so the acquired leases expire within the expiry threshold.
+        // The mock ledger close time advances at least a second per ledger, so the ledgers are closed every second to keep it in line with the clock.
+        mock = await startEvernodeMock({ server: { ledgerInterval: 1000 }, config: { momentSize: 20 } });
+        host = await startHost(mock, { respond: false });
+        host.on(HostEvents.AcquireLease, async (r) => {
+            await host.acquireSuccess(r.acquireRefId, r.tenant, { content: { name: r.uriTokenId } });
+        });
+        host.on(HostEvents.ExtendLease, async (r) => {
+            await host.extendSuccess(r.extendRefId, r.tenant, (await host.getMoment()) + EXTEND_MOMENTS);
+        });
+
+        const account = mock.fundParticipant();
+        tenant = new TenantClient(account.address, account.seed);
+        await tenant.connect();
+        await tenant.prepareAccount();
+    });
+
+    after(async () => {
+        await tenant.disconnect();
+        await host.disconnect();
+        await mock.stop();
+    });
+
+    it('returns no leases before acquiring', async () => {
+        assert.deepStrictEqual(await tenant.getLeases(), []);
+    });
+
+    it('tracks the expiry of the acquired and extended leases', async () => {
+        const acquired = await tenant.acquireLease(host.xrplAcc.address, { a: 1 }, { messageKey: 'none' });
+        await tenant.acquireLease(host.xrplAcc.address, { a: 2 }, { messageKey: 'none' });
+        const extended = await tenant.extendLease(host.xrplAcc.address, 2, acquired.instance.name);
+
+        const leases = await tenant.getLeases({ expiryThreshold: 30 });
+        assert.strictEqual(leases.length, 2);
+
+        const extendedLease = leases.find(l => l.uriTokenId === acquired.instance.name);
+        assert.strictEqual(extendedLease.host, host.xrplAcc.address);
+        assert.strictEqual(extendedLease.acquireRefId, acquired.acquireRefId);
+        assert.deepStrictEqual(extendedLease.extensions, [{ extendRefId: extended.extendRefId, expiryMoment: extended.expiryMoment }]);
+        assert.strictEqual(extendedLease.expiryMoment, extended.expiryMoment);
+        assert.strictEqual(extendedLease.expiryTimestamp, tenant.getMomentCalculator().getMomentStartTime(extended.expiryMoment));
+        assert.strictEqual(extendedLease.expired, false);
+        assert.strictEqual(extendedLease.expiring, false);
+
+        // Leases without extensions expire a moment after the acquire.
+        const acquiredLease = leases.find(l => l.uriTokenId !== acquired.instance.name);
+        assert.deepStrictEqual(acquiredLease.extensions, []);
+        assert.strictEqual(acquiredLease.expiryMoment, acquiredLease.acquireMoment + 1);
+        assert.ok(acquiredLease.remainingTime <= 20);
+        assert.strictEqual(acquiredLease.expiring, true);
+    });
+
+    it('reads only the newer transactions after the first read', async () => {
+        const reads = [];
+        const getAccountTrx = tenant.xrplAcc.getAccountTrx;
+        tenant.xrplAcc.getAccountTrx = (minLedgerIndex, ...args) => {
+            reads.push(minLedgerIndex);
+            return getAccountTrx.call(tenant.xrplAcc, minLedgerIndex, ...args);
+        };
+
+        try {
+            const [lease] = await tenant.getLeases();
+            const extended = await tenant.extendLease(host.xrplAcc.address, 1, lease.uriTokenId);
+            const updated = (await tenant.getLeases()).find(l => l.uriTokenId === lease.uriTokenId);
+            assert.strictEqual(updated.expiryMoment, extended.expiryMoment);
+            assert.strictEqual(updated.extensions.length, lease.extensions.length + 1);
+            // The history is continued from the last read ledger instead of the full history.
+            assert.ok(reads.length === 2 && reads.every(r => r > 0));
+        }
+        finally {
+            tenant.xrplAcc.getAccountTrx = getAccountTrx;
+        }
+    });
+
+    it('leaves the expiry unknown when the history is not read', async () => {
+        const leases = await tenant.getLeases({ minLedgerIndex: mock.api.ledgerIndex });
+        assert.strictEqual(leases.length, 2);
+        for (const lease of leases) {
+            assert.strictEqual(lease.acquireRefId, null);
+            assert.strictEqual(lease.expiryMoment, null);
+            assert.strictEqual(lease.expired, false);
+            assert.strictEqual(lease.expiring, false);
+        }
+    });
+});
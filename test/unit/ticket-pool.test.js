@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { XrplAccount, TicketPool } = require('../../src/index');
+const { startMock } = require('./helpers');
+
+describe('TicketPool', () => {
+    let mock, account, acc, pool, destination;
+
+    const getTickets = async () => (await acc.getAccountObjects({ type: 'ticket' })).map(o => o.TicketSequence).sort((a, b) => a - b);
+
+    before(async () => {
+        mock = await startMock({ ledgerInterval: 300 });
+        account = mock.fund();
+        destination = mock.fund().address;
+        acc = new XrplAccount(account.address, account.seed);
+        pool = TicketPool.get(mock.api, account.address);
+        pool.configure({ refillThreshold: 2, refillCount: 5 });
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    it('creates tickets', async () => {
+        const sequence = await acc.getSequence();
+        const res = await acc.createTickets(3, [{ type: 'test', format: 'text/plain', data: 'tickets' }]);
+        assert.strictEqual(res.code, 'tesSUCCESS');
+        assert.deepStrictEqual(await getTickets(), [sequence + 1, sequence + 2, sequence + 3]);
+
+        await assert.rejects(acc.createTickets(1, { fee: '12' }), (e) => typeof e === 'string' && e.startsWith('Ticket memos should be an array.'));
+    });
+
+    it('submits concurrent transactions with tickets and refills the pool', async () => {
+        const results = await Promise.all([...Array(8)].map(() => acc.makePayment(destination, '1000', null, null, null, { useTicket: true })));
+        assert.ok(results.every(r => r.code === 'tesSUCCESS' && r.details.TicketSequence && r.details.Sequence === 0));
+        assert.strictEqual(new Set(results.map(r => r.details.TicketSequence)).size, 8);
+
+        await pool.reconcile();
+        assert.strictEqual(pool.availableCount, (await getTickets()).length);
+        assert.ok(pool.availableCount > 0);
+    });
+
+    it('releases the ticket of an unsubmitted transaction', async () => {
+        const prepared = await acc.prepareMakePayment(destination, '1', null, null, null, { useTicket: true });
+        assert.strictEqual(pool.isReserved(prepared.TicketSequence), true);
+        acc.releaseSequence(prepared);
+        assert.strictEqual(pool.isReserved(prepared.TicketSequence), false);
+
+        const next = await acc.prepareMakePayment(destination, '1', null, null, null, { useTicket: true });
+        assert.strictEqual(next.TicketSequence, prepared.TicketSequence);
+        assert.strictEqual((await acc.signAndSubmit(next)).code, 'tesSUCCESS');
+    });
+
+    it('drops a ticket consumed outside the pool', async () => {
+        const prepared = await acc.prepareMakePayment(destination, '1', null, null, null, { useTicket: true });
+        const external = { ...prepared, Amount: '2' };
+        await mock.api.submitAndWait(external, acc.sign(external).tx_blob);
+
+        await assert.rejects(acc.signAndSubmit(prepared), (e) => e.code === 'tefNO_TICKET');
+        assert.strictEqual(pool.isReserved(prepared.TicketSequence), false);
+        assert.ok(!(await getTickets()).includes(prepared.TicketSequence));
+    });
+
+    it('submits tickets and sequences together', async () => {
+        const results = await Promise.all([
+            acc.makePayment(destination, '1', null, null, null, { managedSequence: true }),
+            acc.makePayment(destination, '1', null, null, null, { useTicket: true })
+        ]);
+        assert.deepStrictEqual(results.map(r => r.code), ['tesSUCCESS', 'tesSUCCESS']);
+    });
+
+    it('validates the refill options', () => {
+        assert.throws(() => pool.configure({ refillCount: 0 }), (e) => e === 'Ticket refill count should be between 1 and 250.');
+        assert.throws(() => pool.configure({ refillThreshold: -1 }), (e) => e === 'Invalid ticket refill threshold.');
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const kp = require('ripple-keypairs');
+const { XrplAccount, XrplConstants } = require('../../src/index');
+const { startMock, generateAccount } = require('./helpers');
+
+describe('XrplAccount transaction types', () => {
+    let mock, acc, destination;
+    const memos = [{ type: 'evnTest', format: 'text/plain', data: 'memo' }];
+    const hookOptions = { hookParams: [{ name: '4556544E4554', value: 'AB' }] };
+
+    before(async () => {
+        mock = await startMock({ ledgerInterval: 300 });
+        const account = mock.fund();
+        acc = new XrplAccount(account.address, account.seed);
+        destination = mock.fund();
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    // Encodes and decodes the prepared transaction with the server definitions.
+    const encode = (tx) => mock.api.xrplHelper.decode(mock.api.xrplHelper.encode(tx));
+
+    it('prepares the check, escrow and payment channel transactions', async () => {
+        const checkId = 'A'.repeat(64);
+        const channelId = 'B'.repeat(64);
+        const publicKey = kp.deriveKeypair(destination.seed).publicKey;
+        const prepared = {
+            CheckCreate: await acc.prepareCreateCheck(destination.address, '100', null, null, 800000000, memos, hookOptions),
+            CheckCancel: await acc.prepareCancelCheck(checkId, memos, hookOptions),
+            EscrowCreate: await acc.prepareCreateEscrow(destination.address, '100', null, null, { finishAfter: 800000000, cancelAfter: 800001000 }, memos, hookOptions),
+            EscrowFinish: await acc.prepareFinishEscrow(destination.address, 5, 'A0028000', 'A0258020' + 'E3'.repeat(32) + '810100', memos, hookOptions),
+            EscrowCancel: await acc.prepareCancelEscrow(destination.address, 5, memos, hookOptions),
+            PaymentChannelCreate: await acc.prepareCreatePaymentChannel(destination.address, '1000', 3600, null, 800000000, memos, hookOptions),
+            PaymentChannelFund: await acc.prepareFundPaymentChannel(channelId, '100', 800000000, memos, hookOptions),
+            PaymentChannelClaim: await acc.prepareClaimPaymentChannel(channelId, { balance: '10', amount: '10', signature: 'AB'.repeat(35), publicKey: publicKey, close: true }, memos, hookOptions)
+        };
+
+        for (const [type, tx] of Object.entries(prepared)) {
+            const decoded = encode(tx);
+            assert.strictEqual(decoded.TransactionType, type);
+            assert.strictEqual(decoded.Memos.length, 1);
+            assert.strictEqual(decoded.HookParameters.length, 1);
+        }
+        assert.deepStrictEqual([prepared.CheckCreate.SendMax, prepared.CheckCreate.Expiration], ['100', 800000000]);
+        assert.strictEqual(prepared.PaymentChannelCreate.PublicKey, await acc.signer.getPublicKey());
+        assert.strictEqual(prepared.PaymentChannelClaim.Flags, 131072);
+        assert.strictEqual(prepared.EscrowFinish.OfferSequence, 5);
+    });
+
+    it('prepares the account, reward, invoke and hook transactions', async () => {
+        const preauth = await acc.prepareSetDepositPreauth(destination.address, true, memos, hookOptions);
+        const unauth = await acc.prepareSetDepositPreauth(destination.address, false);
+        assert.deepStrictEqual([preauth.Authorize, unauth.Unauthorize], [destination.address, destination.address]);
+
+        const deletion = await acc.prepareDeleteAccount(destination.address, 12, memos, hookOptions);
+        assert.deepStrictEqual([encode(deletion).TransactionType, deletion.DestinationTag], ['AccountDelete', 12]);
+
+        const claim = await acc.prepareClaimReward();
+        const optOut = await acc.prepareClaimReward(true);
+        assert.deepStrictEqual([claim.Issuer, claim.Flags], [XrplConstants.GENESIS_ADDRESS, undefined]);
+        assert.deepStrictEqual([optOut.Issuer, optOut.Flags], [undefined, 1]);
+        assert.strictEqual(encode(claim).TransactionType, 'ClaimReward');
+
+        const invoke = await acc.prepareInvoke(destination.address, 'abcd', memos, hookOptions);
+        assert.deepStrictEqual([encode(invoke).TransactionType, invoke.Blob], ['Invoke', 'ABCD']);
+
+        const hook = { CreateCode: '0061736D', HookOn: '0'.repeat(64), HookNamespace: '1'.repeat(64), HookApiVersion: 0, Flags: 1 };
+        const setHook = await acc.prepareSetHook([hook, {}], memos, hookOptions);
+        assert.deepStrictEqual(encode(setHook).Hooks.map(h => Object.keys(h.Hook).length), [5, 0]);
+    });
+
+    it('validates the transaction parameters', async () => {
+        await assert.rejects(acc.prepareCreateEscrow(destination.address, '1'), (e) => e === 'Either finishAfter or condition should be specified for an escrow.');
+        await assert.rejects(acc.prepareCreateEscrow(destination.address, '1', null, null, { finishAfter: 10, cancelAfter: 5 }), (e) => e === 'Escrow finishAfter should be before cancelAfter.');
+        await assert.rejects(acc.prepareFinishEscrow(destination.address, 5, 'A0028000'), (e) => e === 'Fulfillment and condition should be specified together.');
+        await assert.rejects(acc.prepareCreatePaymentChannel(destination.address, '1', -1), (e) => e === 'Settle delay should be a positive integer.');
+        await assert.rejects(new XrplAccount(destination.address).prepareCreatePaymentChannel(acc.address, '1', 10), (e) => e === 'Public key should be specified for an account without a secret or signer.');
+        await assert.rejects(acc.prepareClaimPaymentChannel('B'.repeat(64), { signature: 'AB' }), (e) => e === 'Public key should be specified with the claim signature.');
+        await assert.rejects(acc.prepareDeleteAccount(acc.address), (e) => e === 'Destination cannot be the account itself.');
+        await assert.rejects(acc.prepareSetDepositPreauth(acc.address), (e) => e === 'An account cannot preauthorize itself.');
+        await assert.rejects(acc.prepareRemit(destination.address), (e) => e === 'Remit should have amounts, URITokens or a URIToken to mint.');
+        await assert.rejects(acc.prepareSetHook([]), (e) => e === 'Hooks should be an array of 1 to 10 hook definitions.');
+    });
+
+    it('remits amounts and URITokens', async () => {
+        await acc.mintURIToken('remit-token');
+        const [token] = await acc.getURITokens();
+
+        const res = await acc.remit(destination.address, [{ amount: '1000' }], [token.index], memos, { mintURIToken: { uri: 'remit-minted', isBurnable: true } });
+        assert.strictEqual(res.code, 'tesSUCCESS');
+        const received = await new XrplAccount(destination.address).getURITokens();
+        assert.strictEqual(received.length, 2);
+        assert.ok(received.every(t => t.Issuer === acc.address && t.Owner === destination.address));
+
+        await assert.rejects(acc.remit(generateAccount().address, [], [], null, { mintURIToken: { uri: 'remit-unfunded' } }), (e) => e.code === 'tecNO_DST');
+    });
+
+    it('submits the invoke and reward claims', async () => {
+        assert.strictEqual((await acc.invoke(destination.address, null, memos, hookOptions)).code, 'tesSUCCESS');
+        assert.strictEqual((await acc.claimReward()).code, 'tesSUCCESS');
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { XrplAccount, XrplApiEvents } = require('../../src/index');
+const { startMock, sleep } = require('./helpers');
+
+describe('XrplApi reconnect', () => {
+    let mock;
+    let a, b;
+
+    before(async () => {
+        // Ledgers are closed by the tests.
+        mock = await startMock({ ledgerInterval: 0 });
+        [a, b] = [mock.fund(), mock.fund()];
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    // Applies a payment from b to a directly on the ledger.
+    let sequence = null;
+    const pay = (amount) => {
+        sequence = sequence || mock.server.ledger.getAccount(b.address).Sequence;
+        mock.server.ledger.submit({ TransactionType: 'Payment', Account: b.address, Destination: a.address, Amount: String(amount), Fee: '10', Sequence: sequence++, Flags: 0, SigningPubKey: '' },
+            crypto.randomBytes(32).toString('hex').toUpperCase());
+    };
+
+    it('replays the transactions missed while reconnecting in ledger order', async () => {
+        const account = new XrplAccount(a.address);
+        const received = [];
+        account.on('payment', tx => received.push(tx.Amount));
+        await account.subscribe();
+
+        const events = [];
+        const onReconnecting = () => events.push(XrplApiEvents.RECONNECTING);
+        const onConnected = (e) => events.push(e.reconnect ? 'reconnected' : XrplApiEvents.CONNECTED);
+        mock.api.on(XrplApiEvents.RECONNECTING, onReconnecting);
+        mock.api.on(XrplApiEvents.CONNECTED, onConnected);
+
+        pay(1);
+        await mock.server.closeLedger();
+        await sleep(200);
+
+        mock.server.disconnectClients();
+        pay(2);
+        pay(3);
+        await mock.server.closeLedger();
+        pay(4);
+        await mock.server.closeLedger();
+        await sleep(3000);
+
+        pay(5);
+        await mock.server.closeLedger();
+        await sleep(300);
+
+        assert.deepStrictEqual(received, ['1', '2', '3', '4', '5']);
+        assert.deepStrictEqual(events, [XrplApiEvents.RECONNECTING, 'reconnected']);
+
+        mock.api.off(XrplApiEvents.RECONNECTING, onReconnecting);
+        mock.api.off(XrplApiEvents.CONNECTED, onConnected);
+        await account.unsubscribe();
+    });
+
+    it('submits transactions after reconnecting', async () => {
+        const account = new XrplAccount(a.address, a.seed);
+        const submission = account.makePayment(b.address, '8');
+        // Ledgers are not closed automatically in this suite.
+        await sleep(300);
+        await mock.server.closeLedger();
+        assert.strictEqual((await submission).code, 'tesSUCCESS');
+    });
+});